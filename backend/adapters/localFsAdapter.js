@@ -0,0 +1,66 @@
+/**
+ * Local Filesystem Context Adapter
+ * Stands in for Supabase in tests and offline development. Layout:
+ *   <baseDir>/<userId>/documents/*.md
+ *   <baseDir>/<userId>/sessions.json    (learning_sessions rows with flashcards)
+ *   <baseDir>/<userId>/struggles.json   (topic_struggles rows)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LocalFsAdapter {
+  constructor(baseDir) {
+    this.baseDir = baseDir || process.env.CONTEXT_LOCAL_DIR || path.join(__dirname, '..', 'data', 'context');
+  }
+
+  userDir(userId) {
+    return path.join(this.baseDir, String(userId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+  }
+
+  async readJson(userId, fileName) {
+    try {
+      const raw = await fs.promises.readFile(path.join(this.userDir(userId), fileName), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async listDocuments(userId) {
+    const dir = path.join(this.userDir(userId), 'documents');
+
+    let files;
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const documents = [];
+    for (const name of files.filter(file => file.endsWith('.md')).sort()) {
+      const { mtime } = await fs.promises.stat(path.join(dir, name));
+      documents.push({ name, updatedAt: mtime.toISOString() });
+    }
+    return documents;
+  }
+
+  async readDocument(userId, name) {
+    return fs.promises.readFile(path.join(this.userDir(userId), 'documents', path.basename(name)), 'utf8');
+  }
+
+  async listSessions(userId) {
+    return this.readJson(userId, 'sessions.json');
+  }
+
+  async listStruggles(userId, limit = 10) {
+    const struggles = await this.readJson(userId, 'struggles.json');
+    return struggles
+      .sort((a, b) => (b.struggle_count || 0) - (a.struggle_count || 0))
+      .slice(0, limit);
+  }
+}
+
+module.exports = LocalFsAdapter;
@@ -0,0 +1,93 @@
+/**
+ * Supabase Context Adapter
+ * Reads a user's documents, sessions and struggles with the service role key.
+ * The service role bypasses row level security, so every query filters by user id.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+class SupabaseAdapter {
+  constructor() {
+    const url = process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!url || !serviceKey) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for the Supabase context adapter');
+    }
+
+    this.client = createClient(url, serviceKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+  }
+
+  /**
+   * List the user's markdown documents
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} [{ name, updatedAt }]
+   */
+  async listDocuments(userId) {
+    const { data, error } = await this.client.storage
+      .from('documents')
+      .list(userId);
+
+    if (error) throw error;
+
+    return (data || [])
+      .filter(file => file.name.endsWith('.md'))
+      .map(file => ({
+        name: file.name,
+        updatedAt: file.updated_at || file.created_at || null
+      }));
+  }
+
+  /**
+   * Download a document's text
+   * @param {string} userId - User ID
+   * @param {string} name - File name
+   * @returns {Promise<string>} Document text
+   */
+  async readDocument(userId, name) {
+    const { data, error } = await this.client.storage
+      .from('documents')
+      .download(`${userId}/${name}`);
+
+    if (error) throw error;
+    return data.text();
+  }
+
+  /**
+   * List the user's learning sessions with their flashcards
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Session rows
+   */
+  async listSessions(userId) {
+    const { data, error } = await this.client
+      .from('learning_sessions')
+      .select('id, topic, flashcards, final_score, status, created_at, updated_at, completed_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * List the user's most struggled topics
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<Array>} topic_struggles rows
+   */
+  async listStruggles(userId, limit = 10) {
+    const { data, error } = await this.client
+      .from('topic_struggles')
+      .select('*')
+      .eq('user_id', userId)
+      .order('struggle_count', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+module.exports = SupabaseAdapter;
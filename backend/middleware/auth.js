@@ -0,0 +1,146 @@
+/**
+ * Authentication Middleware
+ * Verifies Supabase access tokens (HS256 JWTs signed with the project's JWT secret)
+ * and attaches the caller to `req.user`
+ */
+
+const crypto = require('crypto');
+const { RAGError } = require('../services/errors');
+const log = require('../services/logger').child({ component: 'auth' });
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment - Token segment
+ * @returns {Object} Parsed JSON
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Sign a payload as an HS256 JWT.
+ * Used to mint tokens for local testing with the same secret the server verifies against.
+ * @param {Object} payload - Token claims
+ * @param {string} secret - JWT secret
+ * @returns {string} Signed token
+ */
+function signToken(payload, secret) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ * @param {string} token - Bearer token
+ * @param {string} secret - JWT secret
+ * @param {Object} options - Verification options
+ * @param {string} options.audience - Required `aud` claim (Supabase uses 'authenticated')
+ * @returns {Object} Verified claims
+ * @throws {RAGError} UNAUTHORIZED when the token is malformed, forged or expired
+ */
+function verifyToken(token, secret, options = {}) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) {
+    throw new RAGError('UNAUTHORIZED', 'Malformed access token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(encodedHeader);
+    payload = decodeSegment(encodedPayload);
+  } catch (error) {
+    throw new RAGError('UNAUTHORIZED', 'Malformed access token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new RAGError('UNAUTHORIZED', `Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const actual = Buffer.from(encodedSignature, 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new RAGError('UNAUTHORIZED', 'Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === 'number' && now >= payload.exp) {
+    throw new RAGError('UNAUTHORIZED', 'Access token has expired');
+  }
+  if (typeof payload.nbf === 'number' && now < payload.nbf) {
+    throw new RAGError('UNAUTHORIZED', 'Access token is not valid yet');
+  }
+
+  if (options.audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new RAGError('UNAUTHORIZED', 'Access token audience mismatch');
+    }
+  }
+
+  if (!payload.sub) {
+    throw new RAGError('UNAUTHORIZED', 'Access token has no subject');
+  }
+
+  return payload;
+}
+
+/**
+ * Express middleware requiring a valid Supabase access token.
+ * Configure with SUPABASE_JWT_SECRET (Supabase dashboard → Settings → API → JWT Secret);
+ * any locally chosen secret works for offline testing.
+ */
+function requireAuth(req, res, next) {
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  if (!secret) {
+    log.error('SUPABASE_JWT_SECRET is not set; rejecting API request', { requestId: req.id });
+    return res.status(503).json({
+      success: false,
+      code: 'AUTH_NOT_CONFIGURED',
+      error: 'Authentication is not configured on the server'
+    });
+  }
+
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return res.status(401).json({
+      success: false,
+      code: 'UNAUTHORIZED',
+      error: 'Missing access token'
+    });
+  }
+
+  try {
+    const claims = verifyToken(match[1], secret, {
+      audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated'
+    });
+
+    req.user = {
+      id: claims.sub,
+      email: claims.email || null,
+      role: claims.role || null
+    };
+
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      code: error.code || 'UNAUTHORIZED',
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  requireAuth,
+  verifyToken,
+  signToken
+};
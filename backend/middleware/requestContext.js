@@ -0,0 +1,44 @@
+/**
+ * Request Context Middleware
+ * Gives every request an id (the caller's X-Request-Id, or a new one), a
+ * logger bound to it as `req.log`, and a completion log entry and metric.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+
+// Caller-supplied ids are echoed back, so keep them short and printable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Attach `req.id` and `req.log`, echo the id in the X-Request-Id header and
+ * log the response status and duration once it is sent
+ */
+function requestContext(req, res, next) {
+  const supplied = req.get('X-Request-Id');
+  req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : uuidv4();
+  req.log = logger.child({ component: 'http', requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const startTime = Date.now();
+  res.on('finish', () => {
+    // Route patterns keep label values bounded (no ids from the URL)
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    metrics.inc('grasphopper_http_requests_total', { method: req.method, route, status: res.statusCode });
+
+    req.log.info('Request completed', {
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Date.now() - startTime,
+      userId: req.user?.id
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  requestContext
+};
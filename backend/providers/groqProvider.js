@@ -0,0 +1,86 @@
+/**
+ * Groq Provider
+ * Chat completions through the Groq SDK
+ */
+
+const Groq = require('groq-sdk');
+const { RAGError } = require('../services/errors');
+const { getContextWindow } = require('../services/promptBudget');
+
+class GroqProvider {
+  constructor() {
+    this.name = 'groq';
+    this.model = process.env.GROQ_MODEL || 'llama3-8b-8192';
+    this.contextWindow = parseInt(process.env.GROQ_CONTEXT_WINDOW, 10) || getContextWindow(this.model);
+    this.client = null;
+  }
+
+  /**
+   * @returns {boolean} True if an API key is available
+   */
+  isConfigured() {
+    return !!process.env.GROQ_API_KEY;
+  }
+
+  getClient() {
+    if (this.client) return this.client;
+
+    if (!this.isConfigured()) {
+      throw new RAGError('GROQ_NOT_CONFIGURED', 'GROQ_API_KEY environment variable is required');
+    }
+
+    this.client = new Groq({ apiKey: process.env.GROQ_API_KEY });
+    return this.client;
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Object} request - { messages, temperature, maxTokens, topP }
+   * @param {Object} options - { onToken, signal }; passing onToken streams the answer
+   * @returns {Promise<Object>} { text, model, usage } where usage is { promptTokens, completionTokens } when reported
+   */
+  async complete(request, options = {}) {
+    const { onToken, signal } = options;
+    const streaming = typeof onToken === 'function';
+
+    const completion = await this.getClient().chat.completions.create({
+      messages: request.messages,
+      model: this.model,
+      temperature: request.temperature ?? 0.1,
+      max_tokens: request.maxTokens || 2048,
+      top_p: request.topP ?? 1,
+      stream: streaming
+    }, { signal });
+
+    let text = '';
+    let usage = null;
+    if (streaming) {
+      for await (const chunk of completion) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        // Groq reports usage on the final chunk of a stream
+        if (chunk.x_groq?.usage) usage = chunk.x_groq.usage;
+      }
+    } else {
+      text = completion.choices[0]?.message?.content || '';
+      usage = completion.usage;
+    }
+
+    return { text, model: this.model, usage: toUsage(usage) };
+  }
+}
+
+/**
+ * Convert OpenAI-style usage to { promptTokens, completionTokens }
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @returns {Object|null} Usage, or null if not reported
+ */
+function toUsage(usage) {
+  if (!usage) return null;
+  return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens };
+}
+
+module.exports = GroqProvider;
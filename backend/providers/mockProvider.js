@@ -0,0 +1,80 @@
+/**
+ * Mock Provider
+ * Deterministic offline completions for tests and development without an API key.
+ * The answer echoes the question and cites every excerpt id in the prompt, so
+ * citation handling can be exercised end to end.
+ */
+
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.model = 'mock-1';
+    this.contextWindow = parseInt(process.env.MOCK_CONTEXT_WINDOW, 10) || 8192;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Generate a deterministic completion
+   * @param {Object} request - { messages }
+   * @param {Object} options - { onToken, signal }; passing onToken streams word by word
+   * @returns {Promise<Object>} { text, model }
+   */
+  async complete(request, options = {}) {
+    const { onToken, signal } = options;
+    const prompt = request.messages[request.messages.length - 1]?.content || '';
+    const text = this.respond(prompt);
+
+    if (typeof onToken === 'function') {
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) {
+          const error = new Error('Request was aborted');
+          error.name = 'AbortError';
+          throw error;
+        }
+        onToken(piece);
+      }
+    }
+
+    return { text, model: this.model };
+  }
+
+  /**
+   * Build the mock answer for a prompt
+   * @param {string} prompt - Last user message
+   * @returns {string} Answer text
+   */
+  respond(prompt) {
+    const questionMatch = prompt.match(/\*\*USER'S QUESTION:\*\*\s*\n([^\n]+)/);
+    const latestMatch = prompt.match(/Latest question:\s*([^\n]+)/);
+
+    // Question rewrites return the question unchanged
+    if (latestMatch && !questionMatch) {
+      return latestMatch[1].trim();
+    }
+
+    const question = (questionMatch ? questionMatch[1] : prompt).trim().substring(0, 200);
+    const excerptIds = [...new Set(prompt.match(/^\[C\d+\]/gm) || [])];
+
+    // Quiz mode expects JSON: one question per excerpt
+    if (/Respond with JSON only/.test(prompt)) {
+      return JSON.stringify({
+        questions: excerptIds.map(id => ({
+          question: `Mock question about ${id} for: ${question}`,
+          options: ['Correct option', 'Distractor 1', 'Distractor 2', 'Distractor 3'],
+          correctIndex: 0,
+          explanation: `The mock answer is always the first option ${id}`,
+          sourceIds: [id.slice(1, -1)]
+        }))
+      });
+    }
+
+    const citations = excerptIds.length > 0 ? ` ${excerptIds.join(' ')}` : '';
+
+    return `This is a mock answer to: ${question}${citations}`;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,111 @@
+/**
+ * OpenAI-Compatible Provider
+ * Chat completions over plain HTTP for servers that implement the OpenAI API
+ * (llama.cpp, Ollama, vLLM, LM Studio, ...)
+ */
+
+const { RAGError } = require('../services/errors');
+const { getContextWindow } = require('../services/promptBudget');
+
+class OpenAICompatibleProvider {
+  constructor() {
+    this.name = 'openai';
+    this.baseUrl = (process.env.OPENAI_COMPAT_BASE_URL || '').replace(/\/+$/, '');
+    this.apiKey = process.env.OPENAI_COMPAT_API_KEY || '';
+    this.model = process.env.OPENAI_COMPAT_MODEL || 'llama3';
+    this.contextWindow = parseInt(process.env.OPENAI_COMPAT_CONTEXT_WINDOW, 10) || getContextWindow(this.model);
+  }
+
+  /**
+   * @returns {boolean} True if a base URL is set (local servers usually need no key)
+   */
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Object} request - { messages, temperature, maxTokens, topP }
+   * @param {Object} options - { onToken, signal }; passing onToken streams the answer
+   * @returns {Promise<Object>} { text, model, usage } where usage is { promptTokens, completionTokens } when reported
+   */
+  async complete(request, options = {}) {
+    if (!this.isConfigured()) {
+      throw new RAGError('GROQ_NOT_CONFIGURED', 'OPENAI_COMPAT_BASE_URL environment variable is required');
+    }
+
+    const { onToken, signal } = options;
+    const streaming = typeof onToken === 'function';
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: request.messages,
+        temperature: request.temperature ?? 0.1,
+        max_tokens: request.maxTokens || 2048,
+        top_p: request.topP ?? 1,
+        stream: streaming
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`OpenAI-compatible server returned ${response.status}: ${body.substring(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    if (!streaming) {
+      const data = await response.json();
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        model: data.model || this.model,
+        usage: data.usage
+          ? { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens }
+          : null
+      };
+    }
+
+    return { text: await this.readStream(response, onToken), model: this.model, usage: null };
+  }
+
+  /**
+   * Read a `data: {...}` Server-Sent Events stream of completion deltas
+   * @param {Response} response - Streaming fetch response
+   * @param {Function} onToken - Called with each text delta
+   * @returns {Promise<string>} Full text
+   */
+  async readStream(response, onToken) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    for await (const value of response.body) {
+      buffer += decoder.decode(value, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      }
+    }
+
+    return text;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+
+const geminiService = require('../services/geminiService');
+const usageLimiter = require('../services/usageLimiter');
+const { GENERATORS, PODCAST_SCRIPT_SCHEMA } = require('../services/generators');
+const { validateSchema } = require('../services/jsonSchema');
+const { RAGError, toRAGError } = require('../services/errors');
+const metrics = require('../services/metrics');
+
+// Quota units for reading a podcast script aloud (text generators cost 1)
+const PODCAST_AUDIO_COST = 10;
+
+/**
+ * HTTP status for a generation error
+ * @param {RAGError} error - Structured error
+ * @returns {number} Status code
+ */
+function statusFor(error) {
+  switch (error.code) {
+    case 'INVALID_REQUEST':
+      return 400;
+    case 'RATE_LIMITED':
+    case 'QUOTA_EXCEEDED':
+      return 429;
+    case 'GENERATION_NOT_CONFIGURED':
+      return 503;
+    case 'GENERATION_FAILED':
+    case 'GENERATION_EMPTY':
+    case 'GENERATION_INVALID_JSON':
+    case 'GENERATION_SCHEMA_MISMATCH':
+      return 502;
+    default:
+      return 500;
+  }
+}
+
+/**
+ * Send a failed generation as { success: false, code, error, retryable, details }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} generator - Generator name
+ * @param {Error} error - What went wrong
+ */
+function sendError(req, res, generator, error) {
+  const failure = toRAGError(error, 'GENERATION_FAILED');
+  const status = statusFor(failure);
+
+  if (failure.code === 'RATE_LIMITED' || failure.code === 'QUOTA_EXCEEDED') {
+    metrics.inc('grasphopper_generation_limited_total', { reason: failure.code === 'RATE_LIMITED' ? 'rate_limit' : 'quota' });
+    res.set('Retry-After', String(failure.retryAfterSeconds || 60));
+    req.log.warn('Generation request limited', { generator, code: failure.code, userId: req.user.id });
+  } else if (status >= 500) {
+    metrics.inc('grasphopper_generation_requests_total', { generator, outcome: 'failed' });
+    req.log.error('Generation failed', { generator, code: failure.code, problems: failure.details, error });
+  }
+
+  res.status(status).json({
+    success: false,
+    code: failure.code,
+    error: failure.message,
+    retryable: failure.retryable,
+    ...(failure.details && { details: failure.details })
+  });
+}
+
+/**
+ * Check the body, then charge the user's rate limit and quota
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} schema - JSON schema for the body
+ * @param {number} cost - Quota units
+ * @param {Function} check - Optional (body) => Array<string> for extra checks
+ * @returns {Object} Usage after charging
+ * @throws {RAGError} INVALID_REQUEST, RATE_LIMITED, QUOTA_EXCEEDED or GENERATION_NOT_CONFIGURED
+ */
+function admit(req, res, schema, cost, check) {
+  const body = req.body || {};
+  let problems = validateSchema(body, schema, 'body');
+  if (problems.length === 0 && check) {
+    problems = check(body);
+  }
+  if (problems.length > 0) {
+    throw new RAGError('INVALID_REQUEST', problems.join('; '));
+  }
+
+  // Refuse before charging the quota when there is nothing to call
+  if (!geminiService.isConfigured()) {
+    throw new RAGError('GENERATION_NOT_CONFIGURED');
+  }
+
+  const usage = usageLimiter.consume(req.user.id, cost);
+  res.set('X-RateLimit-Remaining', String(usage.rateRemaining));
+  if (usage.quotaRemaining !== null) {
+    res.set('X-Quota-Remaining', String(usage.quotaRemaining));
+  }
+  return usage;
+}
+
+/**
+ * Remaining generation allowance for the signed-in user
+ * GET /api/generate/usage
+ *
+ * Usage is counted in memory by each server instance (see usageLimiter), so it
+ * resets when the server restarts and is not shared between instances.
+ */
+router.get('/generate/usage', (req, res) => {
+  res.json({
+    success: true,
+    usage: usageLimiter.getStatus(req.user.id)
+  });
+});
+
+/**
+ * Read a podcast script aloud; responds with the audio file itself
+ * POST /api/generate/podcast-audio { script }
+ */
+router.post('/generate/podcast-audio', async (req, res) => {
+  const generator = 'podcast-audio';
+
+  try {
+    admit(req, res, {
+      type: 'object',
+      required: ['script'],
+      properties: { script: PODCAST_SCRIPT_SCHEMA }
+    }, PODCAST_AUDIO_COST);
+
+    const endTimer = metrics.startTimer('grasphopper_generation_duration_seconds', { generator });
+    const audio = await geminiService.synthesizeSpeech(req.body.script);
+    const durationMs = endTimer();
+
+    metrics.inc('grasphopper_generation_requests_total', { generator, outcome: 'success' });
+    req.log.info('Podcast audio generated', { generator, durationMs, bytes: audio.data.length, mimeType: audio.mimeType });
+
+    res.set('Content-Type', audio.mimeType);
+    res.send(audio.data);
+  } catch (error) {
+    sendError(req, res, generator, error);
+  }
+});
+
+/**
+ * Generate learning content with the named generator
+ * POST /api/generate/:generator, e.g. /api/generate/flashcards { topic }
+ * Responds with { success: true, data, usage }
+ */
+router.post('/generate/:generator', async (req, res) => {
+  const { generator } = req.params;
+  const definition = Object.prototype.hasOwnProperty.call(GENERATORS, generator) ? GENERATORS[generator] : null;
+
+  if (!definition) {
+    return res.status(404).json({
+      success: false,
+      code: 'INVALID_REQUEST',
+      error: `Unknown generator: ${generator}`
+    });
+  }
+
+  try {
+    const usage = admit(req, res, definition.input, definition.cost || 1, definition.check);
+
+    const endTimer = metrics.startTimer('grasphopper_generation_duration_seconds', { generator });
+    const data = await definition.generate(req.body, { log: req.log });
+    const durationMs = endTimer();
+
+    metrics.inc('grasphopper_generation_requests_total', { generator, outcome: 'success' });
+    req.log.info('Content generated', { generator, durationMs });
+
+    res.json({
+      success: true,
+      data,
+      usage
+    });
+  } catch (error) {
+    sendError(req, res, generator, error);
+  }
+});
+
+module.exports = router;
@@ -5,9 +5,176 @@ const { v4: uuidv4 } = require('uuid');
 // Import RAG services
 const ragService = require('../services/ragService');
 const contextProcessor = require('../services/contextProcessor');
+const contextBuilder = require('../services/contextBuilder');
+const llmService = require('../services/llmService');
+const { validateLearnerProfile } = require('../services/learnerProfile');
+const answerModes = require('../services/answerModes');
+const { createJobStore } = require('../services/jobStore');
+const { JobQueue, QueueFullError, TERMINAL_STATUSES } = require('../services/jobQueue');
+const { RAGError, toRAGError } = require('../services/errors');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+
+const log = logger.child({ component: 'rag' });
+
+// Largest assembled learning context processed for a single question
+const MAX_CONTEXT_CHARS = parseInt(process.env.RAG_MAX_CONTEXT_CHARS, 10) || 2000000;
+
+// Longest question accepted
+const MAX_QUESTION_CHARS = 4000;
+
+// Request tracking: JOB_STORE=memory (default) or file for restart-safe, shareable jobs
+const jobStore = createJobStore();
+const jobQueue = new JobQueue({
+  store: jobStore,
+  processor: processRAGRequest,
+  concurrency: parseInt(process.env.RAG_CONCURRENCY, 10) || 2,
+  maxQueueLength: parseInt(process.env.RAG_MAX_QUEUE_LENGTH, 10) || 50,
+  jobTtlMs: parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000
+});
+jobQueue.start();
+
+metrics.addCollector(async () => {
+  const stats = await jobQueue.getStats();
+  metrics.set('grasphopper_job_queue_depth', {}, stats.queued);
+  metrics.set('grasphopper_jobs_processing', {}, stats.processing);
+});
+
+/**
+ * Validate an ask/stream request body
+ * @param {Object} body - Request body
+ * @returns {Object|null} { status, error } describing the problem, or null if valid
+ */
+function validateAskBody(body) {
+  const { question, history, provider, retrieval, learnerProfile, mode } = body;
+
+  if (typeof question !== 'string' || !question.trim()) {
+    return {
+      status: 400,
+      error: new RAGError('INVALID_REQUEST', 'Question is required')
+    };
+  }
+
+  if (question.length > MAX_QUESTION_CHARS) {
+    return {
+      status: 400,
+      error: new RAGError('INVALID_REQUEST', `Question exceeds ${MAX_QUESTION_CHARS} characters`)
+    };
+  }
+
+  if (history !== undefined && !Array.isArray(history)) {
+    return {
+      status: 400,
+      error: new RAGError('INVALID_REQUEST', 'History must be an array')
+    };
+  }
+
+  if (provider !== undefined && !llmService.hasProvider(provider)) {
+    return {
+      status: 400,
+      error: new RAGError('INVALID_REQUEST', `LLM provider is not enabled: ${provider}`)
+    };
+  }
+
+  if (mode !== undefined && !answerModes.isValidMode(mode)) {
+    return {
+      status: 400,
+      error: new RAGError('INVALID_REQUEST', `Mode must be one of: ${Object.keys(answerModes.MODES).join(', ')}`)
+    };
+  }
+
+  const retrievalErrors = retrieval !== undefined ? ragService.validateRetrieval(retrieval) : [];
+  if (retrievalErrors.length > 0) {
+    return {
+      status: 400,
+      error: new RAGError('INVALID_REQUEST', retrievalErrors.join('; '))
+    };
+  }
+
+  const profileErrors = learnerProfile !== undefined ? validateLearnerProfile(learnerProfile) : [];
+  if (profileErrors.length > 0) {
+    return {
+      status: 400,
+      error: new RAGError('INVALID_REQUEST', profileErrors.join('; '))
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build the user's learning context on the server and prepare it for RAG
+ * @param {string} userId - Authenticated user ID
+ * @param {Object} learnerProfile - Client-supplied profile; replaces the one built from storage
+ * @param {Object} requestLog - Logger bound to the request
+ * @returns {Promise<Object>} Processed { context, weakConcepts, Stats, learnerProfile, contextVersion }, where
+ *   contextVersion is null when a client-supplied profile makes the context differ from the stored one
+ * @throws {RAGError} CONTEXT_TOO_LARGE when the assembled context exceeds MAX_CONTEXT_CHARS
+ */
+async function loadLearningContext(userId, learnerProfile, requestLog = log) {
+  const endTimer = metrics.startTimer('grasphopper_rag_stage_duration_seconds', { stage: 'context' });
+  const built = await contextBuilder.buildContext(userId);
+
+  if (built.contextContent.length > MAX_CONTEXT_CHARS) {
+    throw new RAGError('CONTEXT_TOO_LARGE', `Learning context exceeds ${MAX_CONTEXT_CHARS} characters`);
+  }
+
+  const processed = await contextProcessor.processContext(
+    built.contextContent,
+    built.weakConcepts,
+    learnerProfile || built.learnerProfile
+  );
+
+  requestLog.info('Learning context loaded', {
+    durationMs: endTimer(),
+    contextChars: built.contextContent.length,
+    documentCount: built.metadata.documentCount,
+    contextVersion: built.version
+  });
+
+  return {
+    ...processed,
+    contextVersion: learnerProfile ? null : built.version
+  };
+}
+
+/**
+ * Load a request owned by the authenticated user, or send the matching error response
+ * @param {Object} req - Express request with `params.requestId`, `params.service` and `user`
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} The stored request, or null if a response was sent
+ */
+async function findOwnedRequest(req, res) {
+  const { requestId, service } = req.params;
+  const request = await jobStore.get(requestId);
+
+  if (!request) {
+    res.status(404).json({
+      success: false,
+      error: 'Request not found'
+    });
+    return null;
+  }
 
-// In-memory storage for request tracking (in production, use Redis or database)
-const requestStore = new Map();
+  if (request.service !== service) {
+    res.status(400).json({
+      success: false,
+      error: 'Service mismatch'
+    });
+    return null;
+  }
+
+  if (request.userId !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      code: 'FORBIDDEN',
+      error: 'You do not have access to this request'
+    });
+    return null;
+  }
+
+  return request;
+}
 
 /**
  * Submit a question for processing (TheHopper)
@@ -15,31 +182,35 @@ const requestStore = new Map();
  */
 router.post('/thehopper/ask', async (req, res) => {
   try {
-    const { question, context, weakConcepts } = req.body;
+    const { question, history, provider, retrieval, learnerProfile, mode } = req.body;
 
-    if (!question || !context) {
-      return res.status(400).json({
+    const invalid = validateAskBody(req.body);
+    if (invalid) {
+      return res.status(invalid.status).json({
         success: false,
-        error: 'Question and context are required'
+        code: invalid.error.code,
+        error: invalid.error.message
       });
     }
 
     // Generate unique request ID
     const requestId = uuidv4();
 
-    // Store request for tracking
-    requestStore.set(requestId, {
-      status: 'processing',
+    // Queue request for processing by the worker pool
+    await jobQueue.enqueue({
+      id: requestId,
       question,
-      context,
-      weakConcepts: weakConcepts || [],
-      createdAt: new Date(),
-      service: 'thehopper'
+      userId: req.user.id,
+      history: history || [],
+      provider,
+      retrieval,
+      learnerProfile,
+      mode,
+      service: 'thehopper',
+      // HTTP request id, so worker logs can be traced back to the submission
+      requestId: req.id
     });
 
-    // Start async processing
-    processRAGRequest(requestId, question, context, weakConcepts || [], 'thehopper');
-
     res.json({
       success: true,
       requestId,
@@ -47,7 +218,15 @@ router.post('/thehopper/ask', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error submitting TheHopper question:', error);
+    if (error instanceof QueueFullError) {
+      return res.status(429).json({
+        success: false,
+        code: error.code,
+        error: error.message
+      });
+    }
+
+    req.log.error('Error submitting TheHopper question', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to submit question'
@@ -56,37 +235,167 @@ router.post('/thehopper/ask', async (req, res) => {
 });
 
 /**
- * Get request status
- * GET /api/:service/status/:requestId
+ * Ask TheHopper and stream progress and answer tokens as Server-Sent Events
+ * POST /api/thehopper/stream
+ *
+ * Events: `progress` { stage, progress, message }, `token` { text },
+ * `result` { answer, citations, themes, mode, quiz, ... } and `error` { error }.
+ * Quiz mode sends no `token` events; its questions arrive with the result.
  */
-router.get('/:service/status/:requestId', (req, res) => {
-  try {
-    const { requestId, service } = req.params;
-    const request = requestStore.get(requestId);
+router.post('/thehopper/stream', async (req, res) => {
+  const { question, history, provider, retrieval, learnerProfile, mode } = req.body;
 
-    if (!request) {
-      return res.status(404).json({
+  const invalid = validateAskBody(req.body);
+  if (invalid) {
+    return res.status(invalid.status).json({
+      success: false,
+      code: invalid.error.code,
+      error: invalid.error.message
+    });
+  }
+
+  const jobId = uuidv4();
+  let closed = false;
+  let finished = false;
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Set before queueing: the job may start writing events as soon as it is queued
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // Same worker pool and queue limit as /thehopper/ask; the job runs on this
+  // instance so its progress and tokens can be written to this response
+  let queued;
+  try {
+    queued = await jobQueue.enqueueLocal({
+      id: jobId,
+      question,
+      userId: req.user.id,
+      history: history || [],
+      provider,
+      retrieval,
+      learnerProfile,
+      mode,
+      service: 'thehopper',
+      requestId: req.id
+    }, {
+      onProgress: (update) => send('progress', update),
+      onToken: (text) => send('token', { text })
+    });
+  } catch (error) {
+    res.removeHeader('Content-Type');
+    if (error instanceof QueueFullError) {
+      return res.status(429).json({
         success: false,
-        error: 'Request not found'
+        code: error.code,
+        error: error.message
       });
     }
 
-    if (request.service !== service) {
-      return res.status(400).json({
-        success: false,
-        error: 'Service mismatch'
-      });
+    req.log.error('Error submitting TheHopper stream', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to submit question'
+    });
+  }
+
+  res.flushHeaders();
+  res.on('close', () => {
+    closed = true;
+    if (!finished) {
+      jobQueue.cancel(jobId).catch(error => req.log.error('Error cancelling streamed request', { error }));
     }
+  });
+
+  try {
+    const result = await queued.result;
+
+    send('progress', { stage: 'complete', progress: 100, message: 'Processing complete' });
+    send('result', {
+      success: true,
+      answer: result.answer,
+      citations: result.citations || [],
+      themes: result.themes || '',
+      mode: result.mode,
+      quiz: result.quiz || null,
+      grounding: result.grounding || null,
+      usage: result.usage || null,
+      cached: Boolean(result.cached),
+      source: result.source,
+      model: result.model,
+      provider: result.provider,
+      processingTime: result.processingTime
+    });
+
+  } catch (error) {
+    const failure = toRAGError(error);
+    if (!closed) {
+      req.log.error('Error streaming TheHopper answer', { code: failure.code, error });
+    }
+    send('error', { success: false, code: failure.code, error: failure.message, retryable: failure.retryable });
+  } finally {
+    finished = true;
+    if (!closed) {
+      res.end();
+    }
+  }
+});
+
+/**
+ * Summary of the learning context TheHopper will answer from
+ * GET /api/thehopper/context
+ */
+router.get('/thehopper/context', async (req, res) => {
+  try {
+    const built = await contextBuilder.buildContext(req.user.id);
+
+    res.json({
+      success: true,
+      Stats: built.Stats,
+      weakConcepts: built.weakConcepts,
+      learnerProfile: built.learnerProfile,
+      metadata: built.metadata,
+      version: built.version
+    });
+
+  } catch (error) {
+    const failure = toRAGError(error, 'CONTEXT_PROCESSING_FAILED');
+    req.log.error('Error building learning context', { code: failure.code, error });
+    res.status(500).json({
+      success: false,
+      code: failure.code,
+      error: failure.message
+    });
+  }
+});
+
+/**
+ * Get request status
+ * GET /api/:service/status/:requestId
+ */
+router.get('/:service/status/:requestId', async (req, res) => {
+  try {
+    const request = await findOwnedRequest(req, res);
+    if (!request) return;
 
     res.json({
       success: true,
       status: request.status,
       progress: request.progress || 0,
-      message: request.message || ''
+      message: request.message || '',
+      error: request.status === 'failed' ? request.error : undefined
     });
 
   } catch (error) {
-    console.error('Error getting request status:', error);
+    req.log.error('Error getting request status', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to get request status'
@@ -98,22 +407,27 @@ router.get('/:service/status/:requestId', (req, res) => {
  * Get request result
  * GET /api/:service/result/:requestId
  */
-router.get('/:service/result/:requestId', (req, res) => {
+router.get('/:service/result/:requestId', async (req, res) => {
   try {
-    const { requestId, service } = req.params;
-    const request = requestStore.get(requestId);
+    const request = await findOwnedRequest(req, res);
+    if (!request) return;
 
-    if (!request) {
-      return res.status(404).json({
+    if (request.status === 'failed') {
+      return res.json({
         success: false,
-        error: 'Request not found'
+        status: 'failed',
+        code: request.error?.code || 'INTERNAL_ERROR',
+        error: request.error?.message || 'Processing failed',
+        retryable: !!request.error?.retryable
       });
     }
 
-    if (request.service !== service) {
-      return res.status(400).json({
+    if (request.status === 'cancelled') {
+      return res.json({
         success: false,
-        error: 'Service mismatch'
+        status: 'cancelled',
+        code: 'CANCELLED',
+        error: 'Request was cancelled'
       });
     }
 
@@ -130,11 +444,19 @@ router.get('/:service/result/:requestId', (req, res) => {
       answer: request.result.answer,
       citations: request.result.citations || [],
       themes: request.result.themes || '',
+      mode: request.result.mode,
+      quiz: request.result.quiz || null,
+      grounding: request.result.grounding || null,
+      usage: request.result.usage || null,
+      cached: Boolean(request.result.cached),
+      source: request.result.source,
+      model: request.result.model,
+      provider: request.result.provider,
       processingTime: request.result.processingTime
     });
 
   } catch (error) {
-    console.error('Error getting request result:', error);
+    req.log.error('Error getting request result', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to get request result'
@@ -142,6 +464,40 @@ router.get('/:service/result/:requestId', (req, res) => {
   }
 });
 
+/**
+ * Cancel a queued or running request
+ * DELETE /api/:service/request/:requestId
+ */
+router.delete('/:service/request/:requestId', async (req, res) => {
+  try {
+    const request = await findOwnedRequest(req, res);
+    if (!request) return;
+
+    if (TERMINAL_STATUSES.includes(request.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Request already ${request.status}`,
+        status: request.status
+      });
+    }
+
+    const cancelled = await jobQueue.cancel(request.id);
+
+    res.json({
+      success: true,
+      status: cancelled.status,
+      message: 'Request cancelled'
+    });
+
+  } catch (error) {
+    req.log.error('Error cancelling request', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel request'
+    });
+  }
+});
+
 /**
  * Test RAG pipeline
  * GET /api/test
@@ -151,7 +507,7 @@ router.get('/test', async (req, res) => {
     const testResult = await ragService.testPipeline();
     res.json(testResult);
   } catch (error) {
-    console.error('Error testing RAG pipeline:', error);
+    req.log.error('Error testing RAG pipeline', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to test RAG pipeline'
@@ -171,7 +527,7 @@ router.get('/status', async (req, res) => {
       status: status
     });
   } catch (error) {
-    console.error('Error getting service status:', error);
+    req.log.error('Error getting service status', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to get service status'
@@ -180,56 +536,64 @@ router.get('/status', async (req, res) => {
 });
 
 /**
- * Async function to process RAG requests
+ * Job processor for RAG requests, run by the worker pool
+ * @param {Object} job - Stored job
+ * @param {Object} worker - { signal, update, hooks } from the job queue; streamed
+ *   requests pass onProgress and onToken hooks
+ * @returns {Object} Result stored on the completed job
  */
-async function processRAGRequest(requestId, question, context, weakConcepts, service) {
-  try {
-    const request = requestStore.get(requestId);
-    if (!request) return;
-
-    const startTime = Date.now();
-
-    // Update status
-    request.status = 'processing';
-    request.progress = 10;
-    request.message = 'Processing context...';
-
-    // Process the context and extract stats
-    const processedData = await contextProcessor.processContext(context, weakConcepts);
-
-    request.progress = 30;
-    request.message = 'Generating embeddings...';
-
-    // Generate response using RAG
-    const result = await ragService.generateResponse({
-      question,
-      context: processedData.context,
-      weakConcepts: processedData.weakConcepts,
-      Stats: processedData.Stats
-    });
-
-    request.progress = 100;
-    request.status = 'completed';
-    request.message = 'Processing complete';
-    request.result = {
-      ...result,
-      processingTime: Date.now() - startTime
-    };
-
-    // Clean up old requests (keep for 1 hour)
-    setTimeout(() => {
-      requestStore.delete(requestId);
-    }, 60 * 60 * 1000);
-
-  } catch (error) {
-    console.error(`Error processing RAG request ${requestId}:`, error);
-    const request = requestStore.get(requestId);
-    if (request) {
-      request.status = 'error';
-      request.error = error.message;
-      request.message = 'Processing failed';
-    }
-  }
+async function processRAGRequest(job, { signal, update, hooks = {} }) {
+  const { question, userId, history, provider, retrieval, learnerProfile, mode } = job;
+  const requestId = job.requestId || job.id;
+  const jobLog = log.child({ requestId, jobId: job.id });
+  const startTime = Date.now();
+
+  const report = (stage, patch) => {
+    hooks.onProgress?.({ stage, ...patch });
+    return update(patch);
+  };
+
+  await report('context', { progress: 10, message: 'Loading your learning materials...' });
+
+  // Build the user's context server-side and extract stats
+  const processedData = await loadLearningContext(userId, learnerProfile, jobLog);
+
+  await report('embedding', { progress: 30, message: 'Generating embeddings...' });
+
+  let progressWrites = Promise.resolve();
+
+  // Generate response using RAG
+  const result = await ragService.generateResponse({
+    question,
+    context: processedData.context,
+    weakConcepts: processedData.weakConcepts,
+    Stats: processedData.Stats,
+    learnerProfile: processedData.learnerProfile,
+    contextVersion: processedData.contextVersion,
+    userId,
+    history,
+    provider,
+    retrieval,
+    mode
+  }, {
+    onProgress: ({ stage, progress, message }) => {
+      hooks.onProgress?.({ stage, progress, message });
+      // Keep progress writes in order and finished before the job completes
+      progressWrites = progressWrites
+        .then(() => update({ progress, message }))
+        .catch(error => jobLog.error('Error updating job progress', { error }));
+    },
+    onToken: hooks.onToken,
+    signal,
+    requestId
+  });
+
+  await progressWrites;
+
+  return {
+    ...result,
+    processingTime: Date.now() - startTime
+  };
 }
 
 module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Download Models
+ * Populates MODEL_DIR with the embedding model (and the reranker, if enabled)
+ * so the backend can run with MODELS_OFFLINE=true on machines without internet.
+ *
+ * Usage: MODEL_DIR=./models npm run download-models
+ */
+
+const dotenv = require('dotenv');
+const { pipeline, AutoTokenizer, AutoModelForSequenceClassification, env } = require('@xenova/transformers');
+const { getModelSettings, applyModelSettings } = require('../services/modelConfig');
+
+dotenv.config();
+
+async function main() {
+  const settings = {
+    ...getModelSettings(),
+    offline: false
+  };
+  applyModelSettings(env, settings);
+
+  console.log(`Downloading models into ${settings.modelDir}`);
+
+  console.log(`Embedding model: ${settings.embeddingModel} (${settings.quantized ? 'quantized' : 'full precision'})`);
+  const embedder = await pipeline('feature-extraction', settings.embeddingModel, { quantized: settings.quantized });
+  const probe = await embedder('dimension probe', { pooling: 'mean', normalize: true });
+  console.log(`Embedding model ready (${probe.data.length} dimensions)`);
+
+  if (process.env.RERANKER_ENABLED === 'true' || process.argv.includes('--reranker')) {
+    console.log(`Reranker model: ${settings.rerankerModel}`);
+    await AutoTokenizer.from_pretrained(settings.rerankerModel);
+    await AutoModelForSequenceClassification.from_pretrained(settings.rerankerModel, { quantized: true });
+    console.log('Reranker model ready');
+  }
+
+  console.log(`Done. Copy ${settings.modelDir} to the offline machine and set MODEL_DIR and MODELS_OFFLINE=true.`);
+}
+
+main().catch(error => {
+  console.error('Error downloading models:', error);
+  process.exit(1);
+});
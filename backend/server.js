@@ -6,10 +6,16 @@ const path = require('path');
 // Load environment variables
 dotenv.config();
 
+const logger = require('./services/logger');
+const metrics = require('./services/metrics');
+const { requestContext } = require('./middleware/requestContext');
+
+const log = logger.child({ component: 'server' });
 const app = express();
 const PORT = process.env.BACKEND_PORT || process.env.PORT || 3002;
 
 // Middleware
+app.use(requestContext);
 app.use(cors({
   origin: [
     process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -18,14 +24,19 @@ app.use(cors({
   ],
   credentials: true
 }));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Learning context is assembled server-side, so requests only carry a question and history
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: process.env.JSON_BODY_LIMIT || '1mb' }));
 
 // Import route handlers
 const ragRoutes = require('./routes/rag');
+const generateRoutes = require('./routes/generate');
+const { requireAuth } = require('./middleware/auth');
 
-// Routes
+// Routes (every API call must carry the user's Supabase access token, verified once per request)
+app.use('/api', requireAuth);
 app.use('/api', ragRoutes);
+app.use('/api', generateRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -36,9 +47,37 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics; set METRICS_TOKEN to require `Authorization: Bearer <token>`
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({
+      success: false,
+      code: 'UNAUTHORIZED',
+      error: 'Metrics require a valid token'
+    });
+  }
+
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await metrics.render());
+  } catch (error) {
+    req.log.error('Error rendering metrics', { error });
+    res.status(500).send('Failed to render metrics\n');
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Server error:', err);
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      code: 'INVALID_REQUEST',
+      error: 'Request body is too large'
+    });
+  }
+
+  (req.log || log).error('Server error', { error: err });
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -57,18 +96,21 @@ app.use('*', (req, res) => {
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`🚀 RAG Backend Server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`🦗 TheHopper API: http://localhost:${PORT}/api/thehopper/ask`);
+  log.info('RAG Backend Server running', {
+    port: PORT,
+    health: `http://localhost:${PORT}/health`,
+    metrics: `http://localhost:${PORT}/metrics`,
+    api: `http://localhost:${PORT}/api/thehopper/ask`
+  });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  log.info('SIGTERM received, shutting down gracefully');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  log.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
@@ -0,0 +1,151 @@
+/**
+ * Answer Cache
+ * Reuses answers to near-identical questions. Entries are kept per user and
+ * per learning-context version, and matched by question embedding similarity,
+ * so an answer is only reused while the materials it was generated from are
+ * unchanged. Entries expire after a TTL; users are kept least recently used
+ * first and evicted beyond a maximum count.
+ */
+
+const metrics = require('./metrics');
+const log = require('./logger').child({ component: 'answerCache' });
+
+const DEFAULT_THRESHOLD = 0.95;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 50;
+const DEFAULT_MAX_USERS = 100;
+
+class AnswerCache {
+  constructor() {
+    this.threshold = parseFloat(process.env.ANSWER_CACHE_THRESHOLD) || DEFAULT_THRESHOLD;
+    this.ttlMs = parseInt(process.env.ANSWER_CACHE_TTL_MS, 10) || DEFAULT_TTL_MS;
+    this.maxEntries = parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+    this.maxUsers = parseInt(process.env.ANSWER_CACHE_MAX_USERS, 10) || DEFAULT_MAX_USERS;
+    // userId -> entries oldest first; users least recently used first
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Whether caching is on (ANSWER_CACHE_ENABLED=false turns it off)
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return process.env.ANSWER_CACHE_ENABLED !== 'false';
+  }
+
+  /**
+   * Live entries for a user and context version, marking the user most recently
+   * used. Entries for other versions are dropped: the user's documents or
+   * sessions have changed since.
+   * @param {string} userId - User ID
+   * @param {string} contextVersion - Current learning context version
+   * @returns {Array<Object>} Entries
+   */
+  getEntries(userId, contextVersion) {
+    const now = Date.now();
+    const entries = (this.entries.get(userId) || [])
+      .filter(entry => entry.contextVersion === contextVersion && now - entry.createdAt < this.ttlMs);
+
+    this.entries.delete(userId);
+    if (entries.length > 0) {
+      this.entries.set(userId, entries);
+    }
+    return entries;
+  }
+
+  /**
+   * Find a cached answer for a question
+   * @param {Object} key - { userId, contextVersion, variant } where variant covers
+   *   request options that change the answer (mode, provider, retrieval settings)
+   * @param {Array<number>} embedding - Question embedding
+   * @param {Function} similarity - (embeddingA, embeddingB) => cosine similarity
+   * @returns {Object|null} { response, question, similarity, createdAt } or null on a miss
+   */
+  lookup(key, embedding, similarity) {
+    let best = null;
+
+    this.getEntries(key.userId, key.contextVersion)
+      .filter(entry => entry.variant === key.variant)
+      .forEach(entry => {
+        const score = similarity(embedding, entry.embedding);
+        if (score >= this.threshold && (!best || score > best.similarity)) {
+          best = { ...entry, similarity: score };
+        }
+      });
+
+    if (!best) {
+      this.misses++;
+      metrics.inc('grasphopper_cache_lookups_total', { cache: 'answer', result: 'miss' });
+      return null;
+    }
+
+    this.hits++;
+    metrics.inc('grasphopper_cache_lookups_total', { cache: 'answer', result: 'hit' });
+    log.info('Answer cache hit', { userId: key.userId, similarity: Number(best.similarity.toFixed(3)), question: best.question });
+    return {
+      response: best.response,
+      question: best.question,
+      similarity: best.similarity,
+      createdAt: best.createdAt
+    };
+  }
+
+  /**
+   * Cache an answer
+   * @param {Object} key - { userId, contextVersion, variant }
+   * @param {string} question - Question as asked
+   * @param {Array<number>} embedding - Question embedding
+   * @param {Object} response - Response to reuse
+   */
+  store(key, question, embedding, response) {
+    const entries = this.getEntries(key.userId, key.contextVersion);
+    entries.push({
+      contextVersion: key.contextVersion,
+      variant: key.variant,
+      question,
+      embedding: Array.from(embedding),
+      response,
+      createdAt: Date.now()
+    });
+
+    // Keep the most recent entries
+    this.entries.set(key.userId, entries.slice(-this.maxEntries));
+    this.evict();
+  }
+
+  /**
+   * Drop the least recently used users beyond the limit, and users whose
+   * newest entry has expired
+   */
+  evict() {
+    const now = Date.now();
+    for (const [userId, entries] of this.entries) {
+      const newest = entries[entries.length - 1];
+      if (this.entries.size <= this.maxUsers && now - newest.createdAt < this.ttlMs) break;
+      this.entries.delete(userId);
+    }
+  }
+
+  /**
+   * Hit rate and size
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.isEnabled(),
+      users: this.entries.size,
+      entries: Array.from(this.entries.values()).reduce((total, entries) => total + entries.length, 0),
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Number((this.hits / lookups).toFixed(3)) : 0
+    };
+  }
+}
+
+// Create singleton instance
+const answerCache = new AnswerCache();
+
+module.exports = answerCache;
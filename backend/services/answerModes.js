@@ -0,0 +1,123 @@
+/**
+ * Answer Modes
+ * Prompt templates for the ways TheHopper can respond: a direct explanation,
+ * a Socratic dialogue, a multiple-choice quiz built from the retrieved
+ * excerpts, or a summary of the user's notes.
+ */
+
+const DEFAULT_MODE = 'explain';
+
+// Questions per quiz, capped by the number of retrieved excerpts
+const QUIZ_QUESTION_COUNT = parseInt(process.env.QUIZ_QUESTION_COUNT, 10) || 5;
+
+const CITATION_INSTRUCTION = 'Cite the excerpts you use inline with their ids, e.g. "ATP stores energy [C2]". Only cite excerpts that support the sentence';
+
+const MODES = {
+  explain: {
+    label: 'Explain',
+    structured: false,
+    temperature: 0.1,
+    instructions: [
+      'Answer the user\'s question based on the provided context',
+      'Tailor your response to their learning level and areas of difficulty',
+      'If the user is struggling with related concepts, provide additional clarification',
+      'Use examples from their learning materials when possible',
+      'Be encouraging and supportive in your tone',
+      'If you cannot answer based on the context, clearly state this',
+      'If the question refers to earlier messages ("that", "again", "more simply"), build on your previous answers',
+      CITATION_INSTRUCTION
+    ],
+    responseFormat: `Provide a comprehensive answer that:
+- Directly addresses the question
+- References relevant parts of their learning materials
+- Considers their areas of difficulty
+- Includes practical examples or applications
+- Suggests next steps for learning if appropriate
+
+Please provide your response now:`
+  },
+
+  socratic: {
+    label: 'Socratic',
+    structured: false,
+    temperature: 0.3,
+    instructions: [
+      'Do NOT state the answer to the user\'s question. Guide them to work it out themselves',
+      'Ask one or two short guiding questions that lead towards the answer, building on what their materials say',
+      'If the user\'s latest message is an attempt at an answer, say what is right about it, point at the gap, and ask the next question',
+      'Give a small hint drawn from the excerpts when the user seems stuck, and a bigger one if they have struggled with this concept before',
+      'Only reveal the full answer if the user explicitly gives up or asks for it after trying',
+      'Keep each reply brief and end with a question for the user',
+      CITATION_INSTRUCTION
+    ],
+    responseFormat: `Reply with a short acknowledgement of where the user is, an optional hint, and your guiding question(s).
+
+Please provide your response now:`
+  },
+
+  quiz: {
+    label: 'Quiz me',
+    structured: true,
+    temperature: 0.4,
+    instructions: [
+      'Write exactly {questionCount} multiple-choice questions that test the topic of the user\'s request',
+      'Every question must be answerable from the excerpts alone; list the ids of the excerpts it is drawn from in "sourceIds"',
+      'Give each question exactly 4 options with one correct answer and plausible distractors',
+      'Prefer concepts the user struggles with when the excerpts cover them',
+      'Explain in one or two sentences why the correct option is right'
+    ],
+    responseFormat: `Respond with JSON only, no prose or code fences, in this shape:
+{"questions":[{"question":"...","options":["...","...","...","..."],"correctIndex":0,"explanation":"...","sourceIds":["C1"]}]}`
+  },
+
+  summarize: {
+    label: 'Summarize',
+    structured: false,
+    temperature: 0.2,
+    instructions: [
+      'Summarize what the user\'s notes in the excerpts say about the requested topic; do not add outside material',
+      'Group key points under short headings, one bullet per idea, and keep definitions and formulas exact',
+      'Point out where the notes are thin or contradict each other',
+      'Finish with a "Review next" line naming one or two concepts to revisit, favouring their areas of difficulty',
+      CITATION_INSTRUCTION
+    ],
+    responseFormat: `Provide the summary as markdown bullets under headings.
+
+Please provide your response now:`
+  }
+};
+
+/**
+ * Whether a mode name is supported
+ * @param {string} mode - Mode name
+ * @returns {boolean} True if supported
+ */
+function isValidMode(mode) {
+  return typeof mode === 'string' && Object.prototype.hasOwnProperty.call(MODES, mode);
+}
+
+/**
+ * Get a mode template, falling back to the default mode
+ * @param {string} mode - Mode name
+ * @returns {Object} Template { label, structured, temperature, instructions, responseFormat }
+ */
+function getMode(mode) {
+  return MODES[isValidMode(mode) ? mode : DEFAULT_MODE];
+}
+
+/**
+ * Number of quiz questions to ask for
+ * @param {number} excerptCount - Retrieved excerpts
+ * @returns {number} Question count
+ */
+function getQuizQuestionCount(excerptCount) {
+  return Math.max(1, Math.min(QUIZ_QUESTION_COUNT, excerptCount));
+}
+
+module.exports = {
+  DEFAULT_MODE,
+  MODES,
+  isValidMode,
+  getMode,
+  getQuizQuestionCount
+};
@@ -0,0 +1,297 @@
+/**
+ * Context Builder
+ * Assembles a user's learning context on the server from a storage adapter, so
+ * clients only send their question. Documents are cached per user and only
+ * re-downloaded when their `updatedAt` changes; the assembled context is reused
+ * until any document, session or struggle changes. Cached users are evicted when
+ * unused for a TTL, least recently used first beyond a maximum count.
+ *
+ * Adapters implement:
+ *   listDocuments(userId) -> [{ name, updatedAt }]
+ *   readDocument(userId, name) -> string
+ *   listSessions(userId) -> learning_sessions rows with `flashcards`
+ *   listStruggles(userId, limit) -> topic_struggles rows
+ */
+
+const crypto = require('crypto');
+const { RAGError } = require('./errors');
+const { nestHeadings } = require('./markdownChunker');
+const { buildLearnerProfile } = require('./learnerProfile');
+const metrics = require('./metrics');
+const log = require('./logger').child({ component: 'contextBuilder' });
+
+const MAX_STRUGGLES = 10;
+
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_CACHE_MAX_USERS = 100;
+
+class ContextBuilder {
+  /**
+   * @param {Object} adapter - Storage adapter; created from CONTEXT_ADAPTER when omitted
+   */
+  constructor(adapter = null) {
+    this.adapter = adapter;
+    this.cacheTtlMs = parseInt(process.env.CONTEXT_CACHE_TTL_MS, 10) || DEFAULT_CACHE_TTL_MS;
+    this.cacheMaxUsers = parseInt(process.env.CONTEXT_CACHE_MAX_USERS, 10) || DEFAULT_CACHE_MAX_USERS;
+    // userId -> { documents, version, result, lastUsedAt }, least recently used first
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the configured adapter: CONTEXT_ADAPTER=supabase (default) or local
+   * @returns {Object} Storage adapter
+   */
+  getAdapter() {
+    if (this.adapter) return this.adapter;
+
+    const type = process.env.CONTEXT_ADAPTER || 'supabase';
+
+    try {
+      if (type === 'local') {
+        const LocalFsAdapter = require('../adapters/localFsAdapter');
+        this.adapter = new LocalFsAdapter();
+      } else {
+        if (type !== 'supabase') {
+          log.warn('Unknown CONTEXT_ADAPTER, falling back to supabase', { type });
+        }
+        const SupabaseAdapter = require('../adapters/supabaseAdapter');
+        this.adapter = new SupabaseAdapter();
+      }
+    } catch (error) {
+      throw new RAGError('CONTEXT_SOURCE_NOT_CONFIGURED', error.message, error);
+    }
+
+    log.info('Using context adapter', { type });
+    return this.adapter;
+  }
+
+  /**
+   * Use a different adapter (drops cached contexts)
+   * @param {Object} adapter - Storage adapter
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+    this.cache.clear();
+  }
+
+  /**
+   * Build the learning context for a user
+   * @param {string} userId - Authenticated user ID
+   * @returns {Promise<Object>} { contextContent, Stats, weakConcepts, learnerProfile, metadata, version }
+   * @throws {RAGError} CONTEXT_PROCESSING_FAILED when documents, sessions or struggles cannot be listed
+   */
+  async buildContext(userId) {
+    const adapter = this.getAdapter();
+    const entry = this.getCacheEntry(userId);
+
+    const [documents, sessions, struggles] = await Promise.all([
+      listOrFail(() => adapter.listDocuments(userId), 'documents'),
+      listOrFail(() => adapter.listSessions(userId), 'sessions'),
+      listOrFail(() => adapter.listStruggles(userId, MAX_STRUGGLES), 'struggles')
+    ]);
+
+    const version = this.computeVersion(documents, sessions, struggles);
+    if (entry.result && entry.version === version) {
+      metrics.inc('grasphopper_cache_lookups_total', { cache: 'context', result: 'hit' });
+      log.debug('Reusing cached learning context', { userId, version });
+      return entry.result;
+    }
+    metrics.inc('grasphopper_cache_lookups_total', { cache: 'context', result: 'miss' });
+
+    const documentTexts = await this.loadDocuments(userId, documents, entry);
+    const result = this.assemble(documentTexts, sessions, struggles);
+    result.version = version;
+
+    // Only reuse the result if every document was read; otherwise retry next time
+    const expected = documents.filter(doc => doc.name.endsWith('.md')).length;
+    if (documentTexts.length === expected) {
+      entry.version = version;
+      entry.result = result;
+    }
+
+    log.info('Built learning context', {
+      userId,
+      version,
+      contextChars: result.contextContent.length,
+      documentCount: result.metadata.documentCount
+    });
+    return result;
+  }
+
+  /**
+   * Get a user's cache entry, marking it most recently used. Expired entries
+   * start over, and the least recently used users are evicted beyond the limit.
+   * @param {string} userId - User ID
+   * @returns {Object} { documents, version, result, lastUsedAt }
+   */
+  getCacheEntry(userId) {
+    const now = Date.now();
+    let entry = this.cache.get(userId);
+    this.cache.delete(userId);
+
+    if (!entry || now - entry.lastUsedAt >= this.cacheTtlMs) {
+      entry = { documents: new Map(), version: null, result: null };
+    }
+    entry.lastUsedAt = now;
+    this.cache.set(userId, entry);
+
+    for (const [cachedUserId, cached] of this.cache) {
+      if (this.cache.size <= this.cacheMaxUsers && now - cached.lastUsedAt < this.cacheTtlMs) break;
+      this.cache.delete(cachedUserId);
+    }
+    return entry;
+  }
+
+  /**
+   * Download documents that are new or changed since the last build
+   * @param {string} userId - User ID
+   * @param {Array} documents - Current document listing
+   * @param {Object} entry - User cache entry
+   * @returns {Promise<Array>} [{ name, text }] in listing order
+   */
+  async loadDocuments(userId, documents, entry) {
+    const adapter = this.getAdapter();
+    const seen = new Set();
+    const loaded = [];
+
+    for (const doc of documents.filter(d => d.name.endsWith('.md'))) {
+      seen.add(doc.name);
+      const cached = entry.documents.get(doc.name);
+
+      if (cached && cached.updatedAt === doc.updatedAt) {
+        loaded.push({ name: doc.name, text: cached.text });
+        continue;
+      }
+
+      try {
+        const text = await adapter.readDocument(userId, doc.name);
+        entry.documents.set(doc.name, { updatedAt: doc.updatedAt, text });
+        loaded.push({ name: doc.name, text });
+      } catch (error) {
+        log.error('Error reading document', { userId, document: doc.name, error });
+      }
+    }
+
+    // Forget deleted documents
+    for (const name of entry.documents.keys()) {
+      if (!seen.has(name)) entry.documents.delete(name);
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Fingerprint everything the context is built from
+   * @returns {string} Context version hash
+   */
+  computeVersion(documents, sessions, struggles) {
+    const parts = [
+      ...documents.map(d => `d:${d.name}:${d.updatedAt}`),
+      ...sessions.map(s => `s:${s.id}:${s.updated_at || s.created_at}:${(s.flashcards || []).length}:${s.final_score}:${s.status}`),
+      ...struggles.map(t => `t:${t.topic_name}:${t.struggle_count}:${t.total_attempts}:${t.last_struggled_at}`)
+    ];
+    return crypto.createHash('sha256').update(parts.join('\n')).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Assemble the context markdown. Section headings match what the embedding
+   * service expects when it annotates chunk sources. The learner profile is
+   * built from the same rows, so the prompt never has to parse this markdown.
+   * @returns {Object} { contextContent, Stats, weakConcepts, learnerProfile, metadata }
+   */
+  assemble(documentTexts, sessions, struggles) {
+    let contextContent = `# User Learning Context\n\n`;
+    let flashcardCount = 0;
+    const areasOfDifficulty = [];
+    const learningProgressSummary = [];
+
+    if (documentTexts.length > 0) {
+      contextContent += `## Uploaded Documents\n\n`;
+      documentTexts.forEach(doc => {
+        // Document headings nest under the `### name` entry
+        contextContent += `### ${doc.name}\n${nestHeadings(doc.text, 3)}\n\n`;
+      });
+    }
+
+    if (sessions.length > 0) {
+      contextContent += `## Generated Flashcards\n\n`;
+      sessions.forEach(session => {
+        if (!Array.isArray(session.flashcards)) return;
+
+        contextContent += `### Session: ${session.topic}\n`;
+        session.flashcards.forEach((card, index) => {
+          contextContent += `**Q${index + 1}:** ${card.question}\n`;
+          contextContent += `**A${index + 1}:** ${card.answer}\n\n`;
+          flashcardCount++;
+        });
+
+        learningProgressSummary.push(`Completed ${session.topic} session`);
+        if (session.final_score) {
+          learningProgressSummary.push(`Achieved ${session.final_score}% on ${session.topic}`);
+        }
+      });
+    }
+
+    if (struggles.length > 0) {
+      contextContent += `## Areas of Difficulty\n\n`;
+      contextContent += `The user struggles with these concepts:\n\n`;
+      struggles.forEach((struggle, index) => {
+        contextContent += `${index + 1}. **${struggle.topic_name}** (struggled ${struggle.struggle_count} times)\n`;
+        areasOfDifficulty.push(`${struggle.topic_name} (${struggle.struggle_count} struggles)`);
+      });
+      contextContent += `\n`;
+    }
+
+    contextContent += `## Learning Progress Summary\n\n`;
+    contextContent += `- Total Documents: ${documentTexts.length}\n`;
+    contextContent += `- Total Flashcards: ${flashcardCount}\n`;
+    contextContent += `- Areas of Difficulty: ${struggles.length}\n`;
+    contextContent += `- Recent Sessions: ${sessions.length}\n\n`;
+
+    learningProgressSummary.push(`Uploaded ${documentTexts.length} documents`);
+    learningProgressSummary.push(`Generated ${flashcardCount} flashcards`);
+    learningProgressSummary.push(`Completed ${sessions.length} learning sessions`);
+
+    return {
+      contextContent,
+      Stats: [areasOfDifficulty, learningProgressSummary],
+      weakConcepts: struggles.map(struggle => struggle.topic_name),
+      learnerProfile: buildLearnerProfile({
+        sessions,
+        struggles,
+        documentCount: documentTexts.length,
+        flashcardCount
+      }),
+      metadata: {
+        documentCount: documentTexts.length,
+        flashcardCount,
+        struggleCount: struggles.length,
+        sessionCount: sessions.length,
+        hasContent: documentTexts.length > 0 || flashcardCount > 0
+      }
+    };
+  }
+}
+
+/**
+ * Run an adapter listing. A failed listing fails the whole build: a context
+ * missing its documents would otherwise be cached and answered from as if the
+ * user had no materials.
+ * @param {Function} list - Listing call
+ * @param {string} label - Source name for logging
+ * @returns {Promise<Array>} Rows
+ * @throws {RAGError} CONTEXT_PROCESSING_FAILED when the listing fails
+ */
+async function listOrFail(list, label) {
+  try {
+    return (await list()) || [];
+  } catch (error) {
+    log.error('Error fetching learning data', { source: label, error });
+    throw new RAGError('CONTEXT_PROCESSING_FAILED', undefined, error);
+  }
+}
+
+// Create singleton instance
+const contextBuilder = new ContextBuilder();
+
+module.exports = contextBuilder;
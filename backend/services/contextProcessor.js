@@ -3,34 +3,43 @@
  * Processes user context, extracts learning stats, and formats data for RAG
  */
 
+const { RAGError } = require('./errors');
+const learnerProfile = require('./learnerProfile');
+const log = require('./logger').child({ component: 'contextProcessor' });
+
 /**
  * Process context and extract learning statistics
  * @param {string} context - Raw context markdown from user documents and flashcards
  * @param {Array} weakConcepts - Array of weak concepts
+ * @param {Object} profile - Structured learner profile (see learnerProfile); when
+ *   omitted, stats are scraped from the markdown as a fallback for raw text
  * @returns {Object} Processed context with stats
  */
-async function processContext(context, weakConcepts = []) {
+async function processContext(context, weakConcepts = [], profile = null) {
   try {
-    console.log('Processing context for RAG...');
-    
-    // Extract learning statistics from context
-    const stats = extractLearningStats(context);
+    log.debug('Processing context for RAG', { contextChars: context.length });
     
-    // Get top 4 most relevant context sections
-    const topContext = await getTopRelevantContext(context, 4);
+    let Stats;
+    if (profile) {
+      Stats = learnerProfile.toStats(profile);
+    } else {
+      // Raw uploaded text has no structured rows; extract what we can from it
+      const stats = extractLearningStats(context);
+      Stats = [stats.areasOfDifficulty, stats.learningProgressSummary];
+    }
     
+    // Pass the whole context on: retrieval ranks every chunk, so cutting
+    // sections here would hide later documents and flashcards from it
     return {
-      context: topContext,
+      context,
       weakConcepts: weakConcepts,
-      Stats: [
-        stats.areasOfDifficulty,
-        stats.learningProgressSummary
-      ]
+      Stats,
+      learnerProfile: profile
     };
     
   } catch (error) {
-    console.error('Error processing context:', error);
-    throw new Error('Failed to process context');
+    log.error('Error processing context', { error });
+    throw new RAGError('CONTEXT_PROCESSING_FAILED', undefined, error);
   }
 }
 
@@ -102,7 +111,7 @@ function extractLearningStats(context) {
       ...sessionStats.progress
     ])].slice(0, 10); // Limit to top 10
 
-    console.log('Extracted learning stats:', {
+    log.debug('Extracted learning stats', {
       difficultiesCount: stats.areasOfDifficulty.length,
       progressCount: stats.learningProgressSummary.length
     });
@@ -110,7 +119,7 @@ function extractLearningStats(context) {
     return stats;
 
   } catch (error) {
-    console.error('Error extracting learning stats:', error);
+    log.error('Error extracting learning stats', { error });
     return {
       areasOfDifficulty: [],
       learningProgressSummary: []
@@ -322,12 +331,12 @@ async function getTopRelevantContext(context, k = 4) {
     // The embedding service will handle semantic similarity at the RAG level
     const topSections = sections.slice(0, k);
 
-    console.log(`Selected top ${topSections.length} context sections out of ${sections.length}`);
+    log.debug('Selected top context sections', { selected: topSections.length, total: sections.length });
 
     return topSections.join('\n\n');
 
   } catch (error) {
-    console.error('Error getting top relevant context:', error);
+    log.error('Error getting top relevant context, using the full context', { error });
     return context; // Fallback to full context
   }
 }
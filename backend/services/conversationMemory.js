@@ -0,0 +1,108 @@
+/**
+ * Conversation Memory Service
+ * Normalizes chat history from the client and fits it into the prompt budget
+ */
+
+// Budget for verbatim history turns in the prompt (roughly 1500 tokens)
+const MAX_HISTORY_CHARS = 6000;
+// Most recent turns considered for verbatim inclusion
+const MAX_RECENT_TURNS = 8;
+// Length each older turn is cut to when folded into the summary
+const SUMMARY_SNIPPET_CHARS = 160;
+// Roles accepted from the client
+const HISTORY_ROLES = ['user', 'assistant'];
+
+/**
+ * Normalize raw history sent by the client
+ * @param {Array} history - Array of { role, content } messages
+ * @returns {Array} Clean history with only user/assistant turns
+ */
+function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  // System or unknown roles are dropped so clients cannot inject instructions as student turns
+  return history
+    .filter(turn => turn && HISTORY_ROLES.includes(turn.role))
+    .filter(turn => typeof turn.content === 'string' && turn.content.trim().length > 0)
+    .map(turn => ({
+      role: turn.role,
+      content: turn.content.trim()
+    }));
+}
+
+/**
+ * Fit history into the prompt budget.
+ * Recent turns are kept verbatim; anything older is folded into a short summary.
+ * @param {Array} history - Raw history from the request
+ * @param {number} maxChars - Character budget for verbatim turns
+ * @returns {Object} { turns, summary } ready for the prompt
+ */
+function prepareHistory(history, maxChars = MAX_HISTORY_CHARS) {
+  const normalized = normalizeHistory(history);
+  const turns = [];
+  let used = 0;
+  let cutoff = normalized.length;
+
+  // Walk backwards so the latest exchange always survives
+  for (let i = normalized.length - 1; i >= 0; i--) {
+    const turn = normalized[i];
+    if (turns.length >= MAX_RECENT_TURNS || used + turn.content.length > maxChars) {
+      break;
+    }
+    turns.unshift(turn);
+    used += turn.content.length;
+    cutoff = i;
+  }
+
+  // Keep at least a truncated version of the last turn if it alone is too long
+  if (turns.length === 0 && normalized.length > 0) {
+    const last = normalized[normalized.length - 1];
+    turns.push({ role: last.role, content: last.content.substring(0, maxChars) });
+    cutoff = normalized.length - 1;
+  }
+
+  const summary = summarizeTurns(normalized.slice(0, cutoff));
+
+  return { turns, summary };
+}
+
+/**
+ * Summarize older turns into a compact bullet list
+ * @param {Array} turns - Turns that did not fit verbatim
+ * @returns {string} Summary text, empty when there is nothing to summarize
+ */
+function summarizeTurns(turns) {
+  if (turns.length === 0) return '';
+
+  return turns
+    .map(turn => {
+      const speaker = turn.role === 'assistant' ? 'TheHopper' : 'Student';
+      const text = turn.content.replace(/\s+/g, ' ');
+      const snippet = text.length > SUMMARY_SNIPPET_CHARS
+        ? text.substring(0, SUMMARY_SNIPPET_CHARS) + '...'
+        : text;
+      return `- ${speaker}: ${snippet}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Build a standalone retrieval query without calling the LLM.
+ * Used when the question rewrite fails: prepends the previous student turn
+ * so pronouns like "that" still pull in the right context.
+ * @param {string} question - Current question
+ * @param {Array} turns - Recent history turns
+ * @returns {string} Retrieval query
+ */
+function buildFallbackQuery(question, turns) {
+  const previousQuestion = [...turns].reverse().find(turn => turn.role === 'user');
+  if (!previousQuestion) return question;
+  return `${previousQuestion.content}\n${question}`;
+}
+
+module.exports = {
+  normalizeHistory,
+  prepareHistory,
+  summarizeTurns,
+  buildFallbackQuery
+};
@@ -0,0 +1,152 @@
+/**
+ * Document Passages
+ * Cuts uploaded documents into numbered passages (P1, P2, ...) for
+ * source-grounded generation, and checks that every generated flashcard or
+ * question cites one of them with a word-for-word quote. Passages are spread
+ * evenly across the documents so long uploads are covered end to end.
+ */
+
+const { chunkMarkdown } = require('./markdownChunker');
+
+const PASSAGE_MAX_TOKENS = 300;
+
+// Shorter chunks (stray lines, footers) have too little to ask about
+const MIN_PASSAGE_TOKENS = 20;
+
+// Passages per prompt; longer documents are sampled evenly
+const DEFAULT_MAX_PASSAGES = 24;
+
+// Shorter quotes ("the", "O(n)") match almost any passage and prove nothing
+const MIN_QUOTE_WORDS = 4;
+
+// Header and footer fileProcessor writes around the extracted text
+const EXTRACTION_METADATA_PATTERN = /^\*\*(File|Processing Method|Extracted Date):\*\*/m;
+const EXTRACTION_HEADING_PATTERN = /^Extracted Content: /;
+const EXTRACTION_FOOTER_PATTERN = /^\*This content was automatically extracted and processed\.\*$/gm;
+
+/**
+ * Section path of a chunk, without the headings fileProcessor wraps extracted text in
+ * @param {Array<Object>} headings - Chunk headings [{ level, title }]
+ * @returns {string} e.g. "Week 3 > Sorting"
+ */
+function sectionOf(headings) {
+  let titles = headings.map(heading => heading.title);
+  if (titles.length > 0 && EXTRACTION_HEADING_PATTERN.test(titles[0])) {
+    titles = titles.slice(titles[1] === 'Content' ? 2 : 1);
+  }
+  return titles.join(' > ');
+}
+
+/**
+ * Split documents into passages to generate from
+ * @param {Array<Object>} documents - [{ id, name, content }] with markdown content
+ * @param {Object} options - { maxPassages }
+ * @returns {Array<Object>} [{ id, documentId, documentName, section, startChar, endChar, text }]
+ */
+function selectPassages(documents, options = {}) {
+  const maxPassages = options.maxPassages || DEFAULT_MAX_PASSAGES;
+
+  const candidates = documents.flatMap(document => {
+    // Blank the footer out rather than removing it, so character offsets still match the document
+    const content = document.content.replace(EXTRACTION_FOOTER_PATTERN, footer => ' '.repeat(footer.length));
+    return chunkMarkdown(content, { maxTokens: PASSAGE_MAX_TOKENS, overlapTokens: 0 })
+      .filter(chunk => chunk.metadata.tokens >= MIN_PASSAGE_TOKENS && !EXTRACTION_METADATA_PATTERN.test(chunk.text))
+      .map(chunk => ({ document, chunk }));
+  });
+
+  const picked = candidates.length <= maxPassages
+    ? candidates
+    : Array.from({ length: maxPassages }, (_, i) => candidates[Math.floor(i * candidates.length / maxPassages)]);
+
+  return picked.map(({ document, chunk }, i) => ({
+    id: `P${i + 1}`,
+    documentId: document.id || null,
+    documentName: document.name || null,
+    section: sectionOf(chunk.metadata.headings),
+    startChar: chunk.metadata.startChar,
+    endChar: chunk.metadata.endChar,
+    text: chunk.text
+  }));
+}
+
+/**
+ * Render passages for a prompt
+ * @param {Array<Object>} passages - From selectPassages
+ * @returns {string} Passages labelled with their id, file and section
+ */
+function formatPassages(passages) {
+  return passages.map(passage => {
+    const label = [passage.documentName, passage.section].filter(Boolean).join(' > ');
+    return `[${passage.id}]${label ? ` (${label})` : ''}\n${passage.text}`;
+  }).join('\n\n');
+}
+
+/**
+ * Lower-case text with markdown emphasis removed and whitespace collapsed, for quote matching
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeForQuote(text) {
+  return text
+    .toLowerCase()
+    .replace(/[*_`~]/g, '')
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Problems with the passage references of generated items
+ * @param {Array<Object>} items - Generated items with sourceId and quote
+ * @param {Array<Object>} passages - Passages the prompt offered
+ * @returns {Array<string>} Items citing an unknown passage, misquoting it or quoting too little
+ */
+function checkSourceRefs(items, passages) {
+  const byId = new Map(passages.map(passage => [passage.id, passage]));
+
+  return items.flatMap((item, i) => {
+    const passage = byId.get(item.sourceId);
+    if (!passage) {
+      return [`$[${i}].sourceId must be one of the passage ids (P1 to P${passages.length})`];
+    }
+    const quote = normalizeForQuote(item.quote);
+    if (quote.split(' ').filter(Boolean).length < MIN_QUOTE_WORDS) {
+      return [`$[${i}].quote must be at least ${MIN_QUOTE_WORDS} words copied from passage ${item.sourceId}`];
+    }
+    if (!normalizeForQuote(passage.text).includes(quote)) {
+      return [`$[${i}].quote must be copied word for word from passage ${item.sourceId}`];
+    }
+    return [];
+  });
+}
+
+/**
+ * Replace an item's sourceId and quote with a reference back to the document
+ * @param {Object} item - Generated item with sourceId and quote
+ * @param {Array<Object>} passages - Passages the prompt offered
+ * @returns {Object} Item with `source: { documentId, documentName, section, startChar, endChar, quote }`
+ */
+function attachSource(item, passages) {
+  const { sourceId, quote, ...rest } = item;
+  const passage = passages.find(candidate => candidate.id === sourceId);
+
+  return {
+    ...rest,
+    source: {
+      documentId: passage.documentId,
+      documentName: passage.documentName,
+      section: passage.section,
+      startChar: passage.startChar,
+      endChar: passage.endChar,
+      quote: quote.trim()
+    }
+  };
+}
+
+module.exports = {
+  selectPassages,
+  formatPassages,
+  checkSourceRefs,
+  attachSource
+};
@@ -0,0 +1,218 @@
+/**
+ * Embedding Pool
+ * Bounded pool of worker threads that compute embeddings in batches, so model
+ * inference never blocks the Express event loop
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { RAGError } = require('./errors');
+const log = require('./logger').child({ component: 'embeddingPool' });
+
+const WORKER_SCRIPT = path.join(__dirname, '..', 'workers', 'embeddingWorker.js');
+
+class EmbeddingPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Worker threads (each loads its own copy of the model)
+   * @param {number} options.batchSize - Texts per model call
+   * @param {number} options.maxQueueLength - Batches allowed to wait before new work is rejected
+   * @param {Object} options.workerData - Model settings passed to each worker (see modelConfig)
+   */
+  constructor(options) {
+    this.size = options.size || 1;
+    this.batchSize = options.batchSize || 16;
+    this.maxQueueLength = options.maxQueueLength || 64;
+    this.workerData = options.workerData;
+    this.workers = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.starting = null;
+    this.destroyed = false;
+    this.dimension = null;
+  }
+
+  /**
+   * Start the workers and wait until each has loaded the model
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (!this.starting) {
+      this.destroyed = false;
+      this.starting = Promise.all(
+        Array.from({ length: this.size }, () => this.spawnWorker())
+      ).catch(error => {
+        this.destroy();
+        this.starting = null;
+        throw error;
+      });
+    }
+    return this.starting;
+  }
+
+  /**
+   * Start one worker
+   * @returns {Promise<Object>} Resolves with the worker slot once its model is loaded
+   */
+  spawnWorker() {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_SCRIPT, { workerData: this.workerData });
+      const slot = { worker, task: null, ready: false };
+      this.workers.push(slot);
+
+      worker.on('message', (message) => {
+        if (message.type === 'ready') {
+          slot.ready = true;
+          this.dimension = message.dimension;
+          resolve(slot);
+          this.dispatch();
+        } else if (message.type === 'failed') {
+          reject(new Error(message.error));
+        } else if (message.type === 'progress') {
+          log.debug('Downloading model', { progress: message.progress });
+        } else if (message.type === 'result') {
+          this.finishTask(slot, message);
+        }
+      });
+
+      worker.on('error', (error) => {
+        log.error('Embedding worker crashed', { error });
+        if (!slot.ready) reject(error);
+      });
+
+      worker.on('exit', (code) => {
+        this.workers = this.workers.filter(other => other !== slot);
+        if (!slot.ready) reject(new Error(`Embedding worker exited with code ${code} while loading`));
+
+        if (slot.task) {
+          slot.task.reject(new RAGError('EMBEDDING_FAILED', `Embedding worker exited with code ${code}`));
+          slot.task = null;
+        }
+
+        // Replace workers that die after start-up
+        if (slot.ready && !this.destroyed) {
+          this.spawnWorker().catch(error => log.error('Error restarting embedding worker', { error }));
+        }
+      });
+    });
+  }
+
+  /**
+   * Embed texts, split into batches across the workers
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - { signal } to cancel batches that have not finished
+   * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+   * @throws {RAGError} QUEUE_FULL when the pool is saturated, CANCELLED when aborted
+   */
+  async embed(texts, options = {}) {
+    if (texts.length === 0) return [];
+
+    await this.start();
+
+    const batches = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      batches.push(texts.slice(i, i + this.batchSize));
+    }
+
+    // A single large request is always accepted by an idle pool
+    if (this.queue.length > 0 && this.queue.length + batches.length > this.maxQueueLength) {
+      throw new RAGError('QUEUE_FULL', `Embedding queue is full (${this.queue.length} batches waiting)`);
+    }
+
+    const { signal } = options;
+    if (signal?.aborted) {
+      throw new RAGError('CANCELLED');
+    }
+
+    const tasks = batches.map(batch => this.enqueue(batch, signal));
+    const results = await Promise.all(tasks);
+
+    return results.flat().map(embedding => Array.from(embedding));
+  }
+
+  /**
+   * Queue one batch
+   * @returns {Promise<Array<Float32Array>>} Embeddings for the batch
+   */
+  enqueue(texts, signal) {
+    return new Promise((resolve, reject) => {
+      const task = { id: this.nextTaskId++, texts, resolve, reject, signal };
+
+      if (signal) {
+        task.onAbort = () => this.cancelTask(task);
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      this.queue.push(task);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Cancel a task: queued tasks are dropped, running ones have their result ignored
+   */
+  cancelTask(task) {
+    this.queue = this.queue.filter(queued => queued !== task);
+    task.cancelled = true;
+    task.reject(new RAGError('CANCELLED'));
+  }
+
+  /**
+   * Hand queued batches to idle workers
+   */
+  dispatch() {
+    for (const slot of this.workers) {
+      if (!slot.ready || slot.task) continue;
+
+      const task = this.queue.shift();
+      if (!task) return;
+
+      slot.task = task;
+      slot.worker.postMessage({ id: task.id, texts: task.texts });
+    }
+  }
+
+  finishTask(slot, message) {
+    const task = slot.task;
+    slot.task = null;
+
+    if (task && task.id === message.id && !task.cancelled) {
+      task.signal?.removeEventListener('abort', task.onAbort);
+
+      if (message.error) {
+        task.reject(new RAGError('EMBEDDING_FAILED', message.error));
+      } else {
+        task.resolve(message.embeddings);
+      }
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Queue depth and worker usage
+   * @returns {Object} Pool statistics
+   */
+  getStats() {
+    return {
+      workers: this.workers.length,
+      busy: this.workers.filter(slot => slot.task).length,
+      queued: this.queue.length,
+      maxQueueLength: this.maxQueueLength,
+      batchSize: this.batchSize
+    };
+  }
+
+  /**
+   * Stop all workers and reject pending work
+   */
+  destroy() {
+    this.destroyed = true;
+    this.queue.forEach(task => task.reject(new RAGError('EMBEDDING_FAILED', 'Embedding pool shut down')));
+    this.queue = [];
+    this.workers.forEach(slot => slot.worker.terminate());
+    this.workers = [];
+  }
+}
+
+module.exports = EmbeddingPool;
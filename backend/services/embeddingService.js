@@ -3,86 +3,125 @@
  * Handles text embeddings and similarity search using Transformers.js
  */
 
-const { pipeline } = require('@xenova/transformers');
+const EmbeddingPool = require('./embeddingPool');
+const { getModelSettings, describeLoadFailure } = require('./modelConfig');
+const vectorStore = require('./vectorStore');
+const markdownChunker = require('./markdownChunker');
+const hybridSearch = require('./hybridSearch');
+const reranker = require('./reranker');
+const { RAGError, toRAGError } = require('./errors');
+const log = require('./logger').child({ component: 'embeddingService' });
+
+// Context sections that describe the learner rather than the study materials
+const PROFILE_SECTIONS = /^(areas of difficulty|learning progress summary)$/i;
 
 class EmbeddingService {
   constructor() {
-    this.embedder = null;
+    this.pool = null;
+    this.settings = null;
     this.isInitialized = false;
+    this.initPromise = null;
   }
 
   /**
-   * Initialize the embedding model
+   * Initialize the embedding model in the worker pool. Concurrent first calls
+   * share one load, so only one pool (and one set of model copies) is started.
    */
-  async initialize() {
-    if (this.isInitialized) return;
+  initialize() {
+    if (this.isInitialized) return Promise.resolve();
+
+    if (!this.initPromise) {
+      this.initPromise = this.startPool().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Start the worker pool and wait for the model to load
+   */
+  async startPool() {
+    const settings = getModelSettings();
 
     try {
-      console.log('Initializing embedding model...');
+      log.info('Initializing embedding model', { model: settings.embeddingModel, offline: settings.offline });
       
-      // Use a lightweight sentence transformer model
-      this.embedder = await pipeline(
-        'feature-extraction',
-        'Xenova/all-MiniLM-L6-v2',
-        { 
-          quantized: true,
-          progress_callback: (progress) => {
-            if (progress.status === 'downloading') {
-              console.log(`Downloading model: ${Math.round(progress.progress)}%`);
-            }
-          }
-        }
-      );
+      // Sentence transformer model (EMBEDDING_MODEL), run on worker threads
+      this.pool = new EmbeddingPool({
+        size: parseInt(process.env.EMBEDDING_WORKERS, 10) || 1,
+        batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 16,
+        maxQueueLength: parseInt(process.env.EMBEDDING_MAX_QUEUE, 10) || 64,
+        workerData: settings
+      });
+      await this.pool.start();
       
+      this.settings = settings;
       this.isInitialized = true;
-      console.log('Embedding model initialized successfully');
+      log.info('Embedding model initialized', { model: settings.embeddingModel, dimension: this.pool.dimension });
       
     } catch (error) {
-      console.error('Error initializing embedding model:', error);
-      throw new Error('Failed to initialize embedding model');
+      log.error('Error initializing embedding model', { model: settings.embeddingModel, error });
+      this.pool = null;
+      throw new RAGError('EMBEDDING_INIT_FAILED', describeLoadFailure(settings.embeddingModel, settings, error), error);
     }
   }
 
   /**
    * Generate embeddings for text
    * @param {string} text - Text to embed
+   * @param {Object} options - { signal } to cancel
    * @returns {Array} Embedding vector
    */
-  async embed(text) {
-    if (!this.isInitialized) {
-      await this.initialize();
-    }
-
-    try {
-      const result = await this.embedder(text, { pooling: 'mean', normalize: true });
-      return Array.from(result.data);
-    } catch (error) {
-      console.error('Error generating embedding:', error);
-      throw new Error('Failed to generate embedding');
-    }
+  async embed(text, options = {}) {
+    const [embedding] = await this.embedBatch([text], options);
+    return embedding;
   }
 
   /**
-   * Generate embeddings for multiple texts
+   * Generate embeddings for multiple texts in batches on the worker pool
    * @param {Array<string>} texts - Array of texts to embed
+   * @param {Object} options - { signal } to cancel batches that have not run yet
    * @returns {Array<Array>} Array of embedding vectors
    */
-  async embedBatch(texts) {
+  async embedBatch(texts, options = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
     try {
-      const embeddings = [];
-      for (const text of texts) {
-        const embedding = await this.embed(text);
-        embeddings.push(embedding);
-      }
-      return embeddings;
+      return await this.pool.embed(texts, options);
     } catch (error) {
-      console.error('Error generating batch embeddings:', error);
-      throw new Error('Failed to generate batch embeddings');
+      log.error('Error generating batch embeddings', { error });
+      throw toRAGError(error, 'EMBEDDING_FAILED');
+    }
+  }
+
+  /**
+   * Identify the loaded model so stored vectors can be matched to it
+   * @returns {Object|null} { id, quantized, dimension }, or null before initialization
+   */
+  getModelInfo() {
+    if (!this.isInitialized) return null;
+
+    return {
+      id: this.settings.embeddingModel,
+      quantized: this.settings.quantized,
+      dimension: this.pool.dimension
+    };
+  }
+
+  /**
+   * Stop the embedding workers
+   */
+  shutdown() {
+    if (this.pool) {
+      this.pool.destroy();
+      this.pool = null;
     }
+    this.isInitialized = false;
+    this.initPromise = null;
   }
 
   /**
@@ -125,7 +164,7 @@ class EmbeddingService {
    */
   async findSimilar(query, documents, k = 4) {
     try {
-      console.log(`Finding top ${k} similar documents for query...`);
+      log.debug('Finding similar documents', { k, documentCount: documents.length });
       
       // Generate query embedding
       const queryEmbedding = await this.embed(query);
@@ -155,73 +194,198 @@ class EmbeddingService {
       // Return top k results
       const topResults = similarities.slice(0, k);
       
-      console.log(`Found ${topResults.length} similar documents with scores:`, 
-        topResults.map(r => ({ score: r.score.toFixed(3), preview: r.document.text.substring(0, 50) + '...' }))
-      );
+      log.debug('Found similar documents', { scores: topResults.map(r => Number(r.score.toFixed(3))) });
 
       return topResults;
 
     } catch (error) {
-      console.error('Error finding similar documents:', error);
-      throw new Error('Failed to find similar documents');
+      log.error('Error finding similar documents', { error });
+      throw toRAGError(error, 'EMBEDDING_FAILED');
     }
   }
 
   /**
-   * Split text into chunks for processing
+   * Split markdown text into chunks along its structure (see markdownChunker)
    * @param {string} text - Text to split
-   * @param {number} chunkSize - Maximum chunk size
-   * @param {number} overlap - Overlap between chunks
+   * @param {Object} options - Chunking options
+   * @param {number} options.maxTokens - Maximum tokens per chunk
+   * @param {number} options.overlapTokens - Tokens repeated from the previous chunk
    * @returns {Array<Object>} Array of text chunks with metadata
    */
-  splitText(text, chunkSize = 1000, overlap = 200) {
-    const chunks = [];
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    
-    let currentChunk = '';
-    let chunkIndex = 0;
-
-    for (const sentence of sentences) {
-      const trimmedSentence = sentence.trim();
-      
-      if (currentChunk.length + trimmedSentence.length + 1 <= chunkSize) {
-        currentChunk += (currentChunk ? '. ' : '') + trimmedSentence;
-      } else {
-        if (currentChunk) {
-          chunks.push({
-            text: currentChunk + '.',
-            index: chunkIndex++,
-            metadata: {
-              startChar: text.indexOf(currentChunk),
-              length: currentChunk.length
-            }
-          });
-        }
-        
-        // Handle overlap
-        if (overlap > 0 && currentChunk.length > overlap) {
-          const overlapText = currentChunk.substring(currentChunk.length - overlap);
-          currentChunk = overlapText + '. ' + trimmedSentence;
-        } else {
-          currentChunk = trimmedSentence;
-        }
+  splitText(text, options = {}) {
+    const chunks = markdownChunker.chunkMarkdown(text, options);
+
+    this.annotateSources(chunks);
+
+    log.debug('Split text into chunks', { chunkCount: chunks.length });
+    return chunks;
+  }
+
+  /**
+   * Attach source metadata to chunks from their heading path in the learning
+   * context (`## Uploaded Documents` / `### name`, `## Generated Flashcards` /
+   * `### Session: topic` / `**Q1:**`). Chunks from the learner profile sections
+   * (`## Areas of Difficulty`, `## Learning Progress Summary`) get
+   * `metadata.kind = 'profile'`: the profile reaches the prompt on its own, so
+   * these are never retrieved or cited as sources.
+   * @param {Array<Object>} chunks - Chunks with startChar/endChar/headings metadata
+   */
+  annotateSources(chunks) {
+    chunks.forEach(chunk => {
+      const { startChar, endChar, headings } = chunk.metadata;
+      const section = headings.find(h => h.level === 2);
+      const entry = headings.find(h => h.level === 3);
+      const innerHeadings = headings.filter(h => h.level > 3);
+      const sectionName = section ? section.title : '';
+
+      const source = {
+        type: 'notes',
+        section: sectionName || null,
+        heading: innerHeadings.length > 0 ? innerHeadings[innerHeadings.length - 1].title : null,
+        documentName: null,
+        sessionTopic: null,
+        flashcardIndex: null,
+        startChar,
+        endChar
+      };
+
+      if (/uploaded documents/i.test(sectionName)) {
+        source.type = 'document';
+        source.documentName = entry ? entry.title : null;
+      } else if (/flashcards/i.test(sectionName)) {
+        const flashcard = chunk.text.match(/\*\*Q(\d+):\*\*/);
+        source.type = 'flashcard';
+        source.sessionTopic = entry ? entry.title.replace(/^Session:\s*/i, '') : null;
+        source.flashcardIndex = flashcard ? parseInt(flashcard[1], 10) : null;
+      } else if (PROFILE_SECTIONS.test(sectionName)) {
+        source.type = 'profile';
+      }
+
+      chunk.metadata.kind = source.type === 'profile' ? 'profile' : 'material';
+      chunk.metadata.source = source;
+    });
+  }
+
+  /**
+   * Retrieve the most relevant chunks for a query, with source metadata.
+   * Semantic (embedding) and lexical (BM25) rankings are fused with
+   * reciprocal-rank fusion, optionally rescored by a cross-encoder, and the
+   * final k are picked with MMR so near-duplicates do not crowd each other out.
+   * @param {string} context - Full context text
+   * @param {string} query - Query to find relevant chunks for
+   * @param {number} k - Number of chunks to return
+   * @param {Object} options - Retrieval options
+   * @param {string} options.userId - Reuse and persist embeddings in this user's vector store
+   * @param {number} options.minScore - Drop chunks whose score is below this (cosine similarity, or reranker probability when reranking)
+   * @param {boolean} options.rerank - Rescore candidates with the cross-encoder (defaults to RERANKER_ENABLED)
+   * @param {number} options.mmrLambda - Relevance/diversity trade-off, 1 = relevance only
+   * @param {Array<number>} options.queryEmbedding - Embedding of `query` if the caller already has it
+   * @param {AbortSignal} options.signal - Cancels embedding work that has not run yet
+   * @param {Object} options.timings - Filled with { embedding, retrieval } durations in milliseconds
+   * @returns {Array<Object>} Ranked chunks [{ id, text, score, source, scores, embedding }]
+   */
+  async retrieveChunks(context, query, k = 4, options = {}) {
+    const timings = options.timings || {};
+    const startTime = Date.now();
+
+    // Split context into chunks, leaving out the learner profile sections
+    let chunks = this.splitText(context).filter(chunk => chunk.metadata.kind !== 'profile');
+
+    if (chunks.length === 0) {
+      return [];
+    }
+
+    // Load stored embeddings and embed only new or changed chunks
+    if (options.userId) {
+      if (!this.isInitialized) {
+        await this.initialize();
       }
+      chunks = await vectorStore.syncChunks(
+        options.userId,
+        chunks,
+        texts => this.embedBatch(texts, { signal: options.signal }),
+        this.getModelInfo()
+      );
+    } else {
+      const embeddings = await this.embedBatch(chunks.map(chunk => chunk.text), { signal: options.signal });
+      chunks.forEach((chunk, i) => { chunk.embedding = embeddings[i]; });
     }
 
-    // Add the last chunk
-    if (currentChunk) {
-      chunks.push({
-        text: currentChunk + '.',
-        index: chunkIndex,
-        metadata: {
-          startChar: text.lastIndexOf(currentChunk),
-          length: currentChunk.length
+    const queryEmbedding = options.queryEmbedding || await this.embed(query, { signal: options.signal });
+    timings.embedding = Date.now() - startTime;
+    const rankingStart = Date.now();
+    const semanticScores = chunks.map(chunk => this.cosineSimilarity(queryEmbedding, chunk.embedding));
+
+    const lexicalIndex = options.userId
+      ? vectorStore.getLexicalIndex(options.userId, chunks)
+      : hybridSearch.buildBM25Index(chunks.map(chunk => chunk.text));
+    const lexicalScores = hybridSearch.scoreBM25(lexicalIndex, query);
+
+    const fused = hybridSearch.reciprocalRankFusion([
+      hybridSearch.rankByScore(semanticScores),
+      hybridSearch.rankByScore(lexicalScores, true)
+    ]);
+
+    // Shortlist for reranking and diversity selection
+    const candidateCount = Math.max(k * 4, 20);
+    let candidates = Array.from(fused.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, candidateCount)
+      .map(([index, fusedScore]) => ({
+        chunk: chunks[index],
+        embedding: chunks[index].embedding,
+        relevance: fusedScore,
+        score: semanticScores[index],
+        scores: {
+          semantic: semanticScores[index],
+          lexical: lexicalScores[index],
+          fused: fusedScore
         }
-      });
+      }));
+
+    const rerank = options.rerank ?? reranker.isEnabled();
+    if (rerank) {
+      const rerankScores = await reranker.score(query, candidates.map(candidate => candidate.chunk.text));
+      if (rerankScores) {
+        candidates.forEach((candidate, i) => {
+          candidate.relevance = rerankScores[i];
+          candidate.score = rerankScores[i];
+          candidate.scores.rerank = rerankScores[i];
+        });
+        candidates.sort((a, b) => b.relevance - a.relevance);
+      }
     }
 
-    console.log(`Split text into ${chunks.length} chunks`);
-    return chunks;
+    if (typeof options.minScore === 'number') {
+      candidates = candidates.filter(candidate => candidate.score >= options.minScore);
+    }
+
+    const selected = hybridSearch.maximalMarginalRelevance(
+      candidates,
+      Math.min(k, candidates.length),
+      (a, b) => this.cosineSimilarity(a, b),
+      options.mmrLambda ?? 0.7
+    );
+
+    timings.retrieval = Date.now() - rankingStart;
+
+    log.debug('Retrieved chunks', {
+      chunkCount: chunks.length,
+      scores: selected.map(candidate => ({
+        semantic: Number(candidate.scores.semantic.toFixed(3)),
+        lexical: Number(candidate.scores.lexical.toFixed(2)),
+        rerank: candidate.scores.rerank !== undefined ? Number(candidate.scores.rerank.toFixed(3)) : null
+      }))
+    });
+
+    return selected.map((candidate, rank) => ({
+      id: `C${rank + 1}`,
+      text: candidate.chunk.text,
+      score: candidate.score,
+      scores: candidate.scores,
+      source: candidate.chunk.metadata.source,
+      embedding: candidate.embedding
+    }));
   }
 
   /**
@@ -229,30 +393,28 @@ class EmbeddingService {
    * @param {string} context - Full context text
    * @param {string} query - Query to find relevant sections for
    * @param {number} k - Number of top sections to return
+   * @param {Object} options - Retrieval options
+   * @param {string} options.userId - Reuse and persist embeddings in this user's vector store
    * @returns {string} Most relevant context sections
    */
-  async getRelevantContext(context, query, k = 4) {
+  async getRelevantContext(context, query, k = 4, options = {}) {
     try {
-      // Split context into chunks
-      const chunks = this.splitText(context, 1000, 200);
-      
-      if (chunks.length <= k) {
-        return context; // Return all if we have fewer chunks than requested
+      const relevantChunks = await this.retrieveChunks(context, query, k, options);
+
+      if (relevantChunks.length === 0) {
+        return context;
       }
 
-      // Find most similar chunks
-      const similarChunks = await this.findSimilar(query, chunks, k);
-      
       // Combine the most relevant chunks
-      const relevantText = similarChunks
-        .map(result => result.document.text)
+      const relevantText = relevantChunks
+        .map(chunk => chunk.text)
         .join('\n\n');
 
-      console.log(`Selected ${similarChunks.length} most relevant context sections`);
+      log.debug('Selected most relevant context sections', { sectionCount: relevantChunks.length });
       return relevantText;
 
     } catch (error) {
-      console.error('Error getting relevant context:', error);
+      log.error('Error getting relevant context, using the full context', { error });
       return context; // Fallback to full context
     }
   }
@@ -0,0 +1,93 @@
+/**
+ * RAG Errors
+ * Structured error codes shared by the pipeline, the job queue and the API
+ */
+
+const ERROR_CODES = {
+  GROQ_NOT_CONFIGURED: { message: 'The language model API key is not configured on the server', retryable: false },
+  GROQ_UNAVAILABLE: { message: 'The language model service is unavailable', retryable: true },
+  GROQ_RATE_LIMITED: { message: 'The language model service is rate limiting requests', retryable: true },
+  EMBEDDING_INIT_FAILED: { message: 'The embedding model could not be loaded', retryable: true },
+  EMBEDDING_FAILED: { message: 'Failed to generate embeddings for your materials', retryable: true },
+  CONTEXT_TOO_LARGE: { message: 'Your learning context is too large to process', retryable: false },
+  CONTEXT_PROCESSING_FAILED: { message: 'Failed to process your learning context', retryable: false },
+  CONTEXT_SOURCE_NOT_CONFIGURED: { message: 'The server cannot read your learning materials', retryable: false },
+  INVALID_REQUEST: { message: 'The request is missing required fields', retryable: false },
+  UNAUTHORIZED: { message: 'You need to sign in again', retryable: false },
+  FORBIDDEN: { message: 'You do not have access to this request', retryable: false },
+  AUTH_NOT_CONFIGURED: { message: 'Authentication is not configured on the server', retryable: false },
+  QUEUE_FULL: { message: 'Too many requests are waiting to be processed', retryable: true },
+  GENERATION_NOT_CONFIGURED: { message: 'Content generation is not configured on the server', retryable: false },
+  GENERATION_FAILED: { message: 'The content generation service could not be reached', retryable: true },
+  GENERATION_EMPTY: { message: 'The content generation service returned an empty response', retryable: true },
+  GENERATION_INVALID_JSON: { message: 'The content generation service returned malformed data', retryable: true },
+  GENERATION_SCHEMA_MISMATCH: { message: 'The content generation service returned data in an unexpected shape', retryable: true },
+  RATE_LIMITED: { message: 'Too many generation requests; wait a moment and try again', retryable: true },
+  QUOTA_EXCEEDED: { message: 'Daily generation quota reached', retryable: false },
+  CANCELLED: { message: 'The request was cancelled', retryable: false },
+  INTERNAL_ERROR: { message: 'Something went wrong while answering your question', retryable: true }
+};
+
+/**
+ * Error carrying a stable code the client can act on
+ */
+class RAGError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Detail message (defaults to the code's message)
+   * @param {Error} cause - Underlying error
+   */
+  constructor(code, message, cause) {
+    const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    super(message || definition.message);
+    this.name = 'RAGError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.retryable = definition.retryable;
+    this.cause = cause;
+  }
+
+  /**
+   * Serializable form stored on failed jobs and returned by the API
+   * @returns {Object} { code, message, retryable }
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable
+    };
+  }
+}
+
+/**
+ * Convert any error into a RAGError, classifying known failure shapes
+ * @param {Error} error - Error to convert
+ * @param {string} fallbackCode - Code to use when nothing more specific matches
+ * @returns {RAGError} Structured error
+ */
+function toRAGError(error, fallbackCode = 'INTERNAL_ERROR') {
+  if (error instanceof RAGError) return error;
+
+  const status = error?.status || error?.response?.status;
+  const message = error?.message || String(error);
+
+  if (status === 429) {
+    return new RAGError('GROQ_RATE_LIMITED', undefined, error);
+  }
+
+  if (status === 413 || /context.length|too many tokens|maximum context/i.test(message)) {
+    return new RAGError('CONTEXT_TOO_LARGE', undefined, error);
+  }
+
+  if ((status && status >= 500) || /ECONNREFUSED|ENOTFOUND|ETIMEDOUT|fetch failed|Connection error/i.test(message)) {
+    return new RAGError('GROQ_UNAVAILABLE', undefined, error);
+  }
+
+  return new RAGError(fallbackCode, message, error);
+}
+
+module.exports = {
+  ERROR_CODES,
+  RAGError,
+  toRAGError
+};
@@ -0,0 +1,275 @@
+/**
+ * Gemini Service
+ * The only place the Gemini API key is used. Sends generation prompts through
+ * a swappable transport, validates JSON replies against a schema, asks the
+ * model to repair malformed output, and synthesizes podcast speech.
+ *
+ * Environment:
+ *   GEMINI_API_KEY     Server-side API key (never a REACT_APP_ variable)
+ *   GEMINI_MODEL       Text model (default gemini-2.0-flash)
+ *   GEMINI_TTS_MODEL   Multi-speaker speech model (default gemini-2.5-pro-preview-tts)
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleGenAI } = require('@google/genai');
+const { RAGError } = require('./errors');
+const { parseJSONResponse, validateSchema } = require('./jsonSchema');
+const log = require('./logger').child({ component: 'geminiService' });
+
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+const DEFAULT_TTS_MODEL = 'gemini-2.5-pro-preview-tts';
+
+// Extra attempts after a malformed or invalid JSON response
+const DEFAULT_REPAIR_ATTEMPTS = 1;
+
+// Prebuilt voices for the podcast host and expert
+const HOST_VOICE = 'Zephyr';
+const EXPERT_VOICE = 'Puck';
+
+class GeminiService {
+  constructor() {
+    this.transport = null;
+    this.textClient = null;
+    this.speechClient = null;
+  }
+
+  /**
+   * @returns {boolean} True if an API key is available or a transport was injected
+   */
+  isConfigured() {
+    return !!this.transport || !!process.env.GEMINI_API_KEY;
+  }
+
+  getModel() {
+    return process.env.GEMINI_MODEL || DEFAULT_MODEL;
+  }
+
+  /**
+   * Replace the Gemini API with another transport (used by tests and offline development)
+   * @param {Object|null} transport - { generateText({ prompt, model }), synthesizeSpeech({ text, speakers }) }
+   *   returning text and { data: Buffer, mimeType } respectively; null restores the Gemini API
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  requireApiKey() {
+    if (!process.env.GEMINI_API_KEY) {
+      throw new RAGError('GENERATION_NOT_CONFIGURED', 'GEMINI_API_KEY environment variable is required');
+    }
+    return process.env.GEMINI_API_KEY;
+  }
+
+  async callTextModel(prompt, model) {
+    if (this.transport) {
+      return this.transport.generateText({ prompt, model });
+    }
+
+    if (!this.textClient) {
+      this.textClient = new GoogleGenerativeAI(this.requireApiKey());
+    }
+    const result = await this.textClient.getGenerativeModel({ model }).generateContent(prompt);
+    return result.response.text();
+  }
+
+  /**
+   * Send a prompt and return the response text
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { model, log }
+   * @returns {Promise<string>} Trimmed response text
+   * @throws {RAGError} GENERATION_NOT_CONFIGURED, GENERATION_FAILED or GENERATION_EMPTY
+   */
+  async generateText(prompt, options = {}) {
+    const model = options.model || this.getModel();
+
+    let text;
+    try {
+      text = await this.callTextModel(prompt, model);
+    } catch (error) {
+      if (error instanceof RAGError) throw error;
+      (options.log || log).warn('Gemini request failed', { model, error });
+      throw new RAGError('GENERATION_FAILED', `The content generation request failed: ${error.message}`, error);
+    }
+
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new RAGError('GENERATION_EMPTY');
+    }
+    return text.trim();
+  }
+
+  /**
+   * Send a prompt that asks for JSON and return the validated value. Malformed
+   * or invalid replies are sent back to the model for repair.
+   * @param {string} prompt - Prompt asking for JSON
+   * @param {Object} schema - JSON schema the reply must match
+   * @param {Object} options - { model, log, repairAttempts, validate } where validate is an
+   *   optional (value) => Array<string> for checks a schema cannot express
+   * @returns {Promise<*>} Parsed and validated value
+   * @throws {RAGError} GENERATION_INVALID_JSON or GENERATION_SCHEMA_MISMATCH once repairs
+   *   are exhausted, or any error from generateText
+   */
+  async generateJSON(prompt, schema, options = {}) {
+    const repairAttempts = options.repairAttempts ?? DEFAULT_REPAIR_ATTEMPTS;
+    const requestLog = options.log || log;
+    let currentPrompt = prompt;
+    let failure = null;
+
+    for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+      const text = await this.generateText(currentPrompt, options);
+
+      let value;
+      let code = 'GENERATION_SCHEMA_MISMATCH';
+      let problems;
+      try {
+        value = parseJSONResponse(text);
+        problems = validateSchema(value, schema);
+        // Custom checks assume the schema holds
+        if (problems.length === 0 && typeof options.validate === 'function') {
+          problems = options.validate(value);
+        }
+      } catch (error) {
+        code = 'GENERATION_INVALID_JSON';
+        problems = [`Invalid JSON: ${error.message}`];
+      }
+
+      if (problems.length === 0) {
+        return value;
+      }
+
+      failure = new RAGError(code);
+      failure.details = problems;
+      requestLog.warn('Generated JSON rejected', { attempt: attempt + 1, code, problems });
+      currentPrompt = buildRepairPrompt(prompt, text, problems, schema);
+    }
+
+    throw failure;
+  }
+
+  /**
+   * Read a two-speaker podcast script aloud
+   * @param {Object} script - { speakers: { host, expert }, script: [{ speaker, text }] }
+   * @returns {Promise<Object>} { data: Buffer, mimeType } playable audio (PCM is wrapped as WAV)
+   * @throws {RAGError} GENERATION_NOT_CONFIGURED, GENERATION_FAILED or GENERATION_EMPTY
+   */
+  async synthesizeSpeech(script) {
+    const text = script.script.map(segment => `${segment.speaker}: ${segment.text}`).join('\n');
+
+    let audio;
+    try {
+      audio = this.transport
+        ? await this.transport.synthesizeSpeech({ text, speakers: script.speakers })
+        : await this.callSpeechModel(text, script.speakers);
+    } catch (error) {
+      if (error instanceof RAGError) throw error;
+      log.warn('Gemini speech request failed', { error });
+      throw new RAGError('GENERATION_FAILED', `The speech generation request failed: ${error.message}`, error);
+    }
+
+    if (!audio || !audio.data || audio.data.length === 0) {
+      throw new RAGError('GENERATION_EMPTY', 'No audio was returned for the podcast script');
+    }
+    return toPlayableAudio(audio.data, audio.mimeType);
+  }
+
+  async callSpeechModel(text, speakers) {
+    if (!this.speechClient) {
+      this.speechClient = new GoogleGenAI({ apiKey: this.requireApiKey() });
+    }
+
+    const stream = await this.speechClient.models.generateContentStream({
+      model: process.env.GEMINI_TTS_MODEL || DEFAULT_TTS_MODEL,
+      config: {
+        temperature: 0.8,
+        responseModalities: ['audio'],
+        speechConfig: {
+          multiSpeakerVoiceConfig: {
+            speakerVoiceConfigs: [
+              { speaker: speakers.host, voiceConfig: { prebuiltVoiceConfig: { voiceName: HOST_VOICE } } },
+              { speaker: speakers.expert, voiceConfig: { prebuiltVoiceConfig: { voiceName: EXPERT_VOICE } } }
+            ]
+          }
+        }
+      },
+      contents: [{
+        role: 'user',
+        parts: [{
+          text: `Read this podcast script aloud with natural conversation flow and appropriate pauses between speakers:\n\n${text}`
+        }]
+      }]
+    });
+
+    const chunks = [];
+    let mimeType = null;
+    for await (const chunk of stream) {
+      const inlineData = chunk.candidates?.[0]?.content?.parts?.[0]?.inlineData;
+      if (inlineData?.data) {
+        chunks.push(Buffer.from(inlineData.data, 'base64'));
+        mimeType = mimeType || inlineData.mimeType;
+      }
+    }
+
+    return { data: Buffer.concat(chunks), mimeType };
+  }
+}
+
+/**
+ * Prompt asking the model to fix its previous output
+ * @param {string} prompt - Original prompt
+ * @param {string} output - Rejected output
+ * @param {Array<string>} problems - What was wrong with it
+ * @param {Object} schema - Expected JSON schema
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(prompt, output, problems, schema) {
+  return `${prompt}
+
+Your previous reply could not be used:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Previous reply:
+${output.substring(0, 4000)}
+
+Reply again with only valid JSON matching this JSON schema, no additional text:
+${JSON.stringify(schema)}`;
+}
+
+/**
+ * Gemini speech arrives as raw PCM (audio/L16;rate=24000); browsers need a WAV header
+ * @param {Buffer} data - Audio bytes
+ * @param {string} mimeType - MIME type reported by the model
+ * @returns {Object} { data, mimeType } ready to play
+ */
+function toPlayableAudio(data, mimeType = '') {
+  const [fileType, ...params] = mimeType.split(';').map(part => part.trim());
+  const format = (fileType.split('/')[1] || '').toLowerCase();
+  if (fileType && !format.startsWith('l') && format !== 'pcm') {
+    return { data, mimeType: fileType };
+  }
+
+  const bitsPerSample = parseInt(format.slice(1), 10) || 16;
+  const rateParam = params.find(param => param.startsWith('rate='));
+  const sampleRate = rateParam ? parseInt(rateParam.split('=')[1], 10) : 24000;
+  const numChannels = 1;
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(numChannels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * numChannels * bitsPerSample / 8, 28);
+  header.writeUInt16LE(numChannels * bitsPerSample / 8, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+
+  return { data: Buffer.concat([header, data]), mimeType: 'audio/wav' };
+}
+
+// Create singleton instance
+const geminiService = new GeminiService();
+
+module.exports = geminiService;
@@ -1,154 +1,315 @@
 /**
  * Groq API Service
- * Handles communication with Groq API using OpenAI GPT-OSS-20B model
+ * Builds TheHopper prompts and parses answers. Completions go through
+ * llmService, which picks the provider (Groq, OpenAI-compatible or mock).
  */
 
-const Groq = require('groq-sdk');
+const llmService = require('./llmService');
+const learnerProfile = require('./learnerProfile');
+const answerModes = require('./answerModes');
+const promptBudget = require('./promptBudget');
+const { toRAGError } = require('./errors');
+const metrics = require('./metrics');
+const log = require('./logger').child({ component: 'groqService' });
 
 class GroqService {
   constructor() {
-    this.client = null;
     this.isInitialized = false;
-    this.modelName = 'llama3-8b-8192'; // Using Llama 3 8B model on Groq
   }
 
   /**
-   * Initialize Groq client
+   * Check that at least one language model provider is configured
    */
   initialize() {
     if (this.isInitialized) return;
 
-    const apiKey = process.env.GROQ_API_KEY;
-    if (!apiKey) {
-      throw new Error('GROQ_API_KEY environment variable is required');
-    }
-
-    this.client = new Groq({
-      apiKey: apiKey
-    });
+    llmService.initialize();
+    llmService.assertConfigured();
 
     this.isInitialized = true;
-    console.log('Groq service initialized with model:', this.modelName);
+    log.info('Groq service initialized');
   }
 
   /**
    * Generate response using Groq API
    * @param {Object} payload - RAG payload
    * @param {string} payload.question - User's question
-   * @param {string} payload.context - Relevant context
+   * @param {Array} payload.chunks - Retrieved chunks [{ id, text, score, source }], best first; as many
+   *   as fit the model's context window are labelled with their ids and included in the prompt
    * @param {Array} payload.weakConcepts - Array of weak concepts
    * @param {Array} payload.Stats - Learning statistics [difficulties, progress]
-   * @returns {Object} Generated response with answer, citations, and themes
+   * @param {Object} payload.learnerProfile - Structured learner profile; used instead of Stats when present
+   * @param {Object} payload.history - Prepared conversation history { turns, summary }
+   * @param {string} payload.mode - Answer mode: explain (default), socratic, quiz or summarize
+   * @param {Object} options - Generation options
+   * @param {Function} options.onToken - Called with each text delta; enables streaming (not for quiz mode)
+   * @param {AbortSignal} options.signal - Aborts the request when the client goes away
+   * @param {string} options.provider - Preferred LLM provider for this request
+   * @param {string} options.requestId - Request id added to every log entry
+   * @returns {Object} Generated response with answer, citations, themes, usage and, in quiz mode, quiz
    */
-  async generateResponse(payload) {
+  async generateResponse(payload, options = {}) {
     if (!this.isInitialized) {
       this.initialize();
     }
 
+    const requestLog = log.child({ requestId: options.requestId });
+
     try {
-      console.log('Generating response with Groq API...');
+      const { question, weakConcepts, Stats, history } = payload;
+      const mode = answerModes.isValidMode(payload.mode) ? payload.mode : answerModes.DEFAULT_MODE;
+      const template = answerModes.getMode(mode);
       
-      const { question, context, weakConcepts, Stats } = payload;
-      
-      // Build the prompt
-      const prompt = this.buildPrompt(question, context, weakConcepts, Stats);
-
-      // Log the final prompt for debugging
-      console.log('=== FINAL PROMPT BEING SENT TO GROQ LLM ===');
-      console.log(prompt);
-      console.log('=== END OF PROMPT ===');
-
-      // Call Groq API
-      const completion = await this.client.chat.completions.create({
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        model: this.modelName,
-        temperature: 0.1,
-        max_tokens: 2048,
-        top_p: 1,
-        stream: false
+      // Build the prompt within the model's context window
+      const fitted = this.fitPrompt({
+        question,
+        chunks: payload.chunks || [],
+        weakConcepts,
+        Stats,
+        profile: payload.learnerProfile,
+        history,
+        mode
+      }, llmService.getContextWindow(options.provider));
+      const { prompt, messages, budget, included, dropped } = fitted;
+      const context = this.formatChunksForPrompt(included);
+
+      // The prompt holds the student's materials, so it is redacted unless LOG_REDACT=false
+      requestLog.debug('Prompt assembled', {
+        prompt,
+        promptTokens: fitted.promptTokens,
+        promptBudget: budget.promptBudget,
+        chunksIncluded: included.length,
+        chunksDropped: dropped.length
       });
 
-      const response = completion.choices[0]?.message?.content;
-      
-      if (!response) {
-        throw new Error('No response generated from Groq API');
-      }
+      // Call the language model
+      const completion = await llmService.complete({
+        messages,
+        temperature: template.temperature,
+        maxTokens: budget.maxTokens,
+        topP: 1
+      }, {
+        ...options,
+        // Structured answers are only usable once complete, so they are not streamed
+        onToken: template.structured ? undefined : options.onToken
+      });
+
+      const response = completion.text;
 
       // Parse and format the response
-      const formattedResponse = this.parseResponse(response, context);
+      const formattedResponse = mode === 'quiz'
+        ? this.parseQuizResponse(response, included)
+        : this.parseResponse(response, context, included);
+      formattedResponse.mode = mode;
+      formattedResponse.usage = {
+        promptTokens: completion.usage?.promptTokens ?? fitted.promptTokens,
+        completionTokens: completion.usage?.completionTokens ?? promptBudget.countTokens(response),
+        estimated: !completion.usage,
+        contextWindow: budget.contextWindow,
+        maxTokens: budget.maxTokens,
+        chunkIds: included.map(chunk => chunk.id),
+        droppedChunkIds: dropped.map(chunk => chunk.id)
+      };
 
       // Mark this as a RAG response
       formattedResponse.source = 'RAG_SYSTEM';
-      formattedResponse.model = this.modelName;
+      formattedResponse.model = completion.model;
+      formattedResponse.provider = completion.provider;
+
+      metrics.inc('grasphopper_llm_tokens_total', { provider: completion.provider, type: 'prompt' }, formattedResponse.usage.promptTokens);
+      metrics.inc('grasphopper_llm_tokens_total', { provider: completion.provider, type: 'completion' }, formattedResponse.usage.completionTokens);
 
-      console.log('=== RAG RESPONSE GENERATED SUCCESSFULLY ===');
-      console.log('Source: RAG System with Groq LLM');
-      console.log('Model:', this.modelName);
-      console.log('Response length:', response.length);
-      console.log('=== END OF RAG RESPONSE INFO ===');
+      requestLog.debug('Response generated', {
+        provider: completion.provider,
+        model: completion.model,
+        answerChars: response.length,
+        answer: response
+      });
 
       return formattedResponse;
 
     } catch (error) {
-      console.error('Error generating response with Groq:', error);
-      throw new Error(`Groq API error: ${error.message}`);
+      requestLog.error('Error generating response', { error });
+      throw toRAGError(error, 'GROQ_UNAVAILABLE');
     }
   }
 
+  /**
+   * Assemble the chat messages so they fit the context window. The completion
+   * gets its share first; learner data sections are capped; the oldest history
+   * turns go next; retrieved chunks fill what is left, lowest-ranked dropped first.
+   * @param {Object} inputs - { question, chunks, weakConcepts, Stats, profile, history, mode }
+   * @param {number} contextWindow - Model context window in tokens
+   * @returns {Object} { prompt, messages, promptTokens, budget, included, dropped }
+   */
+  fitPrompt(inputs, contextWindow) {
+    const { question, chunks, Stats, profile, history, mode } = inputs;
+    const budget = promptBudget.allocate(contextWindow);
+    const systemPrompt = this.getSystemPrompt();
+
+    // Learner data is useful but must not crowd out the excerpts
+    const fitSection = (items, format) => promptBudget.fitList(items, budget.sectionBudget, format);
+    const weakConcepts = fitSection(inputs.weakConcepts || []);
+    const fittedStats = (Stats || [[], []]).map(list => fitSection(list));
+    const fittedProfile = profile && {
+      ...profile,
+      struggles: fitSection(profile.struggles, item => JSON.stringify(item)),
+      topicScores: fitSection(profile.topicScores, item => JSON.stringify(item)),
+      recentSessions: fitSection(profile.recentSessions, item => JSON.stringify(item))
+    };
+
+    const render = (selected) => this.buildPrompt(question, this.formatChunksForPrompt(selected), weakConcepts, fittedStats, {
+      historySummary: history?.summary,
+      profile: fittedProfile,
+      mode,
+      questionCount: answerModes.getQuizQuestionCount(selected.length)
+    });
+    const toMessages = (turns, prompt) => [
+      { role: 'system', content: systemPrompt },
+      ...turns,
+      { role: 'user', content: prompt }
+    ];
+
+    // Everything except the excerpts; drop the oldest turns if even that is too large
+    let turns = history?.turns || [];
+    let fixedTokens = promptBudget.countMessageTokens(toMessages(turns, render([])));
+    while (fixedTokens > budget.promptBudget && turns.length > 0) {
+      turns = turns.slice(1);
+      fixedTokens = promptBudget.countMessageTokens(toMessages(turns, render([])));
+    }
+    if (fixedTokens > budget.promptBudget) {
+      log.warn('Prompt without excerpts exceeds the token budget', { promptTokens: fixedTokens, promptBudget: budget.promptBudget });
+    }
+
+    const { included, dropped } = promptBudget.fitChunks(
+      chunks,
+      budget.promptBudget - fixedTokens,
+      chunk => this.formatChunksForPrompt([chunk])
+    );
+
+    const prompt = render(included);
+    const messages = toMessages(turns, prompt);
+
+    return {
+      prompt,
+      messages,
+      promptTokens: promptBudget.countMessageTokens(messages),
+      budget,
+      included,
+      dropped
+    };
+  }
+
   /**
    * Build the prompt for the RAG system
    * @param {string} question - User's question
    * @param {string} context - Relevant context
    * @param {Array} weakConcepts - Weak concepts
    * @param {Array} Stats - Learning statistics
+   * @param {Object} options - Optional prompt inputs
+   * @param {string} options.historySummary - Summary of earlier turns that did not fit verbatim
+   * @param {Object} options.profile - Structured learner profile; replaces the Stats sections when present
+   * @param {string} options.mode - Answer mode (see answerModes)
+   * @param {number} options.questionCount - Questions to write in quiz mode
    * @returns {string} Formatted prompt
    */
-  buildPrompt(question, context, weakConcepts, Stats) {
-    const [areasOfDifficulty, learningProgress] = Stats;
+  buildPrompt(question, context, weakConcepts, Stats, options = {}) {
+    const { historySummary = '', profile = null, mode, questionCount = 5 } = options;
+    const template = answerModes.getMode(mode);
+    const instructions = template.instructions
+      .map(instruction => instruction.replace('{questionCount}', questionCount));
+    const earlierConversation = historySummary
+      ? `\n**EARLIER IN THIS CONVERSATION:**\n${historySummary}\n`
+      : '';
 
     return `You are an intelligent learning assistant with access to the user's learning materials and progress data.
-
+${earlierConversation}
 **USER'S QUESTION:**
 ${question}
 
 **RELEVANT LEARNING CONTEXT:**
-${context}
+Each excerpt is labelled with an id such as [C1].
 
-**USER'S AREAS OF DIFFICULTY:**
-${areasOfDifficulty.length > 0 ? areasOfDifficulty.join(', ') : 'None identified'}
+${context}
 
-**USER'S LEARNING PROGRESS:**
-${learningProgress.length > 0 ? learningProgress.join(', ') : 'No progress data available'}
+${profile ? this.formatProfileSections(profile) : this.formatStatsSections(Stats)}
 
 **WEAK CONCEPTS TO ADDRESS:**
 ${weakConcepts.length > 0 ? weakConcepts.join(', ') : 'None specified'}
 
 **INSTRUCTIONS:**
-1. Answer the user's question based on the provided context
-2. Tailor your response to their learning level and areas of difficulty
-3. If the user is struggling with related concepts, provide additional clarification
-4. Use examples from their learning materials when possible
-5. Be encouraging and supportive in your tone
-6. If you cannot answer based on the context, clearly state this
+${instructions.map((instruction, i) => `${i + 1}. ${instruction}`).join('\n')}
 
 **RESPONSE FORMAT:**
-Provide a comprehensive answer that:
-- Directly addresses the question
-- References relevant parts of their learning materials
-- Considers their areas of difficulty
-- Includes practical examples or applications
-- Suggests next steps for learning if appropriate
-
-Please provide your response now:`;
+${template.responseFormat}`;
+  }
+
+  /**
+   * Format the learner profile as prompt sections
+   * @param {Object} profile - Structured learner profile
+   * @returns {string} Difficulty, score and recency sections
+   */
+  formatProfileSections(profile) {
+    const { difficulties, scores, recency } = learnerProfile.formatForPrompt(profile);
+
+    return `**USER'S AREAS OF DIFFICULTY:**
+${difficulties.length > 0 ? difficulties.join('\n') : 'None identified'}
+
+**USER'S SCORES BY TOPIC:**
+${scores.length > 0 ? scores.join('\n') : 'No scored sessions yet'}
+
+**USER'S RECENT ACTIVITY:**
+${recency.length > 0 ? recency.join('\n') : 'No sessions yet'}`;
+  }
+
+  /**
+   * Format Stats extracted from raw text as prompt sections
+   * @param {Array} Stats - [areasOfDifficulty, learningProgress]
+   * @returns {string} Difficulty and progress sections
+   */
+  formatStatsSections(Stats) {
+    const [areasOfDifficulty, learningProgress] = Stats;
+
+    return `**USER'S AREAS OF DIFFICULTY:**
+${areasOfDifficulty.length > 0 ? areasOfDifficulty.join(', ') : 'None identified'}
+
+**USER'S LEARNING PROGRESS:**
+${learningProgress.length > 0 ? learningProgress.join(', ') : 'No progress data available'}`;
+  }
+
+  /**
+   * Rewrite a follow-up question into a standalone question for retrieval
+   * @param {string} question - Current question
+   * @param {Array} turns - Recent conversation turns [{ role, content }]
+   * @param {Object} options - { provider, signal, requestId }
+   * @returns {string} Standalone question
+   */
+  async rewriteQuestion(question, turns, options = {}) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    const transcript = turns
+      .map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'Student'}: ${turn.content.substring(0, 500)}`)
+      .join('\n');
+
+    const completion = await llmService.complete({
+      messages: [
+        {
+          role: 'system',
+          content: 'Rewrite the student\'s latest question as a single standalone question that can be understood without the conversation. Resolve pronouns and references like "that" or "it". Reply with the question only.'
+        },
+        {
+          role: 'user',
+          content: `Conversation:\n${transcript}\n\nLatest question: ${question}\n\nStandalone question:`
+        }
+      ],
+      temperature: 0,
+      maxTokens: 100
+    }, { provider: options.provider, signal: options.signal, requestId: options.requestId });
+
+    const rewritten = completion.text.trim();
+    return rewritten || question;
   }
 
   /**
@@ -174,16 +335,48 @@ Always be:
 If you cannot answer a question based on the provided context, clearly state this limitation and suggest how the user might find the information they need.`;
   }
 
+  /**
+   * Format retrieved chunks as labelled excerpts for the prompt
+   * @param {Array} chunks - Retrieved chunks [{ id, text, source }]
+   * @returns {string} Context block with one labelled excerpt per chunk
+   */
+  formatChunksForPrompt(chunks) {
+    return chunks
+      .map(chunk => `[${chunk.id}] (${this.describeSource(chunk.source)})\n${chunk.text}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Human-readable label for a chunk source
+   * @param {Object} source - Chunk source metadata
+   * @returns {string} Label such as "notes.md › Photosynthesis" or "Biology, flashcard 3"
+   */
+  describeSource(source) {
+    if (!source) return 'Learning materials';
+
+    if (source.type === 'document' && source.documentName) {
+      return source.heading ? `${source.documentName} › ${source.heading}` : source.documentName;
+    }
+
+    if (source.type === 'flashcard') {
+      const topic = source.sessionTopic || 'Flashcards';
+      return source.flashcardIndex ? `${topic}, flashcard ${source.flashcardIndex}` : topic;
+    }
+
+    return source.section || 'Learning materials';
+  }
+
   /**
    * Parse and format the response from Groq
    * @param {string} response - Raw response from Groq
-   * @param {string} context - Original context for citation extraction
+   * @param {string} context - Original context for theme extraction
+   * @param {Array} chunks - Retrieved chunks the answer may cite
    * @returns {Object} Formatted response object
    */
-  parseResponse(response, context) {
+  parseResponse(response, context, chunks = []) {
     try {
-      // Extract citations from context
-      const citations = this.extractCitations(response, context);
+      // Keep only the chunks the answer actually cites
+      const citations = this.extractCitations(response, chunks);
       
       // Extract themes from the response and context
       const themes = this.extractThemes(response, context);
@@ -195,7 +388,7 @@ If you cannot answer a question based on the provided context, clearly state thi
       };
 
     } catch (error) {
-      console.error('Error parsing response:', error);
+      log.error('Error parsing response', { error });
       return {
         answer: response.trim(),
         citations: [],
@@ -205,36 +398,99 @@ If you cannot answer a question based on the provided context, clearly state thi
   }
 
   /**
-   * Extract citations from the response
+   * Parse a quiz-mode response into validated multiple-choice questions.
+   * Questions that are malformed or not drawn from a retrieved excerpt are dropped.
+   * @param {string} response - Raw model output, expected to be JSON
+   * @param {Array} chunks - Retrieved chunks the questions may draw from
+   * @returns {Object} { answer, citations, themes, quiz: { questions } }
+   */
+  parseQuizResponse(response, chunks = []) {
+    const chunkIds = new Set(chunks.map(chunk => chunk.id));
+    let parsed = null;
+
+    try {
+      const start = response.indexOf('{');
+      const end = response.lastIndexOf('}');
+      parsed = JSON.parse(response.slice(start, end + 1));
+    } catch (error) {
+      log.warn('Error parsing quiz JSON', { error });
+    }
+
+    const questions = (Array.isArray(parsed?.questions) ? parsed.questions : [])
+      .map(item => {
+        if (!item || typeof item.question !== 'string' || !Array.isArray(item.options)) return null;
+
+        const options = item.options.filter(option => typeof option === 'string' && option.trim()).map(option => option.trim());
+        const sourceIds = (Array.isArray(item.sourceIds) ? item.sourceIds : []).filter(id => chunkIds.has(id));
+
+        if (options.length < 2 || new Set(options).size !== options.length) return null;
+        if (!Number.isInteger(item.correctIndex) || item.correctIndex < 0 || item.correctIndex >= options.length) return null;
+        if (sourceIds.length === 0) return null;
+
+        return {
+          question: item.question.trim(),
+          options,
+          correctIndex: item.correctIndex,
+          explanation: typeof item.explanation === 'string' ? item.explanation.trim() : '',
+          sourceIds
+        };
+      })
+      .filter(Boolean);
+
+    if (questions.length === 0) {
+      log.warn('Quiz response had no usable questions, returning it as text');
+      return { ...this.parseResponse(response, '', chunks), quiz: null };
+    }
+
+    // Plain-text version for clients that do not render quizzes
+    const answer = questions
+      .map((item, i) => `**${i + 1}. ${item.question}**\n${item.options.map((option, j) => `${String.fromCharCode(65 + j)}. ${option}`).join('\n')}`)
+      .join('\n\n');
+    const cited = questions.map(item => item.sourceIds.map(id => `[${id}]`).join('')).join(' ');
+
+    return {
+      answer,
+      citations: this.extractCitations(cited, chunks),
+      themes: '',
+      quiz: { questions }
+    };
+  }
+
+  /**
+   * Extract citations for the chunk ids referenced in the response
    * @param {string} response - Generated response
-   * @param {string} context - Original context
-   * @returns {Array} Array of citation objects
+   * @param {Array} chunks - Retrieved chunks [{ id, text, score, source }]
+   * @returns {Array} Citations in order of first reference
    */
-  extractCitations(response, context) {
-    const citations = [];
-    
+  extractCitations(response, chunks) {
     try {
-      // Split context into sections for citation
-      const sections = context.split(/(?=##\s)/g).filter(section => section.trim().length > 0);
-      
-      sections.forEach((section, index) => {
-        const title = section.match(/##\s*([^\n]+)/)?.[1] || `Section ${index + 1}`;
-        const preview = section.substring(0, 200).replace(/##\s*[^\n]+\n?/, '').trim();
-        
-        if (preview.length > 20) {
-          citations.push({
-            title: title,
-            content: preview + (section.length > 200 ? '...' : ''),
-            section: index + 1
-          });
-        }
-      });
+      const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+      const referenced = [];
+      const referencePattern = /\[(C\d+(?:\s*,\s*C\d+)*)\]/g;
+      let match;
+
+      while ((match = referencePattern.exec(response)) !== null) {
+        match[1].split(',').forEach(id => {
+          const chunkId = id.trim();
+          if (chunksById.has(chunkId) && !referenced.includes(chunkId)) {
+            referenced.push(chunkId);
+          }
+        });
+      }
 
-      // Limit to top 3 citations
-      return citations.slice(0, 3);
+      return referenced.map(chunkId => {
+        const chunk = chunksById.get(chunkId);
+        return {
+          id: chunk.id,
+          title: this.describeSource(chunk.source),
+          content: chunk.text.substring(0, 200) + (chunk.text.length > 200 ? '...' : ''),
+          score: Number(chunk.score.toFixed(4)),
+          source: chunk.source
+        };
+      });
 
     } catch (error) {
-      console.error('Error extracting citations:', error);
+      log.error('Error extracting citations', { error });
       return [];
     }
   }
@@ -272,49 +528,18 @@ If you cannot answer a question based on the provided context, clearly state thi
       return Array.from(themes).slice(0, 4).join(', ');
 
     } catch (error) {
-      console.error('Error extracting themes:', error);
+      log.error('Error extracting themes', { error });
       return 'General Learning Content';
     }
   }
 
   /**
-   * Test the Groq API connection
+   * Test the language model connection (calls the live API)
+   * @param {string} provider - Provider to test; defaults to the first configured one
    * @returns {Object} Test result
    */
-  async testConnection() {
-    try {
-      if (!this.isInitialized) {
-        this.initialize();
-      }
-
-      const testCompletion = await this.client.chat.completions.create({
-        messages: [
-          {
-            role: 'user',
-            content: 'Hello, please respond with "Connection successful" to test the API.'
-          }
-        ],
-        model: this.modelName,
-        max_tokens: 10,
-        temperature: 0
-      });
-
-      const response = testCompletion.choices[0]?.message?.content;
-      
-      return {
-        success: true,
-        message: 'Groq API connection successful',
-        response: response,
-        model: this.modelName
-      };
-
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        model: this.modelName
-      };
-    }
+  async testConnection(provider) {
+    return llmService.testConnection(provider);
   }
 }
 
@@ -0,0 +1,152 @@
+/**
+ * Grounding Service
+ * Checks generated answers against the retrieved chunks with the local
+ * embedding model: each answer sentence is scored against the excerpts and
+ * sentences no excerpt supports are flagged. Also decides when retrieval found
+ * nothing relevant enough to answer from.
+ */
+
+const embeddingService = require('./embeddingService');
+const { splitSentences } = require('./markdownChunker');
+const log = require('./logger').child({ component: 'groundingService' });
+
+// Best chunk similarity below which the materials are treated as not covering the question
+const MIN_RETRIEVAL_SCORE = parseFloat(process.env.GROUNDING_MIN_RETRIEVAL_SCORE) || 0.25;
+
+// Similarity a sentence needs with some excerpt to count as supported
+const SENTENCE_THRESHOLD = parseFloat(process.env.GROUNDING_SENTENCE_THRESHOLD) || 0.45;
+
+// Sentences shorter than this carry no checkable claim ("Great question!")
+const MIN_CLAIM_WORDS = 4;
+
+class GroundingService {
+  /**
+   * Whether grounding checks run (GROUNDING_ENABLED=false turns them off)
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return process.env.GROUNDING_ENABLED !== 'false';
+  }
+
+  /**
+   * Whether retrieval found nothing relevant enough to answer from
+   * @param {Array} chunks - Retrieved chunks with `scores.semantic`
+   * @returns {boolean} True if every chunk scores below the threshold; false for no chunks,
+   *   which have no score to judge (see isEmptyRetrieval)
+   */
+  isLowRelevance(chunks) {
+    if (chunks.length === 0) return false;
+    return chunks.every(chunk => (chunk.scores?.semantic ?? chunk.score) < MIN_RETRIEVAL_SCORE);
+  }
+
+  /**
+   * Whether retrieval returned no chunks at all (no materials, or none passed minScore)
+   * @param {Array} chunks - Retrieved chunks
+   * @returns {boolean} True if there is nothing to answer from
+   */
+  isEmptyRetrieval(chunks) {
+    return chunks.length === 0;
+  }
+
+  /**
+   * Answer used instead of calling the model when the materials do not cover the question
+   * @param {string} question - User's question
+   * @param {Array} chunks - Retrieved chunks (empty when nothing was retrieved)
+   * @returns {Object} Response with answer, citations, themes and grounding
+   */
+  buildNotInMaterialsResponse(question, chunks) {
+    const empty = this.isEmptyRetrieval(chunks);
+    const bestScore = chunks.reduce((best, chunk) => Math.max(best, chunk.scores?.semantic ?? chunk.score), 0);
+
+    return {
+      answer: empty
+        ? "I don't have any excerpts from your materials to answer this from.\n\n" +
+          'Upload documents or study flashcards on this topic first, then ask again.'
+        : "I couldn't find this in your materials. None of your uploaded documents or flashcards cover it closely enough for me to answer from them.\n\n" +
+          'Try rephrasing the question with terms from your notes, or upload material on this topic first.',
+      citations: [],
+      themes: '',
+      source: 'NOT_IN_MATERIALS',
+      grounding: {
+        score: null,
+        reason: empty ? 'NO_RETRIEVED_CHUNKS' : 'LOW_RETRIEVAL_SCORE',
+        bestRetrievalScore: empty ? null : Number(bestScore.toFixed(4)),
+        threshold: MIN_RETRIEVAL_SCORE,
+        unsupported: []
+      }
+    };
+  }
+
+  /**
+   * Split an answer into checkable claim sentences
+   * @param {string} answer - Generated answer (markdown)
+   * @returns {Array<string>} Sentences, without citation markers or markdown syntax
+   */
+  extractClaims(answer) {
+    return answer
+      .split('\n')
+      .filter(line => line.trim() && !/^\s*#{1,6}\s/.test(line) && !/^\s*(```|~~~)/.test(line))
+      .map(line => line.replace(/^\s*([-*+•]|\d+[.)])\s+/, '').replace(/[*_`]/g, ''))
+      .flatMap(line => splitSentences(line, 0, line.length).map(range => line.slice(range.start, range.end)))
+      .map(sentence => sentence.replace(/\s*\[C\d+(?:\s*,\s*C\d+)*\]/g, '').trim())
+      // Questions (e.g. Socratic prompts) make no claim to verify
+      .filter(sentence => !sentence.endsWith('?') && sentence.split(/\s+/).length >= MIN_CLAIM_WORDS);
+  }
+
+  /**
+   * Score each answer sentence against the retrieved chunks
+   * @param {string} answer - Generated answer
+   * @param {Array} chunks - Retrieved chunks [{ id, text, embedding }]
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} { score, threshold, checked, sentences, unsupported }, where
+   *   score is the share of claim sentences supported by some excerpt (null if none were checked)
+   */
+  async verify(answer, chunks, options = {}) {
+    const claims = this.extractClaims(answer);
+    if (claims.length === 0 || chunks.length === 0) {
+      return { score: null, threshold: SENTENCE_THRESHOLD, checked: 0, sentences: [], unsupported: [] };
+    }
+
+    const chunkEmbeddings = chunks.some(chunk => !chunk.embedding)
+      ? await embeddingService.embedBatch(chunks.map(chunk => chunk.text), options)
+      : chunks.map(chunk => chunk.embedding);
+    const claimEmbeddings = await embeddingService.embedBatch(claims, options);
+
+    const sentences = claims.map((text, i) => {
+      let support = -1;
+      let chunkId = null;
+      chunkEmbeddings.forEach((embedding, j) => {
+        const similarity = embeddingService.cosineSimilarity(claimEmbeddings[i], embedding);
+        if (similarity > support) {
+          support = similarity;
+          chunkId = chunks[j].id;
+        }
+      });
+
+      return {
+        text,
+        support: Number(support.toFixed(4)),
+        supported: support >= SENTENCE_THRESHOLD,
+        chunkId
+      };
+    });
+
+    const supportedCount = sentences.filter(sentence => sentence.supported).length;
+    const unsupported = sentences.filter(sentence => !sentence.supported).map(sentence => sentence.text);
+
+    log.debug('Checked answer grounding', { supported: supportedCount, checked: sentences.length });
+
+    return {
+      score: Number((supportedCount / sentences.length).toFixed(2)),
+      threshold: SENTENCE_THRESHOLD,
+      checked: sentences.length,
+      sentences,
+      unsupported
+    };
+  }
+}
+
+// Create singleton instance
+const groundingService = new GroundingService();
+
+module.exports = groundingService;
@@ -0,0 +1,176 @@
+/**
+ * Hybrid Search
+ * Lexical BM25 ranking, reciprocal-rank fusion with the semantic ranking, and
+ * maximal marginal relevance (MMR) selection for diverse results
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RRF_K = 60;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'in',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when',
+  'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+/**
+ * Tokenize text for keyword matching. Keeps compound terms such as "k-means",
+ * "h2o" or "3.14" whole and also indexes their parts.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  const terms = [];
+  const matches = text.toLowerCase().match(/[a-z0-9]+(?:[.\-_'][a-z0-9]+)*/g) || [];
+
+  matches.forEach(term => {
+    if (!STOPWORDS.has(term)) terms.push(term);
+
+    const parts = term.split(/[.\-_']/);
+    if (parts.length > 1) {
+      parts.forEach(part => {
+        if (part && !STOPWORDS.has(part)) terms.push(part);
+      });
+    }
+  });
+
+  return terms;
+}
+
+/**
+ * Build a BM25 index over documents
+ * @param {Array<string>} texts - Document texts
+ * @returns {Object} Index { termFrequencies, lengths, documentFrequency, averageLength }
+ */
+function buildBM25Index(texts) {
+  const termFrequencies = [];
+  const lengths = [];
+  const documentFrequency = new Map();
+
+  texts.forEach(text => {
+    const terms = tokenize(text);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    frequencies.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+
+    termFrequencies.push(frequencies);
+    lengths.push(terms.length);
+  });
+
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    termFrequencies,
+    lengths,
+    documentFrequency,
+    averageLength: texts.length > 0 ? totalLength / texts.length : 0
+  };
+}
+
+/**
+ * Score every document against a query with BM25
+ * @param {Object} index - Index from buildBM25Index
+ * @param {string} query - Query text
+ * @returns {Array<number>} Score per document (0 when no term matches)
+ */
+function scoreBM25(index, query) {
+  const documentCount = index.termFrequencies.length;
+  const queryTerms = [...new Set(tokenize(query))];
+
+  return index.termFrequencies.map((frequencies, i) => {
+    const lengthNorm = 1 - BM25_B + BM25_B * (index.lengths[i] / (index.averageLength || 1));
+
+    return queryTerms.reduce((score, term) => {
+      const tf = frequencies.get(term);
+      if (!tf) return score;
+
+      const df = index.documentFrequency.get(term);
+      const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+      return score + idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+    }, 0);
+  });
+}
+
+/**
+ * Order document indexes by score, best first
+ * @param {Array<number>} scores - Score per document
+ * @param {boolean} skipZero - Leave out documents scoring 0 (no keyword match)
+ * @returns {Array<number>} Document indexes
+ */
+function rankByScore(scores, skipZero = false) {
+  return scores
+    .map((score, index) => ({ score, index }))
+    .filter(entry => !skipZero || entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.index);
+}
+
+/**
+ * Combine rankings with reciprocal-rank fusion
+ * @param {Array<Array<number>>} rankings - Lists of document indexes, best first
+ * @param {number} k - RRF constant (higher flattens the contribution of top ranks)
+ * @returns {Map<number, number>} Fused score per document index
+ */
+function reciprocalRankFusion(rankings, k = RRF_K) {
+  const fused = new Map();
+
+  rankings.forEach(ranking => {
+    ranking.forEach((documentIndex, rank) => {
+      fused.set(documentIndex, (fused.get(documentIndex) || 0) + 1 / (k + rank + 1));
+    });
+  });
+
+  return fused;
+}
+
+/**
+ * Select k candidates that are relevant but not redundant (MMR)
+ * @param {Array<Object>} candidates - [{ relevance, embedding }] ordered best first
+ * @param {number} k - Number to select
+ * @param {Function} similarity - (embeddingA, embeddingB) => similarity
+ * @param {number} lambda - 1 = relevance only, 0 = diversity only
+ * @returns {Array<Object>} Selected candidates in selection order
+ */
+function maximalMarginalRelevance(candidates, k, similarity, lambda = 0.7) {
+  if (candidates.length <= 1) return candidates.slice(0, k);
+
+  // Normalize relevance to 0..1 so it is comparable with cosine similarity
+  const relevances = candidates.map(candidate => candidate.relevance);
+  const max = Math.max(...relevances);
+  const min = Math.min(...relevances);
+  const normalize = value => (max === min ? 1 : (value - min) / (max - min));
+
+  const remaining = [...candidates];
+  const selected = [];
+
+  while (selected.length < k && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((candidate, i) => {
+      const redundancy = selected.length > 0
+        ? Math.max(...selected.map(chosen => similarity(candidate.embedding, chosen.embedding)))
+        : 0;
+      const score = lambda * normalize(candidate.relevance) - (1 - lambda) * redundancy;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = i;
+      }
+    });
+
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return selected;
+}
+
+module.exports = {
+  tokenize,
+  buildBM25Index,
+  scoreBM25,
+  rankByScore,
+  reciprocalRankFusion,
+  maximalMarginalRelevance
+};
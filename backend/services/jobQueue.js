@@ -0,0 +1,330 @@
+/**
+ * Job Queue
+ * Bounded worker pool that runs jobs from a job store
+ */
+
+const os = require('os');
+const { TERMINAL_STATUSES } = require('./jobStore');
+const { RAGError, toRAGError } = require('./errors');
+const log = require('./logger').child({ component: 'jobQueue' });
+
+/**
+ * Raised when the queue already holds the maximum number of waiting jobs
+ */
+class QueueFullError extends RAGError {
+  constructor(maxQueueLength) {
+    super('QUEUE_FULL', `Too many requests waiting (limit ${maxQueueLength}). Please try again shortly.`);
+    this.name = 'QueueFullError';
+    this.maxQueueLength = maxQueueLength;
+  }
+}
+
+class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Object} options.store - Job store (see jobStore.js)
+   * @param {Function} options.processor - async (job, { signal, update, hooks }) => result
+   * @param {number} options.concurrency - Jobs processed at once by this instance
+   * @param {number} options.maxQueueLength - Waiting jobs accepted before rejecting
+   * @param {number} options.pollInterval - How often to look for work and cancellations (ms)
+   * @param {number} options.jobTtlMs - How long finished jobs are kept
+   * @param {number} options.staleAfterMs - Re-queue processing jobs whose worker stopped heart-beating
+   */
+  constructor(options) {
+    this.store = options.store;
+    this.processor = options.processor;
+    this.concurrency = options.concurrency || 2;
+    this.maxQueueLength = options.maxQueueLength || 50;
+    this.pollInterval = options.pollInterval || 1000;
+    this.jobTtlMs = options.jobTtlMs || 60 * 60 * 1000;
+    this.staleAfterMs = options.staleAfterMs || 60 * 1000;
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.active = new Map();
+    // Callers of enqueueLocal waiting on their job: id -> { hooks, resolve, reject }
+    this.local = new Map();
+    this.pumping = false;
+    this.pumpRequested = false;
+    this.timer = null;
+    this.lastPurge = Date.now();
+  }
+
+  /**
+   * Start polling the store for queued work, cancellations and expired jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => log.error('Job queue tick failed', { error }));
+    }, this.pollInterval);
+    this.timer.unref();
+
+    this.pump();
+  }
+
+  /**
+   * Stop polling; running jobs are left to finish
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} job - Job with at least an `id`
+   * @returns {Promise<Object>} Stored job
+   * @throws {QueueFullError} When the queue is at capacity
+   */
+  async enqueue(job) {
+    const queued = await this.store.list({ status: 'queued' });
+    if (queued.length >= this.maxQueueLength) {
+      throw new QueueFullError(this.maxQueueLength);
+    }
+
+    const stored = await this.store.create({
+      ...job,
+      status: 'queued',
+      progress: 0,
+      message: 'Waiting in queue...',
+      createdAt: new Date().toISOString()
+    });
+
+    this.pump();
+    return stored;
+  }
+
+  /**
+   * Queue a job that must run on this instance.
+   * Streamed requests use this: their `hooks` (e.g. onProgress, onToken) write to
+   * an open response, so they cannot be handed to another instance through the store.
+   * @param {Object} job - Job with at least an `id`
+   * @param {Object} hooks - Callbacks passed to the processor as `hooks`
+   * @returns {Promise<Object>} { job, result } where `result` is a promise for the job's
+   *   result that rejects with its failure, or CANCELLED when it was cancelled
+   * @throws {QueueFullError} When the queue is at capacity
+   */
+  async enqueueLocal(job, hooks = {}) {
+    const result = new Promise((resolve, reject) => {
+      this.local.set(job.id, { hooks, resolve, reject });
+    });
+
+    try {
+      const stored = await this.enqueue({ ...job, pinnedTo: this.workerId });
+      return { job: stored, result };
+    } catch (error) {
+      this.local.delete(job.id);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a finished job's outcome to its enqueueLocal caller, if it has one
+   * @param {string} id - Job ID
+   * @param {Object} outcome - { result } or { error }
+   */
+  settleLocal(id, outcome) {
+    const waiter = this.local.get(id);
+    if (!waiter) return;
+
+    this.local.delete(id);
+    if (outcome.error) {
+      waiter.reject(outcome.error);
+    } else {
+      waiter.resolve(outcome.result);
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Updated job, or null if it does not exist
+   */
+  async cancel(id) {
+    const job = await this.store.get(id);
+    if (!job) return null;
+    if (TERMINAL_STATUSES.includes(job.status)) return job;
+
+    const controller = this.active.get(id);
+    if (controller) {
+      controller.abort();
+    }
+
+    const cancelled = await this.store.update(id, {
+      status: 'cancelled',
+      message: 'Cancelled by user',
+      completedAt: new Date().toISOString()
+    });
+
+    // A running job settles its caller when it stops
+    if (!controller) {
+      this.settleLocal(id, { error: new RAGError('CANCELLED') });
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Queue depth and worker usage for this instance
+   * @returns {Promise<Object>} Queue statistics
+   */
+  async getStats() {
+    const queued = await this.store.list({ status: 'queued' });
+    return {
+      queued: queued.length,
+      processing: this.active.size,
+      concurrency: this.concurrency,
+      maxQueueLength: this.maxQueueLength
+    };
+  }
+
+  /**
+   * Periodic housekeeping: pick up work from other instances, notice
+   * cancellations made elsewhere, recover jobs orphaned by a restart and
+   * purge expired jobs
+   */
+  async tick() {
+    for (const id of this.active.keys()) {
+      const job = await this.store.get(id);
+      if (!job || job.status === 'cancelled') {
+        this.active.get(id)?.abort();
+      } else {
+        await this.store.heartbeat(id);
+      }
+    }
+
+    const stale = await this.store.findStale(this.staleAfterMs);
+    for (const job of stale) {
+      if (this.active.has(job.id)) continue;
+
+      if (job.pinnedTo) {
+        // Nobody is left to receive a streamed answer, so running it again is wasted work
+        log.warn('Failing pinned job left behind by another worker', { jobId: job.id, requestId: job.requestId, workerId: job.workerId || 'unknown' });
+        await this.store.update(job.id, {
+          status: 'failed',
+          error: new RAGError('INTERNAL_ERROR', 'The server handling this request stopped').toJSON(),
+          message: 'Processing failed',
+          completedAt: new Date().toISOString()
+        });
+      } else {
+        log.warn('Re-queueing job left behind by another worker', { jobId: job.id, requestId: job.requestId, workerId: job.workerId || 'unknown' });
+        await this.store.update(job.id, {
+          status: 'queued',
+          progress: 0,
+          message: 'Waiting in queue...'
+        });
+      }
+      await this.store.release(job.id);
+    }
+
+    if (Date.now() - this.lastPurge > this.jobTtlMs / 4) {
+      this.lastPurge = Date.now();
+      const purged = await this.store.purgeExpired(this.jobTtlMs);
+      if (purged > 0) {
+        log.info('Purged expired jobs', { purged });
+      }
+    }
+
+    this.pump();
+  }
+
+  /**
+   * Fill free worker slots with queued jobs
+   */
+  async pump() {
+    if (this.pumping) {
+      this.pumpRequested = true;
+      return;
+    }
+
+    this.pumping = true;
+    try {
+      do {
+        this.pumpRequested = false;
+        if (this.active.size >= this.concurrency) break;
+
+        const queued = await this.store.list({ status: 'queued' });
+        for (const job of queued) {
+          if (this.active.size >= this.concurrency) break;
+          if (job.pinnedTo && job.pinnedTo !== this.workerId) continue;
+          if (await this.store.claim(job.id, this.workerId)) {
+            this.run(job);
+          }
+        }
+      } while (this.pumpRequested);
+    } catch (error) {
+      log.error('Error filling job queue workers', { error });
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  /**
+   * Run a claimed job to completion
+   * @param {Object} job - Claimed job
+   */
+  async run(job) {
+    const controller = new AbortController();
+    this.active.set(job.id, controller);
+    const hooks = this.local.get(job.id)?.hooks || {};
+    let outcome = { error: new RAGError('CANCELLED') };
+
+    // Progress updates are dropped once the job is cancelled
+    const update = (patch) => {
+      if (controller.signal.aborted) return Promise.resolve(null);
+      return this.store.update(job.id, patch);
+    };
+
+    try {
+      await update({
+        status: 'processing',
+        startedAt: new Date().toISOString()
+      });
+
+      // A cancel that landed after the claim leaves the job cancelled rather than processing
+      const started = await this.store.get(job.id);
+      if (!started || started.status === 'cancelled') return;
+
+      const result = await this.processor(job, { signal: controller.signal, update, hooks });
+
+      // The job may have been cancelled from another instance while it ran
+      const latest = await this.store.get(job.id);
+      if (!latest || latest.status === 'cancelled') return;
+
+      await update({
+        status: 'completed',
+        progress: 100,
+        message: 'Processing complete',
+        result,
+        completedAt: new Date().toISOString()
+      });
+      outcome = { result };
+
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        const failure = toRAGError(error);
+        outcome = { error: failure };
+        log.error('Error processing job', { jobId: job.id, requestId: job.requestId, code: failure.code, error });
+        await update({
+          status: 'failed',
+          error: failure.toJSON(),
+          message: 'Processing failed',
+          completedAt: new Date().toISOString()
+        });
+      }
+    } finally {
+      this.active.delete(job.id);
+      this.settleLocal(job.id, outcome);
+      // Drop the lock so finished jobs do not hold one until they are purged
+      await this.store.release(job.id)
+        .catch(error => log.error('Error releasing job', { jobId: job.id, requestId: job.requestId, error }));
+      this.pump();
+    }
+  }
+}
+
+module.exports = {
+  JobQueue,
+  QueueFullError,
+  TERMINAL_STATUSES
+};
@@ -0,0 +1,347 @@
+/**
+ * Job Store
+ * Pluggable persistence for RAG requests. Every store implements:
+ *   create(job), get(id), update(id, patch), delete(id), list(filter),
+ *   claim(id, workerId), release(id), heartbeat(id), findStale(staleAfterMs)
+ *   and purgeExpired(ttlMs)
+ * All methods are async so stores backed by disk or a database fit the same interface.
+ *
+ * Jobs follow a fixed state machine:
+ *   queued -> processing -> completed | failed | cancelled
+ *   queued -> cancelled
+ *   processing -> queued (re-queued after its worker disappeared)
+ * Updates that would make an invalid transition, or touch a job in a terminal
+ * state, are ignored so a late progress write cannot resurrect a cancelled job.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger').child({ component: 'jobStore' });
+
+const JOB_TRANSITIONS = {
+  queued: ['processing', 'cancelled'],
+  processing: ['completed', 'failed', 'cancelled', 'queued'],
+  completed: [],
+  failed: [],
+  cancelled: []
+};
+
+const TERMINAL_STATUSES = Object.keys(JOB_TRANSITIONS)
+  .filter(status => JOB_TRANSITIONS[status].length === 0);
+
+/**
+ * Check whether a patch may be applied to a job in its current state
+ * @param {Object} job - Current job
+ * @param {Object} patch - Fields to update
+ * @returns {boolean} True if the update is allowed
+ */
+function canApply(job, patch) {
+  if (TERMINAL_STATUSES.includes(job.status)) return false;
+  if (!patch.status || patch.status === job.status) return true;
+  return JOB_TRANSITIONS[job.status].includes(patch.status);
+}
+
+/**
+ * In-memory job store (single process, lost on restart)
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    const stored = { ...job, updatedAt: new Date().toISOString() };
+    this.jobs.set(job.id, stored);
+    return { ...stored };
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (!canApply(job, patch)) return { ...job };
+
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    return { ...job };
+  }
+
+  async delete(id) {
+    return this.jobs.delete(id);
+  }
+
+  async list(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter.status || job.status === filter.status)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(job => ({ ...job }));
+  }
+
+  /**
+   * Atomically take ownership of a queued job
+   * @returns {Promise<boolean>} True if this worker now owns the job
+   */
+  async claim(id, workerId) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'queued' || job.workerId) return false;
+
+    job.workerId = workerId;
+    return true;
+  }
+
+  async release(id) {
+    const job = this.jobs.get(id);
+    if (job) delete job.workerId;
+  }
+
+  // A single process owns every job, so nothing can go stale
+  async heartbeat() {}
+
+  async findStale() {
+    return [];
+  }
+
+  async purgeExpired(ttlMs) {
+    const cutoff = Date.now() - ttlMs;
+    let purged = 0;
+
+    for (const [id, job] of this.jobs) {
+      if (new Date(job.updatedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+        purged++;
+      }
+    }
+
+    return purged;
+  }
+}
+
+/**
+ * File-backed job store: one JSON file per job in a shared directory.
+ * Survives restarts, and several server instances pointed at the same
+ * directory share the queue; `claim` uses an exclusive lock file so each job
+ * is processed once. Workers touch their lock file as a heartbeat, so jobs
+ * left behind by a crashed or restarted instance can be found and re-queued.
+ */
+class FileJobStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.writeCount = 0;
+    // Tail of the pending read-modify-write chain for each job in this process
+    this.pending = new Map();
+    fs.mkdirSync(this.baseDir, { recursive: true });
+  }
+
+  /**
+   * Run a read-modify-write step after the earlier steps for the same job,
+   * so concurrent updates cannot read the same state and overwrite each other
+   * @param {string} id - Job ID
+   * @param {Function} step - async () => result
+   * @returns {Promise<*>} Result of the step
+   */
+  serialize(id, step) {
+    const previous = this.pending.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(step);
+    this.pending.set(id, next);
+
+    const settle = () => {
+      if (this.pending.get(id) === next) this.pending.delete(id);
+    };
+    next.then(settle, settle);
+    return next;
+  }
+
+  jobPath(id) {
+    return path.join(this.baseDir, `${sanitizeId(id)}.json`);
+  }
+
+  lockPath(id) {
+    return path.join(this.baseDir, `${sanitizeId(id)}.lock`);
+  }
+
+  async write(job) {
+    const filePath = this.jobPath(job.id);
+    // Unique per write: two renames of the same temporary file would race
+    const tmpPath = `${filePath}.${process.pid}.${++this.writeCount}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(job));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  async create(job) {
+    const stored = { ...job, updatedAt: new Date().toISOString() };
+    await this.write(stored);
+    return stored;
+  }
+
+  async get(id) {
+    try {
+      const raw = await fs.promises.readFile(this.jobPath(id), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async update(id, patch) {
+    return this.serialize(id, async () => {
+      const job = await this.get(id);
+      if (!job) return null;
+      if (!canApply(job, patch)) return job;
+
+      const updated = { ...job, ...patch, updatedAt: new Date().toISOString() };
+      await this.write(updated);
+      return updated;
+    });
+  }
+
+  async delete(id) {
+    await removeIfExists(this.lockPath(id));
+    return removeIfExists(this.jobPath(id));
+  }
+
+  async list(filter = {}) {
+    const files = await fs.promises.readdir(this.baseDir);
+    const jobs = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const job = await this.get(file.slice(0, -'.json'.length));
+      if (job && (!filter.status || job.status === filter.status)) {
+        jobs.push(job);
+      }
+    }
+
+    return jobs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  async claim(id, workerId) {
+    try {
+      await fs.promises.writeFile(this.lockPath(id), workerId, { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+
+    const job = await this.get(id);
+    if (!job || job.status !== 'queued') {
+      await removeIfExists(this.lockPath(id));
+      return false;
+    }
+
+    await this.update(id, { workerId });
+    return true;
+  }
+
+  async release(id) {
+    return this.serialize(id, async () => {
+      await removeIfExists(this.lockPath(id));
+      const job = await this.get(id);
+      if (job) {
+        delete job.workerId;
+        await this.write(job);
+      }
+    });
+  }
+
+  async heartbeat(id) {
+    const now = new Date();
+    try {
+      await fs.promises.utimes(this.lockPath(id), now, now);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async findStale(staleAfterMs) {
+    const cutoff = Date.now() - staleAfterMs;
+    const processing = await this.list({ status: 'processing' });
+    const stale = [];
+
+    for (const job of processing) {
+      try {
+        const { mtimeMs } = await fs.promises.stat(this.lockPath(job.id));
+        if (mtimeMs < cutoff) stale.push(job);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        stale.push(job);
+      }
+    }
+
+    return stale;
+  }
+
+  async purgeExpired(ttlMs) {
+    const cutoff = Date.now() - ttlMs;
+    const jobs = await this.list();
+    let purged = 0;
+
+    for (const job of jobs) {
+      if (new Date(job.updatedAt).getTime() < cutoff) {
+        await this.delete(job.id);
+        purged++;
+      }
+    }
+
+    return purged;
+  }
+}
+
+/**
+ * Make an id safe to use as a file name
+ * @param {string} id - Job ID
+ * @returns {string} Sanitized ID
+ */
+function sanitizeId(id) {
+  return String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Delete a file, ignoring files that are already gone
+ * @param {string} filePath - File to delete
+ * @returns {Promise<boolean>} True if a file was removed
+ */
+async function removeIfExists(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * Create the job store selected by configuration
+ * @param {Object} config - Store configuration
+ * @param {string} config.type - 'memory' (default) or 'file'
+ * @param {string} config.dir - Directory for the file store
+ * @returns {MemoryJobStore|FileJobStore} Job store
+ */
+function createJobStore(config = {}) {
+  const type = config.type || process.env.JOB_STORE || 'memory';
+
+  if (type === 'file') {
+    const dir = config.dir || process.env.JOB_STORE_DIR || path.join(__dirname, '..', 'data', 'jobs');
+    log.info('Using file job store', { dir });
+    return new FileJobStore(dir);
+  }
+
+  if (type !== 'memory') {
+    log.warn('Unknown JOB_STORE, falling back to memory', { type });
+  }
+
+  return new MemoryJobStore();
+}
+
+module.exports = {
+  JOB_TRANSITIONS,
+  TERMINAL_STATUSES,
+  MemoryJobStore,
+  FileJobStore,
+  createJobStore
+};
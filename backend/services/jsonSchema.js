@@ -0,0 +1,99 @@
+/**
+ * JSON Schema
+ * Parses JSON out of model replies and validates it against the small JSON
+ * schema subset the generators use.
+ */
+
+/**
+ * Parse JSON from a model response, tolerating code fences and text around it
+ * @param {string} text - Response text
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When no JSON value can be parsed
+ */
+function parseJSONResponse(text) {
+  const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    // Fall back to the outermost array or object in the text
+    const start = unfenced.search(/[[{]/);
+    const end = Math.max(unfenced.lastIndexOf(']'), unfenced.lastIndexOf('}'));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(unfenced.slice(start, end + 1));
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON schema. Supports type, properties, required,
+ * items, enum, minItems, maxItems, minLength, maxLength, minimum and maximum.
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Location of the value, for messages
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  const actual = typeOf(value);
+  const expected = schema.type;
+
+  if (expected && !(actual === expected || (expected === 'number' && actual === 'integer'))) {
+    return [`${path} must be ${['array', 'object', 'integer'].includes(expected) ? 'an' : 'a'} ${expected}, got ${actual}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (actual === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} must be at least ${schema.minLength} characters`);
+  }
+
+  if (actual === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  parseJSONResponse,
+  validateSchema
+};
@@ -0,0 +1,202 @@
+/**
+ * Learner Profile
+ * Typed summary of a learner's struggles, per-topic scores and session recency,
+ * built from structured rows instead of being scraped back out of markdown.
+ *
+ * Profile shape:
+ *   {
+ *     struggles: [{ topic, struggleCount, totalAttempts, lastStruggledAt }],
+ *     topicScores: [{ topic, averageScore, lastScore, sessions }],
+ *     recentSessions: [{ topic, score, status, date }],
+ *     lastSessionAt: ISO string | null,
+ *     totals: { documents, flashcards, sessions, completedSessions }
+ *   }
+ */
+
+const MAX_STRUGGLES = 20;
+const MAX_TOPICS = 50;
+const MAX_RECENT_SESSIONS = 5;
+const MAX_TOPIC_CHARS = 200;
+
+/**
+ * Build a profile from storage rows
+ * @param {Object} sources - Rows from the context adapter
+ * @param {Array} sources.sessions - learning_sessions rows
+ * @param {Array} sources.struggles - topic_struggles rows
+ * @param {number} sources.documentCount - Uploaded documents
+ * @param {number} sources.flashcardCount - Generated flashcards
+ * @returns {Object} Learner profile
+ */
+function buildLearnerProfile({ sessions = [], struggles = [], documentCount = 0, flashcardCount = 0 }) {
+  const sessionDate = session => session.completed_at || session.updated_at || session.created_at || null;
+
+  const datedSessions = sessions
+    .filter(session => session.topic)
+    .sort((a, b) => new Date(sessionDate(b) || 0) - new Date(sessionDate(a) || 0));
+
+  // Group scored sessions by topic; sessions are newest first
+  const byTopic = new Map();
+  datedSessions.forEach(session => {
+    const score = Number(session.final_score);
+    if (session.final_score === null || session.final_score === undefined || Number.isNaN(score)) return;
+
+    if (!byTopic.has(session.topic)) byTopic.set(session.topic, []);
+    byTopic.get(session.topic).push(score);
+  });
+
+  const topicScores = Array.from(byTopic.entries()).map(([topic, scores]) => ({
+    topic,
+    averageScore: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+    lastScore: scores[0],
+    sessions: scores.length
+  }));
+
+  return {
+    struggles: struggles.map(struggle => ({
+      topic: struggle.topic_name,
+      struggleCount: struggle.struggle_count || 0,
+      totalAttempts: struggle.total_attempts || 0,
+      lastStruggledAt: struggle.last_struggled_at || null
+    })),
+    topicScores,
+    recentSessions: datedSessions.slice(0, MAX_RECENT_SESSIONS).map(session => ({
+      topic: session.topic,
+      score: session.final_score ?? null,
+      status: session.status || null,
+      date: sessionDate(session)
+    })),
+    lastSessionAt: datedSessions.length > 0 ? sessionDate(datedSessions[0]) : null,
+    totals: {
+      documents: documentCount,
+      flashcards: flashcardCount,
+      sessions: sessions.length,
+      completedSessions: sessions.filter(session => session.status === 'completed').length
+    }
+  };
+}
+
+/**
+ * Validate a client-supplied profile
+ * @param {Object} profile - Learner profile
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateLearnerProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['learnerProfile must be an object'];
+  }
+
+  const errors = [];
+  const isCount = value => Number.isInteger(value) && value >= 0;
+  const isScore = value => typeof value === 'number' && value >= 0 && value <= 100;
+  const isTopic = value => typeof value === 'string' && value.trim() !== '' && value.length <= MAX_TOPIC_CHARS;
+  const isDate = value => value === null || value === undefined || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+
+  const checkList = (name, max, checkItem) => {
+    const list = profile[name];
+    if (list === undefined) return;
+
+    if (!Array.isArray(list) || list.length > max) {
+      errors.push(`learnerProfile.${name} must be an array of at most ${max} items`);
+      return;
+    }
+    list.forEach((item, i) => {
+      if (!item || typeof item !== 'object' || !checkItem(item)) {
+        errors.push(`learnerProfile.${name}[${i}] is invalid`);
+      }
+    });
+  };
+
+  checkList('struggles', MAX_STRUGGLES, item =>
+    isTopic(item.topic) && isCount(item.struggleCount) &&
+    (item.totalAttempts === undefined || isCount(item.totalAttempts)) &&
+    isDate(item.lastStruggledAt));
+
+  checkList('topicScores', MAX_TOPICS, item =>
+    isTopic(item.topic) && isScore(item.averageScore) &&
+    (item.lastScore === undefined || item.lastScore === null || isScore(item.lastScore)) &&
+    (item.sessions === undefined || isCount(item.sessions)));
+
+  checkList('recentSessions', MAX_RECENT_SESSIONS, item =>
+    isTopic(item.topic) && (item.score === undefined || item.score === null || isScore(item.score)) &&
+    isDate(item.date));
+
+  if (!isDate(profile.lastSessionAt)) {
+    errors.push('learnerProfile.lastSessionAt must be an ISO date');
+  }
+
+  return errors;
+}
+
+/**
+ * Describe how long ago a date was, in whole days
+ * @param {string} date - ISO date
+ * @param {Date} now - Reference time
+ * @returns {string} e.g. "today", "1 day ago", "12 days ago"
+ */
+function describeRecency(date, now = new Date()) {
+  const days = Math.floor((now - new Date(date)) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return 'today';
+  return days === 1 ? '1 day ago' : `${days} days ago`;
+}
+
+/**
+ * Derive the legacy [areasOfDifficulty, learningProgress] Stats arrays
+ * @param {Object} profile - Learner profile
+ * @returns {Array} [areasOfDifficulty, learningProgress]
+ */
+function toStats(profile) {
+  const areasOfDifficulty = (profile.struggles || [])
+    .map(struggle => `${struggle.topic} (${struggle.struggleCount} struggles)`);
+
+  const learningProgress = (profile.topicScores || [])
+    .map(score => `Averaged ${score.averageScore}% on ${score.topic}`);
+
+  if (profile.totals) {
+    learningProgress.push(`Uploaded ${profile.totals.documents} documents`);
+    learningProgress.push(`Generated ${profile.totals.flashcards} flashcards`);
+    learningProgress.push(`Completed ${profile.totals.completedSessions} of ${profile.totals.sessions} learning sessions`);
+  }
+
+  return [areasOfDifficulty, learningProgress];
+}
+
+/**
+ * Format the profile as prompt sections
+ * @param {Object} profile - Learner profile
+ * @param {Date} now - Reference time for recency
+ * @returns {Object} { difficulties, scores, recency } lines for the prompt
+ */
+function formatForPrompt(profile, now = new Date()) {
+  const difficulties = (profile.struggles || []).map(struggle => {
+    const attempts = struggle.totalAttempts
+      ? `missed ${struggle.struggleCount} of ${struggle.totalAttempts} attempts`
+      : `struggled ${struggle.struggleCount} times`;
+    const when = struggle.lastStruggledAt ? `, last ${describeRecency(struggle.lastStruggledAt, now)}` : '';
+    return `- ${struggle.topic}: ${attempts}${when}`;
+  });
+
+  const scores = (profile.topicScores || []).map(score => {
+    const last = score.lastScore !== undefined && score.lastScore !== null ? `, last ${score.lastScore}%` : '';
+    const count = score.sessions ? ` over ${score.sessions} session${score.sessions === 1 ? '' : 's'}` : '';
+    return `- ${score.topic}: average ${score.averageScore}%${count}${last}`;
+  });
+
+  const recency = [];
+  if (profile.lastSessionAt) {
+    recency.push(`- Last studied ${describeRecency(profile.lastSessionAt, now)}`);
+  }
+  (profile.recentSessions || []).forEach(session => {
+    const score = session.score !== undefined && session.score !== null ? ` (${session.score}%)` : '';
+    const when = session.date ? `, ${describeRecency(session.date, now)}` : '';
+    recency.push(`- ${session.topic}${score}${when}`);
+  });
+
+  return { difficulties, scores, recency };
+}
+
+module.exports = {
+  buildLearnerProfile,
+  validateLearnerProfile,
+  toStats,
+  formatForPrompt
+};
@@ -0,0 +1,274 @@
+/**
+ * LLM Service
+ * Routes chat completions to a chain of providers and fails over to the next
+ * provider when one is unavailable or rate limited.
+ *
+ * Configure the chain with LLM_PROVIDERS, e.g. "groq,openai,mock" (default "groq").
+ * A request may name a preferred provider from the chain, which is tried first;
+ * providers outside the chain (e.g. mock in production) cannot be selected.
+ */
+
+const GroqProvider = require('../providers/groqProvider');
+const OpenAICompatibleProvider = require('../providers/openAICompatibleProvider');
+const MockProvider = require('../providers/mockProvider');
+const { RAGError, toRAGError } = require('./errors');
+const promptBudget = require('./promptBudget');
+const metrics = require('./metrics');
+const log = require('./logger').child({ component: 'llmService' });
+
+const PROVIDER_TYPES = {
+  groq: GroqProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+// Errors worth retrying on another provider
+const FAILOVER_CODES = ['GROQ_NOT_CONFIGURED', 'GROQ_UNAVAILABLE', 'GROQ_RATE_LIMITED'];
+
+class LLMService {
+  constructor() {
+    this.providers = new Map();
+    this.chain = [];
+    this.stats = new Map();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the configured providers
+   */
+  initialize() {
+    if (this.isInitialized) return;
+
+    this.chain = (process.env.LLM_PROVIDERS || 'groq')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.chain.forEach(name => {
+      if (!PROVIDER_TYPES[name]) {
+        log.warn('Unknown LLM provider in LLM_PROVIDERS, ignoring', { provider: name });
+      }
+    });
+    this.chain = this.chain.filter(name => PROVIDER_TYPES[name]);
+
+    this.isInitialized = true;
+    log.info('LLM service initialized', { providers: this.chain });
+  }
+
+  /**
+   * Register a provider instance, replacing any with the same name (used by tests)
+   * @param {Object} provider - Provider with name, model, isConfigured() and complete()
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Check whether a request may select a provider
+   * @param {string} name - Provider name
+   * @returns {boolean} True if the provider is in the configured chain
+   */
+  hasProvider(name) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+    return this.chain.includes(name);
+  }
+
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, new PROVIDER_TYPES[name]());
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Providers to try for a request, preferred provider first
+   * @param {string} preferred - Provider requested by the caller
+   * @returns {Array<string>} Provider names in order
+   * @throws {RAGError} INVALID_REQUEST when the preferred provider is not in the chain
+   */
+  resolveChain(preferred) {
+    if (!this.isInitialized) {
+      this.initialize();
+    }
+
+    if (!preferred) return this.chain;
+    if (!this.chain.includes(preferred)) {
+      throw new RAGError('INVALID_REQUEST', `LLM provider is not enabled: ${preferred}`);
+    }
+    return [preferred, ...this.chain.filter(name => name !== preferred)];
+  }
+
+  /**
+   * Context window the prompt must fit: the smallest among the configured
+   * providers a request may fail over to
+   * @param {string} preferred - Provider requested by the caller
+   * @returns {number} Context window in tokens
+   */
+  getContextWindow(preferred) {
+    const windows = this.resolveChain(preferred)
+      .map(name => this.getProvider(name))
+      .filter(provider => provider.isConfigured())
+      .map(provider => provider.contextWindow || promptBudget.getContextWindow(provider.model));
+
+    return windows.length > 0 ? Math.min(...windows) : promptBudget.getContextWindow();
+  }
+
+  /**
+   * Throw unless at least one provider in the chain is configured
+   * @throws {RAGError} GROQ_NOT_CONFIGURED
+   */
+  assertConfigured() {
+    const configured = this.resolveChain().some(name => this.getProvider(name).isConfigured());
+    if (!configured) {
+      throw new RAGError(
+        'GROQ_NOT_CONFIGURED',
+        `No language model provider is configured (LLM_PROVIDERS=${this.chain.join(',') || 'none'})`
+      );
+    }
+  }
+
+  /**
+   * Generate a chat completion, failing over between providers
+   * @param {Object} request - { messages, temperature, maxTokens, topP }
+   * @param {Object} options - Completion options
+   * @param {string} options.provider - Preferred provider for this request
+   * @param {Function} options.onToken - Called with each text delta; enables streaming
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @param {string} options.requestId - Request id for log correlation
+   * @returns {Promise<Object>} { text, model, provider, usage }
+   */
+  async complete(request, options = {}) {
+    const { provider: preferred, onToken, signal } = options;
+    const requestLog = log.child({ requestId: options.requestId });
+    let lastError = null;
+
+    for (const name of this.resolveChain(preferred)) {
+      const provider = this.getProvider(name);
+      if (!provider.isConfigured()) {
+        requestLog.debug('Skipping unconfigured LLM provider', { provider: name });
+        continue;
+      }
+
+      let streamed = false;
+      const startTime = Date.now();
+      const endTimer = metrics.startTimer('grasphopper_llm_request_duration_seconds', { provider: name });
+
+      try {
+        const result = await provider.complete(request, {
+          signal,
+          onToken: typeof onToken === 'function'
+            ? (delta) => {
+              streamed = true;
+              onToken(delta);
+            }
+            : undefined
+        });
+
+        if (!result.text) {
+          throw new RAGError('GROQ_UNAVAILABLE', `No response generated by ${name}`);
+        }
+
+        this.recordOutcome(name, { latencyMs: Date.now() - startTime });
+        metrics.inc('grasphopper_llm_requests_total', { provider: name, outcome: 'success' });
+        requestLog.info('LLM completion finished', {
+          provider: name,
+          model: result.model,
+          durationMs: endTimer(),
+          streamed
+        });
+        return { ...result, provider: name };
+
+      } catch (error) {
+        if (signal?.aborted) throw error;
+
+        const failure = toRAGError(error, 'GROQ_UNAVAILABLE');
+        this.recordOutcome(name, { error: failure });
+        metrics.inc('grasphopper_llm_requests_total', { provider: name, outcome: 'error' });
+        metrics.inc('grasphopper_llm_provider_errors_total', { provider: name, code: failure.code });
+        endTimer();
+        lastError = failure;
+
+        // Tokens already reached the client, so another provider cannot take over cleanly
+        if (streamed || !FAILOVER_CODES.includes(failure.code)) {
+          throw failure;
+        }
+
+        requestLog.warn('LLM provider failed, trying next provider', { provider: name, code: failure.code, error: failure });
+      }
+    }
+
+    throw lastError || new RAGError(
+      'GROQ_NOT_CONFIGURED',
+      `No language model provider is configured (LLM_PROVIDERS=${this.chain.join(',') || 'none'})`
+    );
+  }
+
+  recordOutcome(name, outcome) {
+    const stats = this.stats.get(name) || { requests: 0, failures: 0, lastError: null, lastLatencyMs: null };
+    stats.requests++;
+    if (outcome.error) {
+      stats.failures++;
+      stats.lastError = { code: outcome.error.code, message: outcome.error.message, at: new Date().toISOString() };
+    } else {
+      stats.lastLatencyMs = outcome.latencyMs;
+    }
+    this.stats.set(name, stats);
+  }
+
+  /**
+   * Provider configuration and recent outcomes (does not call any API)
+   * @returns {Array<Object>} One entry per provider in the chain
+   */
+  getStatus() {
+    return this.resolveChain().map(name => {
+      const provider = this.getProvider(name);
+      return {
+        name,
+        model: provider.model,
+        contextWindow: provider.contextWindow || promptBudget.getContextWindow(provider.model),
+        configured: provider.isConfigured(),
+        ...(this.stats.get(name) || { requests: 0, failures: 0, lastError: null, lastLatencyMs: null })
+      };
+    });
+  }
+
+  /**
+   * Send a tiny prompt to one provider to check connectivity (calls the live API)
+   * @param {string} name - Provider name; defaults to the first in the chain
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection(name) {
+    const providerName = name || this.resolveChain()[0];
+    const provider = this.getProvider(providerName);
+
+    try {
+      const result = await provider.complete({
+        messages: [{ role: 'user', content: 'Hello, please respond with "Connection successful" to test the API.' }],
+        maxTokens: 10,
+        temperature: 0
+      });
+
+      return {
+        success: true,
+        provider: providerName,
+        response: result.text,
+        model: result.model
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        provider: providerName,
+        error: error.message,
+        model: provider.model
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const llmService = new LLMService();
+
+module.exports = llmService;
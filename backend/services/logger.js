@@ -0,0 +1,177 @@
+/**
+ * Logger
+ * Structured logging: one JSON object per line with a timestamp, level,
+ * message and context fields such as `component` and `requestId`. Fields that
+ * carry user content (questions, answers, prompts, documents) are redacted
+ * unless LOG_REDACT=false. Credentials (Authorization headers, tokens, API
+ * keys, secrets, passwords and Bearer strings) are always redacted.
+ *
+ * Environment:
+ *   LOG_LEVEL          debug | info (default) | warn | error | silent
+ *   LOG_FORMAT         json (default) | pretty (one readable line per entry)
+ *   LOG_REDACT         false to log user content verbatim
+ *   LOG_REDACT_FIELDS  comma-separated field names to redact instead of the defaults
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields that hold what students asked, wrote or uploaded
+const DEFAULT_REDACT_FIELDS = [
+  'question',
+  'retrievalQuery',
+  'answer',
+  'prompt',
+  'messages',
+  'history',
+  'context',
+  'content',
+  'text',
+  'learnerProfile',
+  'weakConcepts',
+  'Stats'
+];
+
+// Fields that hold credentials, e.g. authorization, apiKey, api_key, accessToken, clientSecret
+const SECRET_FIELD_PATTERN = /^(authorization|cookie|password)$|token$|api[-_]?key$|secret$/i;
+
+// Credentials inside strings, e.g. a header echoed in an error message
+const BEARER_PATTERN = /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi;
+
+/**
+ * Replace credentials, and user content in the given fields, with a placeholder at any depth
+ * @param {*} value - Field value
+ * @param {Set<string>} fields - Field names of user content to redact
+ * @returns {*} Value safe to log
+ */
+function redact(value, fields) {
+  if (typeof value === 'string') {
+    return value.replace(BEARER_PATTERN, 'Bearer [redacted]');
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, fields));
+  }
+
+  if (!value || typeof value !== 'object' || value instanceof Error) {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (SECRET_FIELD_PATTERN.test(key) && item !== null && item !== undefined) {
+      return [key, '[redacted: secret]'];
+    }
+    if (!fields.has(key) || item === null || item === undefined) {
+      return [key, redact(item, fields)];
+    }
+    const size = typeof item === 'string' ? `${item.length} chars` : Array.isArray(item) ? `${item.length} items` : typeof item;
+    return [key, `[redacted: ${size}]`];
+  }));
+}
+
+/**
+ * Plain object for an error, keeping the RAGError code
+ * @param {Error} error - Error to serialize
+ * @returns {Object} { name, code, message, stack }
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    code: error.code,
+    message: error.message,
+    stack: error.stack
+  };
+}
+
+class Logger {
+  /**
+   * @param {Object} bindings - Fields added to every entry, e.g. { component, requestId }
+   */
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger that adds more fields to every entry
+   * @param {Object} bindings - Extra fields
+   * @returns {Logger} Child logger
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  isLevelEnabled(level) {
+    const configured = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+    return LEVELS[level] >= configured;
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Write one log entry
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - What happened
+   * @param {Object|Error} fields - Context fields, or an error
+   */
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const details = fields instanceof Error ? { error: fields } : { ...fields };
+    if (details.error instanceof Error) {
+      details.error = serializeError(details.error);
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...this.bindings,
+      msg: message,
+      ...redact(details, process.env.LOG_REDACT === 'false' ? new Set() : getRedactFields())
+    };
+
+    const line = process.env.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    if (level === 'error' || level === 'warn') {
+      process.stderr.write(`${line}\n`);
+    } else {
+      process.stdout.write(`${line}\n`);
+    }
+  }
+}
+
+function getRedactFields() {
+  const configured = process.env.LOG_REDACT_FIELDS;
+  return new Set(configured
+    ? configured.split(',').map(field => field.trim()).filter(Boolean)
+    : DEFAULT_REDACT_FIELDS);
+}
+
+/**
+ * One readable line for local development
+ * @param {Object} entry - Log entry
+ * @returns {string} "12:00:00.000 INFO [component] message key=value ..."
+ */
+function formatPretty(entry) {
+  const { time, level, component, msg, ...fields } = entry;
+  const extras = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time.slice(11, 23)} ${level.toUpperCase()} ${component ? `[${component}] ` : ''}${msg}${extras ? ` ${extras}` : ''}`;
+}
+
+// Create singleton instance
+const logger = new Logger();
+
+module.exports = logger;
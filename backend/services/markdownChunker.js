@@ -0,0 +1,366 @@
+/**
+ * Markdown Chunker
+ * Splits the learning context into retrieval chunks along its markdown
+ * structure: headings become chunk metadata, flashcard Q/A pairs and code
+ * fences are kept whole where possible, lists split between items and prose
+ * between sentences. Sizes are measured in (estimated) tokens and every chunk
+ * records the exact character range it was sliced from.
+ */
+
+const DEFAULT_MAX_TOKENS = parseInt(process.env.CHUNK_MAX_TOKENS, 10) || 200;
+const DEFAULT_OVERLAP_TOKENS = parseInt(process.env.CHUNK_OVERLAP_TOKENS, 10) || 30;
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const LIST_ITEM_PATTERN = /^\s*([-*+•]|\d+[.)])\s+/;
+const FLASHCARD_PATTERN = /^\*\*Q\d+:\*\*/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+// Words whose trailing period does not end a sentence
+const ABBREVIATIONS = new Set([
+  'e.g', 'i.e', 'etc', 'vs', 'cf', 'dr', 'mr', 'mrs', 'ms', 'prof', 'fig', 'no', 'approx', 'st', 'jr', 'sr', 'al'
+]);
+
+/**
+ * Estimate how many model tokens a text uses. Approximates WordPiece: short
+ * words are one token, long words several, digits and punctuation split apart.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  const pieces = text.match(/[A-Za-z]+|\d+|[^\sA-Za-z\d]/g) || [];
+  return pieces.reduce((total, piece) => {
+    if (/^[A-Za-z]/.test(piece)) return total + Math.max(1, Math.ceil(piece.length / 7));
+    if (/^\d/.test(piece)) return total + Math.ceil(piece.length / 3);
+    return total + 1;
+  }, 0);
+}
+
+/**
+ * Split text into lines with their offsets
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} [{ text, start, end }] where end excludes the newline
+ */
+function toLines(text) {
+  const lines = [];
+  let start = 0;
+
+  while (start <= text.length) {
+    const newline = text.indexOf('\n', start);
+    const end = newline === -1 ? text.length : newline;
+    lines.push({ text: text.slice(start, end), start, end });
+    if (newline === -1) break;
+    start = newline + 1;
+  }
+
+  return lines;
+}
+
+/**
+ * Parse markdown into blocks, tracking the heading path of each block
+ * @param {string} text - Markdown text
+ * @returns {Array<Object>} [{ type, start, end, headings }] with type
+ *   'paragraph' | 'list' | 'code' | 'flashcard'
+ */
+function parseBlocks(text) {
+  const lines = toLines(text);
+  const blocks = [];
+  let headings = [];
+  let i = 0;
+
+  const pushBlock = (type, first, last) => {
+    blocks.push({
+      type,
+      start: lines[first].start,
+      end: lines[last].end,
+      headings
+    });
+  };
+
+  while (i < lines.length) {
+    const line = lines[i].text;
+
+    if (!line.trim() || RULE_PATTERN.test(line)) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      headings = [...headings.filter(h => h.level < level), { level, title: heading[2].trim() }];
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const first = i;
+      i++;
+      while (i < lines.length && !lines[i].text.trim().startsWith(fence[1])) i++;
+      const last = Math.min(i, lines.length - 1);
+      pushBlock('code', first, last);
+      i = last + 1;
+      continue;
+    }
+
+    if (FLASHCARD_PATTERN.test(line)) {
+      const first = i;
+      i++;
+      while (i < lines.length && lines[i].text.trim() && !FLASHCARD_PATTERN.test(lines[i].text) && !HEADING_PATTERN.test(lines[i].text)) i++;
+      pushBlock('flashcard', first, i - 1);
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const first = i;
+      i++;
+      while (i < lines.length) {
+        const next = lines[i].text;
+        const continues = LIST_ITEM_PATTERN.test(next) || (next.trim() && /^\s+/.test(next));
+        if (!continues || HEADING_PATTERN.test(next) || FENCE_PATTERN.test(next)) break;
+        i++;
+      }
+      pushBlock('list', first, i - 1);
+      continue;
+    }
+
+    const first = i;
+    i++;
+    while (i < lines.length) {
+      const next = lines[i].text;
+      if (!next.trim() || HEADING_PATTERN.test(next) || FENCE_PATTERN.test(next) ||
+          LIST_ITEM_PATTERN.test(next) || FLASHCARD_PATTERN.test(next) || RULE_PATTERN.test(next)) break;
+      i++;
+    }
+    pushBlock('paragraph', first, i - 1);
+  }
+
+  return blocks;
+}
+
+/**
+ * Find sentence ranges in a span of prose. A sentence ends at . ! or ? followed
+ * by whitespace, except after decimals, URLs and common abbreviations.
+ * @param {string} text - Full text
+ * @param {number} start - Span start
+ * @param {number} end - Span end
+ * @returns {Array<Object>} [{ start, end }]
+ */
+function splitSentences(text, start, end) {
+  const span = text.slice(start, end);
+  const ranges = [];
+  const boundary = /[.!?]+["')\]]*(?=\s+|$)/g;
+  let sentenceStart = 0;
+  let match;
+
+  while ((match = boundary.exec(span)) !== null) {
+    const stop = match.index + match[0].length;
+    const before = span.slice(sentenceStart, match.index).match(/(\S+)$/);
+    const word = before ? before[1].toLowerCase().replace(/^[("']+/, '') : '';
+
+    // Single-letter initials ("J. Smith") and abbreviations do not end sentences
+    if (match[0] === '.' && (ABBREVIATIONS.has(word) || /^[a-z]$/.test(word))) continue;
+
+    ranges.push({ start: start + sentenceStart, end: start + stop });
+    sentenceStart = stop;
+    while (sentenceStart < span.length && /\s/.test(span[sentenceStart])) sentenceStart++;
+  }
+
+  if (sentenceStart < span.length && span.slice(sentenceStart).trim()) {
+    ranges.push({ start: start + sentenceStart, end });
+  }
+
+  return ranges;
+}
+
+/**
+ * Split a range into pieces of whole words no larger than maxTokens
+ * @returns {Array<Object>} [{ start, end }]
+ */
+function splitWords(text, start, end, maxTokens, countTokens) {
+  const pieces = [];
+  const wordPattern = /\S+/g;
+  const span = text.slice(start, end);
+  let pieceStart = null;
+  let pieceEnd = null;
+  let tokens = 0;
+  let match;
+
+  while ((match = wordPattern.exec(span)) !== null) {
+    const wordTokens = countTokens(match[0]);
+    if (pieceStart !== null && tokens + wordTokens > maxTokens) {
+      pieces.push({ start: start + pieceStart, end: start + pieceEnd });
+      pieceStart = null;
+      tokens = 0;
+    }
+    if (pieceStart === null) pieceStart = match.index;
+    pieceEnd = match.index + match[0].length;
+    tokens += wordTokens;
+  }
+
+  if (pieceStart !== null) {
+    pieces.push({ start: start + pieceStart, end: start + pieceEnd });
+  }
+
+  return pieces;
+}
+
+/**
+ * Break a block into units no larger than maxTokens, splitting lists between
+ * items, code between lines and prose between sentences
+ * @returns {Array<Object>} [{ start, end, tokens, type, headings }]
+ */
+function blockToUnits(text, block, maxTokens, countTokens) {
+  const makeUnit = (range) => ({
+    start: range.start,
+    end: range.end,
+    tokens: countTokens(text.slice(range.start, range.end)),
+    type: block.type,
+    headings: block.headings
+  });
+
+  const whole = makeUnit(block);
+  if (whole.tokens <= maxTokens) return [whole];
+
+  let ranges;
+  if (block.type === 'list') {
+    ranges = toLines(text.slice(block.start, block.end))
+      .map(line => ({ ...line, start: line.start + block.start, end: line.end + block.start }))
+      .reduce((items, line) => {
+        if (LIST_ITEM_PATTERN.test(line.text) || items.length === 0) {
+          items.push({ start: line.start, end: line.end });
+        } else {
+          items[items.length - 1].end = line.end;
+        }
+        return items;
+      }, []);
+  } else if (block.type === 'code') {
+    ranges = toLines(text.slice(block.start, block.end))
+      .filter(line => line.text.trim())
+      .map(line => ({ start: line.start + block.start, end: line.end + block.start }));
+  } else {
+    ranges = splitSentences(text, block.start, block.end);
+  }
+
+  // Regroup small pieces and break any piece that is still too large
+  const units = [];
+  ranges.forEach(range => {
+    const unit = makeUnit(range);
+    if (unit.tokens <= maxTokens) {
+      units.push(unit);
+    } else {
+      splitWords(text, range.start, range.end, maxTokens, countTokens)
+        .forEach(piece => units.push(makeUnit(piece)));
+    }
+  });
+
+  return units;
+}
+
+/**
+ * Split markdown into token-limited chunks with heading metadata
+ * @param {string} text - Markdown text
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxTokens - Maximum tokens per chunk
+ * @param {number} options.overlapTokens - Tokens repeated from the end of the previous chunk
+ * @param {Function} options.countTokens - Token counter (defaults to estimateTokens)
+ * @returns {Array<Object>} [{ text, index, metadata: { startChar, endChar, length, tokens, headings, blockTypes } }]
+ */
+function chunkMarkdown(text, options = {}) {
+  const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  const overlapTokens = Math.min(options.overlapTokens ?? DEFAULT_OVERLAP_TOKENS, Math.floor(maxTokens / 2));
+  const countTokens = options.countTokens || estimateTokens;
+
+  const units = parseBlocks(text)
+    .flatMap(block => blockToUnits(text, block, maxTokens, countTokens));
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+
+    const startChar = current[0].start;
+    const endChar = current[current.length - 1].end;
+    chunks.push({
+      text: text.slice(startChar, endChar),
+      index: chunks.length,
+      metadata: {
+        startChar,
+        endChar,
+        length: endChar - startChar,
+        tokens: currentTokens,
+        headings: current[0].headings.map(h => ({ ...h })),
+        blockTypes: [...new Set(current.map(unit => unit.type))]
+      }
+    });
+  };
+
+  const sameSection = (a, b) => a.headings === b.headings;
+
+  units.forEach(unit => {
+    if (current.length > 0 && !sameSection(current[0], unit)) {
+      // New section: start fresh without overlap
+      flush();
+      current = [];
+      currentTokens = 0;
+    } else if (current.length > 0 && currentTokens + unit.tokens > maxTokens) {
+      flush();
+
+      // Carry trailing units forward as overlap, leaving room for the new unit
+      const carried = [];
+      let carriedTokens = 0;
+      for (let i = current.length - 1; i > 0; i--) {
+        const candidate = current[i];
+        if (carriedTokens + candidate.tokens > overlapTokens ||
+            carriedTokens + candidate.tokens + unit.tokens > maxTokens) break;
+        carried.unshift(candidate);
+        carriedTokens += candidate.tokens;
+      }
+
+      current = carried;
+      currentTokens = carriedTokens;
+    }
+
+    current.push(unit);
+    currentTokens += unit.tokens;
+  });
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Push every heading in a markdown document down by `depth` levels (capped at
+ * 6), so a document embedded under a `###` entry cannot open sections of its own
+ * @param {string} text - Markdown document
+ * @param {number} depth - Levels to add
+ * @returns {string} Document with nested headings
+ */
+function nestHeadings(text, depth) {
+  let fence = null;
+
+  return text.split('\n').map(line => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (line.trim().startsWith(fence)) fence = null;
+      return line;
+    }
+    if (fence) return line;
+
+    const heading = line.match(/^(#{1,6})(\s+.*)$/);
+    if (!heading) return line;
+    return '#'.repeat(Math.min(6, heading[1].length + depth)) + heading[2];
+  }).join('\n');
+}
+
+module.exports = {
+  chunkMarkdown,
+  parseBlocks,
+  splitSentences,
+  estimateTokens,
+  nestHeadings
+};
@@ -0,0 +1,182 @@
+/**
+ * Metrics
+ * In-process counters, gauges and histograms rendered in the Prometheus text
+ * exposition format for GET /metrics. Gauges that describe current state
+ * (queue depth, cache hit rates) are filled by collectors when scraped.
+ */
+
+const log = require('./logger').child({ component: 'metrics' });
+
+// Seconds; TheHopper stages range from milliseconds (cache) to tens of seconds (generation)
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const DEFINITIONS = [
+  { name: 'grasphopper_http_requests_total', type: 'counter', help: 'HTTP requests by method, route and status code' },
+  { name: 'grasphopper_rag_requests_total', type: 'counter', help: 'TheHopper questions by outcome (answered, cached, not_in_materials, failed)' },
+  { name: 'grasphopper_rag_request_duration_seconds', type: 'histogram', help: 'Time to answer a TheHopper question end to end' },
+  { name: 'grasphopper_rag_stage_duration_seconds', type: 'histogram', help: 'Time spent in each pipeline stage (context, cache, rewrite, embedding, retrieval, generation, verification)' },
+  { name: 'grasphopper_llm_requests_total', type: 'counter', help: 'Language model completions by provider and outcome' },
+  { name: 'grasphopper_llm_request_duration_seconds', type: 'histogram', help: 'Language model completion latency by provider' },
+  { name: 'grasphopper_llm_provider_errors_total', type: 'counter', help: 'Failed language model completions by provider and error code' },
+  { name: 'grasphopper_llm_tokens_total', type: 'counter', help: 'Tokens used by provider and type (prompt, completion); estimated when the provider reports none' },
+  { name: 'grasphopper_generation_requests_total', type: 'counter', help: 'Content generation requests (flashcards, MCQs, reports, podcasts) by generator and outcome' },
+  { name: 'grasphopper_generation_duration_seconds', type: 'histogram', help: 'Content generation latency by generator' },
+  { name: 'grasphopper_generation_limited_total', type: 'counter', help: 'Generation requests refused by reason (rate_limit, quota)' },
+  { name: 'grasphopper_cache_lookups_total', type: 'counter', help: 'Cache lookups by cache (answer, context, embedding) and result (hit, miss)' },
+  { name: 'grasphopper_cache_hit_ratio', type: 'gauge', help: 'Share of cache lookups that hit since startup' },
+  { name: 'grasphopper_job_queue_depth', type: 'gauge', help: 'Questions waiting in the job queue' },
+  { name: 'grasphopper_jobs_processing', type: 'gauge', help: 'Questions being processed by this instance' }
+];
+
+class Metrics {
+  constructor() {
+    this.definitions = new Map(DEFINITIONS.map(definition => [definition.name, definition]));
+    this.series = new Map(DEFINITIONS.map(definition => [definition.name, new Map()]));
+    this.collectors = [];
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add
+   */
+  inc(name, labels = {}, value = 1) {
+    const entry = this.getSeries(name, labels, () => ({ value: 0 }));
+    entry.value += value;
+  }
+
+  /**
+   * Set a gauge
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @param {number} value - Current value
+   */
+  set(name, labels = {}, value) {
+    this.getSeries(name, labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Record a histogram observation
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds for durations)
+   */
+  observe(name, labels = {}, value) {
+    const entry = this.getSeries(name, labels, () => ({
+      buckets: DURATION_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    DURATION_BUCKETS.forEach((bound, i) => {
+      if (value <= bound) entry.buckets[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Start timing a duration histogram observation
+   * @param {string} name - Histogram name
+   * @param {Object} labels - Label values
+   * @returns {Function} Call to record the elapsed time; returns it in milliseconds
+   */
+  startTimer(name, labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => {
+      const ms = Number(process.hrtime.bigint() - start) / 1e6;
+      this.observe(name, labels, ms / 1000);
+      return Math.round(ms);
+    };
+  }
+
+  /**
+   * Register a function that updates gauges before each scrape
+   * @param {Function} collector - (metrics) => void or Promise
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  getSeries(name, labels, create) {
+    const series = this.series.get(name);
+    if (!series) {
+      throw new Error(`Unknown metric: ${name}`);
+    }
+
+    const key = JSON.stringify(Object.keys(labels).sort().map(label => [label, String(labels[label])]));
+    if (!series.has(key)) {
+      series.set(key, { labels, ...create() });
+    }
+    return series.get(key);
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {Promise<string>} Metrics text
+   */
+  async render() {
+    this.updateCacheHitRatios();
+    for (const collector of this.collectors) {
+      try {
+        await collector(this);
+      } catch (error) {
+        log.warn('Metrics collector failed', { error });
+      }
+    }
+
+    const lines = [];
+    for (const [name, definition] of this.definitions) {
+      lines.push(`# HELP ${name} ${definition.help}`);
+      lines.push(`# TYPE ${name} ${definition.type}`);
+
+      for (const entry of this.series.get(name).values()) {
+        if (definition.type !== 'histogram') {
+          lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+          continue;
+        }
+
+        DURATION_BUCKETS.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.buckets[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${Number(entry.sum.toFixed(6))}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  updateCacheHitRatios() {
+    const totals = new Map();
+    for (const entry of this.series.get('grasphopper_cache_lookups_total').values()) {
+      const total = totals.get(entry.labels.cache) || { hit: 0, all: 0 };
+      total.all += entry.value;
+      if (entry.labels.result === 'hit') total.hit += entry.value;
+      totals.set(entry.labels.cache, total);
+    }
+
+    totals.forEach((total, cache) => {
+      this.set('grasphopper_cache_hit_ratio', { cache }, total.all > 0 ? Number((total.hit / total.all).toFixed(4)) : 0);
+    });
+  }
+}
+
+/**
+ * Format labels as {name="value",...} with Prometheus escaping
+ * @param {Object} labels - Label values
+ * @returns {string} Label block, or '' when there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([label, value]) => `${label}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Create singleton instance
+const metrics = new Metrics();
+
+module.exports = metrics;
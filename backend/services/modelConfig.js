@@ -0,0 +1,64 @@
+/**
+ * Model Configuration
+ * Shared settings for the local Transformers.js models (embeddings and reranker)
+ */
+
+const path = require('path');
+
+const DEFAULT_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const DEFAULT_RERANKER_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+/**
+ * Read model settings from the environment
+ *   EMBEDDING_MODEL      - Hugging Face model id (default Xenova/all-MiniLM-L6-v2)
+ *   EMBEDDING_QUANTIZED  - 'false' to load full-precision weights
+ *   RERANKER_MODEL       - Cross-encoder model id
+ *   MODEL_DIR            - Directory models are loaded from and downloaded into (default backend/data/models)
+ *   MODELS_OFFLINE       - 'true' to only load models already in MODEL_DIR
+ * @returns {Object} { embeddingModel, quantized, rerankerModel, modelDir, offline }
+ */
+function getModelSettings() {
+  return {
+    embeddingModel: process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+    quantized: process.env.EMBEDDING_QUANTIZED !== 'false',
+    rerankerModel: process.env.RERANKER_MODEL || DEFAULT_RERANKER_MODEL,
+    modelDir: path.resolve(process.env.MODEL_DIR || path.join(__dirname, '..', 'data', 'models')),
+    offline: process.env.MODELS_OFFLINE === 'true'
+  };
+}
+
+/**
+ * Point Transformers.js at the model directory and disable downloads when offline
+ * @param {Object} env - `env` export of @xenova/transformers
+ * @param {Object} settings - Settings from getModelSettings()
+ */
+function applyModelSettings(env, settings) {
+  if (!env) return;
+
+  // Downloads land in the same directory local lookups read from
+  env.localModelPath = settings.modelDir;
+  env.cacheDir = settings.modelDir;
+  env.allowLocalModels = true;
+  env.allowRemoteModels = !settings.offline;
+}
+
+/**
+ * Explain a model load failure, pointing offline installs at the download script
+ * @param {string} modelId - Model that failed to load
+ * @param {Object} settings - Settings from getModelSettings()
+ * @param {Error} error - Load error
+ * @returns {string} Message for logs and the API
+ */
+function describeLoadFailure(modelId, settings, error) {
+  if (settings.offline) {
+    return `Model ${modelId} is not available in ${settings.modelDir} and MODELS_OFFLINE is on. ` +
+      'Run `npm run download-models` on a machine with internet access and copy the directory over.';
+  }
+  return `Could not load model ${modelId}: ${error.message}`;
+}
+
+module.exports = {
+  getModelSettings,
+  applyModelSettings,
+  describeLoadFailure
+};
@@ -0,0 +1,172 @@
+/**
+ * Prompt Budget
+ * Token counting and budget allocation for prompts, so the assembled prompt
+ * plus the requested completion always fits the model's context window.
+ */
+
+// Context windows of known models, in tokens
+const MODEL_CONTEXT_WINDOWS = {
+  'llama3-8b-8192': 8192,
+  'llama3-70b-8192': 8192,
+  'llama-3.1-8b-instant': 131072,
+  'llama-3.3-70b-versatile': 131072,
+  'mixtral-8x7b-32768': 32768,
+  'gemma2-9b-it': 8192,
+  'gpt-4o-mini': 128000,
+  'llama3': 8192,
+  'mock-1': 8192
+};
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Completion tokens requested unless the window is too small for them
+const DEFAULT_COMPLETION_TOKENS = 2048;
+
+// Tokens added per chat message for role and formatting
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Chat models use BPE tokenizers: English prose averages about four characters
+// per token, code and numbers fewer, so this errs on the side of more tokens
+const ASCII_CHARS_PER_TOKEN = 3.5;
+
+// Share of the prompt budget each learner-data section may use
+const SECTION_SHARE = 0.05;
+
+/**
+ * Context window for a model
+ * @param {string} model - Model name
+ * @returns {number} Context window in tokens
+ */
+function getContextWindow(model) {
+  if (MODEL_CONTEXT_WINDOWS[model]) return MODEL_CONTEXT_WINDOWS[model];
+
+  // Many model names carry their window, e.g. "mixtral-8x7b-32768"
+  const suffix = String(model || '').match(/-(\d{4,6})$/);
+  return suffix ? parseInt(suffix[1], 10) : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Estimate the BPE tokens of a text. Non-ASCII characters (accents, CJK, emoji)
+ * often take a token or more each, so they are counted one token apiece.
+ * @param {string} text - Text to measure
+ * @returns {number} Token count
+ */
+function countTokens(text) {
+  const value = text || '';
+  const nonAscii = (value.match(/[\u0080-\uFFFF]/g) || []).length;
+  return Math.ceil((value.length - nonAscii) / ASCII_CHARS_PER_TOKEN) + nonAscii;
+}
+
+/**
+ * Count the tokens of a chat message list
+ * @param {Array} messages - [{ role, content }]
+ * @returns {number} Token count
+ */
+function countMessageTokens(messages) {
+  return messages.reduce((total, message) => total + countTokens(message.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * Split a context window between the prompt and the completion
+ * @param {number} contextWindow - Model context window
+ * @param {number} completionTokens - Completion tokens wanted
+ * @returns {Object} { contextWindow, maxTokens, promptBudget, sectionBudget }
+ */
+function allocate(contextWindow, completionTokens = DEFAULT_COMPLETION_TOKENS) {
+  // Small windows give at most a quarter to the completion
+  const maxTokens = Math.min(completionTokens, Math.floor(contextWindow / 4));
+  const promptBudget = contextWindow - maxTokens;
+
+  return {
+    contextWindow,
+    maxTokens,
+    promptBudget,
+    sectionBudget: Math.floor(promptBudget * SECTION_SHARE)
+  };
+}
+
+/**
+ * Keep the leading items of a list that fit in a token budget
+ * @param {Array} items - Items, most important first
+ * @param {number} maxTokens - Budget for the whole list
+ * @param {Function} format - Item to the text it adds to the prompt
+ * @returns {Array} Leading items that fit
+ */
+function fitList(items, maxTokens, format = item => String(item)) {
+  const kept = [];
+  let used = 0;
+
+  for (const item of items || []) {
+    const tokens = countTokens(format(item)) + 1;
+    if (used + tokens > maxTokens) break;
+    kept.push(item);
+    used += tokens;
+  }
+
+  return kept;
+}
+
+/**
+ * Cut text to whole words within a token budget
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Budget
+ * @returns {string} Text that fits, with an ellipsis if it was cut
+ */
+function truncateToTokens(text, maxTokens) {
+  if (countTokens(text) <= maxTokens) return text;
+
+  const words = text.split(/(\s+)/);
+  let result = '';
+  for (const word of words) {
+    if (countTokens(result + word + ' …') > maxTokens) break;
+    result += word;
+  }
+  return `${result.trimEnd()} …`;
+}
+
+/**
+ * Select ranked chunks that fit a token budget. Lower-ranked chunks are dropped
+ * first; if not even the top chunk fits whole it is truncated.
+ * @param {Array} chunks - Chunks ordered best first
+ * @param {number} maxTokens - Budget for all excerpts
+ * @param {Function} format - Chunk to the text it adds to the prompt
+ * @returns {Object} { included, dropped, tokens }
+ */
+function fitChunks(chunks, maxTokens, format) {
+  const included = [];
+  let tokens = 0;
+
+  for (const chunk of chunks) {
+    const chunkTokens = countTokens(format(chunk)) + 1;
+    if (tokens + chunkTokens > maxTokens) break;
+    included.push(chunk);
+    tokens += chunkTokens;
+  }
+
+  if (included.length === 0 && chunks.length > 0 && maxTokens > 0) {
+    const overhead = countTokens(format({ ...chunks[0], text: '' }));
+    const text = truncateToTokens(chunks[0].text, maxTokens - overhead - 1);
+    if (text.trim() !== '…') {
+      included.push({ ...chunks[0], text });
+      tokens = countTokens(format(included[0])) + 1;
+    }
+  }
+
+  const includedIds = new Set(included.map(chunk => chunk.id));
+  return {
+    included,
+    dropped: chunks.filter(chunk => !includedIds.has(chunk.id)),
+    tokens
+  };
+}
+
+module.exports = {
+  DEFAULT_COMPLETION_TOKENS,
+  getContextWindow,
+  countTokens,
+  countMessageTokens,
+  allocate,
+  fitList,
+  fitChunks,
+  truncateToTokens
+};
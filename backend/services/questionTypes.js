@@ -0,0 +1,198 @@
+/**
+ * Question Types
+ * Schema, checks and prompt formats for evaluation questions beyond
+ * single-answer MCQs. Every question has a `type`; the other fields depend on it:
+ *
+ *   mcq            options (4), correctAnswer
+ *   multi-select   options (4-6), correctAnswers (2 or more of the options)
+ *   true-false     correctAnswer ("True" or "False")
+ *   fill-blank     question with one ___ blank, acceptedAnswers
+ *   ordering       items, listed in the correct order
+ *   numeric        correctValue, tolerance, unit (optional)
+ *   short-answer   rubric [{ criterion, points }], sampleAnswer
+ *
+ * Questions without a type are MCQs, as generated before other types existed.
+ */
+
+const QUESTION_TYPES = ['mcq', 'multi-select', 'true-false', 'fill-blank', 'ordering', 'numeric', 'short-answer'];
+
+const BLANK = '___';
+
+// Criteria a short answer is graded against
+const RUBRIC_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 5,
+  items: {
+    type: 'object',
+    required: ['criterion', 'points'],
+    properties: {
+      criterion: { type: 'string', minLength: 1, maxLength: 300 },
+      points: { type: 'integer', minimum: 1, maximum: 5 }
+    }
+  }
+};
+
+const QUESTION_SCHEMA = {
+  type: 'object',
+  required: ['question'],
+  properties: {
+    type: { type: 'string', enum: QUESTION_TYPES },
+    question: { type: 'string', minLength: 1 },
+    options: { type: 'array', minItems: 2, maxItems: 6, items: { type: 'string', minLength: 1 } },
+    correctAnswer: { type: 'string', minLength: 1 },
+    correctAnswers: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    acceptedAnswers: { type: 'array', minItems: 1, maxItems: 10, items: { type: 'string', minLength: 1 } },
+    items: { type: 'array', minItems: 3, maxItems: 6, items: { type: 'string', minLength: 1 } },
+    correctValue: { type: 'number' },
+    tolerance: { type: 'number', minimum: 0 },
+    unit: { type: 'string' },
+    rubric: RUBRIC_SCHEMA,
+    sampleAnswer: { type: 'string', minLength: 1 },
+    explanation: { type: 'string' },
+    whyWrongExplanation: { type: 'string' },
+    topicCategory: { type: 'string' },
+    difficultyLevel: { type: 'string', enum: ['easy', 'medium', 'hard'] }
+  }
+};
+
+const QUESTION_LIST_SCHEMA = { type: 'array', minItems: 1, items: QUESTION_SCHEMA };
+
+// One example per type, shown to the model
+const FORMATS = {
+  mcq: {
+    rule: 'single answer with exactly 4 options; correctAnswer is copied exactly from options',
+    example: { type: 'mcq', question: 'Question text?', options: ['Option A', 'Option B', 'Option C', 'Option D'], correctAnswer: 'Option B' }
+  },
+  'multi-select': {
+    rule: '4 to 6 options with 2 or more correct; correctAnswers are copied exactly from options and never include every option',
+    example: { type: 'multi-select', question: 'Which of these ...? Select all that apply.', options: ['A', 'B', 'C', 'D', 'E'], correctAnswers: ['A', 'D'] }
+  },
+  'true-false': {
+    rule: 'a statement to judge; correctAnswer is "True" or "False"',
+    example: { type: 'true-false', question: 'True or false: statement.', correctAnswer: 'False' }
+  },
+  'fill-blank': {
+    rule: `a sentence with exactly one ${BLANK} blank; acceptedAnswers lists every acceptable spelling of the missing word or phrase`,
+    example: { type: 'fill-blank', question: `The ${BLANK} stores key-value pairs.`, acceptedAnswers: ['hash table', 'hash map'] }
+  },
+  ordering: {
+    rule: '3 to 6 steps or items listed in the correct order (they are shuffled before the student sees them)',
+    example: { type: 'ordering', question: 'Put these steps in order.', items: ['First step', 'Second step', 'Third step', 'Fourth step'] }
+  },
+  numeric: {
+    rule: 'a calculation with a single numeric answer; tolerance is the largest accepted difference (0 for exact answers)',
+    example: { type: 'numeric', question: 'How many ...?', correctValue: 9.81, tolerance: 0.05, unit: 'm/s²' }
+  },
+  'short-answer': {
+    rule: 'an open question answered in 1-3 sentences; rubric lists 1-5 criteria worth 1-5 points each, sampleAnswer earns every point',
+    example: {
+      type: 'short-answer',
+      question: 'Explain why ...',
+      rubric: [{ criterion: 'Names the key idea', points: 2 }, { criterion: 'Explains its effect', points: 2 }],
+      sampleAnswer: 'A model answer.'
+    }
+  }
+};
+
+/**
+ * Type of a question, defaulting to MCQ
+ * @param {Object} question - Question object
+ * @returns {string} One of QUESTION_TYPES
+ */
+function typeOf(question) {
+  return question.type || 'mcq';
+}
+
+/**
+ * Problems with one question's type-specific fields
+ * @param {Object} question - Question that matched QUESTION_SCHEMA
+ * @param {string} path - Location of the question, for messages
+ * @returns {Array<string>} Missing or inconsistent fields
+ */
+function checkQuestion(question, path) {
+  const { options = [], correctAnswers = [] } = question;
+  const missing = (...fields) => fields
+    .filter(field => question[field] === undefined)
+    .map(field => `${path}.${field} is required for ${typeOf(question)} questions`);
+
+  switch (typeOf(question)) {
+    case 'mcq':
+      return [
+        ...missing('options', 'correctAnswer'),
+        ...(options.length === 4 ? [] : [`${path}.options must have exactly 4 items`]),
+        ...(question.correctAnswer === undefined || options.includes(question.correctAnswer) ? [] : [`${path}.correctAnswer must be one of its options`])
+      ];
+    case 'multi-select':
+      return [
+        ...missing('options', 'correctAnswers'),
+        ...(options.length >= 4 ? [] : [`${path}.options must have at least 4 items`]),
+        ...(correctAnswers.length >= 2 && correctAnswers.length < options.length ? [] : [`${path}.correctAnswers must have at least 2 items and fewer than the options`]),
+        ...(correctAnswers.every(answer => options.includes(answer)) ? [] : [`${path}.correctAnswers must all be among its options`])
+      ];
+    case 'true-false':
+      return ['True', 'False'].includes(question.correctAnswer) ? [] : [`${path}.correctAnswer must be "True" or "False"`];
+    case 'fill-blank':
+      return [
+        ...missing('acceptedAnswers'),
+        ...(question.question.split(BLANK).length === 2 ? [] : [`${path}.question must contain exactly one ${BLANK} blank`])
+      ];
+    case 'ordering':
+      return [
+        ...missing('items'),
+        ...(new Set(question.items || []).size === (question.items || []).length ? [] : [`${path}.items must be distinct`])
+      ];
+    case 'numeric':
+      return missing('correctValue', 'tolerance');
+    case 'short-answer':
+      return missing('rubric', 'sampleAnswer');
+    default:
+      return [];
+  }
+}
+
+/**
+ * Problems with generated questions a schema cannot express
+ * @param {Array<Object>} questions - Questions that matched QUESTION_LIST_SCHEMA
+ * @param {Array<string>} types - Types that were asked for
+ * @returns {Array<string>} Questions of other types or with inconsistent answers
+ */
+function checkQuestions(questions, types) {
+  return questions.flatMap((question, i) => (types.includes(typeOf(question))
+    ? checkQuestion(question, `$[${i}]`)
+    : [`$[${i}].type must be one of: ${types.join(', ')}`]));
+}
+
+/**
+ * Questions with their type filled in and options set for true/false
+ * @param {Array<Object>} questions - Checked questions
+ * @returns {Array<Object>} Questions ready for the client
+ */
+function normalizeQuestions(questions) {
+  return questions.map(question => {
+    const type = typeOf(question);
+    return type === 'true-false'
+      ? { ...question, type, options: ['True', 'False'] }
+      : { ...question, type };
+  });
+}
+
+/**
+ * Prompt section describing the requested question types
+ * @param {Array<string>} types - Types to describe
+ * @returns {string} One rule and JSON example per type
+ */
+function describeQuestionTypes(types) {
+  return types
+    .map(type => `- "${type}": ${FORMATS[type].rule}\n  ${JSON.stringify(FORMATS[type].example)}`)
+    .join('\n');
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  RUBRIC_SCHEMA,
+  QUESTION_LIST_SCHEMA,
+  checkQuestions,
+  normalizeQuestions,
+  describeQuestionTypes
+};
@@ -5,7 +5,19 @@
 
 const embeddingService = require('./embeddingService');
 const groqService = require('./groqService');
+const llmService = require('./llmService');
 const contextProcessor = require('./contextProcessor');
+const conversationMemory = require('./conversationMemory');
+const groundingService = require('./groundingService');
+const answerCache = require('./answerCache');
+const { validateLearnerProfile } = require('./learnerProfile');
+const answerModes = require('./answerModes');
+const { toRAGError } = require('./errors');
+const metrics = require('./metrics');
+const log = require('./logger').child({ component: 'ragService' });
+
+// Chunks retrieved per question unless the request asks for a different k
+const DEFAULT_RETRIEVAL_K = parseInt(process.env.RETRIEVAL_K, 10) || 4;
 
 class RAGService {
   constructor() {
@@ -19,20 +31,20 @@ class RAGService {
     if (this.isInitialized) return;
 
     try {
-      console.log('Initializing RAG service...');
+      log.info('Initializing RAG service');
       
       // Initialize embedding service
       await embeddingService.initialize();
       
-      // Initialize Groq service
+      // Check that a language model provider is configured
       groqService.initialize();
       
       this.isInitialized = true;
-      console.log('RAG service initialized successfully');
+      log.info('RAG service initialized');
       
     } catch (error) {
-      console.error('Error initializing RAG service:', error);
-      throw new Error('Failed to initialize RAG service');
+      log.error('Error initializing RAG service', { error });
+      throw toRAGError(error);
     }
   }
 
@@ -43,70 +55,252 @@ class RAGService {
    * @param {string} payload.context - Full context from user documents and flashcards
    * @param {Array} payload.weakConcepts - Array of weak concepts
    * @param {Array} payload.Stats - [areasOfDifficulty, learningProgress]
+   * @param {Object} payload.learnerProfile - Optional structured profile (see learnerProfile); preferred over Stats in the prompt
+   * @param {string} payload.userId - Optional user ID for the persistent vector store
+   * @param {Array} payload.history - Optional prior turns [{ role, content }], oldest first
+   * @param {string} payload.provider - Optional preferred LLM provider (see llmService)
+   * @param {Object} payload.retrieval - Optional { k, minScore, rerank } retrieval settings
+   * @param {string} payload.mode - Optional answer mode: explain (default), socratic, quiz or summarize
+   * @param {string} payload.contextVersion - Optional version of the user's learning context; enables the answer cache
+   * @param {Object} options - Pipeline callbacks
+   * @param {Function} options.onProgress - Called with { stage, progress, message } as each step starts
+   * @param {Function} options.onToken - Called with each answer token; enables streaming generation
+   * @param {AbortSignal} options.signal - Aborts generation when the caller goes away
+   * @param {string} options.requestId - Request id added to every log entry
    * @returns {Object} Generated response
    */
-  async generateResponse(payload) {
+  async generateResponse(payload, options = {}) {
+    const requestLog = log.child({ requestId: options.requestId });
+    const endRequestTimer = metrics.startTimer('grasphopper_rag_request_duration_seconds');
+    const stages = {};
+    const timeStage = (stage) => {
+      const endTimer = metrics.startTimer('grasphopper_rag_stage_duration_seconds', { stage });
+      return () => { stages[stage] = endTimer(); };
+    };
+    const finish = (outcome, fields = {}) => {
+      metrics.inc('grasphopper_rag_requests_total', { outcome });
+      requestLog.info('RAG pipeline finished', { outcome, durationMs: endRequestTimer(), stages, ...fields });
+    };
+
     try {
       if (!this.isInitialized) {
         await this.initialize();
       }
 
-      console.log('Starting RAG pipeline...');
       const startTime = Date.now();
+      const reportProgress = (stage, progress, message) => {
+        if (typeof options.onProgress === 'function') {
+          options.onProgress({ stage, progress, message });
+        }
+      };
+
+      const { question, context, weakConcepts, Stats, learnerProfile, userId, provider, mode } = payload;
+      const retrieval = payload.retrieval || {};
+
+      requestLog.debug('Starting RAG pipeline', {
+        question,
+        mode: mode || answerModes.DEFAULT_MODE,
+        provider,
+        retrieval,
+        contextChars: context.length,
+        historyTurns: payload.history?.length || 0,
+        hasLearnerProfile: Boolean(learnerProfile)
+      });
+
+      // Step 0: Fit conversation history into the budget and resolve follow-ups
+      const history = conversationMemory.prepareHistory(payload.history);
+      let retrievalQuery = question;
+      if (history.turns.length > 0) {
+        reportProgress('rewrite', 35, 'Understanding your follow-up...');
+        const endRewrite = timeStage('rewrite');
+        try {
+          retrievalQuery = await groqService.rewriteQuestion(question, history.turns, {
+            provider,
+            signal: options.signal,
+            requestId: options.requestId
+          });
+        } catch (error) {
+          requestLog.warn('Error rewriting question, using fallback query', { error });
+          retrievalQuery = conversationMemory.buildFallbackQuery(question, history.turns);
+        }
+        endRewrite();
+        requestLog.debug('Retrieval query resolved', { retrievalQuery });
+      }
 
-      const { question, context, weakConcepts, Stats } = payload;
+      // Reuse the answer to a near-identical earlier question on the same materials
+      const cacheKey = this.getCacheKey(payload, history);
+      let questionEmbedding = null;
+      if (cacheKey) {
+        const endCache = timeStage('cache');
+        questionEmbedding = await embeddingService.embed(question, { signal: options.signal });
+        const hit = answerCache.lookup(cacheKey, questionEmbedding, (a, b) => embeddingService.cosineSimilarity(a, b));
+        endCache();
+
+        if (hit) {
+          finish('cached', { similarity: Number(hit.similarity.toFixed(4)) });
+          return {
+            ...hit.response,
+            cached: true,
+            cachedAt: new Date(hit.createdAt).toISOString(),
+            cachedQuestion: hit.question,
+            processingTime: Date.now() - startTime
+          };
+        }
+      }
 
-      // Step 1: Get most relevant context using semantic similarity
-      console.log('Step 1: Finding relevant context...');
-      const relevantContext = await embeddingService.getRelevantContext(
+      // Step 1: Get most relevant context using hybrid semantic + keyword search
+      reportProgress('retrieval', 40, 'Finding relevant context...');
+      const retrievalTimings = {};
+      const retrievedChunks = await embeddingService.retrieveChunks(
         context, 
-        question, 
-        4 // Top 4 results as requested
+        retrievalQuery, 
+        retrieval.k || DEFAULT_RETRIEVAL_K,
+        {
+          userId,
+          minScore: retrieval.minScore,
+          rerank: retrieval.rerank,
+          queryEmbedding: retrievalQuery === question ? questionEmbedding : null,
+          signal: options.signal,
+          timings: retrievalTimings
+        }
       );
+      Object.entries(retrievalTimings).forEach(([stage, ms]) => {
+        metrics.observe('grasphopper_rag_stage_duration_seconds', { stage }, ms / 1000);
+        stages[stage] = ms;
+      });
+
+      // Answer honestly instead of generating when there is nothing to answer from, or
+      // when the materials do not cover the question
+      if (groundingService.isEnabled() &&
+          (groundingService.isEmptyRetrieval(retrievedChunks) || groundingService.isLowRelevance(retrievedChunks))) {
+        const response = groundingService.buildNotInMaterialsResponse(question, retrievedChunks);
+        finish('not_in_materials', { bestRetrievalScore: response.grounding.bestRetrievalScore });
+        return {
+          ...response,
+          mode,
+          processingTime: Date.now() - startTime,
+          contextLength: 0,
+          originalContextLength: context.length,
+          relevantSections: 0
+        };
+      }
 
-      // Step 2: Create the final payload for Groq
+      // Step 2: Create the final payload for Groq (it fits the chunks to the model's context window)
       const groqPayload = {
         question,
-        context: relevantContext,
+        chunks: retrievedChunks,
         weakConcepts,
-        Stats
+        Stats,
+        learnerProfile,
+        history,
+        mode
       };
 
-      console.log('=== RAG PIPELINE PAYLOAD ===');
-      console.log('Question:', question);
-      console.log('Context length:', relevantContext.length, 'characters');
-      console.log('Weak concepts:', weakConcepts);
-      console.log('Stats arrays:', Stats.map(arr => `[${arr.length} items]`));
-      console.log('=== END OF PAYLOAD ===');
+      requestLog.debug('RAG pipeline payload', {
+        question,
+        mode: mode || answerModes.DEFAULT_MODE,
+        chunkIds: retrievedChunks.map(chunk => chunk.id),
+        weakConcepts,
+        historyTurns: history.turns.length,
+        historySummarized: Boolean(history.summary),
+        learnerProfile: learnerProfile || undefined,
+        Stats: learnerProfile ? undefined : Stats
+      });
 
-      console.log('Step 2: Generating response with Groq...');
+      reportProgress('generation', 60, 'Generating answer...');
       
-      // Step 3: Generate response using Groq API
-      const response = await groqService.generateResponse(groqPayload);
+      // Step 3: Generate response through the LLM provider chain
+      const endGeneration = timeStage('generation');
+      const response = await groqService.generateResponse(groqPayload, {
+        onToken: options.onToken,
+        signal: options.signal,
+        provider,
+        requestId: options.requestId
+      });
+      endGeneration();
+
+      // Only the chunks that fit the prompt were seen by the model
+      const promptChunks = retrievedChunks.filter(chunk => response.usage.chunkIds.includes(chunk.id));
+      const contextLength = promptChunks.reduce((total, chunk) => total + chunk.text.length, 0);
+
+      // Step 4: Check each answer sentence against the retrieved chunks (quiz
+      // questions are already tied to their source excerpts)
+      if (groundingService.isEnabled() && response.mode !== 'quiz') {
+        reportProgress('verification', 90, 'Checking the answer against your materials...');
+        const endVerification = timeStage('verification');
+        try {
+          response.grounding = await groundingService.verify(response.answer, promptChunks, { signal: options.signal });
+        } catch (error) {
+          if (error.code === 'CANCELLED') throw error;
+          requestLog.warn('Error checking answer grounding', { error });
+          response.grounding = null;
+        }
+        endVerification();
+      }
 
       const processingTime = Date.now() - startTime;
 
-      console.log('=== RAG PIPELINE COMPLETED ===');
-      console.log(`Processing time: ${processingTime}ms`);
-      console.log(`Context reduction: ${context.length} → ${relevantContext.length} characters`);
-      console.log(`Response source: ${response.source || 'RAG_SYSTEM'}`);
-      console.log(`Model used: ${response.model || 'Unknown'}`);
-      console.log('=== END OF RAG PIPELINE ===');
-
-      return {
+      finish('answered', {
+        provider: response.provider,
+        model: response.model,
+        mode: response.mode,
+        promptTokens: response.usage.promptTokens,
+        completionTokens: response.usage.completionTokens,
+        tokensEstimated: response.usage.estimated,
+        contextChars: context.length,
+        promptContextChars: contextLength,
+        chunksUsed: promptChunks.length,
+        chunksDropped: response.usage.droppedChunkIds.length,
+        groundedness: response.grounding?.score ?? null
+      });
+
+      const result = {
         ...response,
         processingTime,
-        contextLength: relevantContext.length,
+        contextLength,
         originalContextLength: context.length,
-        relevantSections: 4
+        relevantSections: promptChunks.length
       };
 
+      if (cacheKey) {
+        answerCache.store(cacheKey, question, questionEmbedding, result);
+      }
+
+      return { ...result, cached: false };
+
     } catch (error) {
-      console.error('Error in RAG pipeline:', error);
-      throw new Error(`RAG pipeline failed: ${error.message}`);
+      const failure = toRAGError(error);
+      if (failure.code === 'CANCELLED') {
+        finish('cancelled');
+      } else {
+        finish('failed', { code: failure.code, error });
+      }
+      throw failure;
     }
   }
 
+  /**
+   * Answer cache key for a request, or null if the answer should not be cached.
+   * Follow-ups depend on the conversation and quizzes should differ each time,
+   * so only standalone, non-quiz questions with a known context version are cached.
+   * @param {Object} payload - RAG payload
+   * @param {Object} history - Prepared conversation history
+   * @returns {Object|null} { userId, contextVersion, variant }
+   */
+  getCacheKey(payload, history) {
+    const mode = payload.mode || answerModes.DEFAULT_MODE;
+
+    if (!answerCache.isEnabled() || !payload.userId || !payload.contextVersion) return null;
+    if (history.turns.length > 0 || mode === 'quiz') return null;
+
+    return {
+      userId: payload.userId,
+      contextVersion: payload.contextVersion,
+      // Options that change the answer must match too
+      variant: JSON.stringify({ mode, provider: payload.provider || null, retrieval: payload.retrieval || {} })
+    };
+  }
+
   /**
    * Process raw context and prepare it for RAG
    * @param {string} rawContext - Raw context from user documents
@@ -115,7 +309,7 @@ class RAGService {
    */
   async processContext(rawContext, weakConcepts = []) {
     try {
-      console.log('Processing raw context for RAG...');
+      log.debug('Processing raw context for RAG');
       
       // Use context processor to extract stats and format data
       const processedData = await contextProcessor.processContext(rawContext, weakConcepts);
@@ -123,8 +317,8 @@ class RAGService {
       return processedData;
 
     } catch (error) {
-      console.error('Error processing context:', error);
-      throw new Error('Failed to process context');
+      log.error('Error processing context', { error });
+      throw toRAGError(error, 'CONTEXT_PROCESSING_FAILED');
     }
   }
 
@@ -136,7 +330,7 @@ class RAGService {
    */
   async testPipeline(testQuestion = "What is machine learning?", testContext = "Machine learning is a subset of artificial intelligence that enables computers to learn and make decisions from data without being explicitly programmed.") {
     try {
-      console.log('Testing RAG pipeline...');
+      log.info('Testing RAG pipeline');
 
       const testPayload = {
         question: testQuestion,
@@ -158,7 +352,7 @@ class RAGService {
       };
 
     } catch (error) {
-      console.error('RAG pipeline test failed:', error);
+      log.error('RAG pipeline test failed', { error });
       return {
         success: false,
         error: error.message
@@ -167,33 +361,35 @@ class RAGService {
   }
 
   /**
-   * Get service status
+   * Get service status. Reports provider configuration and recent outcomes
+   * without calling any language model API.
    * @returns {Object} Service status
    */
   async getStatus() {
     try {
       const embeddingStatus = embeddingService.isInitialized;
       const groqStatus = groqService.isInitialized;
-      
-      // Test Groq connection
-      const groqTest = await groqService.testConnection();
+      const providers = llmService.getStatus();
 
       return {
         ragService: this.isInitialized,
         embeddingService: embeddingStatus,
         groqService: groqStatus,
-        groqConnection: groqTest.success,
-        groqModel: groqTest.model,
+        embeddingModel: embeddingService.getModelInfo(),
+        embeddingPool: embeddingService.pool ? embeddingService.pool.getStats() : null,
+        answerCache: answerCache.getStats(),
+        llmProviders: providers,
+        llmConfigured: providers.some(provider => provider.configured),
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      console.error('Error getting service status:', error);
+      log.error('Error getting service status', { error });
       return {
         ragService: this.isInitialized,
         embeddingService: false,
         groqService: false,
-        groqConnection: false,
+        llmConfigured: false,
         error: error.message,
         timestamp: new Date().toISOString()
       };
@@ -225,6 +421,22 @@ class RAGService {
       errors.push('WeakConcepts must be an array');
     }
 
+    if (payload.history && !Array.isArray(payload.history)) {
+      errors.push('History must be an array of { role, content } messages');
+    }
+
+    if (payload.retrieval !== undefined) {
+      errors.push(...this.validateRetrieval(payload.retrieval));
+    }
+
+    if (payload.mode !== undefined && !answerModes.isValidMode(payload.mode)) {
+      errors.push(`Mode must be one of: ${Object.keys(answerModes.MODES).join(', ')}`);
+    }
+
+    if (payload.learnerProfile !== undefined) {
+      errors.push(...validateLearnerProfile(payload.learnerProfile));
+    }
+
     if (payload.Stats) {
       if (!Array.isArray(payload.Stats)) {
         errors.push('Stats must be an array');
@@ -246,17 +458,43 @@ class RAGService {
     };
   }
 
+  /**
+   * Validate per-request retrieval settings
+   * @param {Object} retrieval - { k, minScore, rerank }
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validateRetrieval(retrieval) {
+    if (!retrieval || typeof retrieval !== 'object' || Array.isArray(retrieval)) {
+      return ['retrieval must be an object'];
+    }
+
+    const errors = [];
+    const { k, minScore, rerank } = retrieval;
+
+    if (k !== undefined && (!Number.isInteger(k) || k < 1 || k > 20)) {
+      errors.push('retrieval.k must be an integer between 1 and 20');
+    }
+    if (minScore !== undefined && (typeof minScore !== 'number' || minScore < -1 || minScore > 1)) {
+      errors.push('retrieval.minScore must be a number between -1 and 1');
+    }
+    if (rerank !== undefined && typeof rerank !== 'boolean') {
+      errors.push('retrieval.rerank must be a boolean');
+    }
+
+    return errors;
+  }
+
   /**
    * Clean up resources
    */
   async cleanup() {
     try {
-      console.log('Cleaning up RAG service...');
-      // Add any cleanup logic here if needed
+      log.info('Cleaning up RAG service');
+      embeddingService.shutdown();
       this.isInitialized = false;
-      console.log('RAG service cleanup completed');
+      log.info('RAG service cleanup completed');
     } catch (error) {
-      console.error('Error during RAG service cleanup:', error);
+      log.error('Error during RAG service cleanup', { error });
     }
   }
 }
@@ -0,0 +1,169 @@
+/**
+ * Reranker Service
+ * Optional local cross-encoder that rescores (query, chunk) pairs using Transformers.js.
+ * The model is loaded on first use, on its own worker thread, so servers that never
+ * rerank do not load Transformers.js and scoring never blocks the Express event loop.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { getModelSettings, describeLoadFailure } = require('./modelConfig');
+const log = require('./logger').child({ component: 'reranker' });
+
+const WORKER_SCRIPT = path.join(__dirname, '..', 'workers', 'rerankerWorker.js');
+
+// Wait before loading the model again after a failure, doubling with each failure
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+class RerankerService {
+  constructor() {
+    this.modelName = getModelSettings().rerankerModel;
+    this.worker = null;
+    this.starting = null;
+    this.tasks = new Map();
+    this.nextTaskId = 1;
+    this.failures = 0;
+    this.retryAt = 0;
+  }
+
+  /**
+   * Whether reranking is on by default (RERANKER_ENABLED=true)
+   * @returns {boolean} True if enabled by configuration
+   */
+  isEnabled() {
+    return process.env.RERANKER_ENABLED === 'true';
+  }
+
+  /**
+   * Start the worker and wait for the cross-encoder to load. A failed load is
+   * retried on a later call once its backoff has passed.
+   * @returns {Promise<boolean>} True if the model is ready
+   */
+  async initialize() {
+    if (!this.starting) {
+      if (Date.now() < this.retryAt) return false;
+
+      const settings = getModelSettings();
+      this.modelName = settings.rerankerModel;
+      log.info('Initializing reranker model', { model: this.modelName });
+
+      this.starting = this.spawnWorker(settings)
+        .then(() => {
+          this.failures = 0;
+          log.info('Reranker model initialized', { model: this.modelName });
+        })
+        .catch(error => {
+          this.starting = null;
+          this.failures++;
+          const retryInMs = Math.min(RETRY_BASE_MS * 2 ** (this.failures - 1), RETRY_MAX_MS);
+          this.retryAt = Date.now() + retryInMs;
+
+          // Reranking is an optional refinement; retrieval continues without it
+          log.error('Error initializing reranker, continuing without reranking', {
+            model: this.modelName,
+            reason: describeLoadFailure(this.modelName, settings, error),
+            retryInMs
+          });
+          throw error;
+        });
+    }
+
+    try {
+      await this.starting;
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Start the worker thread
+   * @param {Object} settings - Model settings from getModelSettings()
+   * @returns {Promise<void>} Resolves once the worker has loaded the model
+   */
+  spawnWorker(settings) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_SCRIPT, { workerData: settings });
+      let ready = false;
+      this.worker = worker;
+
+      worker.on('message', (message) => {
+        if (message.type === 'ready') {
+          ready = true;
+          resolve();
+        } else if (message.type === 'failed') {
+          reject(new Error(message.error));
+          worker.terminate();
+        } else if (message.type === 'result') {
+          this.finishTask(message);
+        }
+      });
+
+      worker.on('error', (error) => {
+        log.error('Reranker worker crashed', { error });
+        if (!ready) reject(error);
+      });
+
+      worker.on('exit', (code) => {
+        if (!ready) reject(new Error(`Reranker worker exited with code ${code} while loading`));
+
+        // The next score call starts a new worker
+        if (this.worker === worker) {
+          this.worker = null;
+          this.starting = null;
+        }
+
+        this.tasks.forEach(task => task.reject(new Error(`Reranker worker exited with code ${code}`)));
+        this.tasks.clear();
+      });
+    });
+  }
+
+  finishTask(message) {
+    const task = this.tasks.get(message.id);
+    if (!task) return;
+
+    this.tasks.delete(message.id);
+    if (message.error) {
+      task.reject(new Error(message.error));
+    } else {
+      task.resolve(message.scores);
+    }
+  }
+
+  /**
+   * Score how well each text answers the query
+   * @param {string} query - Query text
+   * @param {Array<string>} texts - Candidate texts
+   * @returns {Promise<Array<number>|null>} Relevance probability per text, or null if unavailable
+   */
+  async score(query, texts) {
+    if (texts.length === 0 || !(await this.initialize())) return null;
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const id = this.nextTaskId++;
+        this.tasks.set(id, { resolve, reject });
+        this.worker.postMessage({ id, query, texts });
+      });
+    } catch (error) {
+      log.error('Error reranking chunks', { error });
+      return null;
+    }
+  }
+
+  /**
+   * Stop the worker thread
+   */
+  shutdown() {
+    if (this.worker) {
+      this.worker.terminate();
+    }
+  }
+}
+
+// Create singleton instance
+const reranker = new RerankerService();
+
+module.exports = reranker;
@@ -0,0 +1,135 @@
+/**
+ * Usage Limiter
+ * Per-user limits on content generation: a sliding-window rate limit that
+ * absorbs bursts, and a daily quota (reset at midnight UTC) that caps spend.
+ * Each generator has a cost in quota units, so a podcast counts for more than
+ * a set of flashcards.
+ *
+ * Counts are kept in memory per server instance: a restart resets every user's
+ * quota, and with several instances each one enforces the limits separately.
+ *
+ * Environment:
+ *   GENERATION_RATE_LIMIT      Requests per window per user (default 20)
+ *   GENERATION_RATE_WINDOW_MS  Window length (default 60000)
+ *   GENERATION_DAILY_QUOTA     Quota units per user per day (default 300; 0 disables)
+ */
+
+const { RAGError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class UsageLimiter {
+  constructor() {
+    // userId -> { requests: [timestamps], day: 'YYYY-MM-DD', used: units }
+    this.users = new Map();
+  }
+
+  /**
+   * Limits from the environment, read on every call so they can change without a restart
+   * @returns {Object} { rateLimit, windowMs, dailyQuota } where a dailyQuota of 0 disables the quota
+   */
+  getSettings() {
+    return {
+      rateLimit: parseInt(process.env.GENERATION_RATE_LIMIT, 10) || 20,
+      windowMs: parseInt(process.env.GENERATION_RATE_WINDOW_MS, 10) || 60000,
+      dailyQuota: process.env.GENERATION_DAILY_QUOTA !== undefined
+        ? parseInt(process.env.GENERATION_DAILY_QUOTA, 10) || 0
+        : 300
+    };
+  }
+
+  /**
+   * A user's usage record, created on first use, with today's quota and the
+   * current rate window (older requests are dropped)
+   * @param {string} userId - Authenticated user ID
+   * @param {number} now - Current time (default Date.now())
+   * @returns {Object} { requests: [timestamps], day: 'YYYY-MM-DD', used: units }
+   */
+  getUsage(userId, now = Date.now()) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    let usage = this.users.get(userId);
+
+    if (!usage) {
+      usage = { requests: [], day, used: 0 };
+      this.users.set(userId, usage);
+    }
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.used = 0;
+    }
+
+    const { windowMs } = this.getSettings();
+    usage.requests = usage.requests.filter(time => now - time < windowMs);
+    return usage;
+  }
+
+  /**
+   * Record a generation request, or refuse it when a limit is reached
+   * @param {string} userId - Authenticated user ID
+   * @param {number} cost - Quota units the request uses
+   * @returns {Object} Usage after the request (see getStatus)
+   * @throws {RAGError} RATE_LIMITED or QUOTA_EXCEEDED, with `retryAfterSeconds`
+   */
+  consume(userId, cost = 1) {
+    const now = Date.now();
+    const { rateLimit, windowMs, dailyQuota } = this.getSettings();
+    const usage = this.getUsage(userId, now);
+
+    if (usage.requests.length >= rateLimit) {
+      const error = new RAGError('RATE_LIMITED', `At most ${rateLimit} generation requests are allowed per ${Math.round(windowMs / 1000)} seconds`);
+      error.retryAfterSeconds = Math.ceil((usage.requests[0] + windowMs - now) / 1000);
+      throw error;
+    }
+
+    if (dailyQuota > 0 && usage.used + cost > dailyQuota) {
+      const error = new RAGError('QUOTA_EXCEEDED', `Daily generation quota of ${dailyQuota} units reached; it resets at midnight UTC`);
+      error.retryAfterSeconds = Math.ceil((Math.ceil(now / DAY_MS) * DAY_MS - now) / 1000);
+      throw error;
+    }
+
+    usage.requests.push(now);
+    usage.used += cost;
+    this.prune(now);
+    return this.getStatus(userId);
+  }
+
+  /**
+   * Current limits and remaining allowance for a user
+   * @param {string} userId - Authenticated user ID
+   * @returns {Object} { rateLimit, rateRemaining, dailyQuota, quotaUsed, quotaRemaining }
+   *   where quotaRemaining is null when the quota is disabled
+   */
+  getStatus(userId) {
+    const { rateLimit, dailyQuota } = this.getSettings();
+    const usage = this.getUsage(userId);
+
+    return {
+      rateLimit,
+      rateRemaining: Math.max(0, rateLimit - usage.requests.length),
+      dailyQuota,
+      quotaUsed: usage.used,
+      quotaRemaining: dailyQuota > 0 ? Math.max(0, dailyQuota - usage.used) : null
+    };
+  }
+
+  /**
+   * Forget users with nothing left to track (no recent requests, no usage today)
+   * @param {number} now - Current time
+   */
+  prune(now) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    const { windowMs } = this.getSettings();
+
+    for (const [userId, usage] of this.users) {
+      const active = usage.requests.some(time => now - time < windowMs);
+      if (!active && (usage.day !== day || usage.used === 0)) {
+        this.users.delete(userId);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const usageLimiter = new UsageLimiter();
+
+module.exports = usageLimiter;
@@ -0,0 +1,328 @@
+/**
+ * Vector Store Service
+ * Persists per-user chunk embeddings to local disk, keyed by content hash,
+ * so unchanged chunks are never embedded twice. Each index records the model
+ * that produced its vectors; switching models re-indexes instead of mixing
+ * incompatible vectors. Decoded indexes stay in memory until unused for a TTL,
+ * least recently used first beyond a maximum number of users; evicted indexes
+ * are read back from disk on the next request. The BM25 keyword index over the
+ * same chunks is kept alongside in memory and rebuilt only when they change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const metrics = require('./metrics');
+const hybridSearch = require('./hybridSearch');
+const log = require('./logger').child({ component: 'vectorStore' });
+
+const STORE_VERSION = 2;
+
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_CACHE_MAX_USERS = 100;
+
+class VectorStore {
+  constructor() {
+    this.baseDir = process.env.VECTOR_STORE_DIR || path.join(__dirname, '..', 'data', 'vectors');
+    this.cacheTtlMs = parseInt(process.env.VECTOR_CACHE_TTL_MS, 10) || DEFAULT_CACHE_TTL_MS;
+    this.cacheMaxUsers = parseInt(process.env.VECTOR_CACHE_MAX_USERS, 10) || DEFAULT_CACHE_MAX_USERS;
+    // userId -> { model, entries, lexical, lastUsedAt }, least recently used first
+    this.indexes = new Map();
+    this.writeCount = 0;
+    // Tail of the pending sync/save chain for each user
+    this.pending = new Map();
+  }
+
+  /**
+   * Run a step after the earlier syncs and saves for the same user, so two
+   * requests cannot prune or write the same index at once
+   * @param {string} userId - User ID
+   * @param {Function} step - async () => result
+   * @returns {Promise<*>} Result of the step
+   */
+  serialize(userId, step) {
+    const previous = this.pending.get(userId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(step);
+    this.pending.set(userId, next);
+
+    const settle = () => {
+      if (this.pending.get(userId) === next) this.pending.delete(userId);
+    };
+    next.then(settle, settle);
+    return next;
+  }
+
+  /**
+   * Hash chunk content to a stable key
+   * @param {string} text - Chunk text
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashContent(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  /**
+   * Resolve the index file for a user
+   * @param {string} userId - User ID
+   * @returns {string} Absolute file path
+   */
+  getIndexPath(userId) {
+    const safeId = String(userId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.baseDir, `${safeId}.json`);
+  }
+
+  /**
+   * Load a user's index from memory or disk. An index built by a different
+   * model (or an older store version) is discarded so it gets rebuilt.
+   * @param {string} userId - User ID
+   * @param {Object} model - Current embedding model { id, quantized, dimension }
+   * @returns {Promise<Map>} Map of content hash to stored entry
+   */
+  async load(userId, model) {
+    const cached = this.getCachedIndex(userId);
+    if (cached && isSameModel(cached.model, model)) {
+      return cached.entries;
+    }
+
+    const entries = new Map();
+
+    try {
+      const raw = await fs.promises.readFile(this.getIndexPath(userId), 'utf8');
+      const data = JSON.parse(raw);
+
+      if (data.version === STORE_VERSION && isSameModel(data.model, model) && Array.isArray(data.entries)) {
+        data.entries.forEach(entry => {
+          const embedding = decodeVector(entry.embedding);
+          if (embedding.length !== model.dimension) return;
+
+          entries.set(entry.hash, {
+            hash: entry.hash,
+            text: entry.text,
+            metadata: entry.metadata || {},
+            embedding
+          });
+        });
+      } else {
+        const previous = data.model ? data.model.id : `store version ${data.version}`;
+        log.info('Vector index was built with another model; re-indexing', { userId, previous, model: model.id });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Error loading vector index', { userId, error });
+      }
+    }
+
+    this.indexes.delete(userId);
+    this.indexes.set(userId, { model, entries, lastUsedAt: Date.now() });
+    this.evict();
+    return entries;
+  }
+
+  /**
+   * Get a user's index from memory, marking it most recently used
+   * @param {string} userId - User ID
+   * @returns {Object|null} { model, entries, lastUsedAt }, or null when not cached or expired
+   */
+  getCachedIndex(userId) {
+    const now = Date.now();
+    const cached = this.indexes.get(userId);
+    this.indexes.delete(userId);
+
+    if (!cached || now - cached.lastUsedAt >= this.cacheTtlMs) return null;
+    cached.lastUsedAt = now;
+    this.indexes.set(userId, cached);
+    return cached;
+  }
+
+  /**
+   * Drop expired indexes, and the least recently used beyond the user limit.
+   * Users with a sync or save in flight keep theirs until it is written.
+   */
+  evict() {
+    const now = Date.now();
+    for (const [cachedUserId, cached] of this.indexes) {
+      if (this.indexes.size <= this.cacheMaxUsers && now - cached.lastUsedAt < this.cacheTtlMs) break;
+      if (!this.pending.has(cachedUserId)) this.indexes.delete(cachedUserId);
+    }
+  }
+
+  /**
+   * Write a user's index to disk atomically
+   * @param {string} userId - User ID
+   */
+  async save(userId) {
+    return this.serialize(userId, () => this.writeIndex(userId));
+  }
+
+  /**
+   * Write a user's index; callers must hold the user's turn in `serialize`
+   * @param {string} userId - User ID
+   */
+  async writeIndex(userId) {
+    const index = this.indexes.get(userId);
+    if (!index) return;
+
+    const filePath = this.getIndexPath(userId);
+    // Unique per write: two renames of the same temporary file would race
+    const tmpPath = `${filePath}.${process.pid}.${++this.writeCount}.tmp`;
+
+    const data = {
+      version: STORE_VERSION,
+      updatedAt: new Date().toISOString(),
+      model: index.model,
+      entries: Array.from(index.entries.values()).map(entry => ({
+        hash: entry.hash,
+        text: entry.text,
+        metadata: entry.metadata,
+        embedding: encodeVector(entry.embedding)
+      }))
+    };
+
+    await fs.promises.mkdir(this.baseDir, { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Attach embeddings to chunks, embedding only content not already stored.
+   * Entries whose content no longer appears in the user's context are pruned.
+   * @param {string} userId - User ID
+   * @param {Array<Object>} chunks - Chunks from embeddingService.splitText
+   * @param {Function} embedBatch - Async function mapping texts to vectors
+   * @param {Object} model - Embedding model { id, quantized, dimension } from embeddingService.getModelInfo
+   * @returns {Promise<Array<Object>>} Chunks with an `embedding` property
+   */
+  async syncChunks(userId, chunks, embedBatch, model) {
+    return this.serialize(userId, () => this.syncIndex(userId, chunks, embedBatch, model));
+  }
+
+  /**
+   * Body of syncChunks, run in the user's turn
+   * @param {string} userId - User ID
+   * @param {Array<Object>} chunks - Chunks from embeddingService.splitText
+   * @param {Function} embedBatch - Async function mapping texts to vectors
+   * @param {Object} model - Embedding model
+   * @returns {Promise<Array<Object>>} Chunks with an `embedding` property
+   */
+  async syncIndex(userId, chunks, embedBatch, model) {
+    const entries = await this.load(userId, model);
+    const seen = new Set();
+    const missing = [];
+
+    chunks.forEach(chunk => {
+      const hash = this.hashContent(chunk.text);
+      chunk.hash = hash;
+      seen.add(hash);
+
+      const entry = entries.get(hash);
+      if (entry) {
+        chunk.embedding = Array.from(entry.embedding);
+      } else {
+        missing.push(chunk);
+      }
+    });
+
+    if (missing.length > 0) {
+      const embeddings = await embedBatch(missing.map(chunk => chunk.text));
+      missing.forEach((chunk, i) => {
+        chunk.embedding = embeddings[i];
+        entries.set(chunk.hash, {
+          hash: chunk.hash,
+          text: chunk.text,
+          metadata: chunk.metadata,
+          embedding: Float32Array.from(embeddings[i])
+        });
+      });
+    }
+
+    let pruned = 0;
+    for (const hash of entries.keys()) {
+      if (!seen.has(hash)) {
+        entries.delete(hash);
+        pruned++;
+      }
+    }
+
+    if (missing.length > 0 || pruned > 0) {
+      await this.writeIndex(userId);
+    }
+
+    const cached = chunks.length - missing.length;
+    metrics.inc('grasphopper_cache_lookups_total', { cache: 'embedding', result: 'hit' }, cached);
+    metrics.inc('grasphopper_cache_lookups_total', { cache: 'embedding', result: 'miss' }, missing.length);
+    log.debug('Synced vector store', { userId, cached, embedded: missing.length, pruned });
+    return chunks;
+  }
+
+  /**
+   * BM25 index over a user's chunks, reused while the chunks stay the same
+   * @param {string} userId - User ID
+   * @param {Array<Object>} chunks - Chunks returned by syncChunks (with `hash`)
+   * @returns {Object} Index from hybridSearch.buildBM25Index, in chunk order
+   */
+  getLexicalIndex(userId, chunks) {
+    const key = this.hashContent(chunks.map(chunk => chunk.hash).join('\n'));
+    const index = this.indexes.get(userId);
+    if (index && index.lexical && index.lexical.key === key) {
+      return index.lexical.bm25;
+    }
+
+    const bm25 = hybridSearch.buildBM25Index(chunks.map(chunk => chunk.text));
+    if (index) index.lexical = { key, bm25 };
+    return bm25;
+  }
+
+  /**
+   * Remove a user's index from memory and disk
+   * @param {string} userId - User ID
+   */
+  async clear(userId) {
+    return this.serialize(userId, async () => {
+      this.indexes.delete(userId);
+
+      try {
+        await fs.promises.unlink(this.getIndexPath(userId));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    });
+  }
+}
+
+/**
+ * Whether two model descriptors produce compatible vectors
+ * @param {Object} a - { id, quantized, dimension }
+ * @param {Object} b - { id, quantized, dimension }
+ * @returns {boolean} True if vectors from one can be compared with the other
+ */
+function isSameModel(a, b) {
+  return Boolean(a && b) &&
+    a.id === b.id &&
+    a.quantized === b.quantized &&
+    a.dimension === b.dimension;
+}
+
+/**
+ * Encode a vector as base64 of its Float32 bytes
+ * @param {Float32Array} vector - Embedding vector
+ * @returns {string} Base64 string
+ */
+function encodeVector(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+}
+
+/**
+ * Decode a base64 Float32 vector
+ * @param {string} encoded - Base64 string
+ * @returns {Float32Array} Embedding vector
+ */
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  const copy = new Uint8Array(buffer).buffer;
+  return new Float32Array(copy);
+}
+
+// Create singleton instance
+const vectorStore = new VectorStore();
+
+module.exports = vectorStore;
@@ -0,0 +1,76 @@
+// Tests for reusing answers to near-identical questions
+// Run with: npm run test:backend
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const answerCache = require('../services/answerCache');
+
+const cosine = (a, b) => {
+  const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+  const norm = (v) => Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+const keyOf = (userId, contextVersion = 'v1', variant = 'explain') => ({ userId, contextVersion, variant });
+
+describe('answerCache', () => {
+  beforeEach(() => {
+    answerCache.entries.clear();
+    answerCache.threshold = 0.95;
+    answerCache.ttlMs = 60 * 1000;
+    answerCache.maxEntries = 50;
+    answerCache.maxUsers = 100;
+  });
+
+  test('returns the answer to a near-identical question and misses on a different one', () => {
+    answerCache.store(keyOf('user-1'), 'What is osmosis?', [1, 0, 0], { answer: 'Diffusion of water' });
+
+    const hit = answerCache.lookup(keyOf('user-1'), [0.99, 0.05, 0], cosine);
+    assert.equal(hit.response.answer, 'Diffusion of water');
+    assert.equal(hit.question, 'What is osmosis?');
+    assert.ok(hit.similarity >= 0.95);
+
+    assert.equal(answerCache.lookup(keyOf('user-1'), [0, 1, 0], cosine), null);
+    assert.equal(answerCache.lookup(keyOf('user-1', 'v1', 'quiz'), [1, 0, 0], cosine), null);
+    assert.equal(answerCache.lookup(keyOf('user-2'), [1, 0, 0], cosine), null);
+  });
+
+  test('drops entries once the context version changes', () => {
+    answerCache.store(keyOf('user-1', 'v1'), 'What is osmosis?', [1, 0], { answer: 'old' });
+
+    assert.equal(answerCache.lookup(keyOf('user-1', 'v2'), [1, 0], cosine), null);
+    assert.equal(answerCache.lookup(keyOf('user-1', 'v1'), [1, 0], cosine), null);
+    assert.equal(answerCache.entries.has('user-1'), false);
+  });
+
+  test('expires entries after the TTL', () => {
+    answerCache.store(keyOf('user-1'), 'What is osmosis?', [1, 0], { answer: 'Diffusion of water' });
+    answerCache.entries.get('user-1')[0].createdAt -= answerCache.ttlMs;
+
+    assert.equal(answerCache.lookup(keyOf('user-1'), [1, 0], cosine), null);
+  });
+
+  test('keeps only the most recent entries per user', () => {
+    for (let i = 0; i < 55; i++) {
+      answerCache.store(keyOf('user-1'), `Question ${i}`, [1, i], { answer: `Answer ${i}` });
+    }
+
+    const entries = answerCache.entries.get('user-1');
+    assert.equal(entries.length, 50);
+    assert.equal(entries[0].question, 'Question 5');
+    assert.equal(entries[49].question, 'Question 54');
+  });
+
+  test('evicts the least recently used user beyond the limit', () => {
+    answerCache.maxUsers = 2;
+    answerCache.store(keyOf('user-1'), 'Q1', [1, 0], { answer: 'A1' });
+    answerCache.store(keyOf('user-2'), 'Q2', [1, 0], { answer: 'A2' });
+    answerCache.lookup(keyOf('user-1'), [1, 0], cosine);
+    answerCache.store(keyOf('user-3'), 'Q3', [1, 0], { answer: 'A3' });
+
+    assert.deepEqual([...answerCache.entries.keys()], ['user-1', 'user-3']);
+    assert.equal(answerCache.getStats().users, 2);
+  });
+});
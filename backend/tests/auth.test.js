@@ -0,0 +1,112 @@
+// Tests for access token verification and request ownership
+// Run with: npm run test:backend
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.SUPABASE_JWT_SECRET = 'test-secret';
+const { requestContext } = require('../middleware/requestContext');
+const { requireAuth, verifyToken, signToken } = require('../middleware/auth');
+const ragRoutes = require('../routes/rag');
+
+const SECRET = process.env.SUPABASE_JWT_SECRET;
+
+/**
+ * Sign a token for a user that expires `expiresIn` seconds from now
+ * @param {string} sub - User ID
+ * @param {number} expiresIn - Seconds until expiry (negative for an expired token)
+ * @param {string} secret - Signing secret
+ * @returns {string} Token
+ */
+function tokenFor(sub, expiresIn = 3600, secret = SECRET) {
+  return signToken({ sub, aud: 'authenticated', exp: Math.floor(Date.now() / 1000) + expiresIn }, secret);
+}
+
+describe('verifyToken', () => {
+  test('returns the claims of a valid token', () => {
+    const claims = verifyToken(tokenFor('user-1'), SECRET, { audience: 'authenticated' });
+
+    assert.equal(claims.sub, 'user-1');
+  });
+
+  test('rejects an expired token', () => {
+    assert.throws(() => verifyToken(tokenFor('user-1', -60), SECRET), {
+      code: 'UNAUTHORIZED',
+      message: 'Access token has expired'
+    });
+  });
+
+  test('rejects a token signed with another secret', () => {
+    assert.throws(() => verifyToken(tokenFor('user-1', 3600, 'other-secret'), SECRET), {
+      code: 'UNAUTHORIZED',
+      message: 'Invalid token signature'
+    });
+  });
+
+  test('rejects a token whose claims were altered after signing', () => {
+    const [header, , signature] = tokenFor('user-1').split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'admin', aud: 'authenticated' })).toString('base64url');
+
+    assert.throws(() => verifyToken(`${header}.${forged}.${signature}`, SECRET), { code: 'UNAUTHORIZED' });
+  });
+});
+
+describe('TheHopper request routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(requestContext);
+    app.use(express.json());
+    app.use('/api', requireAuth, ragRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const request = (path, token, options = {}) => fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    }
+  });
+
+  test('requires a valid, unexpired token', async () => {
+    assert.equal((await request('/api/thehopper/status/anything')).status, 401);
+
+    const expired = await request('/api/thehopper/status/anything', tokenFor('user-1', -60));
+    assert.equal(expired.status, 401);
+    assert.equal((await expired.json()).error, 'Access token has expired');
+
+    const forged = await request('/api/thehopper/status/anything', tokenFor('user-1', 3600, 'other-secret'));
+    assert.equal(forged.status, 401);
+    assert.equal((await forged.json()).error, 'Invalid token signature');
+  });
+
+  test('answers 403 for another user\'s request and 404 for an unknown one', async () => {
+    const submitted = await request('/api/thehopper/ask', tokenFor('owner'), {
+      method: 'POST',
+      body: JSON.stringify({ question: 'What is a closure?' })
+    });
+    const { requestId } = await submitted.json();
+    assert.ok(requestId);
+
+    assert.equal((await request(`/api/thehopper/status/${requestId}`, tokenFor('owner'))).status, 200);
+
+    const forbidden = await request(`/api/thehopper/status/${requestId}`, tokenFor('someone-else'));
+    assert.equal(forbidden.status, 403);
+    assert.equal((await forbidden.json()).code, 'FORBIDDEN');
+
+    assert.equal((await request(`/api/thehopper/result/${requestId}`, tokenFor('someone-else'))).status, 403);
+    assert.equal((await request('/api/thehopper/status/no-such-request', tokenFor('owner'))).status, 404);
+  });
+});
@@ -0,0 +1,78 @@
+// Tests for the per-user learning context cache and failed listings
+// Run with: npm run test:backend
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const contextBuilder = require('../services/contextBuilder');
+
+/**
+ * Adapter with one document per user that counts document reads
+ * @returns {Object} Adapter with a `reads` counter
+ */
+function countingAdapter() {
+  const adapter = {
+    reads: 0,
+    listDocuments: async () => [{ name: 'notes.md', updatedAt: '2026-01-01T00:00:00Z' }],
+    readDocument: async (userId) => {
+      adapter.reads++;
+      return `# Notes for ${userId}\n\nClosures capture their scope.`;
+    },
+    listSessions: async () => [],
+    listStruggles: async () => []
+  };
+  return adapter;
+}
+
+describe('contextBuilder cache', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = countingAdapter();
+    contextBuilder.setAdapter(adapter);
+    contextBuilder.cacheTtlMs = 60 * 1000;
+    contextBuilder.cacheMaxUsers = 2;
+  });
+
+  test('reuses an unchanged context', async () => {
+    const first = await contextBuilder.buildContext('user-1');
+    const second = await contextBuilder.buildContext('user-1');
+
+    assert.equal(second, first);
+    assert.equal(adapter.reads, 1);
+  });
+
+  test('evicts the least recently used user beyond the limit', async () => {
+    await contextBuilder.buildContext('user-1');
+    await contextBuilder.buildContext('user-2');
+    await contextBuilder.buildContext('user-1');
+    await contextBuilder.buildContext('user-3');
+
+    assert.deepEqual([...contextBuilder.cache.keys()], ['user-1', 'user-3']);
+
+    await contextBuilder.buildContext('user-2');
+    assert.equal(adapter.reads, 4);
+  });
+
+  test('starts over once a user has been idle for the TTL', async () => {
+    await contextBuilder.buildContext('user-1');
+    contextBuilder.cache.get('user-1').lastUsedAt -= 61 * 1000;
+
+    await contextBuilder.buildContext('user-1');
+
+    assert.equal(adapter.reads, 2);
+  });
+
+  test('fails instead of building from a failed listing, and does not cache it', async () => {
+    const listSessions = adapter.listSessions;
+    adapter.listSessions = async () => { throw new Error('connection reset'); };
+
+    await assert.rejects(contextBuilder.buildContext('user-1'), { code: 'CONTEXT_PROCESSING_FAILED' });
+    assert.equal(contextBuilder.cache.get('user-1').result, null);
+
+    adapter.listSessions = listSessions;
+    const built = await contextBuilder.buildContext('user-1');
+    assert.match(built.contextContent, /Closures capture their scope/);
+  });
+});
@@ -0,0 +1,166 @@
+// Tests for the generators that work from uploaded documents
+// Run with: npm run test:backend
+// Replies come from an injected transport, so no API key or network is needed
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const geminiService = require('../services/geminiService');
+const { GENERATORS } = require('../services/generators');
+const { validateSchema } = require('../services/jsonSchema');
+const { selectPassages, checkSourceRefs } = require('../services/documentPassages');
+
+const SORTING = [
+  '# Sorting',
+  '',
+  'Merge sort divides the array into two halves, sorts each half recursively and then merges the two sorted halves into one sorted array. It always runs in O(n log n) time and needs extra memory for merging.',
+  ''
+].join('\n');
+
+const DOCUMENTS = [{ id: 'doc-1', name: 'sorting.md', content: SORTING }];
+
+/**
+ * Transport that replies with the given values as JSON in turn and records each prompt
+ * @param {Array} replies - Values to reply with
+ * @returns {Object} Transport with a `prompts` array
+ */
+function scriptedTransport(replies) {
+  const prompts = [];
+  return {
+    prompts,
+    generateText: async ({ prompt }) => {
+      prompts.push(prompt);
+      return JSON.stringify(replies[prompts.length - 1]);
+    }
+  };
+}
+
+const mergeSortQuestion = {
+  question: 'How long does merge sort take?',
+  options: ['O(n)', 'O(n log n)', 'O(n^2)', 'O(log n)'],
+  correctAnswer: 'O(n log n)',
+  explanation: 'The passage says it always runs in O(n log n) time.',
+  whyWrongExplanation: 'The other bounds do not match the passage.',
+  topicCategory: 'Sorting',
+  difficultyLevel: 'easy',
+  sourceId: 'P1',
+  quote: 'It always runs in O(n log n) time'
+};
+
+const sentences = (count, topic) => Array.from({ length: count }, (_, i) =>
+  `Fact ${i} about ${topic} explains one more detail that students should remember for the exam.`
+).join(' ');
+
+describe('documentPassages.selectPassages', () => {
+  test('records offsets that point back at the passage in the document', () => {
+    const content = `# Biology\n\n${sentences(4, 'cells')}\n\n## Plants\n\n${sentences(4, 'leaves')}\n`;
+
+    const passages = selectPassages([{ id: 'doc-1', name: 'bio.md', content }]);
+
+    assert.deepEqual(passages.map(passage => passage.id), ['P1', 'P2']);
+    assert.equal(passages[1].section, 'Biology > Plants');
+    passages.forEach(passage => {
+      assert.equal(passage.documentId, 'doc-1');
+      assert.ok(content.slice(passage.startChar, passage.endChar).includes(passage.text.split('\n').pop()));
+    });
+  });
+
+  test('samples evenly across documents beyond the passage limit', () => {
+    const documents = ['a', 'b', 'c'].map(id => ({
+      id,
+      name: `${id}.md`,
+      content: Array.from({ length: 4 }, (_, i) => `## Part ${i}\n\n${sentences(3, `${id}${i}`)}`).join('\n\n')
+    }));
+
+    const passages = selectPassages(documents, { maxPassages: 6 });
+
+    assert.equal(passages.length, 6);
+    assert.deepEqual(passages.map(passage => passage.documentId), ['a', 'a', 'b', 'b', 'c', 'c']);
+    assert.deepEqual(passages.map(passage => passage.id), ['P1', 'P2', 'P3', 'P4', 'P5', 'P6']);
+  });
+
+  test('blanks the extraction footer without shifting offsets', () => {
+    const footer = '*This content was automatically extracted and processed.*';
+    const content = `# Extracted Content: notes.pdf\n\n## Content\n\n${sentences(3, 'osmosis')}\n\n${footer}\n`;
+
+    const passages = selectPassages([{ id: 'doc-1', name: 'notes.pdf', content }]);
+
+    assert.equal(passages.length, 1);
+    assert.equal(passages[0].section, '');
+    assert.ok(!passages[0].text.includes('automatically extracted'));
+    assert.ok(content.slice(passages[0].startChar, passages[0].endChar).includes('Fact 2 about osmosis'));
+  });
+});
+
+describe('documentPassages.checkSourceRefs', () => {
+  const passages = selectPassages(DOCUMENTS);
+
+  test('accepts a quote that differs only in case, emphasis and whitespace', () => {
+    const quote = 'it   always runs in **O(n log n)** time';
+
+    assert.deepEqual(checkSourceRefs([{ sourceId: 'P1', quote }], passages), []);
+  });
+
+  test('rejects unknown passages, misquotes and quotes that are too short', () => {
+    const problems = checkSourceRefs([
+      { sourceId: 'P9', quote: 'It always runs in O(n log n) time' },
+      { sourceId: 'P1', quote: 'It always runs in linear time' },
+      { sourceId: 'P1', quote: 'O(n log n)' },
+      { sourceId: 'P1', quote: ' ** __ ' }
+    ], passages);
+
+    assert.deepEqual(problems, [
+      '$[0].sourceId must be one of the passage ids (P1 to P1)',
+      '$[1].quote must be copied word for word from passage P1',
+      '$[2].quote must be at least 4 words copied from passage P1',
+      '$[3].quote must be at least 4 words copied from passage P1'
+    ]);
+  });
+});
+
+describe('document-mcq', () => {
+  afterEach(() => {
+    geminiService.setTransport(null);
+  });
+
+  test('accepts follow-up steering and puts it in the prompt', async () => {
+    const input = {
+      documents: DOCUMENTS,
+      count: 1,
+      avoidQuestions: ['What does merge sort do with the two halves?'],
+      avoidCategories: ['recursion'],
+      difficulties: ['medium', 'hard']
+    };
+    assert.deepEqual(validateSchema(input, GENERATORS['document-mcq'].input, 'body'), []);
+
+    const transport = scriptedTransport([[mergeSortQuestion]]);
+    geminiService.setTransport(transport);
+    await GENERATORS['document-mcq'].generate(input);
+
+    assert.match(transport.prompts[0], /- What does merge sort do with the two halves\?/);
+    assert.match(transport.prompts[0], /use other topicCategory values: recursion/);
+    assert.match(transport.prompts[0], /Only use these difficulty levels: medium, hard/);
+  });
+
+  test('sends a misquoted source back for repair and links the fixed quote to the document', async () => {
+    const misquoted = { ...mergeSortQuestion, quote: 'Merge sort is always the fastest sort' };
+    const transport = scriptedTransport([[misquoted], [mergeSortQuestion]]);
+    geminiService.setTransport(transport);
+
+    const [question] = await GENERATORS['document-mcq'].generate({ documents: DOCUMENTS, count: 1 });
+
+    assert.equal(transport.prompts.length, 2);
+    assert.match(transport.prompts[1], /\$\[0\]\.quote must be copied word for word from passage P1/);
+    assert.equal(question.sourceId, undefined);
+    assert.deepEqual(question.source, {
+      documentId: 'doc-1',
+      documentName: 'sorting.md',
+      section: 'Sorting',
+      startChar: question.source.startChar,
+      endChar: question.source.endChar,
+      quote: 'It always runs in O(n log n) time'
+    });
+    assert.ok(SORTING.slice(question.source.startChar, question.source.endChar).includes(question.source.quote));
+  });
+});
@@ -0,0 +1,89 @@
+// Tests for embedding model startup, chunk source annotation and which chunks retrieval may return
+// Run with: npm run test:backend
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const embeddingService = require('../services/embeddingService');
+const EmbeddingPool = require('../services/embeddingPool');
+
+const CONTEXT = [
+  '## Uploaded Documents',
+  '',
+  '### biology.md',
+  '',
+  'Photosynthesis turns light into chemical energy in the chloroplast.',
+  '',
+  '## Areas of Difficulty',
+  '',
+  '- Photosynthesis: struggled 3 times',
+  '',
+  '## Learning Progress Summary',
+  '',
+  '- Total Study Sessions: 4',
+  '- Areas of Difficulty: 1',
+  ''
+].join('\n');
+
+describe('embeddingService chunk sources', () => {
+  test('marks learner profile sections as profile chunks', () => {
+    const chunks = embeddingService.splitText(CONTEXT);
+    const bySection = Object.fromEntries(chunks.map(chunk => [chunk.metadata.source.section, chunk.metadata]));
+
+    assert.equal(bySection['Uploaded Documents'].kind, 'material');
+    assert.equal(bySection['Uploaded Documents'].source.documentName, 'biology.md');
+    assert.equal(bySection['Areas of Difficulty'].kind, 'profile');
+    assert.equal(bySection['Learning Progress Summary'].kind, 'profile');
+  });
+
+  test('never retrieves profile chunks', async (t) => {
+    // Same vector for every text, so only the filter decides what comes back
+    t.mock.method(embeddingService, 'embedBatch', async texts => texts.map(() => [1, 0]));
+    t.mock.method(embeddingService, 'embed', async () => [1, 0]);
+
+    const chunks = await embeddingService.retrieveChunks(CONTEXT, 'photosynthesis', 5, { rerank: false });
+
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].source.type, 'document');
+  });
+});
+
+describe('embeddingService initialize', () => {
+  test('starts a single pool for concurrent first calls', async (t) => {
+    const started = [];
+    let release;
+    const loaded = new Promise(resolve => { release = resolve; });
+    t.mock.method(EmbeddingPool.prototype, 'start', async function start() {
+      started.push(this);
+      await loaded;
+      this.dimension = 2;
+    });
+    t.after(() => embeddingService.shutdown());
+
+    const first = embeddingService.initialize();
+    const second = embeddingService.initialize();
+    release();
+    await Promise.all([first, second]);
+
+    assert.equal(started.length, 1);
+    assert.equal(embeddingService.pool, started[0]);
+    assert.equal(embeddingService.getModelInfo().dimension, 2);
+  });
+
+  test('retries after a failed load', async (t) => {
+    let attempts = 0;
+    t.mock.method(EmbeddingPool.prototype, 'start', async function start() {
+      attempts++;
+      if (attempts === 1) throw new Error('model missing');
+      this.dimension = 2;
+    });
+    t.after(() => embeddingService.shutdown());
+
+    await assert.rejects(embeddingService.initialize(), { code: 'EMBEDDING_INIT_FAILED' });
+    await embeddingService.initialize();
+
+    assert.equal(attempts, 2);
+    assert.equal(embeddingService.isInitialized, true);
+  });
+});
@@ -0,0 +1,90 @@
+// Tests for schema-validated JSON generation
+// Run with: npm run test:backend
+// Replies come from an injected transport, so no API key or network is needed
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const geminiService = require('../services/geminiService');
+
+const SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['question', 'answer'],
+    properties: {
+      question: { type: 'string', minLength: 1 },
+      answer: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+/**
+ * Transport that replies with the given texts in turn and records each prompt
+ * @param {Array<string>} replies - Response texts
+ * @returns {Object} Transport with a `prompts` array
+ */
+function scriptedTransport(replies) {
+  const prompts = [];
+  return {
+    prompts,
+    generateText: async ({ prompt }) => {
+      prompts.push(prompt);
+      return replies[prompts.length - 1];
+    }
+  };
+}
+
+describe('geminiService.generateJSON', () => {
+  afterEach(() => {
+    geminiService.setTransport(null);
+  });
+
+  test('returns a reply that matches the schema', async () => {
+    const transport = scriptedTransport(['```json\n[{"question": "What is a closure?", "answer": "A function with its scope"}]\n```']);
+    geminiService.setTransport(transport);
+
+    const value = await geminiService.generateJSON('Make flashcards', SCHEMA);
+
+    assert.deepEqual(value, [{ question: 'What is a closure?', answer: 'A function with its scope' }]);
+    assert.equal(transport.prompts.length, 1);
+  });
+
+  test('asks the model to repair malformed JSON', async () => {
+    const transport = scriptedTransport([
+      '[{"question": "What is a closure?", "answer": "A function with its scope"',
+      '[{"question": "What is a closure?", "answer": "A function with its scope"}]'
+    ]);
+    geminiService.setTransport(transport);
+
+    const value = await geminiService.generateJSON('Make flashcards', SCHEMA);
+
+    assert.equal(value.length, 1);
+    assert.equal(transport.prompts.length, 2);
+    assert.match(transport.prompts[1], /Invalid JSON/);
+    assert.match(transport.prompts[1], /Make flashcards/);
+  });
+
+  test('fails with GENERATION_SCHEMA_MISMATCH when repairs still do not match the schema', async () => {
+    const transport = scriptedTransport([
+      '[{"question": "What is a closure?"}]',
+      '[{"question": "What is a closure?", "answer": ""}]'
+    ]);
+    geminiService.setTransport(transport);
+
+    await assert.rejects(geminiService.generateJSON('Make flashcards', SCHEMA), (error) => {
+      assert.equal(error.code, 'GENERATION_SCHEMA_MISMATCH');
+      assert.ok(error.details.length > 0);
+      return true;
+    });
+    assert.equal(transport.prompts.length, 2);
+  });
+
+  test('fails with GENERATION_INVALID_JSON when no attempt parses', async () => {
+    geminiService.setTransport(scriptedTransport(['not json', 'still not json']));
+
+    await assert.rejects(geminiService.generateJSON('Make flashcards', SCHEMA), { code: 'GENERATION_INVALID_JSON' });
+  });
+});
@@ -0,0 +1,100 @@
+// Tests for the generation routes' request admission (rate limit and quota)
+// Run with: npm run test:backend
+// Replies come from an injected transport, so no API key or network is needed
+
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.LOG_LEVEL = 'silent';
+const { requestContext } = require('../middleware/requestContext');
+const generateRoutes = require('../routes/generate');
+const geminiService = require('../services/geminiService');
+const usageLimiter = require('../services/usageLimiter');
+
+const FLASHCARDS = JSON.stringify([{ question: 'What is a closure?', answer: 'A function with its scope' }]);
+
+describe('POST /api/generate/:generator', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(requestContext);
+    // Stands in for requireAuth
+    app.use((req, res, next) => {
+      req.user = { id: req.get('X-Test-User') };
+      next();
+    });
+    app.use('/api', generateRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    usageLimiter.users.clear();
+    geminiService.setTransport({ generateText: async () => FLASHCARDS });
+  });
+
+  afterEach(() => {
+    geminiService.setTransport(null);
+    delete process.env.GENERATION_RATE_LIMIT;
+    delete process.env.GENERATION_DAILY_QUOTA;
+  });
+
+  const generate = (user, body = { topic: 'Closures' }) => fetch(`${baseUrl}/api/generate/flashcards`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Test-User': user },
+    body: JSON.stringify(body)
+  });
+
+  test('returns the generated data with the remaining allowance', async () => {
+    const response = await generate('user-1');
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.data, JSON.parse(FLASHCARDS));
+    assert.equal(body.usage.quotaUsed, 1);
+    assert.equal(response.headers.get('X-Quota-Remaining'), String(body.usage.quotaRemaining));
+  });
+
+  test('refuses requests over the rate limit with 429 and Retry-After', async () => {
+    process.env.GENERATION_RATE_LIMIT = '2';
+
+    assert.equal((await generate('user-1')).status, 200);
+    assert.equal((await generate('user-1')).status, 200);
+    const limited = await generate('user-1');
+
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).code, 'RATE_LIMITED');
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+    // Other users keep their own allowance
+    assert.equal((await generate('user-2')).status, 200);
+  });
+
+  test('refuses requests over the daily quota with 429', async () => {
+    process.env.GENERATION_DAILY_QUOTA = '1';
+
+    assert.equal((await generate('user-1')).status, 200);
+    const limited = await generate('user-1');
+
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).code, 'QUOTA_EXCEEDED');
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+  });
+
+  test('does not charge the quota for invalid requests', async () => {
+    const response = await generate('user-1', {});
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'INVALID_REQUEST');
+    assert.equal(usageLimiter.getStatus('user-1').quotaUsed, 0);
+  });
+});
@@ -0,0 +1,66 @@
+// Tests for the retrieval relevance threshold and answer grounding checks
+// Run with: npm run test:backend
+// Embeddings are stubbed with hand-built vectors, so no model is loaded
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const embeddingService = require('../services/embeddingService');
+const groundingService = require('../services/groundingService');
+
+const chunk = (id, semantic, embedding) => ({ id, text: `Excerpt ${id}`, scores: { semantic }, embedding });
+const summary = ({ score, checked, unsupported }) => ({ score, checked, unsupported });
+
+describe('groundingService.isLowRelevance', () => {
+  test('is true only when every chunk scores below the threshold', () => {
+    assert.equal(groundingService.isLowRelevance([chunk('C1', 0.1), chunk('C2', 0.24)]), true);
+    assert.equal(groundingService.isLowRelevance([chunk('C1', 0.1), chunk('C2', 0.25)]), false);
+  });
+
+  test('falls back to the plain score when there is no semantic score', () => {
+    assert.equal(groundingService.isLowRelevance([{ id: 'C1', score: 0.6 }]), false);
+    assert.equal(groundingService.isLowRelevance([{ id: 'C1', score: 0.2 }]), true);
+  });
+
+  test('does not judge an empty retrieval, which gets its own response', () => {
+    assert.equal(groundingService.isLowRelevance([]), false);
+    assert.equal(groundingService.isEmptyRetrieval([]), true);
+
+    const response = groundingService.buildNotInMaterialsResponse('What is osmosis?', []);
+    assert.equal(response.grounding.reason, 'NO_RETRIEVED_CHUNKS');
+    assert.equal(response.grounding.bestRetrievalScore, null);
+
+    const low = groundingService.buildNotInMaterialsResponse('What is osmosis?', [chunk('C1', 0.12)]);
+    assert.equal(low.grounding.reason, 'LOW_RETRIEVAL_SCORE');
+    assert.equal(low.grounding.bestRetrievalScore, 0.12);
+  });
+});
+
+describe('groundingService.verify', () => {
+  test('flags sentences no excerpt supports', async (t) => {
+    const vectors = {
+      'Plants turn light into chemical energy.': [1, 0],
+      'The moon is made of green cheese.': [0, 1]
+    };
+    t.mock.method(embeddingService, 'embedBatch', async texts => texts.map(text => vectors[text]));
+
+    const result = await groundingService.verify(
+      'Plants turn light into chemical energy [C1]. The moon is made of green cheese. Why?',
+      [chunk('C1', 0.8, [1, 0])]
+    );
+
+    assert.equal(result.checked, 2);
+    assert.equal(result.score, 0.5);
+    assert.deepEqual(result.unsupported, ['The moon is made of green cheese.']);
+    assert.equal(result.sentences[0].chunkId, 'C1');
+    assert.equal(result.sentences[0].supported, true);
+  });
+
+  test('checks nothing without claims or chunks', async () => {
+    const empty = { score: null, checked: 0, unsupported: [] };
+
+    assert.deepEqual(summary(await groundingService.verify('Great question!', [chunk('C1', 0.8, [1, 0])])), empty);
+    assert.deepEqual(summary(await groundingService.verify('Plants turn light into chemical energy.', [])), empty);
+  });
+});
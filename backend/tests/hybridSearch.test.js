@@ -0,0 +1,77 @@
+// Tests for BM25 scoring, reciprocal-rank fusion and MMR selection
+// Run with: npm run test:backend
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const hybridSearch = require('../services/hybridSearch');
+
+const cosine = (a, b) => {
+  const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+  const norm = (v) => Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+const TEXTS = [
+  'Photosynthesis converts light energy into chemical energy in plants.',
+  'The k-means algorithm groups points into clusters around centroids.',
+  'Mitochondria release energy from glucose during cellular respiration.',
+  'Plants absorb water through their roots and lose it through leaves.'
+];
+
+describe('hybridSearch', () => {
+  test('finds a keyword-only hit that no other chunk mentions', () => {
+    const index = hybridSearch.buildBM25Index(TEXTS);
+
+    const scores = hybridSearch.scoreBM25(index, 'How does k-means work?');
+
+    assert.deepEqual(hybridSearch.rankByScore(scores, true), [1]);
+    assert.ok(scores[1] > 0);
+  });
+
+  test('scores a chunk matching more query terms higher', () => {
+    const index = hybridSearch.buildBM25Index(TEXTS);
+
+    const scores = hybridSearch.scoreBM25(index, 'plants energy');
+
+    // Chunk 0 has both terms, 2 and 3 one each, 1 neither
+    assert.equal(hybridSearch.rankByScore(scores, true)[0], 0);
+    assert.equal(scores[1], 0);
+  });
+
+  test('fuses rankings so chunks ranked well by both lists come first', () => {
+    const semantic = [2, 0, 3, 1];
+    const lexical = [0, 3];
+
+    const fused = hybridSearch.reciprocalRankFusion([semantic, lexical], 60);
+    const order = [...fused.entries()].sort((a, b) => b[1] - a[1]).map(([index]) => index);
+
+    assert.deepEqual(order, [0, 3, 2, 1]);
+    assert.equal(fused.get(0), 1 / 62 + 1 / 61);
+    assert.equal(fused.get(1), 1 / 64);
+  });
+
+  test('MMR skips a near-duplicate of a chunk it already picked', () => {
+    const candidates = [
+      { id: 'a', relevance: 1.0, embedding: [1, 0, 0] },
+      { id: 'a-copy', relevance: 0.95, embedding: [0.99, 0.01, 0] },
+      { id: 'b', relevance: 0.8, embedding: [0, 1, 0] }
+    ];
+
+    const selected = hybridSearch.maximalMarginalRelevance(candidates, 2, cosine, 0.5);
+
+    assert.deepEqual(selected.map(candidate => candidate.id), ['a', 'b']);
+  });
+
+  test('MMR with lambda 1 keeps the relevance order', () => {
+    const candidates = [
+      { id: 'a', relevance: 1.0, embedding: [1, 0] },
+      { id: 'a-copy', relevance: 0.95, embedding: [1, 0] },
+      { id: 'b', relevance: 0.8, embedding: [0, 1] }
+    ];
+
+    const selected = hybridSearch.maximalMarginalRelevance(candidates, 2, cosine, 1);
+
+    assert.deepEqual(selected.map(candidate => candidate.id), ['a', 'a-copy']);
+  });
+});
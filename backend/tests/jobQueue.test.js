@@ -0,0 +1,93 @@
+// Tests for the job queue's locally pinned (streamed) jobs
+// Run with: npm run test:backend
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryJobStore } = require('../services/jobStore');
+const { JobQueue, QueueFullError } = require('../services/jobQueue');
+
+// Let queued promise callbacks (and so the queue's pump) run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('JobQueue.enqueueLocal', () => {
+  test('runs the job with its hooks and resolves with the result', async () => {
+    const queue = new JobQueue({
+      store: new MemoryJobStore(),
+      processor: async (job, { hooks }) => {
+        hooks.onToken('Hello');
+        return { answer: `Answer to ${job.question}` };
+      }
+    });
+    const tokens = [];
+
+    const { result } = await queue.enqueueLocal({ id: 'stream-1', question: 'Q' }, { onToken: text => tokens.push(text) });
+
+    assert.deepEqual(await result, { answer: 'Answer to Q' });
+    assert.deepEqual(tokens, ['Hello']);
+  });
+
+  test('shares the concurrency slots and queue limit with other jobs', async () => {
+    let releaseFirst;
+    const store = new MemoryJobStore();
+    const queue = new JobQueue({
+      store,
+      concurrency: 1,
+      maxQueueLength: 1,
+      processor: (job) => (job.id === 'ask-1' ? new Promise(resolve => { releaseFirst = resolve; }) : { answer: job.id })
+    });
+
+    await queue.enqueue({ id: 'ask-1' });
+    await settle();
+    const { result } = await queue.enqueueLocal({ id: 'stream-2' });
+    await assert.rejects(queue.enqueueLocal({ id: 'stream-3' }), QueueFullError);
+    assert.equal((await store.get('stream-2')).status, 'queued');
+
+    releaseFirst({ answer: 'ask-1' });
+    assert.deepEqual(await result, { answer: 'stream-2' });
+  });
+
+  test('rejects with CANCELLED when a waiting job is cancelled', async () => {
+    const queue = new JobQueue({
+      store: new MemoryJobStore(),
+      concurrency: 1,
+      processor: () => new Promise(() => {})
+    });
+
+    await queue.enqueue({ id: 'busy' });
+    await settle();
+    const { result } = await queue.enqueueLocal({ id: 'stream-4' });
+    await queue.cancel('stream-4');
+
+    await assert.rejects(result, { code: 'CANCELLED' });
+  });
+
+  test('leaves jobs pinned to another instance alone', async () => {
+    const store = new MemoryJobStore();
+    const queue = new JobQueue({ store, processor: async () => ({}) });
+
+    await store.create({ id: 'elsewhere', status: 'queued', pinnedTo: 'other-host-1', createdAt: new Date().toISOString() });
+    await queue.pump();
+
+    assert.equal((await store.get('elsewhere')).status, 'queued');
+  });
+
+  test('does not process a job cancelled elsewhere between claim and start', async (t) => {
+    const store = new MemoryJobStore();
+    const processor = t.mock.fn(async () => ({}));
+    const queue = new JobQueue({ store, processor });
+
+    // Another instance cancels the job right after this one claims it
+    const claim = store.claim.bind(store);
+    t.mock.method(store, 'claim', async (id, workerId) => {
+      const claimed = await claim(id, workerId);
+      await store.update(id, { status: 'cancelled' });
+      return claimed;
+    });
+
+    const { result } = await queue.enqueueLocal({ id: 'stream-5' });
+
+    await assert.rejects(result, { code: 'CANCELLED' });
+    assert.equal(processor.mock.callCount(), 0);
+    assert.equal((await store.get('stream-5')).status, 'cancelled');
+  });
+});
@@ -0,0 +1,72 @@
+// Tests for the file job store
+// Run with: npm run test:backend
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileJobStore } = require('../services/jobStore');
+const { JobQueue } = require('../services/jobQueue');
+
+describe('FileJobStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    store = new FileJobStore(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('concurrent updates all land without temporary file collisions', async () => {
+    await store.create({ id: 'job-1', status: 'processing', progress: 0 });
+
+    const updates = Array.from({ length: 20 }, (_, i) => store.update('job-1', { progress: i, [`step${i}`]: true }));
+    await Promise.all(updates);
+
+    const job = await store.get('job-1');
+    assert.equal(job.progress, 19);
+    for (let i = 0; i < 20; i++) {
+      assert.equal(job[`step${i}`], true);
+    }
+    assert.deepEqual(fs.readdirSync(dir).filter(file => file.endsWith('.tmp')), []);
+  });
+
+  test('a progress write issued before completion never replaces the terminal status', async () => {
+    await store.create({ id: 'job-2', status: 'processing', progress: 0 });
+
+    const progress = store.update('job-2', { progress: 50, message: 'Halfway' });
+    const completed = store.update('job-2', { status: 'completed', progress: 100 });
+    const late = store.update('job-2', { status: 'processing', progress: 60 });
+    await Promise.all([progress, completed, late]);
+
+    const job = await store.get('job-2');
+    assert.equal(job.status, 'completed');
+    assert.equal(job.progress, 100);
+  });
+
+  test('the job queue releases the lock when a job finishes', { timeout: 5000 }, async () => {
+    const queue = new JobQueue({ store, processor: async () => ({ answer: 'done' }) });
+
+    const released = new Promise(resolve => {
+      const release = store.release.bind(store);
+      store.release = async (id) => {
+        await release(id);
+        resolve(id);
+      };
+    });
+
+    await queue.enqueue({ id: 'job-3' });
+    assert.equal(await released, 'job-3');
+
+    assert.equal(fs.existsSync(store.lockPath('job-3')), false);
+    const job = await store.get('job-3');
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.result, { answer: 'done' });
+    assert.equal(job.workerId, undefined);
+  });
+});
@@ -0,0 +1,44 @@
+// Tests for provider selection in the LLM service
+// Run with: npm run test:backend
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const llmService = require('../services/llmService');
+
+const request = { messages: [{ role: 'user', content: 'Latest question: What is a closure?' }] };
+
+/**
+ * Re-read LLM_PROVIDERS into the service
+ * @param {string} providers - Comma-separated provider chain
+ */
+function configure(providers) {
+  process.env.LLM_PROVIDERS = providers;
+  llmService.isInitialized = false;
+  llmService.initialize();
+}
+
+describe('llmService', () => {
+  afterEach(() => {
+    delete process.env.LLM_PROVIDERS;
+    llmService.isInitialized = false;
+  });
+
+  test('answers with the mock provider when it is in the chain', async () => {
+    configure('mock');
+
+    const result = await llmService.complete(request, { provider: 'mock' });
+
+    assert.equal(result.provider, 'mock');
+    assert.equal(result.model, 'mock-1');
+    assert.equal(result.text, 'What is a closure?');
+  });
+
+  test('refuses providers outside the configured chain', async () => {
+    configure('groq');
+
+    assert.equal(llmService.hasProvider('groq'), true);
+    assert.equal(llmService.hasProvider('mock'), false);
+    assert.equal(llmService.hasProvider('nonexistent'), false);
+    await assert.rejects(llmService.complete(request, { provider: 'mock' }), { code: 'INVALID_REQUEST' });
+  });
+});
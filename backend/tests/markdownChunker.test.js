@@ -0,0 +1,127 @@
+// Tests for the markdown chunker behind retrieval and passage selection
+// Run with: npm run test:backend
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { chunkMarkdown } = require('../services/markdownChunker');
+
+// One token per whitespace-separated word keeps the limits easy to reason about
+const countTokens = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const titlesOf = (chunk) => chunk.metadata.headings.map(heading => heading.title);
+
+/**
+ * Assert that every chunk is exactly the slice of the source its offsets name
+ * @param {string} text - Source markdown
+ * @param {Array<Object>} chunks - Chunks of that markdown
+ */
+function assertOffsets(text, chunks) {
+  chunks.forEach(chunk => {
+    const { startChar, endChar, length } = chunk.metadata;
+    assert.equal(chunk.text, text.slice(startChar, endChar));
+    assert.equal(length, endChar - startChar);
+  });
+}
+
+describe('markdownChunker.chunkMarkdown', () => {
+  test('tracks the heading path of each section', () => {
+    const text = [
+      '# Biology',
+      '',
+      'Cells are the unit of life.',
+      '',
+      '## Plants',
+      '',
+      'Plants make their own food.',
+      '',
+      '### Photosynthesis',
+      '',
+      'Light becomes chemical energy.',
+      '',
+      '## Animals',
+      '',
+      'Animals eat other organisms.'
+    ].join('\n');
+
+    const chunks = chunkMarkdown(text, { countTokens });
+
+    assert.deepEqual(chunks.map(titlesOf), [
+      ['Biology'],
+      ['Biology', 'Plants'],
+      ['Biology', 'Plants', 'Photosynthesis'],
+      ['Biology', 'Animals']
+    ]);
+    assert.deepEqual(chunks.map(chunk => chunk.text), [
+      'Cells are the unit of life.',
+      'Plants make their own food.',
+      'Light becomes chemical energy.',
+      'Animals eat other organisms.'
+    ]);
+    assertOffsets(text, chunks);
+  });
+
+  test('keeps chunks under the token limit and repeats the tail of the previous chunk', () => {
+    const sentences = Array.from({ length: 12 }, (_, i) => `Sentence number ${i + 1} is here.`);
+    const text = `# Notes\n\n${sentences.join(' ')}\n`;
+
+    const chunks = chunkMarkdown(text, { maxTokens: 12, overlapTokens: 5, countTokens });
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => {
+      assert.ok(chunk.metadata.tokens <= 12, `chunk ${chunk.index} has ${chunk.metadata.tokens} tokens`);
+      assert.equal(chunk.metadata.tokens, countTokens(chunk.text));
+    });
+    chunks.slice(1).forEach((chunk, i) => {
+      const previous = chunks[i];
+      assert.ok(chunk.metadata.startChar < previous.metadata.endChar, `chunk ${chunk.index} does not overlap`);
+      assert.ok(countTokens(text.slice(chunk.metadata.startChar, previous.metadata.endChar)) <= 5);
+    });
+    assert.match(chunks[0].text, /^Sentence number 1 is here\./);
+    assert.match(chunks[chunks.length - 1].text, /Sentence number 12 is here\.$/);
+    assertOffsets(text, chunks);
+  });
+
+  test('does not carry overlap into a new section', () => {
+    const text = '# A\n\nOne two three four five.\n\n# B\n\nSix seven eight nine ten.';
+
+    const chunks = chunkMarkdown(text, { maxTokens: 6, overlapTokens: 3, countTokens });
+
+    assert.deepEqual(chunks.map(chunk => chunk.text), ['One two three four five.', 'Six seven eight nine ten.']);
+  });
+
+  test('splits an oversized paragraph with no sentence breaks between words', () => {
+    const words = Array.from({ length: 35 }, (_, i) => `word${i + 1}`);
+    const text = `## Run-on\n\n${words.join(' ')}`;
+
+    const chunks = chunkMarkdown(text, { maxTokens: 10, overlapTokens: 0, countTokens });
+
+    chunks.forEach(chunk => assert.ok(chunk.metadata.tokens <= 10));
+    assert.deepEqual(chunks.flatMap(chunk => chunk.text.split(/\s+/)), words);
+    assert.deepEqual(chunks.map(titlesOf), chunks.map(() => ['Run-on']));
+    assertOffsets(text, chunks);
+  });
+
+  test('keeps a small code block whole and splits a large one between lines', () => {
+    const small = ['```js', '# not a heading', 'const a = 1;', '```'].join('\n');
+    const largeLines = Array.from({ length: 8 }, (_, i) => `let value${i} = compute(${i}, step);`);
+    const large = ['```js', ...largeLines, '```'].join('\n');
+    const text = `# Code\n\n${small}\n\n## Big\n\n${large}\n`;
+
+    const chunks = chunkMarkdown(text, { maxTokens: 10, overlapTokens: 0, countTokens });
+
+    assert.equal(chunks[0].text, small);
+    assert.deepEqual(titlesOf(chunks[0]), ['Code']);
+    assert.deepEqual(chunks[0].metadata.blockTypes, ['code']);
+
+    const bigChunks = chunks.slice(1);
+    assert.ok(bigChunks.length > 1);
+    bigChunks.forEach(chunk => {
+      assert.ok(chunk.metadata.tokens <= 10);
+      assert.deepEqual(titlesOf(chunk), ['Code', 'Big']);
+      assert.deepEqual(chunk.metadata.blockTypes, ['code']);
+    });
+    largeLines.forEach(line => assert.ok(bigChunks.some(chunk => chunk.text.includes(line)), line));
+    assertOffsets(text, chunks);
+  });
+});
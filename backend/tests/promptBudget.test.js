@@ -0,0 +1,93 @@
+// Tests for prompt token counting and fitting prompts to a model's context window
+// Run with: npm run test:backend
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const promptBudget = require('../services/promptBudget');
+const groqService = require('../services/groqService');
+
+const words = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+
+const chunksOf = (count, size) => Array.from({ length: count }, (_, i) => ({
+  id: `C${i + 1}`,
+  text: words(size, `excerpt${i + 1}word`),
+  source: { type: 'notes', section: 'Notes' }
+}));
+
+const turnsOf = (count, size) => Array.from({ length: count }, (_, i) => ({
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `Turn ${i}: ${words(size, 'history')}`
+}));
+
+describe('promptBudget.countTokens', () => {
+  test('counts English prose at about 3.5 characters per token', () => {
+    const text = 'The quick brown fox jumps over the lazy dog.';
+    assert.equal(promptBudget.countTokens(text), Math.ceil(text.length / 3.5));
+  });
+
+  test('counts dense code higher than a word count would', () => {
+    const code = 'const total = items.reduce((sum, { price, qty }) => sum + price * qty, 0);';
+    assert.ok(promptBudget.countTokens(code) > code.split(/\s+/).length);
+  });
+
+  test('counts each non-ASCII character as at least one token', () => {
+    assert.equal(promptBudget.countTokens('光合作用は植物の働き'), 10);
+    assert.equal(promptBudget.countTokens(''), 0);
+    assert.equal(promptBudget.countTokens(null), 0);
+  });
+});
+
+describe('groqService.fitPrompt', () => {
+  const inputs = (overrides) => ({
+    question: 'How does photosynthesis work?',
+    chunks: [],
+    weakConcepts: [],
+    Stats: [[], []],
+    history: { turns: [], summary: '' },
+    mode: 'explain',
+    ...overrides
+  });
+
+  test('keeps everything when it fits', () => {
+    const chunks = chunksOf(3, 20);
+    const fitted = groqService.fitPrompt(inputs({ chunks, history: { turns: turnsOf(2, 10) } }), 8192);
+
+    assert.deepEqual(fitted.included.map(chunk => chunk.id), ['C1', 'C2', 'C3']);
+    assert.deepEqual(fitted.dropped, []);
+    assert.equal(fitted.messages.length, 4);
+  });
+
+  test('drops the lowest-ranked chunks first and stays under the prompt budget', () => {
+    const chunks = chunksOf(20, 150);
+    const fitted = groqService.fitPrompt(inputs({ chunks }), 4096);
+
+    assert.ok(fitted.included.length > 0);
+    assert.ok(fitted.dropped.length > 0);
+    assert.deepEqual(fitted.included, chunks.slice(0, fitted.included.length));
+    assert.ok(fitted.promptTokens <= fitted.budget.promptBudget);
+    assert.ok(fitted.promptTokens + fitted.budget.maxTokens <= 4096);
+  });
+
+  test('drops the oldest history turns when history alone exceeds the budget', () => {
+    const turns = turnsOf(12, 150);
+    const fitted = groqService.fitPrompt(inputs({ chunks: chunksOf(4, 50), history: { turns } }), 4096);
+
+    const keptTurns = fitted.messages.slice(1, -1);
+    assert.ok(keptTurns.length > 0 && keptTurns.length < turns.length);
+    assert.deepEqual(keptTurns, turns.slice(turns.length - keptTurns.length));
+    assert.ok(fitted.promptTokens <= fitted.budget.promptBudget);
+    assert.ok(fitted.promptTokens + fitted.budget.maxTokens <= 4096);
+  });
+
+  test('truncates the top chunk rather than sending none', () => {
+    const chunks = chunksOf(2, 3000);
+    const fitted = groqService.fitPrompt(inputs({ chunks }), 4096);
+
+    assert.equal(fitted.included.length, 1);
+    assert.equal(fitted.included[0].id, 'C1');
+    assert.match(fitted.included[0].text, /…$/);
+    assert.ok(fitted.promptTokens <= fitted.budget.promptBudget);
+  });
+});
@@ -0,0 +1,160 @@
+// Tests for question type checks and rubric grading of short answers
+// Run with: npm run test:backend
+// Replies come from an injected transport, so no API key or network is needed
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const geminiService = require('../services/geminiService');
+const { GENERATORS } = require('../services/generators');
+const { checkQuestions, normalizeQuestions } = require('../services/questionTypes');
+
+const ALL_TYPES = ['mcq', 'multi-select', 'true-false', 'fill-blank', 'ordering', 'numeric', 'short-answer'];
+
+/**
+ * Transport that replies with the given values as JSON in turn and records each prompt
+ * @param {Array} replies - Values to reply with
+ * @returns {Object} Transport with a `prompts` array
+ */
+function scriptedTransport(replies) {
+  const prompts = [];
+  return {
+    prompts,
+    generateText: async ({ prompt }) => {
+      prompts.push(prompt);
+      return JSON.stringify(replies[prompts.length - 1]);
+    }
+  };
+}
+
+describe('questionTypes.checkQuestions', () => {
+  test('accepts one valid question of each type', () => {
+    const questions = [
+      { question: 'Untyped?', options: ['A', 'B', 'C', 'D'], correctAnswer: 'B' },
+      { type: 'multi-select', question: 'Pick two', options: ['A', 'B', 'C', 'D'], correctAnswers: ['A', 'C'] },
+      { type: 'true-false', question: 'True or false: water boils at 100°C at sea level.', correctAnswer: 'True' },
+      { type: 'fill-blank', question: 'The ___ stores key-value pairs.', acceptedAnswers: ['hash table'] },
+      { type: 'ordering', question: 'Order these', items: ['Plan', 'Build', 'Test'] },
+      { type: 'numeric', question: 'g?', correctValue: 9.81, tolerance: 0.05 },
+      { type: 'short-answer', question: 'Explain', rubric: [{ criterion: 'Key idea', points: 2 }], sampleAnswer: 'Model' }
+    ];
+
+    assert.deepEqual(checkQuestions(questions, ALL_TYPES), []);
+  });
+
+  test('requires exactly one fill-blank ___', () => {
+    const problems = checkQuestions([
+      { type: 'fill-blank', question: 'No blank here.', acceptedAnswers: ['x'] },
+      { type: 'fill-blank', question: 'The ___ and the ___.', acceptedAnswers: ['x'] }
+    ], ['fill-blank']);
+
+    assert.deepEqual(problems, [
+      '$[0].question must contain exactly one ___ blank',
+      '$[1].question must contain exactly one ___ blank'
+    ]);
+  });
+
+  test('requires multi-select to have at least 2 but fewer correct answers than options', () => {
+    const question = (correctAnswers) => ({ type: 'multi-select', question: 'Pick', options: ['A', 'B', 'C', 'D'], correctAnswers });
+
+    const problems = checkQuestions([
+      question(['A', 'B', 'C']),
+      question(['A']),
+      question(['A', 'B', 'C', 'D']),
+      question(['A', 'E'])
+    ], ['multi-select']);
+
+    assert.deepEqual(problems, [
+      '$[1].correctAnswers must have at least 2 items and fewer than the options',
+      '$[2].correctAnswers must have at least 2 items and fewer than the options',
+      '$[3].correctAnswers must all be among its options'
+    ]);
+  });
+
+  test('requires distinct ordering items', () => {
+    const problems = checkQuestions([
+      { type: 'ordering', question: 'Order these', items: ['Plan', 'Build', 'Plan'] }
+    ], ['ordering']);
+
+    assert.deepEqual(problems, ['$[0].items must be distinct']);
+  });
+
+  test('rejects types that were not asked for and missing fields', () => {
+    const problems = checkQuestions([
+      { type: 'numeric', question: 'g?', correctValue: 9.81 },
+      { type: 'ordering', question: 'Order these', items: ['A', 'B', 'C'] }
+    ], ['numeric']);
+
+    assert.deepEqual(problems, [
+      '$[0].tolerance is required for numeric questions',
+      '$[1].type must be one of: numeric'
+    ]);
+  });
+
+  test('fills in the type and true/false options', () => {
+    const [mcq, trueFalse] = normalizeQuestions([
+      { question: 'Untyped?', options: ['A', 'B', 'C', 'D'], correctAnswer: 'B' },
+      { type: 'true-false', question: 'True or false?', correctAnswer: 'False' }
+    ]);
+
+    assert.equal(mcq.type, 'mcq');
+    assert.deepEqual(trueFalse.options, ['True', 'False']);
+  });
+});
+
+describe('grade-answer', () => {
+  const input = {
+    question: 'Why do plants need light?',
+    rubric: [{ criterion: 'Mentions photosynthesis', points: 2 }, { criterion: 'Mentions glucose', points: 1 }],
+    sampleAnswer: 'Light drives photosynthesis, which makes glucose.',
+    answer: 'For photosynthesis.'
+  };
+
+  afterEach(() => {
+    geminiService.setTransport(null);
+  });
+
+  test('totals the awarded points against the rubric', async () => {
+    geminiService.setTransport(scriptedTransport([{
+      criteria: [{ criterion: 'Mentions photosynthesis', awarded: 2, comment: 'Correct' }, { criterion: 'Mentions glucose', awarded: 0 }],
+      feedback: 'Say what photosynthesis produces.'
+    }]));
+
+    const grade = await GENERATORS['grade-answer'].generate(input);
+
+    assert.equal(grade.score, 2);
+    assert.equal(grade.maxScore, 3);
+    assert.deepEqual(grade.criteria[1], { criterion: 'Mentions glucose', points: 1, awarded: 0, comment: '' });
+  });
+
+  test('rejects points above a criterion maximum and sends the grade back for repair', async () => {
+    const overAwarded = {
+      criteria: [{ criterion: 'Mentions photosynthesis', awarded: 3 }, { criterion: 'Mentions glucose', awarded: 1 }],
+      feedback: 'Great answer.'
+    };
+    const transport = scriptedTransport([overAwarded, overAwarded]);
+    geminiService.setTransport(transport);
+
+    await assert.rejects(GENERATORS['grade-answer'].generate(input), (error) => {
+      assert.equal(error.code, 'GENERATION_SCHEMA_MISMATCH');
+      assert.deepEqual(error.details, ['$.criteria[0].awarded must be at most 2']);
+      return true;
+    });
+    assert.equal(transport.prompts.length, 2);
+    assert.match(transport.prompts[1], /\$\.criteria\[0\]\.awarded must be at most 2/);
+  });
+
+  test('rejects a grade that skips a rubric criterion', async () => {
+    const transport = scriptedTransport([
+      { criteria: [{ criterion: 'Mentions photosynthesis', awarded: 2 }], feedback: 'Good.' },
+      { criteria: [{ criterion: 'Mentions photosynthesis', awarded: 2 }, { criterion: 'Mentions glucose', awarded: 1 }], feedback: 'Good.' }
+    ]);
+    geminiService.setTransport(transport);
+
+    const grade = await GENERATORS['grade-answer'].generate(input);
+
+    assert.match(transport.prompts[1], /\$\.criteria must have one entry per rubric criterion \(2\)/);
+    assert.equal(grade.score, 3);
+  });
+});
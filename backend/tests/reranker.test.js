@@ -0,0 +1,45 @@
+// Tests for the optional reranker
+// Run with: npm run test:backend
+// The model directory is empty and offline, so the model never loads here
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'models-'));
+process.env.MODEL_DIR = modelDir;
+process.env.MODELS_OFFLINE = 'true';
+
+const isTransformersLoaded = () => Object.keys(require.cache).some(file => file.includes(`${path.sep}@xenova${path.sep}transformers${path.sep}`));
+
+describe('reranker', () => {
+  const reranker = require('../services/reranker');
+
+  after(() => {
+    reranker.shutdown();
+    fs.rmSync(modelDir, { recursive: true, force: true });
+  });
+
+  test('loading the service does not load Transformers.js on the main thread', () => {
+    require('../services/embeddingService');
+
+    assert.equal(isTransformersLoaded(), false);
+  });
+
+  test('a failed load returns no scores and is retried only after the backoff', { timeout: 60000 }, async () => {
+    assert.equal(await reranker.score('query', ['a chunk']), null);
+    assert.equal(reranker.failures, 1);
+    assert.ok(reranker.retryAt > Date.now());
+
+    // Within the backoff no new worker is started
+    assert.equal(await reranker.initialize(), false);
+    assert.equal(reranker.failures, 1);
+
+    reranker.retryAt = 0;
+    assert.equal(await reranker.initialize(), false);
+    assert.equal(reranker.failures, 2);
+    assert.equal(isTransformersLoaded(), false);
+  });
+});
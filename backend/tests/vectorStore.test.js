@@ -0,0 +1,90 @@
+// Tests for the on-disk vector store
+// Run with: npm run test:backend
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-'));
+process.env.VECTOR_STORE_DIR = dir;
+const vectorStore = require('../services/vectorStore');
+
+const model = { id: 'test-model', quantized: false, dimension: 2 };
+const chunksOf = (...texts) => texts.map(text => ({ text, metadata: {} }));
+
+describe('vectorStore', () => {
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('concurrent syncs for one user run in turn and embed each text once', async () => {
+    const embedded = [];
+    const embedBatch = async (texts) => {
+      embedded.push(...texts);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return texts.map((_, i) => [i, 1]);
+    };
+
+    await Promise.all([
+      vectorStore.syncChunks('user-1', chunksOf('alpha', 'beta'), embedBatch, model),
+      vectorStore.syncChunks('user-1', chunksOf('alpha', 'beta'), embedBatch, model),
+      vectorStore.save('user-1'),
+      vectorStore.syncChunks('user-1', chunksOf('alpha', 'beta'), embedBatch, model)
+    ]);
+
+    assert.deepEqual(embedded, ['alpha', 'beta']);
+    const files = fs.readdirSync(dir);
+    assert.deepEqual(files, ['user-1.json']);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'user-1.json'), 'utf8')).entries.length, 2);
+  });
+
+  test('an index survives being reloaded from disk', async () => {
+    vectorStore.indexes.delete('user-1');
+
+    const chunks = await vectorStore.syncChunks('user-1', chunksOf('alpha'), async () => assert.fail('should not embed'), model);
+
+    assert.deepEqual(chunks[0].embedding, [0, 1]);
+  });
+
+  test('evicts the least recently used index beyond the limit and reloads it from disk', async () => {
+    const embedBatch = async (texts) => texts.map(() => [1, 0]);
+    vectorStore.cacheMaxUsers = 2;
+    try {
+      await vectorStore.syncChunks('user-2', chunksOf('gamma'), embedBatch, model);
+      await vectorStore.syncChunks('user-3', chunksOf('delta'), embedBatch, model);
+      await vectorStore.syncChunks('user-2', chunksOf('gamma'), embedBatch, model);
+      await vectorStore.syncChunks('user-4', chunksOf('epsilon'), embedBatch, model);
+
+      assert.deepEqual([...vectorStore.indexes.keys()], ['user-2', 'user-4']);
+
+      const chunks = await vectorStore.syncChunks('user-3', chunksOf('delta'), async () => assert.fail('should not embed'), model);
+      assert.deepEqual(chunks[0].embedding, [1, 0]);
+    } finally {
+      vectorStore.cacheMaxUsers = 100;
+    }
+  });
+
+  test('drops an index unused for the TTL', async () => {
+    await vectorStore.syncChunks('user-1', chunksOf('alpha'), async () => assert.fail('should not embed'), model);
+    vectorStore.indexes.get('user-1').lastUsedAt -= vectorStore.cacheTtlMs;
+
+    assert.equal(vectorStore.getCachedIndex('user-1'), null);
+    assert.equal(vectorStore.indexes.has('user-1'), false);
+  });
+
+  test('reuses the BM25 index until the chunks change', async () => {
+    const embedBatch = async (texts) => texts.map(() => [0, 1]);
+    const first = await vectorStore.syncChunks('user-5', chunksOf('alpha', 'beta'), embedBatch, model);
+    const bm25 = vectorStore.getLexicalIndex('user-5', first);
+
+    const same = await vectorStore.syncChunks('user-5', chunksOf('alpha', 'beta'), embedBatch, model);
+    assert.equal(vectorStore.getLexicalIndex('user-5', same), bm25);
+
+    const changed = await vectorStore.syncChunks('user-5', chunksOf('alpha', 'gamma'), embedBatch, model);
+    const rebuilt = vectorStore.getLexicalIndex('user-5', changed);
+    assert.notEqual(rebuilt, bm25);
+    assert.equal(rebuilt.termFrequencies[1].get('gamma'), 1);
+  });
+});
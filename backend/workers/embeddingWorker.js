@@ -0,0 +1,54 @@
+/**
+ * Embedding Worker
+ * Runs the sentence embedding model off the main thread. Receives
+ * { id, texts } messages and replies with { id, embeddings } (one Float32Array
+ * per text) or { id, error }. Reports the model's vector dimension when ready.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { pipeline, env } = require('@xenova/transformers');
+const { applyModelSettings } = require('../services/modelConfig');
+
+let embedder = null;
+
+async function loadModel() {
+  applyModelSettings(env, workerData);
+
+  embedder = await pipeline('feature-extraction', workerData.embeddingModel, {
+    quantized: workerData.quantized,
+    progress_callback: (progress) => {
+      if (progress.status === 'downloading') {
+        parentPort.postMessage({ type: 'progress', progress: Math.round(progress.progress || 0) });
+      }
+    }
+  });
+}
+
+/**
+ * Embed a batch of texts in one model call
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Float32Array>>} One normalized vector per text
+ */
+async function embedTexts(texts) {
+  const output = await embedder(texts, { pooling: 'mean', normalize: true });
+  const dimension = output.data.length / texts.length;
+
+  return texts.map((text, i) => output.data.slice(i * dimension, (i + 1) * dimension));
+}
+
+parentPort.on('message', async ({ id, texts }) => {
+  try {
+    const embeddings = await embedTexts(texts);
+    parentPort.postMessage(
+      { type: 'result', id, embeddings },
+      embeddings.map(embedding => embedding.buffer)
+    );
+  } catch (error) {
+    parentPort.postMessage({ type: 'result', id, error: error.message });
+  }
+});
+
+loadModel()
+  .then(() => embedTexts(['dimension probe']))
+  .then(([probe]) => parentPort.postMessage({ type: 'ready', dimension: probe.length }))
+  .catch(error => parentPort.postMessage({ type: 'failed', error: error.message }));
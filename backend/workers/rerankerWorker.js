@@ -0,0 +1,50 @@
+/**
+ * Reranker Worker
+ * Runs the cross-encoder off the main thread. Receives { id, query, texts }
+ * messages and replies with { id, scores } (relevance probability per text)
+ * or { id, error }. Reports when the model is loaded.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { AutoTokenizer, AutoModelForSequenceClassification, env } = require('@xenova/transformers');
+const { applyModelSettings } = require('../services/modelConfig');
+
+let tokenizer = null;
+let model = null;
+
+async function loadModel() {
+  applyModelSettings(env, workerData);
+
+  tokenizer = await AutoTokenizer.from_pretrained(workerData.rerankerModel);
+  model = await AutoModelForSequenceClassification.from_pretrained(workerData.rerankerModel, { quantized: true });
+}
+
+/**
+ * Score how well each text answers the query
+ * @param {string} query - Query text
+ * @param {Array<string>} texts - Candidate texts
+ * @returns {Promise<Array<number>>} Relevance probability per text
+ */
+async function scoreTexts(query, texts) {
+  const inputs = tokenizer(new Array(texts.length).fill(query), {
+    text_pair: texts,
+    padding: true,
+    truncation: true
+  });
+  const { logits } = await model(inputs);
+
+  return Array.from(logits.data).map(logit => 1 / (1 + Math.exp(-logit)));
+}
+
+parentPort.on('message', async ({ id, query, texts }) => {
+  try {
+    const scores = await scoreTexts(query, texts);
+    parentPort.postMessage({ type: 'result', id, scores });
+  } catch (error) {
+    parentPort.postMessage({ type: 'result', id, error: error.message });
+  }
+});
+
+loadModel()
+  .then(() => parentPort.postMessage({ type: 'ready' }))
+  .catch(error => parentPort.postMessage({ type: 'failed', error: error.message }));
@@ -62,6 +62,7 @@ const AppContent = () => {
       return (
         <FastLearningSession
           topic={learningData.topic || 'Uploaded Content'}
+          documents={learningData.documents}
           resumeData={learningData.resumeData}
           onBack={handleBackToDashboard}
           onOpenTheHopper={handleOpenTheHopper}
@@ -71,6 +72,7 @@ const AppContent = () => {
       return (
         <DepthLearningSession
           topic={learningData.topic || 'Uploaded Content'}
+          documents={learningData.documents}
           resumeData={learningData.resumeData}
           onBack={handleBackToDashboard}
         />
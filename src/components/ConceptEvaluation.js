@@ -4,6 +4,17 @@ import {
   generateConceptEvaluationReport,
   calculateEvaluationResults 
 } from '../lib/learningFramework';
+import { describeGenerationError } from '../lib/geminiClient';
+import {
+  QUESTION_TYPES,
+  prepareQuestion,
+  emptyResponse,
+  isResponseComplete,
+  gradeResponse,
+  formatResponse,
+  formatCorrectAnswer
+} from '../lib/questionTypes';
+import QuestionInput from './QuestionInput';
 import './Evaluation.css'; // Reusing existing styles
 
 const ConceptEvaluation = ({ 
@@ -20,9 +31,12 @@ const ConceptEvaluation = ({
   const [loading, setLoading] = useState(true);
   const [showResults, setShowResults] = useState(false);
   const [evaluationResults, setEvaluationResults] = useState(null);
-  const [selectedAnswer, setSelectedAnswer] = useState('');
+  const [response, setResponse] = useState('');
+  const [grading, setGrading] = useState(false);
+  const [gradeError, setGradeError] = useState(null);
   const [showReport, setShowReport] = useState(false);
   const [report, setReport] = useState(null);
+  const [loadError, setLoadError] = useState(null);
 
   const conceptsArray = Array.from(selectedConcepts);
   const currentConcept = conceptsArray[currentConceptIndex];
@@ -36,34 +50,49 @@ const ConceptEvaluation = ({
 
   const loadQuestionsForCurrentConcept = async () => {
     setLoading(true);
+    setLoadError(null);
     try {
       const concept = conceptsArray[currentConceptIndex];
-      const conceptQuestions = await generateConceptMCQQuestions(concept);
+      const conceptQuestions = (await generateConceptMCQQuestions(concept, 5, QUESTION_TYPES)).map(question => prepareQuestion(question));
       setQuestions(conceptQuestions);
       setCurrentQuestionIndex(0);
-      setSelectedAnswer('');
+      setResponse(emptyResponse(conceptQuestions[0]));
     } catch (error) {
       console.error('Error loading questions:', error);
+      setLoadError(describeGenerationError(error));
     } finally {
       setLoading(false);
     }
   };
 
-  const handleAnswerSelect = (answer) => {
-    setSelectedAnswer(answer);
-  };
+  const handleNextQuestion = async () => {
+    // Grade the answer (short answers are graded by the backend against their rubric)
+    setGrading(true);
+    setGradeError(null);
+    let grade;
+    try {
+      grade = await gradeResponse(currentQuestion, response);
+    } catch (error) {
+      console.error('Error grading answer:', error);
+      setGradeError(describeGenerationError(error));
+      return;
+    } finally {
+      setGrading(false);
+    }
 
-  const handleNextQuestion = () => {
     // Save answer
     const questionKey = `${currentConceptIndex}-${currentQuestionIndex}`;
     const updatedAnswers = {
       ...answers,
       [questionKey]: {
         question: currentQuestion.question,
-        selectedAnswer,
-        correctAnswer: currentQuestion.correctAnswer,
+        type: currentQuestion.type,
+        selectedAnswer: formatResponse(currentQuestion, response),
+        correctAnswer: formatCorrectAnswer(currentQuestion),
         concept: currentConcept,
-        isCorrect: selectedAnswer === currentQuestion.correctAnswer
+        isCorrect: grade.isCorrect,
+        score: grade.score,
+        ...(grade.feedback && { feedback: grade.feedback })
       }
     };
     setAnswers(updatedAnswers);
@@ -71,7 +100,7 @@ const ConceptEvaluation = ({
     // Move to next question or concept
     if (currentQuestionIndex < questions.length - 1) {
       setCurrentQuestionIndex(currentQuestionIndex + 1);
-      setSelectedAnswer('');
+      setResponse(emptyResponse(questions[currentQuestionIndex + 1]));
     } else if (currentConceptIndex < conceptsArray.length - 1) {
       setCurrentConceptIndex(currentConceptIndex + 1);
     } else {
@@ -148,6 +177,36 @@ const ConceptEvaluation = ({
     );
   }
 
+  if (loadError) {
+    return (
+      <div className="evaluation-container">
+        <div className="nav-menu" onClick={onBack}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <line x1="3" y1="6" x2="21" y2="6"/>
+            <line x1="3" y1="12" x2="21" y2="12"/>
+            <line x1="3" y1="18" x2="21" y2="18"/>
+          </svg>
+        </div>
+        
+        <div className="nav-profile">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/>
+            <circle cx="12" cy="7" r="4"/>
+          </svg>
+        </div>
+
+        <h1 className="title">Grasphopper</h1>
+
+        <div className="generation-error">
+          <p>{loadError}</p>
+          <button onClick={loadQuestionsForCurrentConcept} className="action-button primary">
+            Try again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   if (showResults) {
     return (
       <div className="evaluation-container">
@@ -255,26 +314,24 @@ const ConceptEvaluation = ({
         <div className="question-card">
           <h3>{currentQuestionIndex + 1}. {currentQuestion?.question}</h3>
           
-          <div className="options">
-            {currentQuestion?.options?.map((option, index) => (
-              <div
-                key={index}
-                className={`option ${selectedAnswer === option ? 'selected' : ''}`}
-                onClick={() => handleAnswerSelect(option)}
-              >
-                <span className="option-letter">{String.fromCharCode(65 + index)}</span>
-                <span className="option-text">{option}</span>
-              </div>
-            ))}
-          </div>
+          {currentQuestion && (
+            <QuestionInput
+              question={currentQuestion}
+              response={response}
+              onChange={setResponse}
+              disabled={grading}
+            />
+          )}
+
+          {gradeError && <p className="grade-error">{gradeError}</p>}
 
           <div className="question-actions">
             <button
               onClick={handleNextQuestion}
-              disabled={!selectedAnswer}
+              disabled={!currentQuestion || !isResponseComplete(currentQuestion, response) || grading}
               className="next-button"
             >
-              {currentQuestionIndex < questions.length - 1 
+              {grading ? 'Grading...' : currentQuestionIndex < questions.length - 1 
                 ? 'Next Question' 
                 : currentConceptIndex < conceptsArray.length - 1 
                   ? 'Next Concept' 
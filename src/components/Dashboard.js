@@ -27,20 +27,26 @@ const Dashboard = ({ onStartLearning, onOpenProfile, onOpenTheHopper, onOpenPodc
   // Handle files submission
   const handleFilesSubmit = async (filesData) => {
     console.log('Files submitted:', filesData);
+
+    // Each processed file with its user_documents row, for source-grounded generation
+    const documents = (filesData.files || [])
+      .filter(file => file.markdownContent)
+      .map(file => ({ id: file.documentId, name: file.fileName, content: file.markdownContent }));
+    const submission = { ...filesData, documents };
     
     // If we have processed markdown content, detect the topic
-    if (filesData.hasProcessedContent && filesData.markdownContent) {
+    if (submission.hasProcessedContent && submission.markdownContent) {
       try {
         // Show loading state (you could add a loading state here)
         console.log('Detecting topic from uploaded content...');
         
         // Detect topic from the markdown content
-        const topicInfo = await detectTopicFromContent(filesData.markdownContent);
+        const topicInfo = await detectTopicFromContent(submission.markdownContent);
         console.log('Detected topic:', topicInfo);
         
         // Store both the files data and detected topic
         window.selectedFiles = {
-          ...filesData,
+          ...submission,
           detectedTopic: topicInfo.topic,
           topicInfo: topicInfo
         };
@@ -50,12 +56,12 @@ const Dashboard = ({ onStartLearning, onOpenProfile, onOpenTheHopper, onOpenPodc
       } catch (error) {
         console.error('Error detecting topic:', error);
         // Fallback to generic topic
-        window.selectedFiles = filesData;
+        window.selectedFiles = submission;
         window.selectedTopic = 'Uploaded Content';
       }
     } else {
       // No processed content, use generic topic
-      window.selectedFiles = filesData;
+      window.selectedFiles = submission;
       window.selectedTopic = 'Uploaded Content';
     }
     
@@ -83,6 +89,7 @@ const Dashboard = ({ onStartLearning, onOpenProfile, onOpenTheHopper, onOpenPodc
         topic: topic,
         files: window.selectedFiles,
         markdownContent: window.selectedFiles.markdownContent,
+        documents: window.selectedFiles.documents,
         topicInfo: window.selectedFiles.topicInfo
       });
     }
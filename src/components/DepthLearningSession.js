@@ -1,18 +1,20 @@
 import React, { useState } from 'react';
 import { generatePrerequisites } from '../lib/gemini';
+import { describeGenerationError } from '../lib/geminiClient';
 import { createSession, updateSessionProgress } from '../lib/sessionService';
 import Evaluation from './Evaluation';
 import LearningComponent from './LearningComponent';
 import MagicLoader from './MagicLoader';
 import './DepthLearningSession.css';
 
-const DepthLearningSession = ({ topic: initialTopic = '', resumeData = null, onBack }) => {
+const DepthLearningSession = ({ topic: initialTopic = '', documents = [], resumeData = null, onBack }) => {
   const [topic, setTopic] = useState(initialTopic);
   const [prerequisites, setPrerequisites] = useState(resumeData?.prerequisites || []);
   const [selectedPrerequisites, setSelectedPrerequisites] = useState(
     resumeData?.selectedPrerequisites ? new Set(resumeData.selectedPrerequisites) : new Set()
   );
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
   const [currentPhase, setCurrentPhase] = useState(resumeData?.currentPhase || 'prerequisites'); // 'prerequisites', 'evaluation', 'learning', 'final-evaluation', 'completed'
   const [topicsToLearn, setTopicsToLearn] = useState(resumeData?.topicsToLearn || []);
   // const [evaluationResults, setEvaluationResults] = useState(null); // Not used currently
@@ -21,12 +23,15 @@ const DepthLearningSession = ({ topic: initialTopic = '', resumeData = null, onB
   // Session management
   const [sessionId, setSessionId] = useState(resumeData?.sessionId || null);
   const [sessionCreated, setSessionCreated] = useState(!!resumeData);
+  // Only the first uploaded file is linked to the session
+  const documentId = documents[0]?.id;
 
   // Auto-submit if we have an initial topic and create session (skip if resuming)
   React.useEffect(() => {
     const autoSubmit = async () => {
       if (initialTopic && initialTopic.trim() && !sessionCreated && !resumeData) {
         setLoading(true);
+        setError(null);
         try {
           const prerequisites = await generatePrerequisites(initialTopic);
           setPrerequisites(prerequisites);
@@ -36,6 +41,7 @@ const DepthLearningSession = ({ topic: initialTopic = '', resumeData = null, onB
           const sessionResult = await createSession({
             sessionType: 'depth',
             topic: initialTopic,
+            documentId,
             prerequisites: prerequisites,
             flashcards: [],
             mcqQuestions: []
@@ -50,6 +56,7 @@ const DepthLearningSession = ({ topic: initialTopic = '', resumeData = null, onB
           }
         } catch (error) {
           console.error('Error fetching prerequisites:', error);
+          setError(describeGenerationError(error));
         } finally {
           setLoading(false);
         }
@@ -63,19 +70,21 @@ const DepthLearningSession = ({ topic: initialTopic = '', resumeData = null, onB
     };
 
     autoSubmit();
-  }, [initialTopic, sessionCreated, resumeData]);
+  }, [initialTopic, documentId, sessionCreated, resumeData]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!topic.trim()) return;
     
     setLoading(true);
+    setError(null);
     try {
       const prerequisites = await generatePrerequisites(topic);
       setPrerequisites(prerequisites);
       setSelectedPrerequisites(new Set()); // Reset selections
     } catch (error) {
       console.error('Error fetching prerequisites:', error);
+      setError(describeGenerationError(error));
     } finally {
       setLoading(false);
     }
@@ -293,6 +302,12 @@ const DepthLearningSession = ({ topic: initialTopic = '', resumeData = null, onB
         </div>
       )}
 
+      {!loading && error && (
+        <div className="generation-error">
+          <p>{error}</p>
+        </div>
+      )}
+
       {!loading && prerequisites.length > 0 && (
         <div className="prerequisites-section">
           <h2>Prerequisites :</h2>
@@ -1,6 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { generateMCQQuestions, generateEvaluationReport } from '../lib/gemini';
+import { describeGenerationError } from '../lib/geminiClient';
+import {
+  QUESTION_TYPES,
+  prepareQuestion,
+  emptyResponse,
+  isResponseComplete,
+  gradeResponse,
+  formatResponse,
+  formatCorrectAnswer
+} from '../lib/questionTypes';
 import MagicLoader from './MagicLoader';
+import QuestionInput from './QuestionInput';
 import './Evaluation.css';
 
 const Evaluation = ({ selectedPrerequisites, onEvaluationComplete, onBack }) => {
@@ -11,9 +22,12 @@ const Evaluation = ({ selectedPrerequisites, onEvaluationComplete, onBack }) =>
   const [loading, setLoading] = useState(true);
   const [showResults, setShowResults] = useState(false);
   const [evaluationResults, setEvaluationResults] = useState(null);
-  const [selectedAnswer, setSelectedAnswer] = useState('');
+  const [response, setResponse] = useState('');
+  const [grading, setGrading] = useState(false);
+  const [gradeError, setGradeError] = useState(null);
   const [showReport, setShowReport] = useState(false);
   const [report, setReport] = useState(null);
+  const [loadError, setLoadError] = useState(null);
 
   const prerequisitesArray = Array.from(selectedPrerequisites);
   const currentTopic = prerequisitesArray[currentTopicIndex];
@@ -27,34 +41,49 @@ const Evaluation = ({ selectedPrerequisites, onEvaluationComplete, onBack }) =>
 
   const loadQuestionsForCurrentTopic = async () => {
     setLoading(true);
+    setLoadError(null);
     try {
       const topic = prerequisitesArray[currentTopicIndex];
-      const topicQuestions = await generateMCQQuestions(topic);
+      const topicQuestions = (await generateMCQQuestions(topic, { types: QUESTION_TYPES })).map(question => prepareQuestion(question));
       setQuestions(topicQuestions);
       setCurrentQuestionIndex(0);
-      setSelectedAnswer('');
+      setResponse(emptyResponse(topicQuestions[0]));
     } catch (error) {
       console.error('Error loading questions:', error);
+      setLoadError(describeGenerationError(error));
     } finally {
       setLoading(false);
     }
   };
 
-  const handleAnswerSelect = (answer) => {
-    setSelectedAnswer(answer);
-  };
+  const handleNextQuestion = async () => {
+    // Grade the answer (short answers are graded by the backend against their rubric)
+    setGrading(true);
+    setGradeError(null);
+    let grade;
+    try {
+      grade = await gradeResponse(currentQuestion, response);
+    } catch (error) {
+      console.error('Error grading answer:', error);
+      setGradeError(describeGenerationError(error));
+      return;
+    } finally {
+      setGrading(false);
+    }
 
-  const handleNextQuestion = () => {
     // Save answer
     const questionKey = `${currentTopicIndex}-${currentQuestionIndex}`;
     const updatedAnswers = {
       ...answers,
       [questionKey]: {
         question: currentQuestion.question,
-        selectedAnswer,
-        correctAnswer: currentQuestion.correctAnswer,
+        type: currentQuestion.type,
+        selectedAnswer: formatResponse(currentQuestion, response),
+        correctAnswer: formatCorrectAnswer(currentQuestion),
         topic: currentTopic,
-        isCorrect: selectedAnswer === currentQuestion.correctAnswer
+        isCorrect: grade.isCorrect,
+        score: grade.score,
+        ...(grade.feedback && { feedback: grade.feedback })
       }
     };
     setAnswers(updatedAnswers);
@@ -62,7 +91,7 @@ const Evaluation = ({ selectedPrerequisites, onEvaluationComplete, onBack }) =>
     // Move to next question or topic
     if (currentQuestionIndex < questions.length - 1) {
       setCurrentQuestionIndex(currentQuestionIndex + 1);
-      setSelectedAnswer('');
+      setResponse(emptyResponse(questions[currentQuestionIndex + 1]));
     } else if (currentTopicIndex < prerequisitesArray.length - 1) {
       setCurrentTopicIndex(currentTopicIndex + 1);
     } else {
@@ -196,6 +225,36 @@ const Evaluation = ({ selectedPrerequisites, onEvaluationComplete, onBack }) =>
     );
   }
 
+  if (loadError) {
+    return (
+      <div className="evaluation-container">
+        <div className="nav-menu" onClick={onBack}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <line x1="3" y1="6" x2="21" y2="6"/>
+            <line x1="3" y1="12" x2="21" y2="12"/>
+            <line x1="3" y1="18" x2="21" y2="18"/>
+          </svg>
+        </div>
+        
+        <div className="nav-profile">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/>
+            <circle cx="12" cy="7" r="4"/>
+          </svg>
+        </div>
+
+        <h1 className="title">Grasphopper</h1>
+
+        <div className="generation-error">
+          <p>{loadError}</p>
+          <button onClick={loadQuestionsForCurrentTopic} className="action-button primary">
+            Try again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   if (showResults) {
     return (
       <div className="evaluation-container">
@@ -303,26 +362,24 @@ const Evaluation = ({ selectedPrerequisites, onEvaluationComplete, onBack }) =>
         <div className="question-card">
           <h3>{currentQuestionIndex + 1}. {currentQuestion?.question}</h3>
           
-          <div className="options">
-            {currentQuestion?.options?.map((option, index) => (
-              <div
-                key={index}
-                className={`option ${selectedAnswer === option ? 'selected' : ''}`}
-                onClick={() => handleAnswerSelect(option)}
-              >
-                <span className="option-letter">{String.fromCharCode(65 + index)}</span>
-                <span className="option-text">{option}</span>
-              </div>
-            ))}
-          </div>
+          {currentQuestion && (
+            <QuestionInput
+              question={currentQuestion}
+              response={response}
+              onChange={setResponse}
+              disabled={grading}
+            />
+          )}
+
+          {gradeError && <p className="grade-error">{gradeError}</p>}
 
           <div className="question-actions">
             <button
               onClick={handleNextQuestion}
-              disabled={!selectedAnswer}
+              disabled={!currentQuestion || !isResponseComplete(currentQuestion, response) || grading}
               className="next-button"
             >
-              {currentQuestionIndex < questions.length - 1 
+              {grading ? 'Grading...' : currentQuestionIndex < questions.length - 1 
                 ? 'Next Question' 
                 : currentTopicIndex < prerequisitesArray.length - 1 
                   ? 'Next Topic' 
@@ -1,15 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { getMostStruggledTopics, getOverallStruggleStats } from '../lib/topicStruggleService';
+import SourceReference from './SourceReference';
+import { formatCorrectAnswer } from '../lib/questionTypes';
 import './EvaluationReport.css';
 
 /**
  * Evaluation Report Component
- * Shows detailed results after MCQ assessment with explanations for wrong answers
+ * Shows detailed results after an assessment with explanations for wrong answers.
+ * userAnswers are the student's answers as text; grades ({ isCorrect, feedback } per
+ * question) say which were wrong for question types that are not single-answer MCQs.
  */
 const EvaluationReport = ({
   evaluationResults,
   questions,
   userAnswers,
+  grades,
   onContinue,
   onRetry,
   sessionId,
@@ -57,11 +62,16 @@ const EvaluationReport = ({
 
   // Get wrong questions for detailed review
   const wrongQuestions = questions.filter((question, index) => {
+    if (grades) {
+      return !grades[index]?.isCorrect;
+    }
     const userAnswer = userAnswers[index];
     return userAnswer !== question.correctAnswer;
   });
 
   const currentWrongQuestion = wrongQuestions[currentReviewIndex];
+  const currentWrongIndex = questions.indexOf(currentWrongQuestion);
+  const currentCorrectAnswer = currentWrongQuestion && formatCorrectAnswer(currentWrongQuestion);
 
   return (
     <div className="evaluation-report">
@@ -141,14 +151,14 @@ const EvaluationReport = ({
                   <div className="answer-section your-answer">
                     <h4>❌ Your Answer:</h4>
                     <div className="answer-option wrong">
-                      {userAnswers[questions.indexOf(currentWrongQuestion)]}
+                      {userAnswers[currentWrongIndex]}
                     </div>
                   </div>
 
                   <div className="answer-section correct-answer">
                     <h4>✅ Correct Answer:</h4>
                     <div className="answer-option correct">
-                      {currentWrongQuestion.correctAnswer}
+                      {currentCorrectAnswer}
                     </div>
                   </div>
                 </div>
@@ -157,15 +167,24 @@ const EvaluationReport = ({
                   <h4>💡 Explanation:</h4>
                   <div className="explanation-content">
                     {currentWrongQuestion.explanation || 
-                     `The correct answer is "${currentWrongQuestion.correctAnswer}". This is a fundamental concept that requires understanding of the core principles.`}
+                     `The correct answer is "${currentCorrectAnswer}". This is a fundamental concept that requires understanding of the core principles.`}
                   </div>
                   
+                  {grades?.[currentWrongIndex]?.feedback && (
+                    <div className="why-wrong-explanation">
+                      <h5>Feedback on your answer:</h5>
+                      <p>{grades[currentWrongIndex].feedback}</p>
+                    </div>
+                  )}
+
                   {currentWrongQuestion.whyWrongExplanation && (
                     <div className="why-wrong-explanation">
                       <h5>Why your answer was wrong:</h5>
                       <p>{currentWrongQuestion.whyWrongExplanation}</p>
                     </div>
                   )}
+
+                  <SourceReference source={currentWrongQuestion.source} />
                 </div>
 
                 {currentWrongQuestion.topicCategory && (
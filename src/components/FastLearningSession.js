@@ -1,5 +1,14 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { generateFlashcards } from '../lib/gemini';
+import { generateFlashcards, generateMCQQuestions, generateFlashcardsFromDocuments, generateMCQQuestionsFromDocuments } from '../lib/gemini';
+import { buildQuestionBank } from '../lib/questionBank';
+import {
+  FAST_QUESTION_TYPES,
+  emptyResponse,
+  isResponseComplete,
+  gradeResponse,
+  formatResponse,
+  formatCorrectAnswer
+} from '../lib/questionTypes';
 import {
   createSession,
   updateSessionProgress,
@@ -9,11 +18,57 @@ import {
 import { recordMultipleTopicStruggles } from '../lib/topicStruggleService';
 import SessionDebugInfo from './SessionDebugInfo';
 import EvaluationReport from './EvaluationReport';
+import SourceReference from './SourceReference';
+import QuestionInput from './QuestionInput';
 import MagicLoader from './MagicLoader';
 import './FastLearningSession.css';
 
-const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBack, onOpenTheHopper }) => {
+// Generate 10 flashcards for fast learning
+const generateFastFlashcards = async (topicName, documents) => {
+  try {
+    // Uploaded material: flashcards come from its passages, each citing its source
+    if (documents.length > 0) {
+      return await generateFlashcardsFromDocuments(documents, 10);
+    }
+
+    // Use the existing generateFlashcards function and limit to 10
+    const cards = await generateFlashcards(topicName);
+    return cards.slice(0, 10); // Ensure exactly 10 cards
+
+
+  } catch (error) {
+    console.error('Error generating fast flashcards:', error);
+    // Fallback flashcards
+    return Array.from({ length: 10 }, (_, index) => ({
+      question: `Key Concept ${index + 1} of ${topicName}`,
+      answer: `This is an important concept related to ${topicName} that you should understand.`
+    }));
+  }
+};
+
+// Generate 15 MCQ questions for evaluation
+const generateFastMCQQuestions = async (topicName, documents) => {
+  try {
+    // Each follow-up request asks only for the questions still missing
+    const generate = documents.length > 0
+      ? (count, steering) => generateMCQQuestionsFromDocuments(documents, count, steering)
+      : (count, steering) => generateMCQQuestions(topicName, { count, types: FAST_QUESTION_TYPES, ...steering });
+
+    return await buildQuestionBank(generate, { count: 15 });
+  } catch (error) {
+    console.error('Error generating fast MCQ questions:', error);
+    // Fallback questions
+    return Array.from({ length: 15 }, (_, index) => ({
+      question: `Question ${index + 1} about ${topicName}?`,
+      options: ["Option A", "Option B", "Option C", "Option D"],
+      correctAnswer: ["Option A", "Option B", "Option C", "Option D"][index % 4]
+    }));
+  }
+};
+
+const FastLearningSession = ({ topic: initialTopic = '', documents: initialDocuments = [], resumeData = null, onBack, onOpenTheHopper }) => {
   const [topic] = useState(initialTopic);
+  const [documents] = useState(initialDocuments);
   const [currentPhase, setCurrentPhase] = useState(resumeData?.currentPhase || 'flashcards'); // 'flashcards', 'evaluation', 'report', 'completed'
   const [flashcards, setFlashcards] = useState(resumeData?.flashcards || []);
   const [currentCardIndex, setCurrentCardIndex] = useState(resumeData?.currentCardIndex || 0);
@@ -29,51 +84,16 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
   const [questions, setQuestions] = useState(resumeData?.questions || []);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [answers, setAnswers] = useState(resumeData?.answeredQuestions ?
-    resumeData.answeredQuestions.reduce((acc, q) => ({ ...acc, [q.questionIndex]: q.userAnswer }), {}) :
+    resumeData.answeredQuestions.reduce((acc, q) => ({
+      ...acc,
+      [q.questionIndex]: { selectedAnswer: q.userAnswer, isCorrect: q.isCorrect, ...(q.grading?.feedback && { feedback: q.grading.feedback }) }
+    }), {}) :
     {}
   );
-  const [selectedAnswer, setSelectedAnswer] = useState('');
+  const [response, setResponse] = useState('');
+  const [grading, setGrading] = useState(false);
   const [evaluationResults, setEvaluationResults] = useState(null);
 
-  // Generate 10 flashcards for fast learning
-  const generateFastFlashcards = async (topicName) => {
-    try {
-      // Use the existing generateFlashcards function and limit to 10
-      const cards = await generateFlashcards(topicName);
-      return cards.slice(0, 10); // Ensure exactly 10 cards
-
-
-    } catch (error) {
-      console.error('Error generating fast flashcards:', error);
-      // Fallback flashcards
-      return Array.from({ length: 10 }, (_, index) => ({
-        question: `Key Concept ${index + 1} of ${topicName}`,
-        answer: `This is an important concept related to ${topicName} that you should understand.`
-      }));
-    }
-  };
-
-  // Generate 15 MCQ questions for evaluation
-  const generateFastMCQQuestions = async (topicName) => {
-    try {
-      // Generate multiple batches to get 15 questions
-      const batch1 = await import('../lib/gemini').then(module => module.generateMCQQuestions(topicName));
-      const batch2 = await import('../lib/gemini').then(module => module.generateMCQQuestions(topicName));
-      const batch3 = await import('../lib/gemini').then(module => module.generateMCQQuestions(topicName));
-
-      const allQuestions = [...batch1, ...batch2, ...batch3];
-      return allQuestions.slice(0, 15); // Take exactly 15 questions
-    } catch (error) {
-      console.error('Error generating fast MCQ questions:', error);
-      // Fallback questions
-      return Array.from({ length: 15 }, (_, index) => ({
-        question: `Question ${index + 1} about ${topicName}?`,
-        options: ["Option A", "Option B", "Option C", "Option D"],
-        correctAnswer: ["Option A", "Option B", "Option C", "Option D"][index % 4]
-      }));
-    }
-  };
-
   // Create session and load flashcards when component mounts
   const initializeSession = useCallback(async () => {
     if (!topic.trim() || sessionCreated) return;
@@ -81,8 +101,8 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
     setLoading(true);
     try {
       // Generate flashcards and questions
-      const cards = await generateFastFlashcards(topic);
-      const evalQuestions = await generateFastMCQQuestions(topic);
+      const cards = await generateFastFlashcards(topic, documents);
+      const evalQuestions = await generateFastMCQQuestions(topic, documents);
 
       setFlashcards(cards);
       setQuestions(evalQuestions);
@@ -91,6 +111,8 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
       const sessionResult = await createSession({
         sessionType: 'fast',
         topic: topic,
+        // Only the first file is linked to the session; each card and question keeps its own source.documentId
+        documentId: documents[0]?.id,
         flashcards: cards,
         mcqQuestions: evalQuestions
       });
@@ -107,7 +129,7 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
     } finally {
       setLoading(false);
     }
-  }, [topic, sessionCreated]);
+  }, [topic, documents, sessionCreated]);
 
   useEffect(() => {
     if (initialTopic && initialTopic.trim() && !resumeData) {
@@ -183,64 +205,62 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
         }
       }
       setCurrentQuestionIndex(firstUnanswered);
+      setResponse(emptyResponse(questions[firstUnanswered]));
     } else {
       setCurrentQuestionIndex(0);
       setAnswers({});
+      setResponse(emptyResponse(questions[0]));
     }
-
-    setSelectedAnswer('');
-  };
-
-  // Handle answer selection
-  const handleAnswerSelect = (answer) => {
-    setSelectedAnswer(answer);
   };
 
   // Handle next question
   const handleNextQuestion = async () => {
-    // Save answer
     const questionKey = currentQuestionIndex;
     const currentQuestion = questions[currentQuestionIndex];
-    const isCorrect = selectedAnswer === currentQuestion.correctAnswer;
 
+    setGrading(true);
+    let grade;
+    try {
+      grade = await gradeResponse(currentQuestion, response);
+    } finally {
+      setGrading(false);
+    }
+
+    // Save answer
+    const selectedAnswer = formatResponse(currentQuestion, response);
     const answerData = {
       question: currentQuestion.question,
       selectedAnswer,
-      correctAnswer: currentQuestion.correctAnswer,
-      isCorrect
+      correctAnswer: formatCorrectAnswer(currentQuestion),
+      isCorrect: grade.isCorrect,
+      ...(grade.feedback && { feedback: grade.feedback })
     };
-
-    setAnswers(prev => ({
-      ...prev,
+    const updatedAnswers = {
+      ...answers,
       [questionKey]: answerData
-    }));
+    };
+    setAnswers(updatedAnswers);
 
     // Record answer in database
     if (sessionId) {
-      await recordQuestionAnswer(sessionId, currentQuestionIndex, selectedAnswer, isCorrect);
+      await recordQuestionAnswer(sessionId, currentQuestionIndex, selectedAnswer, grade.isCorrect, {
+        response,
+        score: grade.score,
+        ...(grade.feedback && { feedback: grade.feedback })
+      });
     }
 
     // Move to next question or complete evaluation
     if (currentQuestionIndex < questions.length - 1) {
       setCurrentQuestionIndex(currentQuestionIndex + 1);
-      setSelectedAnswer('');
+      setResponse(emptyResponse(questions[currentQuestionIndex + 1]));
     } else {
-      completeEvaluation();
+      completeEvaluation(updatedAnswers);
     }
   };
 
   // Complete evaluation
-  const completeEvaluation = async () => {
-    const finalAnswers = {
-      ...answers,
-      [currentQuestionIndex]: {
-        question: questions[currentQuestionIndex].question,
-        selectedAnswer,
-        correctAnswer: questions[currentQuestionIndex].correctAnswer,
-        isCorrect: selectedAnswer === questions[currentQuestionIndex].correctAnswer
-      }
-    };
-
+  const completeEvaluation = async (finalAnswers) => {
     const correctCount = Object.values(finalAnswers).filter(answer => answer.isCorrect).length;
     const totalQuestions = questions.length;
     const percentage = Math.round((correctCount / totalQuestions) * 100);
@@ -290,7 +310,7 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
   const handleReportRetry = () => {
     // Reset evaluation state
     setCurrentQuestionIndex(0);
-    setSelectedAnswer('');
+    setResponse(emptyResponse(questions[0]));
     setAnswers({});
     setEvaluationResults(null);
     setCurrentPhase('evaluation');
@@ -315,12 +335,17 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
   if (currentPhase === 'report') {
     // Convert answers object to array format for the report
     const userAnswersArray = questions.map((_, index) => answers[index]?.selectedAnswer || '');
+    const gradesArray = questions.map((_, index) => ({
+      isCorrect: answers[index]?.isCorrect || false,
+      feedback: answers[index]?.feedback
+    }));
 
     return (
       <EvaluationReport
         evaluationResults={evaluationResults}
         questions={questions}
         userAnswers={userAnswersArray}
+        grades={gradesArray}
         onContinue={handleReportContinue}
         onRetry={handleReportRetry}
         sessionId={sessionId}
@@ -360,23 +385,18 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
           <div className="question-section">
             <div className="question-card">
               <h3>{currentQuestion.question}</h3>
-              <div className="options-grid">
-                {currentQuestion.options.map((option, index) => (
-                  <button
-                    key={index}
-                    className={`option-button ${selectedAnswer === option ? 'selected' : ''}`}
-                    onClick={() => handleAnswerSelect(option)}
-                  >
-                    {option}
-                  </button>
-                ))}
-              </div>
+              <QuestionInput
+                question={currentQuestion}
+                response={response}
+                onChange={setResponse}
+                disabled={grading}
+              />
             </div>
 
             <button
               className="next-question-button"
               onClick={handleNextQuestion}
-              disabled={!selectedAnswer}
+              disabled={!isResponseComplete(currentQuestion, response) || grading}
             >
               {currentQuestionIndex === questions.length - 1 ? 'Complete Evaluation' : 'Next Question'}
             </button>
@@ -503,6 +523,7 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
                     <div className="answer-content">
                       {flashcards[currentCardIndex]?.answer}
                     </div>
+                    <SourceReference source={flashcards[currentCardIndex]?.source} />
                   </div>
                 </div>
               </div>
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import './HopperQuiz.css';
+
+/**
+ * Interactive multiple-choice quiz returned by TheHopper's "Quiz me" mode
+ * @param {Object} props.quiz - { questions: [{ question, options, correctIndex, explanation, sourceIds }] }
+ * @param {Array} props.citations - Citations for the excerpts the questions are drawn from
+ */
+const HopperQuiz = ({ quiz, citations = [] }) => {
+  const [answers, setAnswers] = useState({});
+
+  const questions = quiz?.questions || [];
+  const answeredCount = Object.keys(answers).length;
+  const correctCount = questions.filter((question, index) => answers[index] === question.correctIndex).length;
+
+  const citationTitle = (id) => citations.find(citation => citation.id === id)?.title || id;
+
+  const handleSelect = (questionIndex, optionIndex) => {
+    if (answers[questionIndex] !== undefined) return;
+    setAnswers(prev => ({ ...prev, [questionIndex]: optionIndex }));
+  };
+
+  return (
+    <div className="hopper-quiz">
+      {questions.map((question, questionIndex) => {
+        const selected = answers[questionIndex];
+        const answered = selected !== undefined;
+
+        return (
+          <div key={questionIndex} className="quiz-question">
+            <div className="quiz-question-text">
+              {questionIndex + 1}. {question.question}
+            </div>
+            <div className="quiz-options">
+              {question.options.map((option, optionIndex) => {
+                let state = '';
+                if (answered && optionIndex === question.correctIndex) state = 'correct';
+                else if (answered && optionIndex === selected) state = 'incorrect';
+
+                return (
+                  <button
+                    key={optionIndex}
+                    className={`quiz-option ${state}`}
+                    onClick={() => handleSelect(questionIndex, optionIndex)}
+                    disabled={answered}
+                  >
+                    <span className="quiz-option-letter">{String.fromCharCode(65 + optionIndex)}</span>
+                    {option}
+                  </button>
+                );
+              })}
+            </div>
+            {answered && (
+              <div className="quiz-feedback">
+                <strong>{selected === question.correctIndex ? 'Correct!' : 'Not quite.'}</strong>{' '}
+                {question.explanation}
+                <div className="quiz-sources">
+                  From: {question.sourceIds.map(citationTitle).join(', ')}
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+      {answeredCount === questions.length && questions.length > 0 && (
+        <div className="quiz-score">
+          You got {correctCount} of {questions.length} right.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HopperQuiz;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { generateFlashcards } from '../lib/gemini';
+import { describeGenerationError } from '../lib/geminiClient';
 import MagicLoader from './MagicLoader';
 import './LearningComponent.css';
 
@@ -10,6 +11,7 @@ const LearningComponent = ({ topicsToLearn, onComplete, onBack }) => {
   const [isFlipped, setIsFlipped] = useState(false);
   const [loading, setLoading] = useState(true);
   const [studiedCards, setStudiedCards] = useState(new Set());
+  const [error, setError] = useState(null);
 
   const currentTopic = topicsToLearn[currentTopicIndex];
 
@@ -18,12 +20,14 @@ const LearningComponent = ({ topicsToLearn, onComplete, onBack }) => {
     setIsFlipped(false);
     setCurrentCardIndex(0);
     setStudiedCards(new Set());
+    setError(null);
     
     try {
       const generatedFlashcards = await generateFlashcards(currentTopic);
       setFlashcards(generatedFlashcards);
     } catch (error) {
       console.error('Error generating flashcards:', error);
+      setError(describeGenerationError(error));
     } finally {
       setLoading(false);
     }
@@ -134,6 +138,13 @@ const LearningComponent = ({ topicsToLearn, onComplete, onBack }) => {
             <MagicLoader size={120} particleCount={2} speed={1.2} hueRange={[200, 280]} />
             <p>Generating flashcards...</p>
           </div>
+        ) : error ? (
+          <div className="generation-error">
+            <p>{error}</p>
+            <button className="action-button primary" onClick={loadFlashcards}>
+              Try again
+            </button>
+          </div>
         ) : (
           <div className="flashcard-container">
             <div className="progress-bar">
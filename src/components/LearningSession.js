@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { generatePrerequisites } from '../lib/gemini';
+import { describeGenerationError } from '../lib/geminiClient';
 import Evaluation from './Evaluation';
 import LearningComponent from './LearningComponent';
 import MagicLoader from './MagicLoader';
@@ -10,6 +11,7 @@ const LearningSession = ({ topic: initialTopic = '', onBack }) => {
   const [prerequisites, setPrerequisites] = useState([]);
   const [selectedPrerequisites, setSelectedPrerequisites] = useState(new Set());
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
   const [currentPhase, setCurrentPhase] = useState('prerequisites'); // 'prerequisites', 'evaluation', 'learning', 'final-evaluation', 'completed'
   const [topicsToLearn, setTopicsToLearn] = useState([]);
   // const [evaluationResults, setEvaluationResults] = useState(null); // Not used currently
@@ -20,12 +22,14 @@ const LearningSession = ({ topic: initialTopic = '', onBack }) => {
     const autoSubmit = async () => {
       if (initialTopic && initialTopic.trim()) {
         setLoading(true);
+        setError(null);
         try {
           const prerequisites = await generatePrerequisites(initialTopic);
           setPrerequisites(prerequisites);
           setSelectedPrerequisites(new Set());
         } catch (error) {
           console.error('Error fetching prerequisites:', error);
+          setError(describeGenerationError(error));
         } finally {
           setLoading(false);
         }
@@ -40,12 +44,14 @@ const LearningSession = ({ topic: initialTopic = '', onBack }) => {
     if (!topic.trim()) return;
     
     setLoading(true);
+    setError(null);
     try {
       const prerequisites = await generatePrerequisites(topic);
       setPrerequisites(prerequisites);
       setSelectedPrerequisites(new Set()); // Reset selections
     } catch (error) {
       console.error('Error fetching prerequisites:', error);
+      setError(describeGenerationError(error));
     } finally {
       setLoading(false);
     }
@@ -249,6 +255,12 @@ const LearningSession = ({ topic: initialTopic = '', onBack }) => {
         </div>
       )}
 
+      {!loading && error && (
+        <div className="generation-error">
+          <p>{error}</p>
+        </div>
+      )}
+
       {!loading && prerequisites.length > 0 && (
         <div className="prerequisites-section">
           <h2>Prerequisites :</h2>
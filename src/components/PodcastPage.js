@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { getUserTopics, generatePodcastScript, generatePodcastAudio } from '../lib/podcastService';
+import { describeGenerationError } from '../lib/geminiClient';
 import './PodcastPage.css';
 
 const PodcastPage = ({ onBack }) => {
@@ -130,7 +131,7 @@ const PodcastPage = ({ onBack }) => {
 
     } catch (error) {
       console.error('Error generating podcast:', error);
-      setError(error.message);
+      setError(describeGenerationError(error));
       setGenerationProgress(null);
     } finally {
       setIsGenerating(false);
@@ -0,0 +1,129 @@
+import React from 'react';
+import { questionTypeOf } from '../lib/questionTypes';
+import './QuestionInput.css';
+
+const HINTS = {
+  'multi-select': 'Select all that apply',
+  'fill-blank': 'Fill in the blank',
+  ordering: 'Put these in the correct order',
+  numeric: 'Enter a number',
+  'short-answer': 'Answer in one to three sentences'
+};
+
+/**
+ * Question Input Component
+ * Answer controls for every question type (see lib/questionTypes). The parent
+ * renders the question text and keeps the response in state.
+ */
+const QuestionInput = ({ question, response, onChange, disabled = false }) => {
+  const type = questionTypeOf(question);
+
+  const toggleOption = (option) => {
+    onChange(response.includes(option)
+      ? response.filter(chosen => chosen !== option)
+      : [...response, option]);
+  };
+
+  const moveItem = (index, offset) => {
+    const reordered = [...response];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+    onChange(reordered);
+  };
+
+  const renderControls = () => {
+    switch (type) {
+      case 'multi-select':
+        return (
+          <div className="question-input-choices">
+            {question.options.map((option, index) => (
+              <button
+                key={index}
+                type="button"
+                className={`question-input-choice ${response.includes(option) ? 'selected' : ''}`}
+                onClick={() => toggleOption(option)}
+                disabled={disabled}
+                aria-pressed={response.includes(option)}
+              >
+                <span className="question-input-marker">{response.includes(option) ? '☑' : '☐'}</span>
+                <span>{option}</span>
+              </button>
+            ))}
+          </div>
+        );
+
+      case 'ordering':
+        return (
+          <ol className="question-input-order">
+            {response.map((item, index) => (
+              <li key={item} className="question-input-order-item">
+                <span className="question-input-marker">{index + 1}</span>
+                <span className="question-input-order-text">{item}</span>
+                <button type="button" onClick={() => moveItem(index, -1)} disabled={disabled || index === 0} aria-label={`Move "${item}" up`}>↑</button>
+                <button type="button" onClick={() => moveItem(index, 1)} disabled={disabled || index === response.length - 1} aria-label={`Move "${item}" down`}>↓</button>
+              </li>
+            ))}
+          </ol>
+        );
+
+      case 'fill-blank':
+      case 'numeric':
+        return (
+          <div className="question-input-text">
+            <input
+              type="text"
+              inputMode={type === 'numeric' ? 'decimal' : 'text'}
+              value={response}
+              onChange={(e) => onChange(e.target.value)}
+              disabled={disabled}
+              placeholder={HINTS[type]}
+              maxLength={200}
+            />
+            {type === 'numeric' && question.unit && <span className="question-input-unit">{question.unit}</span>}
+          </div>
+        );
+
+      case 'short-answer':
+        return (
+          <textarea
+            className="question-input-essay"
+            value={response}
+            onChange={(e) => onChange(e.target.value)}
+            disabled={disabled}
+            placeholder={HINTS[type]}
+            rows={4}
+            maxLength={2000}
+          />
+        );
+
+      default:
+        // mcq and true-false
+        return (
+          <div className="question-input-choices">
+            {question.options.map((option, index) => (
+              <button
+                key={index}
+                type="button"
+                className={`question-input-choice ${response === option ? 'selected' : ''}`}
+                onClick={() => onChange(option)}
+                disabled={disabled}
+              >
+                <span className="question-input-marker">{String.fromCharCode(65 + index)}</span>
+                <span>{option}</span>
+              </button>
+            ))}
+          </div>
+        );
+    }
+  };
+
+  return (
+    <div className={`question-input question-input-${type}`}>
+      {HINTS[type] && type !== 'fill-blank' && type !== 'numeric' && (
+        <div className="question-input-hint">{HINTS[type]}</div>
+      )}
+      {renderControls()}
+    </div>
+  );
+};
+
+export default QuestionInput;
@@ -0,0 +1,23 @@
+import React from 'react';
+import './SourceReference.css';
+
+/**
+ * Source Reference Component
+ * Shows where a flashcard or question came from in the student's uploaded material
+ */
+const SourceReference = ({ source }) => {
+  if (!source) {
+    return null;
+  }
+
+  const location = [source.documentName, source.section].filter(Boolean).join(' › ');
+
+  return (
+    <div className="source-reference" onClick={(e) => e.stopPropagation()}>
+      <span className="source-label">📄 From your notes{location ? `: ${location}` : ''}</span>
+      {source.quote && <blockquote className="source-quote">“{source.quote}”</blockquote>}
+    </div>
+  );
+};
+
+export default SourceReference;
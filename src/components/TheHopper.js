@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import { useAuth } from '../context/AuthContext';
-import { prepareLearningContext, callTheHopper } from '../lib/theHopperService';
+import { getLearningContextSummary, streamTheHopper, describeTheHopperError } from '../lib/theHopperService';
 import MagicLoader from './MagicLoader';
 import './TheHopper.css';
 
@@ -11,9 +11,6 @@ const TheHopper = ({ onClose }) => {
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [contextReady, setContextReady] = useState(false);
-  const [contextInfo, setContextInfo] = useState('');
-  const [weakConcepts, setWeakConcepts] = useState([]);
-  const [statsData, setStatsData] = useState([[], []]);
   const [processingStatus, setProcessingStatus] = useState(null);
   const messagesEndRef = useRef(null);
 
@@ -33,28 +30,15 @@ const TheHopper = ({ onClose }) => {
     }
   }, [user]);
 
-  // Prepare context by combining user's documents and flashcards
+  // Ask the backend what it will answer from (it assembles the context itself)
   const prepareContext = async () => {
     try {
       setIsLoading(true);
       
-      // Use the service to prepare context
-      const result = await prepareLearningContext(user.id);
+      const result = await getLearningContextSummary();
       
       if (result.success) {
-        setContextInfo(result.contextContent);
         setContextReady(true);
-
-        // Store Stats data for RAG requests
-        if (result.Stats) {
-          setStatsData(result.Stats);
-        }
-
-        // Extract weak concepts for enhanced responses
-        if (result.metadata.struggleCount > 0) {
-          const struggles = result.contextContent.match(/\*\*(.*?)\*\*/g)?.map(s => s.replace(/\*\*/g, '')) || [];
-          setWeakConcepts(struggles);
-        }
         
         // Add welcome message with context summary
         setMessages([
@@ -89,9 +73,9 @@ const TheHopper = ({ onClose }) => {
   const handleProgressUpdate = (progressData) => {
     setProcessingStatus(progressData);
     
-    // Update the thinking message with progress
+    // Update the thinking message with progress until answer tokens arrive
     setMessages(prev => prev.map(msg => {
-      if (msg.type === 'hopper' && msg.isThinking) {
+      if (msg.type === 'hopper' && msg.isThinking && !msg.isStreaming) {
         return {
           ...msg,
           content: `🧠 **TheHopper is processing your question...**\n\n**Progress:** ${progressData.progress}%\n**Status:** ${progressData.message}\n\nThis may take a few minutes as I analyze your learning materials and generate a personalized response.`,
@@ -102,10 +86,34 @@ const TheHopper = ({ onClose }) => {
     }));
   };
 
+  // Render the partial answer as tokens stream in
+  const handleTokenUpdate = (answerSoFar) => {
+    setMessages(prev => prev.map(msg => {
+      if (msg.type === 'hopper' && msg.isThinking) {
+        return {
+          ...msg,
+          content: answerSoFar,
+          isStreaming: true
+        };
+      }
+      return msg;
+    }));
+  };
+
+  // Build conversation history from completed exchanges (skips welcome, progress and error messages)
+  const buildHistory = () => messages
+    .filter(msg => msg.id !== 1 && !msg.isThinking && !msg.isError && (msg.type === 'user' || msg.type === 'hopper'))
+    .map(msg => ({
+      role: msg.type === 'user' ? 'user' : 'assistant',
+      content: msg.content
+    }));
+
   // Send message to TheHopper
   const sendMessage = async () => {
     if (!inputMessage.trim() || isLoading) return;
 
+    const history = buildHistory();
+
     const userMessage = {
       id: Date.now(),
       type: 'user',
@@ -131,13 +139,18 @@ const TheHopper = ({ onClose }) => {
 
       setMessages(prev => [...prev, thinkingMessage]);
 
-      // Call TheHopper service with progress callback
-      const response = await callTheHopper(
+      // Stream TheHopper's answer, rendering progress and then tokens
+      let answerSoFar = '';
+      const response = await streamTheHopper(
         inputMessage,
-        contextInfo,
-        weakConcepts,
-        statsData,
-        handleProgressUpdate
+        {
+          onProgress: handleProgressUpdate,
+          onToken: (text) => {
+            answerSoFar += text;
+            handleTokenUpdate(answerSoFar);
+          }
+        },
+        { history }
       );
       
       if (response.success) {
@@ -159,7 +172,8 @@ const TheHopper = ({ onClose }) => {
               type: 'hopper',
               content: response.answer,
               timestamp: new Date(),
-              processingTime: response.processingTime
+              processingTime: response.processingTime,
+              citations: response.citations || []
             };
           }
           return msg;
@@ -182,7 +196,7 @@ const TheHopper = ({ onClose }) => {
 
     } catch (error) {
       console.error('=== THEHOPPER COMPONENT ERROR ===');
-      console.error('Error:', error.message);
+      console.error('Error:', error.code, error.message);
       console.error('=== END COMPONENT ERROR ===');
 
       // Replace thinking message with error
@@ -191,8 +205,9 @@ const TheHopper = ({ onClose }) => {
           return {
             id: msg.id,
             type: 'hopper',
-            content: `❌ **RAG Backend Connection Error**\n\n${error.message}\n\n**Troubleshooting Steps:**\n• Ensure backend server is running: \`npm run server\`\n• Check server is accessible at: \`http://localhost:3002\`\n• Verify Groq API key is set in .env file\n• Check browser console for detailed error logs`,
-            timestamp: new Date()
+            content: describeTheHopperError(error),
+            timestamp: new Date(),
+            isError: true
           };
         }
         return msg;
@@ -263,6 +278,19 @@ const TheHopper = ({ onClose }) => {
                   message.content
                 )}
               </div>
+              {message.citations?.length > 0 && (
+                <div className="message-citations">
+                  <span className="citations-label">Sources</span>
+                  {message.citations.map(citation => (
+                    <div key={citation.id} className="citation" title={citation.content}>
+                      <span className="citation-id">[{citation.id}]</span> {citation.title}
+                      {typeof citation.score === 'number' && (
+                        <span className="citation-score">{Math.round(citation.score * 100)}% match</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
               <div className="message-timestamp">
                 {message.timestamp.toLocaleTimeString()}
                 {message.processingTime && (
@@ -1,8 +1,18 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import { useAuth } from '../context/AuthContext';
-import { callTheHopper, prepareLearningContext } from '../lib/theHopperService';
+import { streamTheHopper, describeTheHopperError, THEHOPPER_MODES } from '../lib/theHopperService';
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+  searchConversations,
+  appendMessage
+} from '../lib/conversationService';
 import ForceDirectedGraph from './ForceDirectedGraph';
+import HopperQuiz from './HopperQuiz';
 import './TheHopperPage.css';
 
 const TheHopperPage = ({ onBack }) => {
@@ -10,7 +20,18 @@ const TheHopperPage = ({ onBack }) => {
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [streamingText, setStreamingText] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [mode, setMode] = useState('explain');
+  const [conversationId, setConversationId] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [showThreads, setShowThreads] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [editingThreadId, setEditingThreadId] = useState(null);
+  const [editingTitle, setEditingTitle] = useState('');
   const messagesEndRef = useRef(null);
+  // Aborts the answer being streamed, if any
+  const streamControllerRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -18,7 +39,116 @@ const TheHopperPage = ({ onBack }) => {
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, streamingText]);
+
+  const loadConversations = async (query = '') => {
+    const result = query.trim()
+      ? await searchConversations(query)
+      : await listConversations();
+    if (result.success) {
+      setConversations(result.conversations);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      loadConversations();
+    }
+  }, [user]);
+
+  // Stop streaming into a page that is gone
+  useEffect(() => () => streamControllerRef.current?.abort(), []);
+
+  // Abandon the answer being streamed, e.g. when switching threads
+  const cancelStream = () => {
+    if (!streamControllerRef.current) return;
+    streamControllerRef.current.abort();
+    streamControllerRef.current = null;
+    setIsLoading(false);
+    setStreamingText('');
+    setProgress(null);
+  };
+
+  // Convert stored rows back into chat messages
+  const toChatMessage = (row) => ({
+    id: row.id,
+    text: row.content,
+    sender: row.role === 'user' ? 'user' : 'ai',
+    timestamp: new Date(row.created_at),
+    citations: row.citations || [],
+    themes: row.themes || '',
+    processingTime: row.processing_time,
+    source: row.source,
+    mode: row.metadata?.mode,
+    quiz: row.metadata?.quiz || null,
+    grounding: row.metadata?.grounding || null
+  });
+
+  const handleResumeConversation = async (id) => {
+    cancelStream();
+
+    const result = await getConversation(id);
+    if (result.success) {
+      setConversationId(id);
+      setMessages(result.messages.map(toChatMessage));
+      setShowThreads(false);
+    }
+  };
+
+  const handleNewConversation = () => {
+    cancelStream();
+    setConversationId(null);
+    setMessages([]);
+    setShowThreads(false);
+  };
+
+  const handleRenameConversation = async (id) => {
+    if (!editingTitle.trim()) {
+      setEditingThreadId(null);
+      return;
+    }
+
+    const result = await renameConversation(id, editingTitle);
+    if (result.success) {
+      setConversations(prev => prev.map(thread => (
+        thread.id === id ? result.conversation : thread
+      )));
+    }
+    setEditingThreadId(null);
+  };
+
+  const handleDeleteConversation = async (id) => {
+    if (!window.confirm('Delete this conversation? This cannot be undone.')) return;
+
+    const result = await deleteConversation(id);
+    if (result.success) {
+      setConversations(prev => prev.filter(thread => thread.id !== id));
+      if (id === conversationId) {
+        handleNewConversation();
+      }
+    }
+  };
+
+  const handleSearchChange = (e) => {
+    setSearchQuery(e.target.value);
+    loadConversations(e.target.value);
+  };
+
+  // Store a message in the current thread, creating the thread on the first question
+  const persistMessage = async (threadId, message) => {
+    if (!user) return threadId;
+
+    let activeId = threadId;
+    if (!activeId) {
+      const created = await createConversation(message.content);
+      if (!created.success) return null;
+      activeId = created.conversation.id;
+      setConversationId(activeId);
+    }
+
+    await appendMessage(activeId, message);
+    return activeId;
+  };
 
   const handleSendMessage = async () => {
     if (!inputValue.trim() || isLoading) return;
@@ -26,6 +156,14 @@ const TheHopperPage = ({ onBack }) => {
     const userMessage = inputValue.trim();
     setInputValue('');
 
+    // Send prior exchanges so follow-up questions keep their meaning
+    const history = messages
+      .filter(message => !message.isError)
+      .map(message => ({
+        role: message.sender === 'user' ? 'user' : 'assistant',
+        content: message.text
+      }));
+
     // Add user message
     const newUserMessage = {
       id: Date.now(),
@@ -36,27 +174,29 @@ const TheHopperPage = ({ onBack }) => {
 
     setMessages(prev => [...prev, newUserMessage]);
     setIsLoading(true);
+    setStreamingText('');
+    setProgress(null);
+
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+
+    const threadId = await persistMessage(conversationId, {
+      role: 'user',
+      content: userMessage
+    });
 
     try {
       console.log('=== THEHOPPER PAGE RAG CALL ===');
       console.log('Question:', userMessage);
 
-      // Prepare learning context for RAG
-      const contextResult = await prepareLearningContext(user?.id);
-
-      if (!contextResult.success) {
-        throw new Error('Failed to prepare learning context');
-      }
-
-      console.log('Context prepared successfully');
-      console.log('Stats:', contextResult.Stats);
-
-      // Call RAG backend
-      const response = await callTheHopper(
+      // Stream the answer from the RAG backend (it builds the learning context server-side)
+      const response = await streamTheHopper(
         userMessage,
-        contextResult.contextContent,
-        [], // weak concepts - could be extracted from context
-        contextResult.Stats
+        {
+          onProgress: setProgress,
+          onToken: (text) => setStreamingText(prev => prev + text)
+        },
+        { history, mode, signal: controller.signal }
       );
 
       console.log('=== RAG RESPONSE RECEIVED ===');
@@ -71,27 +211,55 @@ const TheHopperPage = ({ onBack }) => {
         timestamp: new Date(),
         citations: response.citations || [],
         themes: response.themes || '',
+        mode: response.mode,
+        quiz: response.quiz,
+        grounding: response.grounding,
+        cached: response.cached,
         processingTime: response.processingTime,
         source: response.source
       };
 
       setMessages(prev => [...prev, aiMessage]);
 
+      if (threadId) {
+        await persistMessage(threadId, {
+          role: 'assistant',
+          content: response.answer,
+          citations: response.citations || [],
+          themes: response.themes || '',
+          processingTime: response.processingTime,
+          source: response.source,
+          mode: response.mode,
+          quiz: response.quiz,
+          grounding: response.grounding
+        });
+        loadConversations(searchQuery);
+      }
+
     } catch (error) {
+      // Cancelled on purpose (thread switch or leaving the page)
+      if (controller.signal.aborted) return;
+
       console.error('=== THEHOPPER PAGE ERROR ===');
-      console.error('Error:', error.message);
+      console.error('Error:', error.code, error.message);
       console.error('=== END ERROR ===');
 
       const errorMessage = {
         id: Date.now() + 1,
-        text: `❌ **RAG Backend Error**\n\n${error.message}\n\n**Please ensure:**\n• Backend server is running: \`npm run server\`\n• Server is accessible at: \`http://localhost:3002\`\n• Check browser console for detailed logs`,
+        text: describeTheHopperError(error),
         sender: 'ai',
         timestamp: new Date(),
         isError: true
       };
       setMessages(prev => [...prev, errorMessage]);
     } finally {
-      setIsLoading(false);
+      // A newer question may own the loading state by now
+      if (streamControllerRef.current === controller) {
+        streamControllerRef.current = null;
+        setIsLoading(false);
+        setStreamingText('');
+        setProgress(null);
+      }
     }
   };
 
@@ -120,6 +288,15 @@ const TheHopperPage = ({ onBack }) => {
           </div>
         </div>
         <div className="header-right">
+          <button
+            className="settings-button"
+            onClick={() => setShowThreads(prev => !prev)}
+            title="Conversation history"
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+            </svg>
+          </button>
           <button className="settings-button">
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <circle cx="12" cy="12" r="3"/>
@@ -129,6 +306,73 @@ const TheHopperPage = ({ onBack }) => {
         </div>
       </header>
 
+      {/* Conversation Threads */}
+      {showThreads && (
+        <aside className="threads-panel">
+          <div className="threads-header">
+            <span>Conversations</span>
+            <button className="new-thread-button" onClick={handleNewConversation}>
+              + New
+            </button>
+          </div>
+          <input
+            type="text"
+            className="threads-search"
+            placeholder="Search conversations..."
+            value={searchQuery}
+            onChange={handleSearchChange}
+          />
+          <ul className="threads-list">
+            {conversations.length === 0 && (
+              <li className="threads-empty">No conversations yet</li>
+            )}
+            {conversations.map(thread => (
+              <li
+                key={thread.id}
+                className={`thread-item ${thread.id === conversationId ? 'active' : ''}`}
+              >
+                {editingThreadId === thread.id ? (
+                  <input
+                    type="text"
+                    className="thread-rename-input"
+                    value={editingTitle}
+                    autoFocus
+                    onChange={(e) => setEditingTitle(e.target.value)}
+                    onBlur={() => handleRenameConversation(thread.id)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleRenameConversation(thread.id);
+                      if (e.key === 'Escape') setEditingThreadId(null);
+                    }}
+                  />
+                ) : (
+                  <button
+                    className="thread-title"
+                    onClick={() => handleResumeConversation(thread.id)}
+                  >
+                    <span>{thread.title}</span>
+                    <small>{new Date(thread.last_message_at).toLocaleDateString()}</small>
+                  </button>
+                )}
+                <div className="thread-actions">
+                  <button
+                    title="Rename"
+                    onClick={() => {
+                      setEditingThreadId(thread.id);
+                      setEditingTitle(thread.title);
+                    }}
+                  >
+                    ✎
+                  </button>
+                  <button title="Delete" onClick={() => handleDeleteConversation(thread.id)}>
+                    ×
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </aside>
+      )}
+
       {/* Main Content */}
       <main className="hopper-main">
         {/* Force Directed Graph Background */}
@@ -159,19 +403,60 @@ const TheHopperPage = ({ onBack }) => {
                   )}
                   <div className="message-content">
                     <div className="message-text">
-                      {message.sender === 'ai' ? (
+                      {message.quiz ? (
+                        <HopperQuiz quiz={message.quiz} citations={message.citations} />
+                      ) : message.sender === 'ai' ? (
                         <ReactMarkdown>{message.text}</ReactMarkdown>
                       ) : (
                         message.text
                       )}
                     </div>
+                    {message.sender === 'ai' && message.grounding?.unsupported?.length > 0 && (
+                      <div className="message-grounding">
+                        <span className="grounding-label">
+                          ⚠️ {Math.round(message.grounding.score * 100)}% of this answer matches your materials.
+                          These statements could not be found in your notes:
+                        </span>
+                        <ul>
+                          {message.grounding.unsupported.map((sentence, index) => (
+                            <li key={index}>{sentence}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                    {message.sender === 'ai' && message.citations?.length > 0 && (
+                      <div className="message-citations">
+                        <span className="citations-label">Sources</span>
+                        {message.citations.map(citation => (
+                          <div key={citation.id} className="citation" title={citation.content}>
+                            <span className="citation-id">[{citation.id}]</span> {citation.title}
+                            {typeof citation.score === 'number' && (
+                              <span className="citation-score">{Math.round(citation.score * 100)}% match</span>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
                     <div className="message-time">
                       {message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                      {message.cached && <span className="message-cached"> · answered from cache</span>}
                     </div>
                   </div>
                 </div>
               ))}
-              {isLoading && (
+              {isLoading && streamingText && (
+                <div className="message ai">
+                  <div className="message-avatar">
+                    <span>🦗</span>
+                  </div>
+                  <div className="message-content">
+                    <div className="message-text">
+                      <ReactMarkdown>{streamingText}</ReactMarkdown>
+                    </div>
+                  </div>
+                </div>
+              )}
+              {isLoading && !streamingText && (
                 <div className="message ai">
                   <div className="message-avatar">
                     <span>🦗</span>
@@ -182,6 +467,14 @@ const TheHopperPage = ({ onBack }) => {
                       <span></span>
                       <span></span>
                     </div>
+                    {progress && (
+                      <div className="hopper-progress">
+                        <div className="hopper-progress-bar">
+                          <div className="hopper-progress-fill" style={{ width: `${progress.progress}%` }} />
+                        </div>
+                        <div className="hopper-progress-text">{progress.message}</div>
+                      </div>
+                    )}
                   </div>
                 </div>
               )}
@@ -193,6 +486,19 @@ const TheHopperPage = ({ onBack }) => {
 
       {/* Input Area */}
       <div className="input-area">
+        <div className="mode-selector">
+          {THEHOPPER_MODES.map(option => (
+            <button
+              key={option.id}
+              className={`mode-option ${mode === option.id ? 'active' : ''}`}
+              onClick={() => setMode(option.id)}
+              title={option.description}
+              disabled={isLoading}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
         <div className="input-container">
           <button className="attachment-button">
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -204,7 +510,7 @@ const TheHopperPage = ({ onBack }) => {
             value={inputValue}
             onChange={(e) => setInputValue(e.target.value)}
             onKeyPress={handleKeyPress}
-            placeholder="Ask TheHopper anything..."
+            placeholder={mode === 'quiz' ? 'What should TheHopper quiz you on?' : 'Ask TheHopper anything...'}
             className="message-input"
             rows="1"
           />
@@ -0,0 +1,258 @@
+import { supabase } from './supabase';
+
+/**
+ * Conversation Service - Persists TheHopper chat threads and their messages
+ */
+
+const DEFAULT_TITLE = 'New conversation';
+const TITLE_MAX_LENGTH = 80;
+
+/**
+ * Derive a thread title from the first question
+ * @param {string} text - First user message
+ * @returns {string} Title
+ */
+export const titleFromMessage = (text) => {
+  const singleLine = (text || '').replace(/\s+/g, ' ').trim();
+  if (!singleLine) return DEFAULT_TITLE;
+  return singleLine.length > TITLE_MAX_LENGTH
+    ? `${singleLine.substring(0, TITLE_MAX_LENGTH - 3)}...`
+    : singleLine;
+};
+
+/**
+ * Create a new conversation thread
+ * @param {string} title - Thread title
+ * @returns {Promise<Object>} Created conversation
+ */
+export const createConversation = async (title = DEFAULT_TITLE) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { data, error } = await supabase
+      .from('hopper_conversations')
+      .insert([{
+        user_id: user.id,
+        title: titleFromMessage(title)
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, conversation: data };
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * List the user's conversations, most recently active first
+ * @param {number} limit - Maximum number of threads to return
+ * @returns {Promise<Object>} List of conversations
+ */
+export const listConversations = async (limit = 50) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { data, error } = await supabase
+      .from('hopper_conversations')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('last_message_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return { success: true, conversations: data || [] };
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    return { success: false, error: error.message, conversations: [] };
+  }
+};
+
+/**
+ * Load a conversation with all of its messages
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} Conversation and ordered messages
+ */
+export const getConversation = async (conversationId) => {
+  try {
+    const { data: conversation, error: conversationError } = await supabase
+      .from('hopper_conversations')
+      .select('*')
+      .eq('id', conversationId)
+      .single();
+
+    if (conversationError) throw conversationError;
+
+    const { data: messages, error: messagesError } = await supabase
+      .from('hopper_messages')
+      .select('*')
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: true });
+
+    if (messagesError) throw messagesError;
+
+    return { success: true, conversation, messages: messages || [] };
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+    return { success: false, error: error.message, messages: [] };
+  }
+};
+
+/**
+ * Rename a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} title - New title
+ * @returns {Promise<Object>} Updated conversation
+ */
+export const renameConversation = async (conversationId, title) => {
+  try {
+    const { data, error } = await supabase
+      .from('hopper_conversations')
+      .update({
+        title: titleFromMessage(title),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', conversationId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, conversation: data };
+  } catch (error) {
+    console.error('Error renaming conversation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a conversation and its messages
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} Result of the operation
+ */
+export const deleteConversation = async (conversationId) => {
+  try {
+    const { error } = await supabase
+      .from('hopper_conversations')
+      .delete()
+      .eq('id', conversationId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Search conversations by title or message content
+ * @param {string} query - Search text
+ * @returns {Promise<Object>} Matching conversations, most recent first
+ */
+export const searchConversations = async (query) => {
+  const term = (query || '').trim();
+  if (!term) return listConversations();
+
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    // Escape LIKE wildcards so the user's text is matched literally
+    const pattern = `%${term.replace(/[%_\\]/g, '\\$&')}%`;
+
+    const { data: titleMatches, error: titleError } = await supabase
+      .from('hopper_conversations')
+      .select('*')
+      .eq('user_id', user.id)
+      .ilike('title', pattern);
+
+    if (titleError) throw titleError;
+
+    const { data: messageMatches, error: messageError } = await supabase
+      .from('hopper_messages')
+      .select('conversation_id, hopper_conversations (*)')
+      .eq('user_id', user.id)
+      .ilike('content', pattern)
+      .limit(200);
+
+    if (messageError) throw messageError;
+
+    const byId = new Map();
+    (titleMatches || []).forEach(conversation => byId.set(conversation.id, conversation));
+    (messageMatches || []).forEach(match => {
+      if (match.hopper_conversations) {
+        byId.set(match.conversation_id, match.hopper_conversations);
+      }
+    });
+
+    const conversations = Array.from(byId.values())
+      .sort((a, b) => new Date(b.last_message_at) - new Date(a.last_message_at));
+
+    return { success: true, conversations };
+  } catch (error) {
+    console.error('Error searching conversations:', error);
+    return { success: false, error: error.message, conversations: [] };
+  }
+};
+
+/**
+ * Answer details stored in the metadata column
+ * @param {Object} message - Message to store
+ * @returns {Object|null} { mode, quiz, grounding } with the fields the message has, or null
+ */
+const messageMetadata = ({ mode, quiz, grounding }) => {
+  const metadata = Object.fromEntries(
+    Object.entries({ mode, quiz, grounding }).filter(([, value]) => value !== undefined && value !== null)
+  );
+  return Object.keys(metadata).length > 0 ? metadata : null;
+};
+
+/**
+ * Append a message to a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} message - Message to store
+ * @param {string} message.role - 'user' or 'assistant'
+ * @param {string} message.content - Message text (markdown for answers)
+ * @param {Array} message.citations - Answer citations
+ * @param {string} message.themes - Answer themes
+ * @param {number} message.processingTime - Answer processing time in ms
+ * @param {string} message.source - Answer source
+ * @param {string} message.mode - Answer mode (explain, socratic, quiz or summarize)
+ * @param {Object} message.quiz - Quiz questions, for quiz-mode answers
+ * @param {Object} message.grounding - Grounding check of the answer
+ * @returns {Promise<Object>} Stored message
+ */
+export const appendMessage = async (conversationId, message) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { data, error } = await supabase
+      .from('hopper_messages')
+      .insert([{
+        conversation_id: conversationId,
+        user_id: user.id,
+        role: message.role,
+        content: message.content,
+        citations: message.citations || [],
+        themes: message.themes || null,
+        processing_time: message.processingTime || null,
+        source: message.source || null,
+        metadata: messageMetadata(message)
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // The insert trigger counts the message and bumps the thread to the top of the list
+    return { success: true, message: data };
+  } catch (error) {
+    console.error('Error appending conversation message:', error);
+    return { success: false, error: error.message };
+  }
+};
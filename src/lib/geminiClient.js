@@ -0,0 +1,159 @@
+import { supabase } from './supabase';
+
+/**
+ * Gemini Client - One client for every generator
+ * Generation runs on the backend (POST /api/generate/:generator), which holds
+ * the Gemini API key, validates replies and enforces per-user rate limits and
+ * quotas. This client sends the signed-in user's token, returns the generated
+ * data and throws GenerationError instead of returning placeholder data.
+ */
+
+/**
+ * What went wrong and whether trying again can help, for each backend error code
+ */
+const ERROR_DETAILS = {
+  GENERATION_NOT_CONFIGURED: { message: 'Content generation is not configured. Set GEMINI_API_KEY in the backend .env file and restart the server', retryable: false },
+  GENERATION_FAILED: { message: 'The AI service could not be reached', retryable: true },
+  GENERATION_EMPTY: { message: 'The AI service returned an empty response', retryable: true },
+  GENERATION_INVALID_JSON: { message: 'The AI service returned malformed data', retryable: true },
+  GENERATION_SCHEMA_MISMATCH: { message: 'The AI service returned data in an unexpected shape', retryable: true },
+  RATE_LIMITED: { message: 'You are generating content too quickly', retryable: true },
+  QUOTA_EXCEEDED: { message: 'You have used today\'s content generation allowance. It resets at midnight UTC', retryable: false },
+  INVALID_REQUEST: { message: 'The generation request was not valid', retryable: false },
+  UNAUTHORIZED: { message: 'Your session has expired. Sign out and sign back in', retryable: false },
+  AUTH_NOT_CONFIGURED: { message: 'Sign-in is not configured on the backend. Set SUPABASE_JWT_SECRET in the .env file', retryable: false },
+  BACKEND_UNREACHABLE: { message: 'The Grasphopper server could not be reached', retryable: true },
+  INTERNAL_ERROR: { message: 'Something went wrong while generating content', retryable: true }
+};
+
+/**
+ * Error from a generation request carrying a structured error code
+ */
+export class GenerationError extends Error {
+  constructor(code, message, options = {}) {
+    super(message || ERROR_DETAILS[code]?.message || 'Generation failed');
+    this.name = 'GenerationError';
+    this.code = ERROR_DETAILS[code] ? code : 'INTERNAL_ERROR';
+    this.retryable = options.retryable ?? ERROR_DETAILS[this.code].retryable;
+    this.retryAfterSeconds = options.retryAfterSeconds || null;
+    this.details = options.details || [];
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * Short user-facing message for a failed generation
+ * @param {Error} error - Error thrown by a generator
+ * @returns {string} What happened and what to do next
+ */
+export const describeGenerationError = (error) => {
+  if (!(error instanceof GenerationError)) {
+    return 'Something went wrong while generating content. Please try again.';
+  }
+  const { message } = ERROR_DETAILS[error.code];
+  if (error.code === 'RATE_LIMITED' && error.retryAfterSeconds) {
+    return `${message}. Please wait ${error.retryAfterSeconds} seconds and try again.`;
+  }
+  return error.retryable ? `${message}. Please try again.` : `${message}.`;
+};
+
+/**
+ * Authorization header carrying the signed-in user's Supabase access token
+ * @returns {Promise<Object>} Headers to merge into backend requests
+ */
+const getAuthHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token
+    ? { Authorization: `Bearer ${session.access_token}` }
+    : {};
+};
+
+/**
+ * Transport that calls the backend generation API
+ * @param {Object} config - { apiUrl }
+ * @returns {Function} async ({ generator, payload, responseType }) => generated data,
+ *   or a Blob when responseType is 'blob'
+ */
+export const createBackendTransport = (config = {}) => {
+  const apiUrl = config.apiUrl || process.env.REACT_APP_THEHOPPER_API_URL || 'http://localhost:3002';
+
+  return async ({ generator, payload, responseType }) => {
+    const response = await fetch(`${apiUrl}/api/generate/${generator}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await getAuthHeaders())
+      },
+      body: JSON.stringify(payload)
+    });
+
+    if (response.ok && responseType === 'blob') {
+      return response.blob();
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body?.success) {
+      throw new GenerationError(body?.code || (response.status === 401 ? 'UNAUTHORIZED' : 'INTERNAL_ERROR'), body?.error, {
+        retryable: body?.retryable,
+        retryAfterSeconds: parseInt(response.headers.get('Retry-After'), 10),
+        details: body?.details
+      });
+    }
+    return body.data;
+  };
+};
+
+/**
+ * Offline transport for tests. Replies with the given responses in order;
+ * a function reply is called with the request, an Error reply is thrown.
+ * @param {Array<*|Function|Error>} responses - Generated data, one per call
+ * @returns {Function} Transport with a `calls` array of the requests it received
+ */
+export const createMockTransport = (responses = []) => {
+  const queue = [...responses];
+  const transport = async (request) => {
+    transport.calls.push(request);
+    if (queue.length === 0) {
+      throw new Error('Mock transport has no response left');
+    }
+    const reply = queue.shift();
+    if (reply instanceof Error) throw reply;
+    return typeof reply === 'function' ? reply(request) : reply;
+  };
+  transport.calls = [];
+  return transport;
+};
+
+let transport = null;
+
+/**
+ * Replace the transport used by every generator (e.g. with createMockTransport in tests)
+ * @param {Function|null} next - Transport, or null to go back to the backend API
+ */
+export const setTransport = (next) => {
+  transport = next;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createBackendTransport();
+  }
+  return transport;
+};
+
+/**
+ * Ask the backend to run a generator
+ * @param {string} generator - Generator name, e.g. 'flashcards' or 'mcq'
+ * @param {Object} payload - Generator input, e.g. { topic }
+ * @param {Object} options - { responseType: 'json' (default) or 'blob' }
+ * @returns {Promise<*>} Generated data (validated by the backend)
+ * @throws {GenerationError} With the backend error code, or BACKEND_UNREACHABLE
+ */
+export const requestGeneration = async (generator, payload = {}, options = {}) => {
+  try {
+    return await getTransport()({ generator, payload, responseType: options.responseType || 'json' });
+  } catch (error) {
+    if (error instanceof GenerationError) throw error;
+    throw new GenerationError('BACKEND_UNREACHABLE', `The generation request failed: ${error.message}`, { cause: error });
+  }
+};
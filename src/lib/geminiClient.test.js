@@ -0,0 +1,216 @@
+// Tests for the generation client
+// Generators run against the mock transport and the backend transport against a
+// stubbed fetch, so no backend, API key or network is needed
+
+jest.mock('./supabase', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: { access_token: 'test-token' } } })
+    }
+  }
+}));
+
+const {
+  GenerationError,
+  createBackendTransport,
+  createMockTransport,
+  describeGenerationError,
+  setTransport,
+  requestGeneration
+} = require('./geminiClient');
+const {
+  generateMCQQuestions,
+  generateEvaluationReport,
+  generateResponse,
+  generateFlashcardsFromDocuments,
+  generateMCQQuestionsFromDocuments
+} = require('./gemini');
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body
+});
+
+describe('Gemini Client', () => {
+  afterEach(() => {
+    setTransport(null);
+  });
+
+  describe('requestGeneration', () => {
+    test('should send the generator and payload through the transport', async () => {
+      const transport = createMockTransport([['a', 'b']]);
+      setTransport(transport);
+
+      await expect(requestGeneration('subtopics', { topic: 'Compilers' })).resolves.toEqual(['a', 'b']);
+      expect(transport.calls).toEqual([{ generator: 'subtopics', payload: { topic: 'Compilers' }, responseType: 'json' }]);
+    });
+
+    test('should pass typed errors through', async () => {
+      setTransport(createMockTransport([new GenerationError('GENERATION_SCHEMA_MISMATCH', undefined, { details: ['$ must be an array'] })]));
+
+      const error = await requestGeneration('subtopics', { topic: 'Compilers' }).catch(e => e);
+
+      expect(error.code).toBe('GENERATION_SCHEMA_MISMATCH');
+      expect(error.retryable).toBe(true);
+      expect(error.details).toEqual(['$ must be an array']);
+    });
+
+    test('should wrap network failures in BACKEND_UNREACHABLE', async () => {
+      setTransport(createMockTransport([new TypeError('Failed to fetch')]));
+
+      const error = await requestGeneration('subtopics', { topic: 'Compilers' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(GenerationError);
+      expect(error.code).toBe('BACKEND_UNREACHABLE');
+      expect(error.message).toContain('Failed to fetch');
+    });
+  });
+
+  describe('createBackendTransport', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should post the payload with the access token and return the data', async () => {
+      global.fetch = jest.fn(async () => jsonResponse(200, { success: true, data: ['a', 'b'] }));
+      setTransport(createBackendTransport({ apiUrl: 'http://api.test' }));
+
+      await expect(requestGeneration('subtopics', { topic: 'Compilers' })).resolves.toEqual(['a', 'b']);
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://api.test/api/generate/subtopics');
+      expect(init.method).toBe('POST');
+      expect(init.headers.Authorization).toBe('Bearer test-token');
+      expect(JSON.parse(init.body)).toEqual({ topic: 'Compilers' });
+    });
+
+    test('should turn an error response into a GenerationError', async () => {
+      global.fetch = jest.fn(async () => jsonResponse(429, {
+        success: false,
+        code: 'RATE_LIMITED',
+        error: 'At most 20 generation requests are allowed per 60 seconds',
+        retryable: true
+      }, { 'Retry-After': '42' }));
+      setTransport(createBackendTransport({ apiUrl: 'http://api.test' }));
+
+      const error = await requestGeneration('flashcards', { topic: 'Compilers' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(GenerationError);
+      expect(error.code).toBe('RATE_LIMITED');
+      expect(error.retryAfterSeconds).toBe(42);
+      expect(describeGenerationError(error)).toBe('You are generating content too quickly. Please wait 42 seconds and try again.');
+    });
+
+    test('should treat a bare 401 as UNAUTHORIZED', async () => {
+      global.fetch = jest.fn(async () => ({ ...jsonResponse(401, null), json: async () => { throw new SyntaxError('Unexpected end of JSON input'); } }));
+      setTransport(createBackendTransport({ apiUrl: 'http://api.test' }));
+
+      const error = await requestGeneration('flashcards', { topic: 'Compilers' }).catch(e => e);
+
+      expect(error.code).toBe('UNAUTHORIZED');
+      expect(error.retryable).toBe(false);
+    });
+  });
+
+  describe('describeGenerationError', () => {
+    test('should only suggest trying again when it can help', () => {
+      expect(describeGenerationError(new GenerationError('GENERATION_EMPTY')))
+        .toBe('The AI service returned an empty response. Please try again.');
+      expect(describeGenerationError(new GenerationError('QUOTA_EXCEEDED')))
+        .toBe('You have used today\'s content generation allowance. It resets at midnight UTC.');
+    });
+
+    test('should fall back for unknown codes and other errors', () => {
+      expect(new GenerationError('SOMETHING_NEW').code).toBe('INTERNAL_ERROR');
+      expect(describeGenerationError(new Error('boom')))
+        .toBe('Something went wrong while generating content. Please try again.');
+    });
+  });
+
+  describe('Generators', () => {
+    test('generateMCQQuestions should request the mcq generator', async () => {
+      const questions = [{ question: 'What does a compiler do?', options: ['a', 'b', 'c', 'd'], correctAnswer: 'a', explanation: '' }];
+      const transport = createMockTransport([questions]);
+      setTransport(transport);
+
+      await expect(generateMCQQuestions('Compilers')).resolves.toEqual(questions);
+      expect(transport.calls[0]).toMatchObject({ generator: 'mcq', payload: { topic: 'Compilers' } });
+    });
+
+    test('generateEvaluationReport should only send the counts for each topic', async () => {
+      const transport = createMockTransport([{ remark: 'Good', recommendations: ['Keep going'] }]);
+      setTransport(transport);
+
+      await generateEvaluationReport({
+        Parsing: { correct: 4, total: 5, passed: true, questions: [{ isCorrect: true }] },
+        Unrelated: { correct: 0, total: 5, passed: false }
+      }, ['Parsing']);
+
+      expect(transport.calls[0].payload).toEqual({
+        results: { Parsing: { correct: 4, total: 5, passed: true } },
+        topics: ['Parsing']
+      });
+    });
+
+    test('generateFlashcardsFromDocuments should send each document with its row id', async () => {
+      const cards = [{
+        question: 'What does merge sort do?',
+        answer: 'It splits the array, sorts each half and merges them.',
+        source: { documentId: 'doc-1', documentName: 'notes.pdf', section: 'Sorting', startChar: 0, endChar: 120, quote: 'Merge sort divides the array' }
+      }];
+      const transport = createMockTransport([cards]);
+      setTransport(transport);
+
+      await expect(generateFlashcardsFromDocuments([
+        { id: 'doc-1', name: 'notes.pdf', content: '# Sorting\n\nMerge sort divides the array...', extractedText: 'ignored' },
+        { name: 'slides.png', content: 'Quick sort picks a pivot...' }
+      ])).resolves.toEqual(cards);
+
+      expect(transport.calls[0]).toMatchObject({
+        generator: 'document-flashcards',
+        payload: {
+          documents: [
+            { id: 'doc-1', name: 'notes.pdf', content: '# Sorting\n\nMerge sort divides the array...' },
+            { name: 'slides.png', content: 'Quick sort picks a pivot...' }
+          ],
+          count: 10
+        }
+      });
+    });
+
+    test('generateMCQQuestionsFromDocuments should send follow-up steering', async () => {
+      const transport = createMockTransport([[]]);
+      setTransport(transport);
+
+      await generateMCQQuestionsFromDocuments([{ id: 'doc-1', name: 'notes.md', content: 'Merge sort divides the array...' }], 3, {
+        avoidQuestions: ['What does merge sort do?'],
+        avoidCategories: [],
+        difficulties: ['medium', 'hard']
+      });
+
+      expect(transport.calls[0].generator).toBe('document-mcq');
+      expect(transport.calls[0].payload).toEqual({
+        documents: [{ id: 'doc-1', name: 'notes.md', content: 'Merge sort divides the array...' }],
+        count: 3,
+        avoidQuestions: ['What does merge sort do?'],
+        difficulties: ['medium', 'hard']
+      });
+    });
+
+    test('generateResponse should send the last five messages', async () => {
+      const transport = createMockTransport(['Hello!']);
+      setTransport(transport);
+      const history = Array.from({ length: 7 }, (_, i) => ({ id: i, sender: i % 2 ? 'ai' : 'user', text: `Message ${i}` }));
+
+      await generateResponse('Hi', history);
+
+      expect(transport.calls[0].payload.conversationHistory).toEqual(
+        history.slice(-5).map(({ sender, text }) => ({ sender, text }))
+      );
+    });
+  });
+});
@@ -1,11 +1,16 @@
-// Simple test file for learning framework utility functions
-// We'll focus on testing the non-AI utility functions that don't require mocking
+// Test file for learning framework utility functions and generators
+// Generators run against the mock transport from geminiClient, so no backend calls are made
+
+jest.mock('./supabase', () => ({ supabase: {} }));
 
 const {
   calculateEvaluationResults,
   getFailedConcepts,
-  isEvaluationComplete
+  isEvaluationComplete,
+  generateAdvancedConceptsList,
+  generateSessionReport
 } = require('./learningFramework');
+const { createMockTransport, setTransport, GenerationError } = require('./geminiClient');
 
 describe('Learning Framework', () => {
   
@@ -84,14 +89,23 @@ describe('Learning Framework', () => {
   });
 
   describe('AI-Powered Functions', () => {
+    afterEach(() => {
+      setTransport(null);
+    });
+
     test('generateAdvancedConceptsList should return advanced concepts', async () => {
       const topic = 'Machine Learning';
+      const transport = createMockTransport([
+        ['Advanced Concept 1', 'Advanced Concept 2', 'Advanced Concept 3', 'Advanced Concept 4', 'Advanced Concept 5']
+      ]);
+      setTransport(transport);
       
       const concepts = await generateAdvancedConceptsList(topic);
       
       expect(concepts).toHaveLength(5);
       expect(Array.isArray(concepts)).toBe(true);
       expect(concepts[0]).toBe('Advanced Concept 1');
+      expect(transport.calls[0]).toMatchObject({ generator: 'advanced-concepts', payload: { topic, count: 5 } });
     });
 
     test('generateSessionReport should return comprehensive report', async () => {
@@ -108,25 +122,17 @@ describe('Learning Framework', () => {
         'Deep Learning': { passed: true, correct: 4, total: 5 }
       };
 
-      // Mock the AI response for session report
-      const mockAiResponse = JSON.stringify({
+      // The backend adds the statistics to the AI report
+      const mockReport = {
         overallSummary: "Great performance overall!",
         strengths: ["Strong foundation", "Good problem solving"],
         areasForImprovement: ["Neural Networks concepts"],
         recommendations: ["Practice more", "Review materials"],
-        motivationalMessage: "Keep up the great work!"
-      });
-
-      // Update the mock to return session report response
-      require('@google/generative-ai').GoogleGenerativeAI.mockImplementation(() => ({
-        getGenerativeModel: jest.fn().mockReturnValue({
-          generateContent: jest.fn().mockResolvedValue({
-            response: {
-              text: jest.fn().mockReturnValue(mockAiResponse)
-            }
-          })
-        })
-      }));
+        motivationalMessage: "Keep up the great work!",
+        statistics: { overall: { accuracy: 80 } }
+      };
+      const transport = createMockTransport([mockReport]);
+      setTransport(transport);
       
       const report = await generateSessionReport(
         topic,
@@ -138,35 +144,48 @@ describe('Learning Framework', () => {
         Object.keys(advancedResults)
       );
       
-      expect(report).toHaveProperty('overallSummary');
-      expect(report).toHaveProperty('strengths');
-      expect(report).toHaveProperty('areasForImprovement');
-      expect(report).toHaveProperty('recommendations');
-      expect(report).toHaveProperty('motivationalMessage');
-      expect(report).toHaveProperty('statistics');
-      
-      expect(report.statistics).toHaveProperty('prerequisites');
-      expect(report.statistics).toHaveProperty('coreTopics');
-      expect(report.statistics).toHaveProperty('advancedTopics');
-      expect(report.statistics).toHaveProperty('overall');
+      expect(report).toEqual(mockReport);
+      expect(transport.calls[0].generator).toBe('session-report');
+      expect(transport.calls[0].payload).toEqual({
+        topic,
+        prerequisiteResults,
+        coreResults,
+        advancedResults,
+        prerequisiteTopics: ['Linear Algebra', 'Statistics'],
+        coreTopics: ['Supervised Learning', 'Neural Networks'],
+        advancedTopics: ['Deep Learning']
+      });
     });
   });
 
   describe('Error Handling', () => {
-    test('generateAdvancedConceptsList should handle API errors gracefully', async () => {
-      // Mock API failure
-      require('@google/generative-ai').GoogleGenerativeAI.mockImplementation(() => ({
-        getGenerativeModel: jest.fn().mockReturnValue({
-          generateContent: jest.fn().mockRejectedValue(new Error('API Error'))
-        })
-      }));
+    afterEach(() => {
+      setTransport(null);
+    });
+
+    test('generateAdvancedConceptsList should throw a typed error when the backend is unreachable', async () => {
+      // Mock network failure
+      setTransport(createMockTransport([new TypeError('Failed to fetch')]));
 
       const topic = 'Machine Learning';
-      const concepts = await generateAdvancedConceptsList(topic);
+      const error = await generateAdvancedConceptsList(topic).catch(e => e);
       
-      // Should return fallback concepts
-      expect(concepts).toHaveLength(5);
-      expect(concepts[0]).toContain('Advanced Techniques in Machine Learning');
+      // Should not fall back to placeholder concepts
+      expect(error).toBeInstanceOf(GenerationError);
+      expect(error.code).toBe('BACKEND_UNREACHABLE');
+      expect(error.retryable).toBe(true);
+    });
+
+    test('generateAdvancedConceptsList should pass on backend generation errors', async () => {
+      setTransport(createMockTransport([
+        new GenerationError('GENERATION_SCHEMA_MISMATCH', undefined, { details: ['$ must have at least 5 items'] })
+      ]));
+
+      const error = await generateAdvancedConceptsList('Machine Learning').catch(e => e);
+
+      expect(error).toBeInstanceOf(GenerationError);
+      expect(error.code).toBe('GENERATION_SCHEMA_MISMATCH');
+      expect(error.details).toContain('$ must have at least 5 items');
     });
   });
 });
@@ -3,13 +3,10 @@
  * Handles podcast script generation and text-to-speech conversion
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { supabase } from './supabase';
+import { requestGeneration } from './geminiClient';
 import { generatePodcastAudioWithGemini } from './geminiTTS';
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.REACT_APP_GEMINI_API_KEYY);
-
 /**
  * Get all topics the user has engaged with
  * @param {string} userId - User ID
@@ -88,79 +85,19 @@ export const getUserTopics = async (userId) => {
 };
 
 /**
- * Generate podcast script using Gemini 2.0 Flash
+ * Generate a two-speaker podcast script (generated by the backend)
  * @param {string} topic - Topic for the podcast
  * @param {string} userId - User ID for context
  * @returns {Promise<Object>} Podcast script with speakers
+ * @throws {GenerationError} When the script cannot be generated
  */
 export const generatePodcastScript = async (topic, userId) => {
-  try {
-    console.log(`Generating podcast script for topic: ${topic}`);
-
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
-    const prompt = `
-Create an engaging 5-7 minute podcast script about "${topic}" between two speakers:
-
-**Speaker A (Host)**: Sarah - An enthusiastic educator who asks great questions
-**Speaker B (Expert)**: Dr. Alex - A knowledgeable expert who explains concepts clearly
-
-Requirements:
-1. Make it conversational and engaging
-2. Include practical examples and real-world applications
-3. Break down complex concepts into digestible parts
-4. Add natural transitions and reactions
-5. Include 2-3 key takeaways
-6. Keep each speaker turn to 2-3 sentences max for natural flow
-7. Total script should be about 800-1200 words
-
-Format the response as JSON:
-{
-  "title": "Podcast title",
-  "duration": "estimated duration",
-  "speakers": {
-    "host": "Sarah",
-    "expert": "Dr. Alex"
-  },
-  "script": [
-    {
-      "speaker": "Sarah",
-      "text": "Welcome to Learning Insights! Today we're diving into..."
-    },
-    {
-      "speaker": "Dr. Alex", 
-      "text": "Thanks for having me, Sarah. This is such an important topic because..."
-    }
-  ],
-  "keyTakeaways": [
-    "Key point 1",
-    "Key point 2", 
-    "Key point 3"
-  ]
-}
-
-Topic: ${topic}
-`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-
-    // Parse JSON response
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Failed to parse podcast script JSON');
-    }
+  console.log(`Generating podcast script for topic: ${topic}`);
 
-    const podcastData = JSON.parse(jsonMatch[0]);
-    
-    console.log(`Generated podcast script with ${podcastData.script.length} segments`);
-    return podcastData;
+  const podcastData = await requestGeneration('podcast-script', { topic });
 
-  } catch (error) {
-    console.error('Error generating podcast script:', error);
-    throw new Error(`Failed to generate podcast script: ${error.message}`);
-  }
+  console.log(`Generated podcast script with ${podcastData.script.length} segments`);
+  return podcastData;
 };
 
 /**
@@ -0,0 +1,217 @@
+import { questionTypeOf, prepareQuestion, formatCorrectAnswer } from './questionTypes';
+
+/**
+ * Question Bank - Builds a set of evaluation questions from repeated generator calls
+ * Near-duplicate questions are dropped, topicCategory and difficultyLevel are kept
+ * balanced, follow-up requests ask only for the shortfall, and MCQ options are
+ * shuffled so the correct answer lands evenly on every position.
+ */
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+// Word-overlap (Jaccard) above which two questions count as the same question
+const DUPLICATE_SIMILARITY = 0.6;
+
+// Lower overlap is still a duplicate when both questions have the same correct answer
+const SAME_ANSWER_DUPLICATE_SIMILARITY = 0.35;
+
+// Most questions one topicCategory may take, as a share of the bank (at least 2)
+const MAX_CATEGORY_SHARE = 0.2;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'to', 'in', 'on', 'for', 'and', 'or', 'is', 'are', 'was', 'were', 'be',
+  'by', 'with', 'as', 'at', 'from', 'that', 'this', 'these', 'those', 'it', 'its', 'which', 'what',
+  'when', 'where', 'who', 'why', 'how', 'does', 'do', 'did', 'can', 'following', 'best', 'most',
+  'describes', 'primary', 'main', 'used', 'use'
+]);
+
+/**
+ * Content words of a question, lower-cased and roughly stemmed
+ * @param {string} text - Question text
+ * @returns {Set<string>} Words that carry meaning
+ */
+const contentWords = (text) => new Set(
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(word => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word))
+);
+
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+const normalizeAnswer = (answer) => String(answer).toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Whether two questions ask the same thing, by word overlap and correct answer
+ * @param {Object} a - Question of any type
+ * @param {Object} b - Question of any type
+ * @returns {boolean} True when one is a rewording of the other
+ */
+export const areNearDuplicates = (a, b) => {
+  const similarity = jaccard(contentWords(a.question), contentWords(b.question));
+  if (similarity >= DUPLICATE_SIMILARITY) return true;
+  return similarity >= SAME_ANSWER_DUPLICATE_SIMILARITY
+    && normalizeAnswer(formatCorrectAnswer(a)) === normalizeAnswer(formatCorrectAnswer(b));
+};
+
+const isUsable = (question) => {
+  if (!question?.question) return false;
+  const { options = [] } = question;
+
+  switch (questionTypeOf(question)) {
+    case 'mcq':
+      return options.length > 1 && options.includes(question.correctAnswer);
+    case 'true-false':
+      return ['True', 'False'].includes(question.correctAnswer);
+    case 'multi-select':
+      return Array.isArray(question.correctAnswers) && question.correctAnswers.length > 0
+        && question.correctAnswers.every(answer => options.includes(answer));
+    case 'fill-blank':
+      return Array.isArray(question.acceptedAnswers) && question.acceptedAnswers.length > 0;
+    case 'ordering':
+      return Array.isArray(question.items) && question.items.length > 1;
+    case 'numeric':
+      return Number.isFinite(question.correctValue) && Number.isFinite(question.tolerance);
+    case 'short-answer':
+      return Array.isArray(question.rubric) && question.rubric.length > 0 && Boolean(question.sampleAnswer);
+    default:
+      return false;
+  }
+};
+
+const categoryOf = (question) => (question.topicCategory || '').trim().toLowerCase();
+
+const difficultyOf = (question) => (DIFFICULTY_LEVELS.includes(question.difficultyLevel) ? question.difficultyLevel : null);
+
+const countBy = (questions, keyOf) => questions.reduce((counts, question) => {
+  const key = keyOf(question);
+  if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  return counts;
+}, new Map());
+
+/**
+ * Order questions so the same topicCategory does not come up twice in a row where avoidable
+ * @param {Array<Object>} questions - Questions to order
+ * @returns {Array<Object>} Questions taken round-robin across categories
+ */
+const interleaveCategories = (questions) => {
+  const groups = new Map();
+  questions.forEach(question => {
+    const key = categoryOf(question);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(question);
+  });
+
+  const queues = [...groups.values()];
+  const ordered = [];
+  while (ordered.length < questions.length) {
+    queues.forEach(queue => {
+      if (queue.length > 0) ordered.push(queue.shift());
+    });
+  }
+  return ordered;
+};
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Shuffle each MCQ's options so the correct answer is spread evenly across positions
+ * @param {Array<Object>} questions - Questions; only MCQs are reordered
+ * @param {Function} random - Source of numbers in [0, 1) (default Math.random)
+ * @returns {Array<Object>} Copies of the MCQs with reordered options, other questions as they were
+ */
+export const shuffleOptions = (questions, random = Math.random) => {
+  const isMCQ = (question) => questionTypeOf(question) === 'mcq';
+  const mcqs = questions.filter(isMCQ);
+  const optionCount = Math.max(1, ...mcqs.map(question => question.options.length));
+  // Each position used equally often (to within one), in a random order
+  const positions = shuffle(mcqs.map((_, i) => i % optionCount), random);
+
+  let mcqIndex = 0;
+  return questions.map(question => {
+    if (!isMCQ(question)) return question;
+    const distractors = shuffle(question.options.filter(option => option !== question.correctAnswer), random);
+    const position = positions[mcqIndex++] % question.options.length;
+    return {
+      ...question,
+      options: [...distractors.slice(0, position), question.correctAnswer, ...distractors.slice(position)]
+    };
+  });
+};
+
+/**
+ * Build a bank of distinct, balanced questions
+ * @param {Function} generate - async (count, steering) => questions, where steering is
+ *   { avoidQuestions, avoidCategories, difficulties } for follow-up requests
+ * @param {Object} options - { count (default 15), maxRounds (default 4), random }
+ * @returns {Promise<Array<Object>>} Up to `count` questions, prepared for display (see ./questionTypes)
+ * @throws {Error} The generator's error when no question could be generated at all
+ */
+export const buildQuestionBank = async (generate, options = {}) => {
+  const count = options.count || 15;
+  const maxRounds = options.maxRounds || 4;
+  const random = options.random || Math.random;
+  const maxPerCategory = Math.max(2, Math.ceil(count * MAX_CATEGORY_SHARE));
+  const maxPerDifficulty = Math.ceil(count / DIFFICULTY_LEVELS.length);
+
+  const bank = [];
+  // Distinct questions turned away only to keep the balance, used if the bank stays short
+  const reserve = [];
+
+  for (let round = 0; round < maxRounds && bank.length < count; round++) {
+    const categoryCounts = countBy(bank, categoryOf);
+    const difficultyCounts = countBy(bank, difficultyOf);
+    const steering = round === 0 ? {} : {
+      avoidQuestions: bank.map(question => question.question),
+      avoidCategories: [...categoryCounts].filter(([, n]) => n >= maxPerCategory).map(([category]) => category),
+      difficulties: DIFFICULTY_LEVELS.filter(level => (difficultyCounts.get(level) || 0) < maxPerDifficulty)
+    };
+
+    let batch;
+    try {
+      batch = await generate(count - bank.length, steering);
+    } catch (error) {
+      if (bank.length === 0 && reserve.length === 0) throw error;
+      console.warn('Question bank request failed, keeping the questions so far:', error.message);
+      break;
+    }
+
+    (Array.isArray(batch) ? batch : []).filter(isUsable).forEach(question => {
+      if ([...bank, ...reserve].some(existing => areNearDuplicates(existing, question))) return;
+
+      const category = categoryOf(question);
+      const difficulty = difficultyOf(question);
+      const balanced = bank.length < count
+        && (!category || (categoryCounts.get(category) || 0) < maxPerCategory)
+        && (!difficulty || (difficultyCounts.get(difficulty) || 0) < maxPerDifficulty);
+
+      if (!balanced) {
+        reserve.push(question);
+        return;
+      }
+      bank.push(question);
+      if (category) categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1);
+      if (difficulty) difficultyCounts.set(difficulty, (difficultyCounts.get(difficulty) || 0) + 1);
+    });
+  }
+
+  // Better a lopsided bank than a short one
+  const questions = [...bank, ...reserve.slice(0, count - bank.length)];
+  return shuffleOptions(interleaveCategories(questions).map(question => prepareQuestion(question, random)), random);
+};
@@ -0,0 +1,105 @@
+// Tests for the question bank builder
+// Generators are plain functions returning canned batches, so no backend calls are made
+
+jest.mock('./supabase', () => ({ supabase: {} }));
+
+const { areNearDuplicates, shuffleOptions, buildQuestionBank } = require('./questionBank');
+
+const mcq = (question, correctAnswer, topicCategory, difficultyLevel = 'easy') => ({
+  question,
+  options: [correctAnswer, `${question} wrong 1`, `${question} wrong 2`, `${question} wrong 3`],
+  correctAnswer,
+  topicCategory,
+  difficultyLevel
+});
+
+// Deterministic stand-in for Math.random
+const seeded = (seed = 1) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+describe('Question Bank', () => {
+  describe('areNearDuplicates', () => {
+    test('should match rewordings and keep distinct questions apart', () => {
+      const original = mcq('What is the time complexity of binary search?', 'O(log n)', 'Search');
+
+      expect(areNearDuplicates(original, mcq('What is the time complexity of a binary search?', 'O(log n)', 'Search'))).toBe(true);
+      expect(areNearDuplicates(original, mcq('Binary search time complexity is which of the following?', 'O(log n)', 'Search'))).toBe(true);
+      expect(areNearDuplicates(original, mcq('What is the space complexity of merge sort?', 'O(n)', 'Sorting'))).toBe(false);
+    });
+  });
+
+  describe('shuffleOptions', () => {
+    test('should spread the correct answer evenly across positions', () => {
+      const questions = Array.from({ length: 12 }, (_, i) => mcq(`Question ${i}`, `Answer ${i}`, 'Basics'));
+
+      const shuffled = shuffleOptions(questions, seeded(7));
+
+      const positions = shuffled.map(question => question.options.indexOf(question.correctAnswer));
+      expect([0, 1, 2, 3].map(position => positions.filter(p => p === position).length)).toEqual([3, 3, 3, 3]);
+      shuffled.forEach((question, i) => {
+        expect([...question.options].sort()).toEqual([...questions[i].options].sort());
+      });
+    });
+  });
+
+  describe('buildQuestionBank', () => {
+    test('should drop duplicates and request only the shortfall', async () => {
+      const generate = jest.fn()
+        .mockResolvedValueOnce([
+          mcq('What does a compiler produce?', 'Machine code', 'Compilers', 'easy'),
+          mcq('What does a compiler produce?', 'Machine code', 'Compilers', 'easy'),
+          mcq('What is a lexer responsible for?', 'Tokens', 'Lexing', 'medium'),
+          mcq('Which structure does a parser build?', 'A syntax tree', 'Parsing', 'hard')
+        ])
+        .mockResolvedValueOnce([
+          mcq('What is constant folding?', 'Evaluating constants at compile time', 'Optimization', 'medium')
+        ]);
+
+      const bank = await buildQuestionBank(generate, { count: 4, random: seeded() });
+
+      expect(bank).toHaveLength(4);
+      expect(new Set(bank.map(question => question.question)).size).toBe(4);
+      expect(generate).toHaveBeenCalledTimes(2);
+      expect(generate.mock.calls[0]).toEqual([4, {}]);
+      expect(generate.mock.calls[1][0]).toBe(1);
+      expect(generate.mock.calls[1][1].avoidQuestions).toHaveLength(3);
+    });
+
+    test('should balance categories and difficulties', async () => {
+      const lopsided = [
+        'Which sorting algorithm is stable?',
+        'What is the worst case of quicksort?',
+        'How does insertion sort place each element?',
+        'Why is heapsort not adaptive?',
+        'When is counting sort a good choice?',
+        'What pivot strategy avoids quadratic behaviour?'
+      ].map((question, i) => mcq(question, `Sort ${i}`, 'Sorting', 'easy'));
+      const varied = [
+        mcq('What is a hash collision?', 'Two keys with one slot', 'Hashing', 'medium'),
+        mcq('Which traversal visits the root first?', 'Preorder', 'Trees', 'hard'),
+        mcq('What does a heap guarantee?', 'Parent ordering', 'Heaps', 'medium'),
+        mcq('What is amortized analysis?', 'Average cost over operations', 'Analysis', 'hard')
+      ];
+      const generate = jest.fn()
+        .mockResolvedValueOnce(lopsided)
+        .mockResolvedValueOnce(varied);
+
+      const bank = await buildQuestionBank(generate, { count: 6, random: seeded() });
+
+      expect(bank).toHaveLength(6);
+      expect(bank.filter(question => question.topicCategory === 'Sorting')).toHaveLength(2);
+      expect(generate.mock.calls[1][1]).toMatchObject({ avoidCategories: ['sorting'], difficulties: ['medium', 'hard'] });
+    });
+
+    test('should keep what it has when a follow-up request fails, and throw when nothing was generated', async () => {
+      const generate = jest.fn()
+        .mockResolvedValueOnce([mcq('What is recursion?', 'A function calling itself', 'Basics')])
+        .mockRejectedValueOnce(new Error('rate limited'));
+
+      await expect(buildQuestionBank(generate, { count: 3 })).resolves.toHaveLength(1);
+      await expect(buildQuestionBank(jest.fn().mockRejectedValue(new Error('offline')), { count: 3 })).rejects.toThrow('offline');
+    });
+  });
+});
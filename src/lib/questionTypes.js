@@ -0,0 +1,236 @@
+import { requestGeneration } from './geminiClient';
+
+/**
+ * Question Types - Answers and grading for every evaluation question type
+ * The backend generates the questions (see backend/services/questionTypes.js);
+ * this module prepares them for display, grades responses and formats answers
+ * for reports and the session_questions table. Questions without a type are MCQs.
+ *
+ *   type           response              graded by
+ *   mcq            option text           exact match
+ *   true-false     'True' or 'False'     exact match
+ *   multi-select   array of options      same set of options
+ *   fill-blank     text                  any accepted answer, ignoring case and articles
+ *   ordering       array of items        same order
+ *   numeric        text                  within the tolerance
+ *   short-answer   text                  rubric, by the backend (grade-answer)
+ */
+
+export const QUESTION_TYPES = ['mcq', 'multi-select', 'true-false', 'fill-blank', 'ordering', 'numeric', 'short-answer'];
+
+// Types for sessions that grade instantly (short answers take a request each)
+export const FAST_QUESTION_TYPES = QUESTION_TYPES.filter(type => type !== 'short-answer');
+
+// Share of rubric points a short answer needs to count as correct
+const SHORT_ANSWER_PASS_SHARE = 0.6;
+
+/**
+ * Type of a question, defaulting to MCQ
+ * @param {Object} question - Question object
+ * @returns {string} One of QUESTION_TYPES
+ */
+export const questionTypeOf = (question) => question?.type || 'mcq';
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Question ready to show: type set, true/false options filled in and ordering items shuffled
+ * @param {Object} question - Generated question
+ * @param {Function} random - Source of numbers in [0, 1) (default Math.random)
+ * @returns {Object} Copy of the question whose `options` is what the student sees
+ */
+export const prepareQuestion = (question, random = Math.random) => {
+  const type = questionTypeOf(question);
+
+  if (type === 'true-false') {
+    return { ...question, type, options: ['True', 'False'] };
+  }
+  if (type === 'ordering') {
+    // Never start in the correct order (at most a few retries for short lists)
+    let options = shuffle(question.items, random);
+    for (let attempt = 0; attempt < 5 && options.every((item, i) => item === question.items[i]); attempt++) {
+      options = shuffle(question.items, random);
+    }
+    return { ...question, type, options };
+  }
+  if (['fill-blank', 'numeric', 'short-answer'].includes(type)) {
+    return { ...question, type, options: [] };
+  }
+  return { ...question, type };
+};
+
+/**
+ * Response to a question before the student has answered
+ * @param {Object} question - Prepared question
+ * @returns {string|Array<string>} '' for text and single-choice types, [] for multi-select,
+ *   the shown order for ordering
+ */
+export const emptyResponse = (question) => {
+  switch (questionTypeOf(question)) {
+    case 'multi-select':
+      return [];
+    case 'ordering':
+      return [...question.options];
+    default:
+      return '';
+  }
+};
+
+const parseNumber = (text) => {
+  const value = parseFloat(String(text).replace(/,/g, '').trim());
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Whether a response can be submitted
+ * @param {Object} question - Prepared question
+ * @param {string|Array<string>} response - Student's response
+ * @returns {boolean} True when something has been chosen or typed
+ */
+export const isResponseComplete = (question, response) => {
+  switch (questionTypeOf(question)) {
+    case 'multi-select':
+      return Array.isArray(response) && response.length > 0;
+    case 'ordering':
+      return Array.isArray(response) && response.length === question.options.length;
+    case 'numeric':
+      return parseNumber(response) !== null;
+    default:
+      return typeof response === 'string' && response.trim().length > 0;
+  }
+};
+
+const normalizeText = (text) => String(text)
+  .toLowerCase()
+  .replace(/[‘’]/g, '\'')
+  .replace(/^["'\s]+|["'.!?\s]+$/g, '')
+  .replace(/^(a|an|the)\s+/, '')
+  .replace(/\s+/g, ' ');
+
+const sameSet = (a, b) => a.length === b.length && a.every(item => b.includes(item));
+
+/**
+ * Grade a rubric-marked short answer on the backend
+ * @param {Object} question - Short-answer question with rubric and sampleAnswer
+ * @param {string} answer - Student's answer
+ * @returns {Promise<Object>} { score, maxScore, criteria: [{ criterion, points, awarded, comment }], feedback }
+ * @throws {GenerationError} When the answer cannot be graded
+ */
+export const gradeShortAnswer = async (question, answer) => requestGeneration('grade-answer', {
+  question: question.question,
+  rubric: question.rubric.map(({ criterion, points }) => ({ criterion, points })),
+  sampleAnswer: question.sampleAnswer,
+  answer: answer.trim()
+});
+
+/**
+ * Grade a response
+ * @param {Object} question - Prepared question
+ * @param {string|Array<string>} response - Student's response
+ * @returns {Promise<Object>} { isCorrect, score } where score is the share of credit (0 to 1),
+ *   plus { feedback, criteria } for short answers
+ * @throws {GenerationError} When a short answer cannot be graded
+ */
+export const gradeResponse = async (question, response) => {
+  const graded = (isCorrect, score = isCorrect ? 1 : 0) => ({ isCorrect, score });
+
+  switch (questionTypeOf(question)) {
+    case 'multi-select': {
+      const chosen = response || [];
+      const hits = chosen.filter(option => question.correctAnswers.includes(option)).length;
+      const misses = chosen.length - hits;
+      return graded(sameSet(chosen, question.correctAnswers), Math.max(0, (hits - misses) / question.correctAnswers.length));
+    }
+    case 'fill-blank':
+      return graded(question.acceptedAnswers.some(accepted => normalizeText(accepted) === normalizeText(response)));
+    case 'ordering': {
+      const inPlace = (response || []).filter((item, i) => item === question.items[i]).length;
+      return graded(inPlace === question.items.length, inPlace / question.items.length);
+    }
+    case 'numeric': {
+      const value = parseNumber(response);
+      // Allow for floating point error on exact answers
+      return graded(value !== null && Math.abs(value - question.correctValue) <= question.tolerance + 1e-9);
+    }
+    case 'short-answer': {
+      const grade = await gradeShortAnswer(question, response);
+      const score = grade.maxScore > 0 ? grade.score / grade.maxScore : 0;
+      return { isCorrect: score >= SHORT_ANSWER_PASS_SHARE, score, feedback: grade.feedback, criteria: grade.criteria };
+    }
+    default:
+      return graded(response === question.correctAnswer);
+  }
+};
+
+/**
+ * A response as text, for reports and the user_answer column
+ * @param {Object} question - Prepared question
+ * @param {string|Array<string>} response - Student's response
+ * @returns {string} e.g. "A, C" for multi-select or "1. x → 2. y" for ordering
+ */
+export const formatResponse = (question, response) => {
+  switch (questionTypeOf(question)) {
+    case 'multi-select':
+      return (response || []).join(', ');
+    case 'ordering':
+      return (response || []).map((item, i) => `${i + 1}. ${item}`).join(' → ');
+    case 'numeric':
+      return question.unit ? `${String(response).trim()} ${question.unit}` : String(response).trim();
+    default:
+      return String(response ?? '').trim();
+  }
+};
+
+/**
+ * The correct answer as text, for reports and the correct_answer column
+ * @param {Object} question - Question
+ * @returns {string} e.g. "9.81 (± 0.05) m/s²" for numeric or the model answer for short answers
+ */
+export const formatCorrectAnswer = (question) => {
+  switch (questionTypeOf(question)) {
+    case 'multi-select':
+      return question.correctAnswers.join(', ');
+    case 'fill-blank':
+      return question.acceptedAnswers.join(' / ');
+    case 'ordering':
+      return formatResponse(question, question.items);
+    case 'numeric':
+      return [
+        String(question.correctValue),
+        question.tolerance > 0 && `(± ${question.tolerance})`,
+        question.unit
+      ].filter(Boolean).join(' ');
+    case 'short-answer':
+      return question.sampleAnswer;
+    default:
+      return question.correctAnswer;
+  }
+};
+
+/**
+ * Type-specific answer fields of a question, as stored in session_questions.answer_key
+ * @param {Object} question - Question
+ * @returns {Object|null} e.g. { correctAnswers } or { correctValue, tolerance, unit }; null for MCQs
+ */
+export const answerKeyOf = (question) => {
+  const fields = {
+    'multi-select': ['correctAnswers'],
+    'fill-blank': ['acceptedAnswers'],
+    ordering: ['items'],
+    numeric: ['correctValue', 'tolerance', 'unit'],
+    'short-answer': ['rubric', 'sampleAnswer']
+  }[questionTypeOf(question)];
+
+  if (!fields) return null;
+  return fields.reduce((key, field) => {
+    if (question[field] !== undefined) key[field] = question[field];
+    return key;
+  }, {});
+};
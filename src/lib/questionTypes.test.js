@@ -0,0 +1,89 @@
+// Tests for question type grading and formatting
+// Short answers are graded through the mock transport from geminiClient, so no backend calls are made
+
+jest.mock('./supabase', () => ({ supabase: {} }));
+
+const {
+  prepareQuestion,
+  emptyResponse,
+  isResponseComplete,
+  gradeResponse,
+  formatResponse,
+  formatCorrectAnswer,
+  answerKeyOf
+} = require('./questionTypes');
+const { createMockTransport, setTransport, GenerationError } = require('./geminiClient');
+
+describe('Question Types', () => {
+  afterEach(() => {
+    setTransport(null);
+  });
+
+  test('questions without a type should be graded as single-answer MCQs', async () => {
+    const question = prepareQuestion({ question: 'Pick B', options: ['A', 'B', 'C', 'D'], correctAnswer: 'B' });
+
+    expect(question.type).toBe('mcq');
+    await expect(gradeResponse(question, 'B')).resolves.toEqual({ isCorrect: true, score: 1 });
+    await expect(gradeResponse(question, 'A')).resolves.toEqual({ isCorrect: false, score: 0 });
+    expect(answerKeyOf(question)).toBeNull();
+  });
+
+  test('multi-select should need the exact set and give partial credit', async () => {
+    const question = { type: 'multi-select', question: 'Which are primes?', options: ['2', '3', '4', '6'], correctAnswers: ['2', '3'] };
+
+    await expect(gradeResponse(question, ['3', '2'])).resolves.toEqual({ isCorrect: true, score: 1 });
+    await expect(gradeResponse(question, ['2'])).resolves.toEqual({ isCorrect: false, score: 0.5 });
+    await expect(gradeResponse(question, ['2', '4'])).resolves.toEqual({ isCorrect: false, score: 0 });
+    expect(formatResponse(question, ['2', '4'])).toBe('2, 4');
+  });
+
+  test('fill-blank should ignore case, articles and trailing punctuation', async () => {
+    const question = { type: 'fill-blank', question: 'The ___ stores key-value pairs.', acceptedAnswers: ['hash table', 'hash map'] };
+
+    await expect(gradeResponse(question, '  The Hash Map.')).resolves.toMatchObject({ isCorrect: true });
+    await expect(gradeResponse(question, 'array')).resolves.toMatchObject({ isCorrect: false });
+    expect(formatCorrectAnswer(question)).toBe('hash table / hash map');
+  });
+
+  test('ordering should start shuffled and credit items in place', async () => {
+    const question = prepareQuestion({ type: 'ordering', question: 'Order these', items: ['a', 'b', 'c', 'd'] }, () => 0);
+
+    expect(question.options).not.toEqual(question.items);
+    expect(emptyResponse(question)).toEqual(question.options);
+    await expect(gradeResponse(question, ['a', 'b', 'c', 'd'])).resolves.toEqual({ isCorrect: true, score: 1 });
+    await expect(gradeResponse(question, ['a', 'b', 'd', 'c'])).resolves.toEqual({ isCorrect: false, score: 0.5 });
+  });
+
+  test('numeric should accept answers within the tolerance', async () => {
+    const question = { type: 'numeric', question: 'g?', correctValue: 9.81, tolerance: 0.05, unit: 'm/s²' };
+
+    expect(isResponseComplete(question, 'about')).toBe(false);
+    await expect(gradeResponse(question, '9.8')).resolves.toMatchObject({ isCorrect: true });
+    await expect(gradeResponse(question, '9.7')).resolves.toMatchObject({ isCorrect: false });
+    expect(formatCorrectAnswer(question)).toBe('9.81 (± 0.05) m/s²');
+  });
+
+  test('short-answer should be graded by the backend against its rubric', async () => {
+    const question = {
+      type: 'short-answer',
+      question: 'Why is binary search fast?',
+      rubric: [{ criterion: 'Halves the search space', points: 2 }, { criterion: 'Needs sorted input', points: 1 }],
+      sampleAnswer: 'Each step halves the sorted range, so it takes log n steps.'
+    };
+    const transport = createMockTransport([
+      { score: 2, maxScore: 3, criteria: [], feedback: 'Mention that the input must be sorted.' },
+      new GenerationError('RATE_LIMITED')
+    ]);
+    setTransport(transport);
+
+    await expect(gradeResponse(question, ' It halves the range each step. ')).resolves.toMatchObject({
+      isCorrect: true,
+      feedback: 'Mention that the input must be sorted.'
+    });
+    expect(transport.calls[0]).toMatchObject({
+      generator: 'grade-answer',
+      payload: { rubric: question.rubric, answer: 'It halves the range each step.' }
+    });
+    await expect(gradeResponse(question, 'No idea')).rejects.toMatchObject({ code: 'RATE_LIMITED' });
+  });
+});
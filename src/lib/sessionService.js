@@ -1,17 +1,23 @@
 import { supabase } from './supabase';
+import { questionTypeOf, formatCorrectAnswer, answerKeyOf } from './questionTypes';
 
 /**
  * Session Service for managing learning sessions in Supabase
  */
 
+// Documents stored in sessionStorage (when the user_documents table is missing) may lack a UUID
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * Create a new learning session
  * @param {Object} sessionData - Session data
  * @param {string} sessionData.sessionType - 'fast' or 'depth'
  * @param {string} sessionData.topic - The learning topic
  * @param {Array} sessionData.flashcards - Array of flashcard objects
- * @param {Array} sessionData.mcqQuestions - Array of MCQ question objects
+ * @param {Array} sessionData.mcqQuestions - Array of evaluation question objects of any type (see ./questionTypes)
  * @param {Object} sessionData.prerequisites - Prerequisites data (for depth sessions)
+ * @param {string} sessionData.documentId - First user_documents row the session was generated from (optional).
+ *   Sessions built from several files link only the first; items carry their own source.documentId
  * @returns {Promise<Object>} Created session data
  */
 export const createSession = async (sessionData) => {
@@ -33,7 +39,9 @@ export const createSession = async (sessionData) => {
       prerequisites: sessionData.prerequisites || null,
       prerequisite_results: null,
       core_concepts: sessionData.coreConcepts || null,
-      advanced_concepts: sessionData.advancedConcepts || null
+      advanced_concepts: sessionData.advancedConcepts || null,
+      // Only sent when set, so topic sessions still work on databases created before these columns
+      ...(UUID_PATTERN.test(sessionData.documentId || '') && { document_id: sessionData.documentId })
     };
 
     const { data, error } = await supabase
@@ -51,6 +59,7 @@ export const createSession = async (sessionData) => {
         flashcard_index: index,
         question: card.question,
         answer: card.answer,
+        ...(card.source && { source: card.source }),
         is_studied: false
       }));
 
@@ -69,14 +78,20 @@ export const createSession = async (sessionData) => {
         session_id: data.id,
         question_index: index,
         question: question.question,
-        options: question.options,
-        correct_answer: question.correctAnswer,
+        options: question.options || [],
+        correct_answer: formatCorrectAnswer(question),
         user_answer: null,
         is_correct: null,
         topic_category: question.topicCategory || 'General',
         difficulty_level: question.difficultyLevel || 'medium',
         explanation: question.explanation || '',
-        why_wrong_explanation: question.whyWrongExplanation || ''
+        why_wrong_explanation: question.whyWrongExplanation || '',
+        ...(question.source && { source: question.source }),
+        // Only needed beyond single-answer MCQs, so older tables keep working for MCQ sessions
+        ...(questionTypeOf(question) !== 'mcq' && {
+          question_type: questionTypeOf(question),
+          answer_key: answerKeyOf(question)
+        })
       }));
 
       const { error: questionError } = await supabase
@@ -177,15 +192,17 @@ export const markFlashcardStudied = async (sessionId, flashcardIndex) => {
  * @param {number} questionIndex - Index of the question
  * @param {string} userAnswer - User's answer
  * @param {boolean} isCorrect - Whether the answer is correct
+ * @param {Object} grading - { response, score, feedback } for answers that are not a single option (optional)
  * @returns {Promise<Object>} Update result
  */
-export const recordQuestionAnswer = async (sessionId, questionIndex, userAnswer, isCorrect) => {
+export const recordQuestionAnswer = async (sessionId, questionIndex, userAnswer, isCorrect, grading = null) => {
   try {
     const { data, error } = await supabase
       .from('session_questions')
       .update({
         user_answer: userAnswer,
         is_correct: isCorrect,
+        ...(grading && { grading }),
         answered_at: new Date().toISOString()
       })
       .eq('session_id', sessionId)
@@ -383,26 +400,36 @@ export const getSessionResumeData = async (sessionId) => {
         sessionId: session.id,
         sessionType: session.session_type,
         topic: session.topic,
+        documentId: session.document_id || null,
         currentPhase,
 
         // Flashcard data
         flashcards: session.flashcards.map(card => ({
           question: card.question,
-          answer: card.answer
+          answer: card.answer,
+          source: card.source || null
         })),
         studiedCards,
         currentCardIndex,
 
         // Question data
         questions: session.questions.map(q => ({
+          type: q.question_type || 'mcq',
           question: q.question,
           options: q.options,
-          correctAnswer: q.correct_answer
+          correctAnswer: q.correct_answer,
+          ...(q.answer_key || {}),
+          topicCategory: q.topic_category,
+          difficultyLevel: q.difficulty_level,
+          explanation: q.explanation,
+          whyWrongExplanation: q.why_wrong_explanation,
+          source: q.source || null
         })),
         answeredQuestions: answeredQuestions.map(q => ({
           questionIndex: q.question_index,
           userAnswer: q.user_answer,
-          isCorrect: q.is_correct
+          isCorrect: q.is_correct,
+          grading: q.grading || null
         })),
 
         // Session metadata
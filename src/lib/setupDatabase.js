@@ -27,11 +27,23 @@ export const checkTablesExist = async () => {
       .select('id')
       .limit(1);
 
+    const { error: conversationsError } = await supabase
+      .from('hopper_conversations')
+      .select('id')
+      .limit(1);
+
+    const { error: messagesError } = await supabase
+      .from('hopper_messages')
+      .select('id')
+      .limit(1);
+
     return {
       learning_sessions: !sessionsError,
       session_flashcards: !flashcardsError,
       session_questions: !questionsError,
-      allTablesExist: !sessionsError && !flashcardsError && !questionsError
+      hopper_conversations: !conversationsError,
+      hopper_messages: !messagesError,
+      allTablesExist: !sessionsError && !flashcardsError && !questionsError && !conversationsError && !messagesError
     };
   } catch (error) {
     console.error('Error checking tables:', error);
@@ -39,6 +51,8 @@ export const checkTablesExist = async () => {
       learning_sessions: false,
       session_flashcards: false,
       session_questions: false,
+      hopper_conversations: false,
+      hopper_messages: false,
       allTablesExist: false,
       error: error.message
     };
@@ -62,6 +76,9 @@ export const createTables = async () => {
           user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
           session_type VARCHAR(20) NOT NULL CHECK (session_type IN ('fast', 'depth')),
           topic VARCHAR(500) NOT NULL,
+          -- First user_documents row the session was generated from; each flashcard and
+          -- question records its own file in source.documentId
+          document_id UUID REFERENCES user_documents(id) ON DELETE SET NULL,
           status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'abandoned')),
           
           -- Session content
@@ -87,6 +104,10 @@ export const createTables = async () => {
           core_concepts JSONB,
           advanced_concepts JSONB
         );
+
+        ALTER TABLE learning_sessions ADD COLUMN IF NOT EXISTS document_id UUID REFERENCES user_documents(id) ON DELETE SET NULL;
+        CREATE INDEX IF NOT EXISTS idx_learning_sessions_document
+          ON learning_sessions(document_id) WHERE document_id IS NOT NULL;
       `
     });
 
@@ -106,8 +127,14 @@ export const createTables = async () => {
           answer TEXT NOT NULL,
           is_studied BOOLEAN DEFAULT FALSE,
           study_time TIMESTAMP WITH TIME ZONE,
-          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+          -- Passage of the uploaded document the card was generated from
+          -- { documentId, documentName, section, startChar, endChar, quote }
+          source JSONB
         );
+
+        ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS source JSONB;
       `
     });
 
@@ -135,8 +162,24 @@ export const createTables = async () => {
           topic_category VARCHAR(200),
           difficulty_level VARCHAR(20) DEFAULT 'medium',
           explanation TEXT,
-          why_wrong_explanation TEXT
+          why_wrong_explanation TEXT,
+
+          -- Passage of the uploaded document the question was generated from
+          source JSONB,
+
+          -- Question types beyond single-answer MCQs (see src/lib/questionTypes.js):
+          -- options holds what the student sees, correct_answer the answer as text,
+          -- answer_key the type-specific fields used for grading and grading the
+          -- student's raw response, score and rubric feedback
+          question_type VARCHAR(20) DEFAULT 'mcq',
+          answer_key JSONB,
+          grading JSONB
         );
+
+        ALTER TABLE session_questions ADD COLUMN IF NOT EXISTS source JSONB;
+        ALTER TABLE session_questions ADD COLUMN IF NOT EXISTS question_type VARCHAR(20) DEFAULT 'mcq';
+        ALTER TABLE session_questions ADD COLUMN IF NOT EXISTS answer_key JSONB;
+        ALTER TABLE session_questions ADD COLUMN IF NOT EXISTS grading JSONB;
       `
     });
 
@@ -168,6 +211,80 @@ export const createTables = async () => {
       return { success: false, error: strugglesError.message };
     }
 
+    // Create hopper_conversations table (TheHopper chat threads)
+    const { error: conversationsError } = await supabase.rpc('exec_sql', {
+      sql: `
+        CREATE TABLE IF NOT EXISTS hopper_conversations (
+          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+          user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+          title VARCHAR(200) NOT NULL DEFAULT 'New conversation',
+          message_count INTEGER DEFAULT 0,
+          last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_hopper_conversations_user
+          ON hopper_conversations(user_id, last_message_at DESC);
+      `
+    });
+
+    if (conversationsError) {
+      console.error('Error creating hopper_conversations table:', conversationsError);
+      return { success: false, error: conversationsError.message };
+    }
+
+    // Create hopper_messages table
+    const { error: messagesError } = await supabase.rpc('exec_sql', {
+      sql: `
+        CREATE TABLE IF NOT EXISTS hopper_messages (
+          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+          conversation_id UUID REFERENCES hopper_conversations(id) ON DELETE CASCADE NOT NULL,
+          user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+          role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+          content TEXT NOT NULL,
+
+          -- Answer metadata (assistant messages only)
+          citations JSONB DEFAULT '[]'::jsonb,
+          themes TEXT,
+          processing_time INTEGER,
+          source VARCHAR(50),
+          -- Answer mode and its structured parts: { mode, quiz, grounding }
+          metadata JSONB,
+
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+
+        ALTER TABLE hopper_messages ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+        CREATE INDEX IF NOT EXISTS idx_hopper_messages_conversation
+          ON hopper_messages(conversation_id, created_at);
+
+        -- Count messages and bump the thread in the same statement as the insert,
+        -- so concurrent appends cannot lose an increment
+        CREATE OR REPLACE FUNCTION bump_hopper_conversation() RETURNS TRIGGER AS $$
+        BEGIN
+          UPDATE hopper_conversations
+          SET message_count = message_count + 1,
+              last_message_at = NEW.created_at,
+              updated_at = NOW()
+          WHERE id = NEW.conversation_id;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS hopper_messages_bump_conversation ON hopper_messages;
+        CREATE TRIGGER hopper_messages_bump_conversation
+          AFTER INSERT ON hopper_messages
+          FOR EACH ROW EXECUTE FUNCTION bump_hopper_conversation();
+      `
+    });
+
+    if (messagesError) {
+      console.error('Error creating hopper_messages table:', messagesError);
+      return { success: false, error: messagesError.message };
+    }
+
     console.log('Database tables created successfully');
     return { success: true, message: 'All tables created successfully' };
 
@@ -191,6 +308,23 @@ export const setupRLS = async () => {
         ALTER TABLE learning_sessions ENABLE ROW LEVEL SECURITY;
         ALTER TABLE session_flashcards ENABLE ROW LEVEL SECURITY;
         ALTER TABLE session_questions ENABLE ROW LEVEL SECURITY;
+        ALTER TABLE hopper_conversations ENABLE ROW LEVEL SECURITY;
+        ALTER TABLE hopper_messages ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Users manage own conversations" ON hopper_conversations;
+        CREATE POLICY "Users manage own conversations" ON hopper_conversations
+          FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+        DROP POLICY IF EXISTS "Users manage own hopper messages" ON hopper_messages;
+        CREATE POLICY "Users manage own hopper messages" ON hopper_messages
+          FOR ALL USING (auth.uid() = user_id)
+          WITH CHECK (
+            auth.uid() = user_id
+            AND EXISTS (
+              SELECT 1 FROM hopper_conversations c
+              WHERE c.id = conversation_id AND c.user_id = auth.uid()
+            )
+          );
       `
     });
 
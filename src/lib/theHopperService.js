@@ -2,148 +2,173 @@ import { supabase } from './supabase';
 
 /**
  * TheHopper Service - Handles RAG chatbot functionality
- * This service prepares context and calls the Groq API for intelligent responses
+ * The backend assembles the learning context; this service sends questions and reads answers
  */
 
 /**
- * Prepare comprehensive learning context for TheHopper
- * @param {string} userId - User ID
- * @returns {Promise<Object>} Context data and metadata
+ * What the student can do about each backend error code
  */
-export const prepareLearningContext = async (userId) => {
-  try {
-    console.log('Preparing learning context for user:', userId);
-    
-    // Get user's uploaded documents from storage
-    const { data: documents, error: docError } = await supabase.storage
-      .from('documents')
-      .list(userId);
-
-    if (docError) {
-      console.error('Error fetching documents:', docError);
-    }
+const ERROR_GUIDANCE = {
+  GROQ_NOT_CONFIGURED: {
+    title: 'TheHopper is not configured yet',
+    action: 'The backend has no language model configured. Set `GROQ_API_KEY` (or another provider in `LLM_PROVIDERS`) in the `.env` file and restart the server.'
+  },
+  GROQ_UNAVAILABLE: {
+    title: 'The AI service is unavailable',
+    action: 'This is usually temporary. Wait a moment and ask again.'
+  },
+  GROQ_RATE_LIMITED: {
+    title: 'TheHopper is getting too many questions',
+    action: 'Wait about a minute before asking again.'
+  },
+  EMBEDDING_INIT_FAILED: {
+    title: 'The search model could not be loaded',
+    action: 'Restart the backend server. On first run it needs internet access to download the model.'
+  },
+  EMBEDDING_FAILED: {
+    title: 'Your materials could not be searched',
+    action: 'Try again. If it keeps failing, re-upload any documents you changed recently.'
+  },
+  CONTEXT_TOO_LARGE: {
+    title: 'Your learning materials are too large',
+    action: 'Remove some large documents, or ask about a more specific topic.'
+  },
+  CONTEXT_PROCESSING_FAILED: {
+    title: 'Your learning materials could not be processed',
+    action: 'Check that your uploaded documents open correctly, then try again.'
+  },
+  INVALID_REQUEST: {
+    title: 'Your question could not be sent',
+    action: 'Type a question and try again.'
+  },
+  CONTEXT_SOURCE_NOT_CONFIGURED: {
+    title: 'TheHopper cannot read your learning materials',
+    action: 'The backend is missing `SUPABASE_URL` or `SUPABASE_SERVICE_ROLE_KEY`. Add them to the `.env` file and restart the server.'
+  },
+  QUEUE_FULL: {
+    title: 'TheHopper is busy',
+    action: 'Lots of students are asking right now. Try again in a few seconds.'
+  },
+  CANCELLED: {
+    title: 'Question cancelled',
+    action: 'Ask again whenever you are ready.'
+  },
+  TIMEOUT: {
+    title: 'TheHopper took too long to answer',
+    action: 'Try a shorter or more specific question.'
+  },
+  UNAUTHORIZED: {
+    title: 'Your session has expired',
+    action: 'Sign out and sign back in, then ask again.'
+  },
+  FORBIDDEN: {
+    title: 'That answer belongs to another account',
+    action: 'Ask your question again from your own account.'
+  },
+  AUTH_NOT_CONFIGURED: {
+    title: 'TheHopper sign-in is not configured',
+    action: 'The backend is missing its `SUPABASE_JWT_SECRET`. Add it to the `.env` file and restart the server.'
+  },
+  BACKEND_UNREACHABLE: {
+    title: 'Cannot reach TheHopper',
+    action: 'Ensure the backend server is running (`npm run server`) and reachable at `REACT_APP_THEHOPPER_API_URL`.'
+  },
+  INTERNAL_ERROR: {
+    title: 'Something went wrong',
+    action: 'Try asking again. If it keeps happening, check the backend server logs.'
+  }
+};
 
-    // Get user's learning sessions and flashcards from database
-    const { data: sessions, error: sessionError } = await supabase
-      .from('learning_sessions')
-      .select(`
-        *,
-        session_flashcards (*)
-      `)
-      .eq('user_id', userId);
-
-    if (sessionError) {
-      console.error('Error fetching sessions:', sessionError);
-    }
+/**
+ * Answer modes offered by TheHopper
+ */
+export const THEHOPPER_MODES = [
+  { id: 'explain', label: 'Explain', description: 'A direct explanation from your materials' },
+  { id: 'socratic', label: 'Socratic', description: 'Guiding questions instead of the answer' },
+  { id: 'quiz', label: 'Quiz me', description: 'Multiple-choice questions from your materials' },
+  { id: 'summarize', label: 'Summarize', description: 'A summary of your notes on a topic' }
+];
 
-    // Get user's weak concepts from topic struggles
-    const { data: struggles, error: struggleError } = await supabase
-      .from('topic_struggles')
-      .select('*')
-      .eq('user_id', userId)
-      .order('struggle_count', { ascending: false })
-      .limit(10);
+/**
+ * Error from TheHopper backend carrying a structured error code
+ */
+export class TheHopperError extends Error {
+  constructor(code, message, retryable = false) {
+    super(message || ERROR_GUIDANCE[code]?.title || 'TheHopper request failed');
+    this.name = 'TheHopperError';
+    this.code = ERROR_GUIDANCE[code] ? code : 'INTERNAL_ERROR';
+    this.retryable = retryable;
+  }
+}
 
-    if (struggleError) {
-      console.error('Error fetching struggles:', struggleError);
-    }
+/**
+ * Build a user-facing markdown message for a failed TheHopper request
+ * @param {Error} error - Error thrown by callTheHopper or streamTheHopper
+ * @returns {string} Markdown with what happened and what to do next
+ */
+export const describeTheHopperError = (error) => {
+  const code = error instanceof TheHopperError ? error.code : 'BACKEND_UNREACHABLE';
+  const guidance = ERROR_GUIDANCE[code];
+  return `❌ **${guidance.title}**\n\n${guidance.action}\n\n_Error code: ${code}${error.message ? ` — ${error.message}` : ''}_`;
+};
 
-    // Create comprehensive context markdown
-    let contextContent = `# User Learning Context\n\n`;
-    let documentCount = 0;
-    let flashcardCount = 0;
-    let struggleCount = struggles?.length || 0;
+/**
+ * Convert a failed API response body into a TheHopperError
+ * @param {Object} body - Parsed JSON body with code/error fields
+ * @param {string} fallbackCode - Code to use when the body has none
+ * @returns {TheHopperError} Structured error
+ */
+const toTheHopperError = (body, fallbackCode = 'INTERNAL_ERROR') => {
+  const details = typeof body?.error === 'object' ? body.error : body || {};
+  return new TheHopperError(
+    details.code || body?.code || fallbackCode,
+    details.message || (typeof body?.error === 'string' ? body.error : undefined),
+    !!(details.retryable ?? body?.retryable)
+  );
+};
 
-    // Prepare arrays for the new Stats structure
-    let areasOfDifficulty = [];
-    let learningProgressSummary = [];
-    
-    // Add documents content
-    if (documents && documents.length > 0) {
-      contextContent += `## Uploaded Documents\n\n`;
-      for (const doc of documents) {
-        if (doc.name.endsWith('.md')) {
-          try {
-            const { data: docContent } = await supabase.storage
-              .from('documents')
-              .download(`${userId}/${doc.name}`);
-            
-            if (docContent) {
-              const text = await docContent.text();
-              contextContent += `### ${doc.name}\n${text}\n\n`;
-              documentCount++;
-            }
-          } catch (err) {
-            console.error(`Error reading document ${doc.name}:`, err);
-          }
-        }
-      }
-    }
+/**
+ * Authorization header carrying the signed-in user's Supabase access token
+ * @returns {Promise<Object>} Headers to merge into backend requests
+ */
+const getAuthHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token
+    ? { Authorization: `Bearer ${session.access_token}` }
+    : {};
+};
 
-    // Add flashcards content and extract learning progress
-    if (sessions && sessions.length > 0) {
-      contextContent += `## Generated Flashcards\n\n`;
-      for (const session of sessions) {
-        if (session.flashcards && Array.isArray(session.flashcards)) {
-          contextContent += `### Session: ${session.topic}\n`;
-          session.flashcards.forEach((card, index) => {
-            contextContent += `**Q${index + 1}:** ${card.question}\n`;
-            contextContent += `**A${index + 1}:** ${card.answer}\n\n`;
-            flashcardCount++;
-          });
+/**
+ * Summarize the learning context the backend will answer from
+ * @returns {Promise<Object>} Stats, weak concepts and metadata counts
+ */
+export const getLearningContextSummary = async () => {
+  const apiUrl = process.env.REACT_APP_THEHOPPER_API_URL || 'http://localhost:3002';
 
-          // Add to learning progress
-          learningProgressSummary.push(`Completed ${session.topic} session`);
-          if (session.final_score) {
-            learningProgressSummary.push(`Achieved ${session.final_score}% on ${session.topic}`);
-          }
-        }
-      }
-    }
+  try {
+    const response = await fetch(`${apiUrl}/api/thehopper/context`, {
+      headers: await getAuthHeaders()
+    });
+    const result = await response.json();
 
-    // Add weak concepts information and populate areas of difficulty
-    if (struggles && struggles.length > 0) {
-      contextContent += `## Areas of Difficulty\n\n`;
-      contextContent += `The user struggles with these concepts:\n\n`;
-      struggles.forEach((struggle, index) => {
-        contextContent += `${index + 1}. **${struggle.topic_name}** (struggled ${struggle.struggle_count} times)\n`;
-        areasOfDifficulty.push(`${struggle.topic_name} (${struggle.struggle_count} struggles)`);
-      });
-      contextContent += `\n`;
+    if (!response.ok || !result.success) {
+      throw toTheHopperError(result);
     }
 
-    // Add learning progress summary
-    contextContent += `## Learning Progress Summary\n\n`;
-    contextContent += `- Total Documents: ${documentCount}\n`;
-    contextContent += `- Total Flashcards: ${flashcardCount}\n`;
-    contextContent += `- Areas of Difficulty: ${struggleCount}\n`;
-    contextContent += `- Recent Sessions: ${sessions?.length || 0}\n\n`;
-
-    // Add general progress items
-    learningProgressSummary.push(`Uploaded ${documentCount} documents`);
-    learningProgressSummary.push(`Generated ${flashcardCount} flashcards`);
-    learningProgressSummary.push(`Completed ${sessions?.length || 0} learning sessions`);
-
     return {
       success: true,
-      contextContent,
-      Stats: [areasOfDifficulty, learningProgressSummary],
-      metadata: {
-        documentCount,
-        flashcardCount,
-        struggleCount,
-        sessionCount: sessions?.length || 0,
-        hasContent: documentCount > 0 || flashcardCount > 0
-      }
+      Stats: result.Stats,
+      weakConcepts: result.weakConcepts || [],
+      metadata: result.metadata
     };
 
   } catch (error) {
-    console.error('Error preparing learning context:', error);
+    console.error('Error loading learning context summary:', error);
     return {
       success: false,
       error: error.message,
-      contextContent: '',
       Stats: [[], []],
+      weakConcepts: [],
       metadata: {
         documentCount: 0,
         flashcardCount: 0,
@@ -156,20 +181,17 @@ export const prepareLearningContext = async (userId) => {
 };
 
 /**
- * Call TheHopper API with question and context (Async processing)
+ * Call TheHopper API with a question (Async processing)
  * @param {string} question - User's question
- * @param {string} context - Learning context
- * @param {Array} weakConcepts - User's weak areas
- * @param {Array} Stats - Learning statistics [areasOfDifficulty, learningProgress]
  * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - Additional request options
+ * @param {Array} options.history - Prior turns [{ role: 'user'|'assistant', content }], oldest first
+ * @param {string} options.mode - Answer mode: explain (default), socratic, quiz or summarize
  * @returns {Promise<Object>} TheHopper response
  */
-export const callTheHopper = async (question, context, weakConcepts = [], Stats = [[], []], onProgress = null) => {
+export const callTheHopper = async (question, onProgress = null, options = {}) => {
   try {
     console.log('Calling TheHopper with question:', question);
-    console.log('Context:', context);
-    console.log('Weak Concepts:', weakConcepts);
-    console.log('Stats:', Stats);
     
     // Backend API endpoint (adjust URL based on your setup)
     const apiUrl = process.env.REACT_APP_THEHOPPER_API_URL || 'http://localhost:3002';
@@ -180,17 +202,19 @@ export const callTheHopper = async (question, context, weakConcepts = [], Stats
     console.log('Full endpoint:', `${apiUrl}/api/thehopper/ask`);
     console.log('=== END API DEBUG ===');
 
+    const authHeaders = await getAuthHeaders();
+
     // Step 1: Submit the question and get request ID
     const submitResponse = await fetch(`${apiUrl}/api/thehopper/ask`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         question,
-        context,
-        weakConcepts,
-        Stats
+        history: options.history || [],
+        mode: options.mode
       })
     });
 
@@ -200,7 +224,8 @@ export const callTheHopper = async (question, context, weakConcepts = [], Stats
       console.error('Status Text:', submitResponse.statusText);
       console.error('URL:', submitResponse.url);
       console.error('=== END SUBMIT ERROR ===');
-      throw new Error(`HTTP error! status: ${submitResponse.status}`);
+      const body = await submitResponse.json().catch(() => ({}));
+      throw toTheHopperError(body);
     }
 
     const submitResult = await submitResponse.json();
@@ -220,69 +245,70 @@ export const callTheHopper = async (question, context, weakConcepts = [], Stats
     while (attempts < maxAttempts) {
       try {
         // Check status
-        const statusResponse = await fetch(`${apiUrl}/api/thehopper/status/${requestId}`);
-        
-        if (statusResponse.ok) {
-          const statusResult = await statusResponse.json();
-          
-          if (statusResult.success) {
-            const { status, progress, message } = statusResult;
-            
-            // Call progress callback if provided
-            if (onProgress && typeof onProgress === 'function') {
-              onProgress({
-                status,
-                progress,
-                message,
-                requestId
-              });
-            }
-
-            // If completed, get the result
-            if (status === 'completed') {
-              const resultResponse = await fetch(`${apiUrl}/api/thehopper/result/${requestId}`);
-              
-              if (resultResponse.ok) {
-                const result = await resultResponse.json();
-                
-                if (result.success) {
-                  console.log('=== RAG RESPONSE RECEIVED ===');
-                  console.log('Source:', result.source || 'RAG_SYSTEM');
-                  console.log('Model:', result.model || 'Unknown');
-                  console.log('Processing Time:', result.processingTime, 'ms');
-                  console.log('Citations Count:', (result.citations || []).length);
-                  console.log('Has Themes:', !!(result.themes || ''));
-                  console.log('=== END OF RAG RESPONSE INFO ===');
-
-                  return {
-                    success: true,
-                    answer: result.answer,
-                    citations: result.citations || [],
-                    themes: result.themes || '',
-                    processingTime: result.processingTime,
-                    source: result.source || 'RAG_SYSTEM',
-                    model: result.model
-                  };
-                } else {
-                  throw new Error(result.error || 'Failed to get response from TheHopper');
-                }
-              } else {
-                throw new Error(`Failed to fetch result: ${resultResponse.status}`);
-              }
-            }
-            
-            // If failed, throw error
-            if (status === 'failed') {
-              const resultResponse = await fetch(`${apiUrl}/api/thehopper/result/${requestId}`);
-              
-              if (resultResponse.ok) {
-                const result = await resultResponse.json();
-                throw new Error(result.error || 'Processing failed');
-              } else {
-                throw new Error('Processing failed');
-              }
-            }
+        const statusResponse = await fetch(`${apiUrl}/api/thehopper/status/${requestId}`, {
+          headers: authHeaders
+        });
+        const statusResult = await statusResponse.json().catch(() => ({}));
+
+        // Errors such as 401, 403 and 404 will not go away by polling again
+        if (!statusResponse.ok || !statusResult.success) {
+          throw toTheHopperError(statusResult);
+        }
+
+        const { status, progress, message } = statusResult;
+
+        // Call progress callback if provided
+        if (onProgress && typeof onProgress === 'function') {
+          onProgress({
+            status,
+            progress,
+            message,
+            requestId
+          });
+        }
+
+        // If completed, get the result
+        if (status === 'completed') {
+          const resultResponse = await fetch(`${apiUrl}/api/thehopper/result/${requestId}`, {
+            headers: authHeaders
+          });
+          const result = await resultResponse.json().catch(() => ({}));
+
+          if (!resultResponse.ok || !result.success) {
+            throw toTheHopperError(result);
           }
+
+          console.log('=== RAG RESPONSE RECEIVED ===');
+          console.log('Source:', result.source || 'RAG_SYSTEM');
+          console.log('Model:', result.model || 'Unknown');
+          console.log('Processing Time:', result.processingTime, 'ms');
+          console.log('Citations Count:', (result.citations || []).length);
+          console.log('Has Themes:', !!(result.themes || ''));
+          console.log('=== END OF RAG RESPONSE INFO ===');
+
+          return {
+            success: true,
+            answer: result.answer,
+            citations: result.citations || [],
+            themes: result.themes || '',
+            mode: result.mode,
+            quiz: result.quiz || null,
+            grounding: result.grounding || null,
+            usage: result.usage || null,
+            cached: Boolean(result.cached),
+            processingTime: result.processingTime,
+            source: result.source || 'RAG_SYSTEM',
+            model: result.model
+          };
+        }
+
+        // Failed and cancelled jobs are final: stop polling with the structured error
+        if (status === 'cancelled') {
+          throw new TheHopperError('CANCELLED');
+        }
+
+        if (status === 'failed') {
+          throw toTheHopperError(statusResult);
         }
 
         // Wait before next poll
@@ -290,32 +316,179 @@ export const callTheHopper = async (question, context, weakConcepts = [], Stats
         attempts++;
 
       } catch (error) {
-        console.error('Error during status polling:', error);
-        
-        // If it's a network error, continue polling
-        if (error.name === 'TypeError' || error.message.includes('fetch')) {
+        // fetch rejects with a TypeError when the network fails; only that is worth another poll
+        if (error instanceof TypeError) {
+          console.error('Network error during status polling:', error);
           await new Promise(resolve => setTimeout(resolve, pollInterval));
           attempts++;
           continue;
         }
-        
-        // For other errors, throw immediately
+
         throw error;
       }
     }
 
     // If we reach here, it means we timed out
-    throw new Error('Request timed out after 5 minutes of polling');
+    throw new TheHopperError('TIMEOUT', 'Request timed out after 5 minutes of polling');
 
   } catch (error) {
     console.error('=== THEHOPPER API ERROR ===');
     console.error('Error type:', error.name);
+    console.error('Error code:', error.code);
     console.error('Error message:', error.message);
     console.error('Full error:', error);
     console.error('=== END API ERROR ===');
 
     // No fallback - throw the error to be handled by the component
-    throw new Error(`RAG Backend API Error: ${error.message}. Please ensure the backend server is running on the correct port.`);
+    if (error instanceof TheHopperError) {
+      throw error;
+    }
+    throw new TheHopperError('BACKEND_UNREACHABLE', error.message);
+  }
+};
+
+/**
+ * Ask TheHopper and stream the answer as it is generated (Server-Sent Events)
+ * @param {string} question - User's question
+ * @param {Object} handlers - Stream callbacks
+ * @param {Function} handlers.onProgress - Called with { stage, progress, message }
+ * @param {Function} handlers.onToken - Called with each answer text delta
+ * @param {Object} options - Additional request options
+ * @param {Array} options.history - Prior turns [{ role: 'user'|'assistant', content }], oldest first
+ * @param {string} options.mode - Answer mode: explain (default), socratic, quiz or summarize
+ * @param {AbortSignal} options.signal - Cancels the stream
+ * @returns {Promise<Object>} TheHopper response, same shape as callTheHopper
+ */
+export const streamTheHopper = async (question, handlers = {}, options = {}) => {
+  const apiUrl = process.env.REACT_APP_THEHOPPER_API_URL || 'http://localhost:3002';
+  const { onProgress, onToken } = handlers;
+
+  try {
+    const response = await fetch(`${apiUrl}/api/thehopper/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...(await getAuthHeaders())
+      },
+      body: JSON.stringify({
+        question,
+        history: options.history || [],
+        mode: options.mode
+      }),
+      signal: options.signal
+    });
+
+    if (!response.ok || !response.body) {
+      const body = await response.json().catch(() => ({}));
+      throw toTheHopperError(body, 'BACKEND_UNREACHABLE');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    const handleEvent = (event, data) => {
+      if (event === 'progress' && typeof onProgress === 'function') {
+        onProgress(data);
+      } else if (event === 'token' && typeof onToken === 'function') {
+        onToken(data.text);
+      } else if (event === 'result') {
+        result = data;
+      } else if (event === 'error') {
+        throw toTheHopperError(data);
+      }
+    };
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+
+        let event = 'message';
+        let data = '';
+        frame.split('\n').forEach(line => {
+          if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            data += line.slice(5).trim();
+          }
+        });
+
+        if (data) {
+          handleEvent(event, JSON.parse(data));
+        }
+      }
+    }
+
+    if (!result) {
+      throw new TheHopperError('INTERNAL_ERROR', 'Stream ended before an answer was received');
+    }
+
+    return {
+      success: true,
+      answer: result.answer,
+      citations: result.citations || [],
+      themes: result.themes || '',
+      mode: result.mode,
+      quiz: result.quiz || null,
+      grounding: result.grounding || null,
+      usage: result.usage || null,
+      cached: Boolean(result.cached),
+      processingTime: result.processingTime,
+      source: result.source || 'RAG_SYSTEM',
+      model: result.model
+    };
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+
+    console.error('=== THEHOPPER STREAM ERROR ===');
+    console.error('Error code:', error.code);
+    console.error('Error message:', error.message);
+    console.error('=== END STREAM ERROR ===');
+
+    if (error instanceof TheHopperError) {
+      throw error;
+    }
+    throw new TheHopperError('BACKEND_UNREACHABLE', error.message);
+  }
+};
+
+/**
+ * Cancel a queued or running TheHopper request
+ * @param {string} requestId - Request ID returned when the question was submitted
+ * @returns {Promise<Object>} Cancellation result
+ */
+export const cancelTheHopperRequest = async (requestId) => {
+  const apiUrl = process.env.REACT_APP_THEHOPPER_API_URL || 'http://localhost:3002';
+
+  try {
+    const response = await fetch(`${apiUrl}/api/thehopper/request/${requestId}`, {
+      method: 'DELETE',
+      headers: await getAuthHeaders()
+    });
+    const result = await response.json();
+
+    return {
+      success: response.ok && result.success,
+      status: result.status,
+      error: result.error
+    };
+  } catch (error) {
+    console.error('Error cancelling TheHopper request:', error);
+    return { success: false, error: error.message };
   }
 };
 
@@ -0,0 +1,80 @@
+// Tests for TheHopper client's request polling
+// fetch is stubbed per test, so no backend or network is needed
+
+jest.mock('./supabase', () => ({
+  supabase: {
+    auth: {
+      getSession: async () => ({ data: { session: { access_token: 'test-token' } } })
+    }
+  }
+}));
+
+const { callTheHopper, TheHopperError } = require('./theHopperService');
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body
+});
+
+const submitted = jsonResponse(200, { success: true, requestId: 'req-1' });
+
+describe('TheHopper Service', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  describe('callTheHopper', () => {
+    test('should return the result once the request completes', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(submitted)
+        .mockResolvedValueOnce(jsonResponse(200, { success: true, status: 'completed', progress: 100 }))
+        .mockResolvedValueOnce(jsonResponse(200, { success: true, answer: 'Forty-two', citations: [] }));
+
+      await expect(callTheHopper('What is the answer?')).resolves.toMatchObject({ success: true, answer: 'Forty-two' });
+    });
+
+    test('should stop polling when the status request is refused', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(submitted)
+        .mockResolvedValueOnce(jsonResponse(403, { success: false, code: 'FORBIDDEN', error: 'You do not have access to this request' }));
+
+      const error = await callTheHopper('What is the answer?').catch(e => e);
+
+      expect(error).toBeInstanceOf(TheHopperError);
+      expect(error.code).toBe('FORBIDDEN');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry when the result cannot be fetched', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(submitted)
+        .mockResolvedValueOnce(jsonResponse(200, { success: true, status: 'completed', progress: 100 }))
+        .mockResolvedValueOnce(jsonResponse(500, { success: false, error: 'Failed to get request result' }));
+
+      await expect(callTheHopper('What is the answer?')).rejects.toMatchObject({ code: 'INTERNAL_ERROR' });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should keep polling through network errors', async () => {
+      // Skip the wait between polls
+      jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(submitted)
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(jsonResponse(200, { success: true, status: 'completed', progress: 100 }))
+        .mockResolvedValueOnce(jsonResponse(200, { success: true, answer: 'Forty-two' }));
+
+      await expect(callTheHopper('What is the answer?')).resolves.toMatchObject({ answer: 'Forty-two' });
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+  });
+});
@@ -6,11 +6,11 @@ async function testGeminiAPI() {
   console.log('🚀 Testing Gemini API...\n');
   
   // Check if API key is configured
-  const apiKey = process.env.REACT_APP_GEMINI_API_KEY;
+  const apiKey = process.env.GEMINI_API_KEY;
   if (!apiKey || apiKey === 'your-gemini-api-key') {
     console.log('❌ Gemini API key not configured!');
     console.log('Please add your actual API key to the .env file:');
-    console.log('REACT_APP_GEMINI_API_KEY=your-actual-api-key\n');
+    console.log('GEMINI_API_KEY=your-actual-api-key\n');
     return;
   }
   
@@ -116,7 +116,7 @@ async function testMultipleTopics() {
     console.log(`🔄 Testing with topic: "${topic}"`);
     
     try {
-      const genAI = new GoogleGenerativeAI(process.env.REACT_APP_GEMINI_API_KEY);
+      const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
       const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
       
       const prompt = `Generate exactly 5 prerequisites for learning "${topic}" as a JSON array of strings.`;
@@ -139,7 +139,7 @@ async function testMultipleTopics() {
 async function runAllTests() {
   await testGeminiAPI();
   
-  if (process.env.REACT_APP_GEMINI_API_KEY && process.env.REACT_APP_GEMINI_API_KEY !== 'your-gemini-api-key') {
+  if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your-gemini-api-key') {
     await testMultipleTopics();
   }
   